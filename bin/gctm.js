@@ -3,6 +3,8 @@
 const { Command } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
 const GitCommitTimeMachine = require('../src/index');
 const logger = require('../src/utils/logger');
 const Validator = require('../src/utils/validator');
@@ -34,40 +36,245 @@ function showSuccessAndExit(message) {
   process.exit(0);
 }
 
+/**
+ * Helper function: Build a working-hours schedule from redate options
+ * @param {Object} options - Command options
+ * @returns {Object|null} Schedule or null when no schedule option is set
+ */
+function buildScheduleOption(options) {
+  if (!options.workingHours && !options.lunchBreak && !options.weekdaysOnly && !options.excludeDates) {
+    return null;
+  }
+
+  return {
+    workingHours: options.workingHours,
+    lunchBreak: options.lunchBreak,
+    weekdaysOnly: options.weekdaysOnly || false,
+    excludeDates: options.excludeDates
+      ? options.excludeDates.split(',').map(d => d.trim()).filter(Boolean)
+      : []
+  };
+}
+
+/**
+ * Helper function: Build the rewrite scope (--range, --branch, --since-commit) from command options
+ * @param {Object} options - Command options
+ * @returns {Object} Scope options for GitCommitTimeMachine (empty when the command is not scoped)
+ */
+function buildScopeOptions(options) {
+  const scope = {};
+  if (options.range) scope.range = options.range;
+  if (options.branch) scope.branch = options.branch;
+  if (options.sinceCommit) scope.sinceCommit = options.sinceCommit;
+  return scope;
+}
+
+/**
+ * Helper function: Collect the values of an option that can be repeated
+ * @param {string} value - Value of this occurrence
+ * @param {Array} previous - Values collected so far
+ * @returns {Array} All values
+ */
+function collectOption(value, previous) {
+  return [...(previous || []), value];
+}
+
+/**
+ * Helper function: Prepare the output of a command that supports --dry-run and --json
+ * With --json only the plan is written to stdout, so regular log lines are silenced.
+ * @param {Object} options - Command options
+ */
+function prepareDryRunOutput(options) {
+  if (options.json && !options.dryRun) {
+    showErrorAndExit('--json can only be used together with --dry-run');
+  }
+  if (options.json) {
+    logger.setLevel('error');
+  }
+}
+
+/**
+ * Helper function: Print the plan of a dry run and exit
+ * @param {Object} result - Dry-run result from GitCommitTimeMachine
+ * @param {Object} options - Command options (--json prints the plan as JSON)
+ */
+function showPlanAndExit(result, options) {
+  const { plan } = result;
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+    process.exit(0);
+  }
+
+  const firstLine = (message) => message.split('\n')[0];
+  const change = (value) => (value ? `${value.old} -> ${value.new}` : '-');
+  const identities = (commit) => ['author', 'committer']
+    .filter(field => commit[field])
+    .map(field => `${field} ${change(commit[field])}`)
+    .join(', ') || '-';
+  const showIdentities = plan.commits.some(commit => commit.author || commit.committer);
+
+  if (plan.commits.length > 0) {
+    logger.table({
+      title: `Plan (${plan.operation})`,
+      headers: [
+        'Commit', 'New hash', 'Author date', 'Committer date', 'Message',
+        ...(showIdentities ? ['Identity'] : []),
+        'Files (matches)'
+      ],
+      rows: plan.commits.map(commit => [
+        commit.oldHash.substring(0, 7),
+        commit.newHash.substring(0, 7),
+        change(commit.authorDate),
+        change(commit.committerDate),
+        commit.message
+          ? `${firstLine(commit.message.old)} -> ${firstLine(commit.message.new)}`
+          : commit.subject,
+        ...(showIdentities ? [identities(commit)] : []),
+        commit.files.map(file => `${file.path} (${file.matches})`).join(', ') || '-'
+      ])
+    });
+  }
+  if (plan.operation === 'edit-messages') {
+    // Bulk edits change whole messages, so show them before and after
+    plan.commits.filter(commit => commit.message).forEach(commit => {
+      console.log(chalk.bold(`\n${commit.oldHash.substring(0, 7)} -> ${commit.newHash.substring(0, 7)}`));
+      commit.message.old.replace(/\n$/, '').split('\n').forEach(line => console.log(chalk.red(`- ${line}`)));
+      commit.message.new.replace(/\n$/, '').split('\n').forEach(line => console.log(chalk.green(`+ ${line}`)));
+    });
+    console.log('');
+  }
+  plan.commits.filter(commit => commit.squashed && commit.squashed.length > 0).forEach(commit => {
+    const squashed = commit.squashed.map(hash => hash.substring(0, 7)).join(', ');
+    logger.info(`${commit.newHash.substring(0, 7)} would combine ${commit.oldHash.substring(0, 7)} with ${squashed}`);
+  });
+  if (plan.splits) {
+    plan.splits.forEach((split, index) => {
+      console.log(chalk.bold(`\n${index + 1}. ${split.hash.substring(0, 7)} ${firstLine(split.message)}`));
+      console.log(`   ${split.authorDate} - ${split.files.join(', ')}`);
+    });
+    console.log('');
+  }
+  if (plan.dropped && plan.dropped.length > 0) {
+    logger.info(`Commits that would be dropped: ${plan.dropped.map(hash => hash.substring(0, 7)).join(', ')}`);
+  }
+  if (plan.refs.length > 0) {
+    logger.info(`Refs that would be updated: ${plan.refs.join(', ')}`);
+  }
+  if (plan.tags) {
+    if (plan.tags.redated.length > 0) {
+      logger.info(`Annotated tags that would get the date of their commit: ${plan.tags.redated.join(', ')}`);
+    }
+    if (plan.tags.skipped.length > 0) {
+      logger.warn(`Tags that would stay on the old commits (use --tags to move them): ${plan.tags.skipped.join(', ')}`);
+    }
+    if (plan.tags.outside.length > 0) {
+      logger.warn(`Tags outside the rewritten range that would keep the old history: ${plan.tags.outside.join(', ')}`);
+    }
+  }
+  if (plan.remotes && plan.remotes.published.length > 0) {
+    logger.warn(`Commits already on a remote that would be rewritten: ${plan.remotes.published.length}`);
+    if (plan.remotes.upstream.length > 0) {
+      logger.warn(`Remote branches that would need a force push: ${plan.remotes.upstream.join(', ')}`);
+    }
+    if (plan.remotes.others.length > 0) {
+      logger.warn(`Other remote branches that would keep the old commits: ${plan.remotes.others.join(', ')}`);
+    }
+  }
+  if (plan.signedCommits && plan.signedCommits.length > 0) {
+    const signed = plan.signedCommits.map(hash => hash.substring(0, 7)).join(', ');
+    if (plan.resign) {
+      logger.info(`Signed commits that would be signed again (their new hashes differ from the plan): ${signed}`);
+    } else {
+      logger.warn(`Signed commits that would lose their signature: ${signed}`);
+    }
+  }
+
+  showSuccessAndExit(`Dry run: ${plan.commits.length} commits would change, nothing was modified`);
+}
+
+/**
+ * Helper function: Point at the stored commit map after a rewrite
+ * @param {Object} result - Rewrite result with the `backupId` the commit map was stored under
+ */
+function showCommitMapHint(result) {
+  if (result.backupId) {
+    logger.info(`Old to new commit hashes: gctm map show ${result.backupId}`);
+  }
+}
+
 /**
  * Date-related commands
  */
 program
   .command('redate')
   .description('Redates commit timestamps')
-  .option('-s, --start <date>', 'Start date (YYYY-MM-DD format)')
-  .option('-e, --end <date>', 'End date (YYYY-MM-DD format)')
+  .option('-s, --start <date>', 'Start date (YYYY-MM-DD, ISO date-time, 2024-W12, "last monday", "2 weeks ago")')
+  .option('-e, --end <date>', 'End date (same forms as --start)')
   .option('-c, --commit <hash>', 'Target a specific commit')
   .option('-b, --backup', 'Create backup before operation')
   .option('-o, --preserve-order', 'Preserve commit order')
   .option('-r, --randomize', 'Generate random dates')
+  .option('--mode <mode>', 'How new dates are produced: uniform (evenly spaced), scale (keep the original timeline shape) or natural (follow the repository commit rhythm)', 'uniform')
+  .option('--profile-from <author-email>', 'Learn the natural-mode rhythm from this author only')
+  .option('--working-hours <range>', 'Only use times inside this window (HH:mm-HH:mm, e.g. 09:00-18:00)')
+  .option('--lunch-break <range>', 'Skip this window inside working hours (HH:mm-HH:mm)')
+  .option('--weekdays-only', 'Only use Monday to Friday')
+  .option('--exclude-dates <dates>', 'Days to skip (comma-separated YYYY-MM-DD)')
+  .option('--calendar <file>', 'Holiday/blackout calendar to skip (.ics or .json)')
+  .option('--timezone <zone>', 'Timezone for new dates: local, preserve (keep original offsets) or IANA name')
+  .option('--date-field <field>', 'Date to rewrite: author, committer or both', 'both')
+  .option('--committer-gap <minutes>', 'Random committer delay after the author date, e.g. 0-20 (with --date-field both)')
+  .option('--fix-order', 'Move commits that would be dated before a parent to just after it instead of failing')
+  .option('--map <file>', 'Apply per-commit dates from a CSV/JSON/YAML file (hash,author_date,committer_date)')
+  .option('--export-map [file]', 'Write the current commit dates as a map file (CSV to stdout without a file)')
+  .option('--shift <duration>', 'Move existing dates instead of generating new ones (e.g. "+3 days 4 hours", "-2w")')
+  .option('--range <range>', 'Only rewrite <base>..<branch>, e.g. main~20..main')
+  .option('--branch <name>', 'Only rewrite this branch')
+  .option('--since-commit <hash>', 'Only rewrite this commit and its descendants')
+  .option('--tags [mode]', 'Also move the tags on rewritten commits that the scope leaves out; "redate" gives annotated tags the new date of their commit too')
+  .option('--resign', 'Sign the rewritten commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Show the plan (new hashes, dates, messages, files) without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
   .option('--interactive', 'Interactive mode')
   .action(async (options) => {
     try {
       let redateOptions = {};
 
+      prepareDryRunOutput(options);
+
+      if (options.exportMap) {
+        const gctm = new GitCommitTimeMachine();
+        const file = typeof options.exportMap === 'string' ? options.exportMap : null;
+        const result = await gctm.exportDateMap({ file, ...buildScopeOptions(options) });
+
+        if (!result.success) {
+          showErrorAndExit(`Export failed: ${result.error}`);
+        }
+        if (!file) {
+          process.stdout.write(result.content);
+          process.exit(0);
+        }
+        showSuccessAndExit(`${result.total} commit dates exported to ${result.file}`);
+      }
+
       // Interactive mode
       if (options.interactive) {
         const answers = await inquirer.prompt([
           {
             type: 'input',
             name: 'startDate',
-            message: 'Start date (YYYY-MM-DD):',
+            message: 'Start date (YYYY-MM-DD or e.g. "last monday"):',
             validate: (input) => {
-              return Validator.isValidDate(input) || 'Please enter a valid date (YYYY-MM-DD)';
+              return Validator.isValidDateExpression(input) || 'Please enter a valid date (YYYY-MM-DD, 2024-W12, "2 weeks ago", ...)';
             }
           },
           {
             type: 'input',
             name: 'endDate',
-            message: 'End date (YYYY-MM-DD):',
+            message: 'End date (YYYY-MM-DD or e.g. "today"):',
             validate: (input) => {
-              return Validator.isValidDate(input) || 'Please enter a valid date (YYYY-MM-DD)';
+              return Validator.isValidDateExpression(input) || 'Please enter a valid date (YYYY-MM-DD, 2024-W12, "2 weeks ago", ...)';
             }
           },
           {
@@ -85,10 +292,23 @@ program
         ]);
 
         redateOptions = answers;
+      } else if (options.map) {
+        // The map file carries its own dates, so no date range is needed
+        redateOptions = {
+          map: path.resolve(options.map),
+          createBackup: options.backup !== false
+        };
+      } else if (options.shift) {
+        // Shift mode keeps the spacing between commits, so no date range is needed
+        redateOptions = {
+          shift: options.shift,
+          createBackup: options.backup !== false,
+          dateField: options.dateField
+        };
       } else {
         // Command line mode
         if (!options.start || !options.end) {
-          showErrorAndExit('Start and end dates must be specified');
+          showErrorAndExit('Start and end dates must be specified (or use --shift / --map)');
         }
 
         const validation = Validator.validateDateRange(options.start, options.end);
@@ -101,21 +321,47 @@ program
           startDate: options.start,
           endDate: options.end,
           createBackup: options.backup !== false,
-          preserveOrder: options.preserveOrder !== false
+          preserveOrder: options.preserveOrder !== false,
+          randomize: options.randomize || false,
+          mode: options.mode,
+          profileFrom: options.profileFrom,
+          fixOrder: options.fixOrder || false,
+          schedule: buildScheduleOption(options),
+          calendar: options.calendar ? path.resolve(options.calendar) : undefined,
+          timezone: options.timezone,
+          dateField: options.dateField,
+          committerGap: options.committerGap
         };
       }
 
+      redateOptions = {
+        ...redateOptions,
+        ...buildScopeOptions(options),
+        dryRun: options.dryRun || false,
+        resign: options.resign,
+        tags: options.tags
+      };
+
       // Create GCTM instance
       const gctm = new GitCommitTimeMachine();
 
-      logger.title('Redate Git Commits');
-      logger.info(`Start: ${redateOptions.startDate}`);
-      logger.info(`End: ${redateOptions.endDate}`);
+      if (!options.json) logger.title('Redate Git Commits');
+      if (redateOptions.map) {
+        logger.info(`Map: ${redateOptions.map}`);
+      } else if (redateOptions.shift) {
+        logger.info(`Shift: ${redateOptions.shift}`);
+      } else {
+        logger.info(`Start: ${redateOptions.startDate}`);
+        logger.info(`End: ${redateOptions.endDate}`);
+      }
 
       // Perform operation
       const result = await gctm.redateCommits(redateOptions);
 
-      if (result.success) {
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        showCommitMapHint(result);
         showSuccessAndExit(`${result.processed} commits successfully redated`);
       } else {
         showErrorAndExit(`Operation failed: ${result.error}`);
@@ -135,12 +381,20 @@ program
   .option('-c, --commit <hash>', 'Commit hash to edit')
   .option('-m, --message <text>', 'New commit message')
   .option('-b, --backup', 'Create backup before operation')
-  .option('--force-push', 'Force push changes to remote after successful edit')
+  .option('--force-push', 'Force push the branch to origin after the edit, unless origin moved since the last fetch (needs git.allowForcePush)')
+  .option('--range <range>', 'Only rewrite <base>..<branch>, e.g. main~20..main')
+  .option('--branch <name>', 'Only rewrite this branch')
+  .option('--since-commit <hash>', 'Only rewrite this commit and its descendants')
+  .option('--resign', 'Sign the rewritten commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Show the plan (new hashes, dates, messages, files) without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
   .option('--interactive', 'Interactive mode')
   .action(async (options) => {
     try {
       let editOptions = {};
 
+      prepareDryRunOutput(options);
+
       // Interactive mode
       if (options.interactive) {
         const gctm = new GitCommitTimeMachine();
@@ -207,13 +461,21 @@ program
       // Create GCTM instance
       const gctm = new GitCommitTimeMachine();
 
-      logger.title('Edit Commit Message');
+      if (!options.json) logger.title('Edit Commit Message');
       logger.info(`Commit: ${editOptions.commitId}`);
 
       // Perform operation
-      const result = await gctm.editCommitMessage(editOptions);
+      const result = await gctm.editCommitMessage({
+        ...editOptions,
+        ...buildScopeOptions(options),
+        dryRun: options.dryRun || false,
+        resign: options.resign
+      });
 
-      if (result.success) {
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        showCommitMapHint(result);
         showSuccessAndExit('Commit message successfully edited');
       } else {
         showErrorAndExit(`Operation failed: ${result.error}`);
@@ -224,6 +486,69 @@ program
     }
   });
 
+/**
+ * Bulk message editing command
+ */
+program
+  .command('edit-messages')
+  .description('Edits the messages of many commits in one rewrite (regex replace, prefix/suffix, trailers)')
+  .option('--search <regex>', 'Regex to replace in every message (repeatable, paired with --replace)', collectOption, [])
+  .option('--replace <text>', 'Replacement for the matching --search, may use $1, $2, ... (repeatable)', collectOption, [])
+  .option('-i, --ignore-case', 'Match --search and --remove-lines patterns case-insensitively')
+  .option('--prefix <text>', 'Put this text in front of each subject line')
+  .option('--suffix <text>', 'Put this text after each subject line')
+  .option('--trailer <trailer>', 'Add a trailer, e.g. "Signed-off-by: Name <email>" (repeatable)', collectOption, [])
+  .option('--remove-lines <regex>', 'Remove message lines matching this regex (repeatable)', collectOption, [])
+  .option('-b, --backup', 'Create backup before operation')
+  .option('--range <range>', 'Only rewrite <base>..<branch>, e.g. main~20..main')
+  .option('--branch <name>', 'Only rewrite this branch')
+  .option('--since-commit <hash>', 'Only rewrite this commit and its descendants')
+  .option('--resign', 'Sign the rewritten commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Preview the old and new messages and hashes without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
+  .action(async (options) => {
+    try {
+      prepareDryRunOutput(options);
+
+      if (options.search.length !== options.replace.length) {
+        showErrorAndExit('Every --search needs a matching --replace');
+      }
+
+      const flags = options.ignoreCase ? 'i' : '';
+      const edits = {
+        replacements: options.search.map((pattern, index) => ({ pattern, replacement: options.replace[index], flags })),
+        prefix: options.prefix,
+        suffix: options.suffix,
+        trailers: options.trailer,
+        removeLines: options.removeLines.map(pattern => ({ pattern, flags }))
+      };
+
+      const gctm = new GitCommitTimeMachine();
+
+      if (!options.json) logger.title('Edit Commit Messages');
+
+      const result = await gctm.editCommitMessages({
+        ...edits,
+        createBackup: options.backup !== false,
+        ...buildScopeOptions(options),
+        dryRun: options.dryRun || false,
+        resign: options.resign
+      });
+
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        showCommitMapHint(result);
+        showSuccessAndExit(`Messages of ${result.processed} commits successfully edited`);
+      } else {
+        showErrorAndExit(`Operation failed: ${result.error}`);
+      }
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
 /**
  * Content editing command
  */
@@ -234,11 +559,20 @@ program
   .option('-p, --pattern <regex>', 'Pattern to search for (regex)')
   .option('-r, --replacement <text>', 'Replacement text')
   .option('-b, --backup', 'Create backup before operation')
+  .option('--range <range>', 'Only rewrite <base>..<branch>, e.g. main~20..main')
+  .option('--branch <name>', 'Only rewrite this branch')
+  .option('--since-commit <hash>', 'Only rewrite this commit and its descendants')
+  .option('--tags', 'Also move the tags on rewritten commits that the scope leaves out')
+  .option('--resign', 'Sign the rewritten commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Show the plan (new hashes, dates, messages, files) without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
   .option('--interactive', 'Interactive mode')
   .action(async (options) => {
     try {
       let editOptions = {};
 
+      prepareDryRunOutput(options);
+
       // Interactive mode
       if (options.interactive) {
         const gctm = new GitCommitTimeMachine();
@@ -313,13 +647,22 @@ program
       // Create GCTM instance
       const gctm = new GitCommitTimeMachine();
 
-      logger.title('Edit Commit Content');
+      if (!options.json) logger.title('Edit Commit Content');
       logger.info(`Commit: ${editOptions.commitId}`);
 
       // Perform operation
-      const result = await gctm.editCommitContent(editOptions);
+      const result = await gctm.editCommitContent({
+        ...editOptions,
+        ...buildScopeOptions(options),
+        dryRun: options.dryRun || false,
+        resign: options.resign,
+        tags: options.tags
+      });
 
-      if (result.success) {
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        showCommitMapHint(result);
         showSuccessAndExit(`${result.processedFiles} files successfully edited`);
       } else {
         showErrorAndExit(`Operation failed: ${result.error}`);
@@ -330,6 +673,241 @@ program
     }
   });
 
+/**
+ * Author/committer identity rewriting command
+ */
+program
+  .command('rewrite-author')
+  .description('Rewrites author and committer names and emails (like a .mailmap)')
+  .option('--old-email <email>', 'Email of the identity to rewrite')
+  .option('--old-name <name>', 'Name of the identity to rewrite')
+  .option('--new-email <email>', 'New email (default: keep the email)')
+  .option('--new-name <name>', 'New name (default: keep the name)')
+  .option('--mailmap <file>', 'Apply the entries of a .mailmap file')
+  .option('--identity-field <field>', 'Identity to rewrite: author, committer or both', 'both')
+  .option('-b, --backup', 'Create backup before operation')
+  .option('--range <range>', 'Only rewrite <base>..<branch>, e.g. main~20..main')
+  .option('--branch <name>', 'Only rewrite this branch')
+  .option('--since-commit <hash>', 'Only rewrite this commit and its descendants')
+  .option('--resign', 'Sign the rewritten commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Show the plan (new hashes, identities) without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
+  .action(async (options) => {
+    try {
+      prepareDryRunOutput(options);
+
+      const mappings = [];
+      if (options.oldEmail || options.oldName || options.newEmail || options.newName) {
+        mappings.push({
+          oldEmail: options.oldEmail,
+          oldName: options.oldName,
+          newEmail: options.newEmail,
+          newName: options.newName
+        });
+      }
+
+      if (mappings.length === 0 && !options.mailmap) {
+        showErrorAndExit('Specify --old-email/--old-name with --new-email/--new-name, or a --mailmap file');
+      }
+      if (options.newEmail && !Validator.isValidEmail(options.newEmail)) {
+        showErrorAndExit('Please specify a valid new email address');
+      }
+
+      const gctm = new GitCommitTimeMachine();
+
+      if (!options.json) logger.title('Rewrite Author');
+
+      const result = await gctm.rewriteAuthors({
+        mappings,
+        mailmap: options.mailmap ? path.resolve(options.mailmap) : null,
+        identityField: options.identityField,
+        createBackup: options.backup !== false,
+        ...buildScopeOptions(options),
+        dryRun: options.dryRun || false,
+        resign: options.resign
+      });
+
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        showCommitMapHint(result);
+        showSuccessAndExit(`Identities of ${result.processed} commits successfully rewritten`);
+      } else {
+        showErrorAndExit(`Operation failed: ${result.error}`);
+      }
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
+/**
+ * History restructuring command
+ */
+program
+  .command('restructure')
+  .description('Squashes, reorders and drops commits following a plan file (like a rebase todo list)')
+  .option('-p, --plan <file>', 'Plan file: "pick|squash|fixup|drop <commit>" lines, oldest first, or "drop /<regex>/"')
+  .option('--base <commit>', 'Commit the new history starts from (default: parent of the oldest commit in the plan)')
+  .option('--branch <name>', 'Branch to restructure (default: the current branch)')
+  .option('--export-plan [file]', 'Write a plan that picks every commit after --base, to edit and pass to --plan')
+  .option('--ai-message', 'Generate the messages of squashed commits with the AI assistant')
+  .option('-b, --backup', 'Create backup before operation')
+  .option('--resign', 'Sign the new commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Show the new commits, squashes and drops without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
+  .action(async (options) => {
+    try {
+      prepareDryRunOutput(options);
+
+      const gctm = new GitCommitTimeMachine();
+
+      if (options.exportPlan) {
+        if (!options.base) {
+          showErrorAndExit('--export-plan needs a --base commit');
+        }
+        const file = typeof options.exportPlan === 'string' ? options.exportPlan : null;
+        const exported = await gctm.exportRestructurePlan({ base: options.base, branch: options.branch, file });
+        if (!exported.success) {
+          showErrorAndExit(`Plan export failed: ${exported.error}`);
+        }
+        if (file) {
+          showSuccessAndExit(`Plan for ${exported.total} commits written to ${exported.file}`);
+        }
+        process.stdout.write(exported.content);
+        process.exit(0);
+      }
+
+      if (!options.plan) {
+        showErrorAndExit('A --plan file must be specified (write one with --base <commit> --export-plan)');
+      }
+
+      if (!options.json) logger.title('Restructure History');
+
+      const result = await gctm.restructureHistory({
+        plan: path.resolve(options.plan),
+        base: options.base,
+        branch: options.branch,
+        aiMessage: options.aiMessage || false,
+        createBackup: options.backup !== false,
+        dryRun: options.dryRun || false,
+        resign: options.resign
+      });
+
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        showCommitMapHint(result);
+        showSuccessAndExit(`History restructured: ${result.processed} new commits, ${result.dropped.length} dropped`);
+      } else {
+        showErrorAndExit(`Operation failed: ${result.error}`);
+      }
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
+/**
+ * Commit split command
+ */
+program
+  .command('split <commit>')
+  .description('Splits a commit into several commits by file, directory or path glob')
+  .option('--by <mode>', 'How to group the changed files: file, directory or glob', 'file')
+  .option('--glob <pattern>', 'Path glob of one new commit, e.g. "src/**" (repeatable, implies --by glob)', collectOption, [])
+  .option('--branch <name>', 'Branch with the commit (default: the current branch)')
+  .option('--ai-message', 'Generate the message of each new commit with the AI assistant')
+  .option('-b, --backup', 'Create backup before operation')
+  .option('--resign', 'Sign the new commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Show the new commits and their files without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
+  .action(async (hash, options) => {
+    try {
+      prepareDryRunOutput(options);
+
+      if (!options.json) logger.title('Split Commit');
+
+      const gctm = new GitCommitTimeMachine();
+
+      const result = await gctm.splitCommit({
+        commitId: hash,
+        by: options.glob.length > 0 ? 'glob' : options.by,
+        patterns: options.glob,
+        branch: options.branch,
+        aiMessage: options.aiMessage || false,
+        createBackup: options.backup !== false,
+        dryRun: options.dryRun || false,
+        resign: options.resign
+      });
+
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        showCommitMapHint(result);
+        showSuccessAndExit(`Commit ${hash} split into ${result.processed} commits`);
+      } else {
+        showErrorAndExit(`Operation failed: ${result.error}`);
+      }
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
+/**
+ * Interrupted rewrite commands
+ */
+program
+  .command('resume')
+  .description('Resumes an interrupted history rewrite from its last checkpoint')
+  .action(async () => {
+    try {
+      logger.title('Resume Rewrite');
+
+      const gctm = new GitCommitTimeMachine();
+
+      const interrupted = await gctm.getInterruptedRewrite();
+      if (interrupted) {
+        logger.info(`Rewrite: ${interrupted.operation}, started ${interrupted.startedAt}`);
+      }
+
+      const result = await gctm.resumeRewrite();
+
+      if (result.success) {
+        showCommitMapHint(result);
+        showSuccessAndExit(`The ${result.operation} rewrite is complete (${result.resumed} commits were already checkpointed)`);
+      } else {
+        showErrorAndExit(`Operation failed: ${result.error}`);
+      }
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
+program
+  .command('abort')
+  .description('Aborts an interrupted history rewrite and restores the repository as it was before it')
+  .action(async () => {
+    try {
+      logger.title('Abort Rewrite');
+
+      const gctm = new GitCommitTimeMachine();
+
+      const result = await gctm.abortRewrite();
+
+      if (result.success) {
+        showSuccessAndExit(`The ${result.operation} rewrite was aborted, ${result.refs} refs restored`);
+      } else {
+        showErrorAndExit(`Operation failed: ${result.error}`);
+      }
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
 /**
  * History sanitization command
  */
@@ -339,11 +917,20 @@ program
   .option('-p, --patterns <patterns>', 'Patterns to search for (comma-separated)')
   .option('-r, --replacement <text>', 'Replacement text', '***REDACTED***')
   .option('-b, --backup', 'Create backup before operation')
+  .option('--range <range>', 'Only rewrite <base>..<branch>, e.g. main~20..main')
+  .option('--branch <name>', 'Only rewrite this branch')
+  .option('--since-commit <hash>', 'Only rewrite this commit and its descendants')
+  .option('--tags [mode]', 'Bare repositories only: also move the tags on rewritten commits that the scope leaves out; "redate" gives annotated tags the date of their new commit too')
+  .option('--resign', 'Bare repositories only: sign the rewritten commits with user.signingkey (GPG or SSH)')
+  .option('--dry-run', 'Show the plan (new hashes, dates, messages, files) without changing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
   .option('--interactive', 'Interactive mode')
   .action(async (options) => {
     try {
       let sanitizeOptions = {};
 
+      prepareDryRunOutput(options);
+
       // Interactive mode
       if (options.interactive) {
         const answers = await inquirer.prompt([
@@ -426,13 +1013,23 @@ program
       // Create GCTM instance
       const gctm = new GitCommitTimeMachine();
 
-      logger.title('Sanitize History from Sensitive Data');
+      if (!options.json) logger.title('Sanitize History from Sensitive Data');
       logger.info(`${sanitizeOptions.patterns.length} patterns will be sanitized`);
 
       // Perform operation
-      const result = await gctm.sanitizeHistory(sanitizeOptions);
+      const result = await gctm.sanitizeHistory({
+        ...sanitizeOptions,
+        ...buildScopeOptions(options),
+        dryRun: options.dryRun || false,
+        resign: options.resign,
+        tags: options.tags
+      });
 
-      if (result.success) {
+      if (result.success && result.dryRun) {
+        showPlanAndExit(result, options);
+      } else if (result.success) {
+        // In a bare repository sanitizing rewrites the history, which stores a commit map
+        showCommitMapHint(result);
         showSuccessAndExit(`${result.processed} commits successfully sanitized`);
       } else {
         showErrorAndExit(`Operation failed: ${result.error}`);
@@ -768,6 +1365,121 @@ backupCmd
     }
   });
 
+/**
+ * Commit map commands (old hash -> new hash of each rewrite)
+ */
+const mapCmd = program
+  .command('map')
+  .description('Old to new commit hashes of history rewrites');
+
+mapCmd
+  .command('list')
+  .description('Lists the stored commit maps')
+  .action(async () => {
+    try {
+      const gctm = new GitCommitTimeMachine();
+
+      const maps = await gctm.listCommitMaps();
+
+      logger.title('Commit Maps');
+
+      if (maps.length === 0) {
+        logger.info('No commit maps found');
+        return;
+      }
+
+      logger.table({
+        title: 'Commit maps',
+        headers: ['ID', 'Date', 'Operations', 'Commits'],
+        rows: maps.map(map => [
+          map.backupId,
+          new Date(map.createdAt).toLocaleString(),
+          map.operations.join(', '),
+          map.total
+        ])
+      });
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
+mapCmd
+  .command('show <backupId>')
+  .description('Prints the old and new hash of every rewritten commit')
+  .option('--json', 'Print the map as a JSON object')
+  .action(async (backupId, options) => {
+    try {
+      // Only the map itself goes to stdout, so it can be redirected to a file
+      logger.setLevel('error');
+
+      const gctm = new GitCommitTimeMachine();
+      const result = await gctm.getCommitMap(backupId);
+
+      if (!result.success) {
+        showErrorAndExit(result.error);
+      }
+
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify(result.commits, null, 2)}\n`);
+      } else {
+        Object.entries(result.commits).forEach(([oldHash, newHash]) => {
+          process.stdout.write(`${oldHash} ${newHash}\n`);
+        });
+      }
+      process.exit(0);
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
+mapCmd
+  .command('lookup [file]')
+  .description('Replaces old commit hashes in a file (or stdin) with their new hashes')
+  .option('--backup <backupId>', 'Only use the commit map of this rewrite (default: all, oldest first)')
+  .option('-w, --write', 'Write the result back to the file instead of stdout')
+  .action(async (file, options) => {
+    try {
+      if (options.write && !file) {
+        showErrorAndExit('--write needs a file');
+      }
+      if (!file && process.stdin.isTTY) {
+        showErrorAndExit('Specify a file or pipe text into gctm map lookup');
+      }
+      if (!options.write) {
+        logger.setLevel('error');
+      }
+
+      let text = '';
+      if (file) {
+        text = await fs.readFile(path.resolve(file), 'utf8');
+      } else {
+        for await (const chunk of process.stdin) {
+          text += chunk;
+        }
+      }
+
+      const gctm = new GitCommitTimeMachine();
+      const result = await gctm.translateCommitHashes(text, { backupId: options.backup });
+
+      if (!result.success) {
+        showErrorAndExit(result.error);
+      }
+
+      if (options.write) {
+        await fs.writeFile(path.resolve(file), result.text);
+        showSuccessAndExit(`${result.replaced.length} commit hashes replaced in ${file}`);
+      }
+
+      process.stdout.write(result.text);
+      process.exit(0);
+
+    } catch (error) {
+      showErrorAndExit(`Unexpected error: ${error.message}`);
+    }
+  });
+
 /**
  * Default command: Interactive mode
  */
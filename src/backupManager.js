@@ -38,9 +38,27 @@ class BackupManager {
 
   /**
    * Creates backup directory
+   * The directory ignores itself, so backups and commit maps never show up as untracked files
    */
   async ensureBackupDir() {
     await fs.ensureDir(this.backupDir);
+
+    const ignoreFile = path.join(this.backupDir, '.gitignore');
+    if (!(await fs.pathExists(ignoreFile))) {
+      await fs.writeFile(ignoreFile, '*\n');
+    }
+  }
+
+  /**
+   * Checks if repository is bare (a `git clone --bare` or `--mirror` copy without a working tree)
+   * @returns {Promise<boolean>} Whether the repository is bare
+   */
+  async isBareRepository() {
+    try {
+      return (await this.git.revparse(['--is-bare-repository'])).trim() === 'true';
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -56,6 +74,7 @@ class BackupManager {
 
   /**
    * Creates backup of current repository state
+   * A bare repository has no working tree to save, so its backup records every ref instead.
    * @param {Object} options - Backup options
    * @param {string} options.description - Backup description
    * @param {boolean} options.includeUncommitted - Include uncommitted changes
@@ -75,8 +94,11 @@ class BackupManager {
       await fs.ensureDir(backupPath);
 
       // Save repository state
-      const repoStatus = await this.git.status();
-      const currentBranch = repoStatus.current || 'HEAD';
+      const bare = await this.isBareRepository();
+      const repoStatus = bare ? null : await this.git.status();
+      const currentBranch = bare
+        ? (await this.git.raw(['symbolic-ref', '--short', '-q', 'HEAD'])).trim() || 'HEAD'
+        : repoStatus.current || 'HEAD';
       const currentCommit = await this.git.revparse(['HEAD']);
 
       // Store current state
@@ -87,7 +109,7 @@ class BackupManager {
         repoPath: this.repoPath,
         currentBranch,
         currentCommit: currentCommit.trim(),
-        status: {
+        status: bare ? null : {
           isClean: repoStatus.isClean(),
           staged: repoStatus.staged,
           modified: repoStatus.modified,
@@ -97,8 +119,14 @@ class BackupManager {
         options
       };
 
+      if (bare) {
+        const refs = await this.git.raw(['for-each-ref', '--format=%(refname) %(objectname)']);
+        backupMetadata.bare = true;
+        backupMetadata.refs = Object.fromEntries(refs.split('\n').filter(Boolean).map(line => line.split(' ')));
+      }
+
       // Also backup uncommitted changes
-      if (options.includeUncommitted && !repoStatus.isClean()) {
+      if (options.includeUncommitted && !bare && !repoStatus.isClean()) {
         logger.info('Backing up uncommitted changes...');
 
         // Save staged changes
@@ -237,6 +265,10 @@ class BackupManager {
 
       logger.info(`Restoring backup: ${backupId}`);
 
+      if (await this.isBareRepository()) {
+        return await this.restoreBareBackup(backupId, metadata);
+      }
+
       // BUG-016 fix: Check for uncommitted changes before dangerous operations
       // BUG-NEW-011 fix: Check success status from getStatus
       // BUG-NEW-031 fix: Explicit boolean check for success status
@@ -394,6 +426,42 @@ class BackupManager {
     }
   }
 
+  /**
+   * Restores a backup in a bare repository by moving its refs back
+   * Refs created after the backup are left alone; a backup made in a working tree has no refs,
+   * so only the branch of HEAD is moved back to its commit.
+   * @param {string} backupId - Backup ID
+   * @param {Object} metadata - Backup metadata
+   * @returns {Promise<Object>} Operation result with `refs`, the number of refs moved back
+   */
+  async restoreBareBackup(backupId, metadata) {
+    const current = await this.git.raw(['for-each-ref', '--format=%(refname) %(objectname)']);
+    const currentRefs = new Map(current.split('\n').filter(Boolean).map(line => line.split(' ')));
+    let restored = 0;
+
+    if (metadata.refs) {
+      for (const [ref, object] of Object.entries(metadata.refs)) {
+        if (currentRefs.get(ref) !== object) {
+          await this.git.raw(['update-ref', '-m', `gctm: restore backup ${backupId}`, ref, object]);
+          restored++;
+        }
+      }
+    } else if (metadata.currentCommit) {
+      await this.git.reset(['--soft', metadata.currentCommit]);
+      restored++;
+    }
+
+    logger.info(`Backup successfully restored: ${backupId} (${restored} refs moved back)`);
+
+    return {
+      success: true,
+      backupId,
+      restoredTo: metadata.currentCommit,
+      branch: metadata.currentBranch,
+      refs: restored
+    };
+  }
+
   /**
    * Deletes a backup
    * @param {string} backupId - Backup ID to delete
@@ -566,6 +634,178 @@ class BackupManager {
     }
   }
 
+  /**
+   * Stores the commit map (old hash -> new hash) of a history rewrite with a backup
+   * The map is written to `<backupId>/commit-map.json`. Without a backup ID a new ID is
+   * generated; such map-only entries have no metadata, so they are not listed or restored
+   * as backups. When the backup already has a map, the two are chained so the stored map
+   * still starts from the hashes the backup was taken of.
+   * @param {Map|Object} commitMap - Old hash -> new hash
+   * @param {Object} options - Options
+   * @param {string} options.backupId - Backup to store the map with (optional)
+   * @param {string} options.operation - Rewrite that produced the map, e.g. 'redate'
+   * @returns {Promise<Object>} Operation result with the backup ID
+   */
+  async saveCommitMap(commitMap, options = {}) {
+    try {
+      const backupId = options.backupId || this.generateBackupId();
+
+      // SECURITY: Validate backup ID to prevent path traversal
+      if (!this.isValidBackupId(backupId)) {
+        return {
+          success: false,
+          error: `Invalid backup ID format: ${backupId}`
+        };
+      }
+
+      const mapPath = path.join(this.backupDir, backupId, 'commit-map.json');
+      const commits = commitMap instanceof Map ? Object.fromEntries(commitMap) : { ...commitMap };
+      const entry = {
+        backupId,
+        createdAt: new Date().toISOString(),
+        operations: [options.operation || 'rewrite'],
+        commits
+      };
+
+      if (await fs.pathExists(mapPath)) {
+        const previous = await fs.readJson(mapPath);
+        const previousCommits = previous.commits || {};
+        Object.entries(previousCommits).forEach(([oldHash, middleHash]) => {
+          entry.commits[oldHash] = commits[middleHash] || middleHash;
+        });
+        // The commits of the previous rewrite were never in the backed-up state
+        Object.values(previousCommits).forEach(middleHash => {
+          if (!Object.prototype.hasOwnProperty.call(previousCommits, middleHash)) {
+            delete entry.commits[middleHash];
+          }
+        });
+        entry.createdAt = previous.createdAt || entry.createdAt;
+        entry.operations = [...(previous.operations || []), ...entry.operations];
+      }
+
+      await this.ensureBackupDir();
+      await fs.ensureDir(path.dirname(mapPath));
+      await fs.writeFile(mapPath, JSON.stringify(entry, null, 2));
+
+      return {
+        success: true,
+        backupId,
+        mapPath,
+        total: Object.keys(entry.commits).length
+      };
+    } catch (error) {
+      logger.error(`Could not save commit map: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Reads the commit map stored with a backup
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<Object>} Operation result with `commits` (old hash -> new hash object)
+   */
+  async getCommitMap(backupId) {
+    try {
+      // SECURITY: Validate backup ID to prevent path traversal
+      if (!this.isValidBackupId(backupId)) {
+        return {
+          success: false,
+          error: `Invalid backup ID format: ${backupId}`
+        };
+      }
+
+      const mapPath = path.join(this.backupDir, backupId, 'commit-map.json');
+      if (!(await fs.pathExists(mapPath))) {
+        return {
+          success: false,
+          error: `No commit map found for backup: ${backupId}`
+        };
+      }
+
+      const entry = await fs.readJson(mapPath);
+      return {
+        success: true,
+        backupId,
+        createdAt: entry.createdAt,
+        operations: entry.operations || [],
+        commits: entry.commits || {}
+      };
+    } catch (error) {
+      logger.error(`Could not read commit map: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lists the stored commit maps
+   * @returns {Promise<Array>} {backupId, createdAt, operations, total} entries, oldest first
+   */
+  async listCommitMaps() {
+    try {
+      await this.ensureBackupDir();
+
+      const maps = [];
+      for (const entry of await fs.readdir(this.backupDir)) {
+        if (!this.isValidBackupId(entry)) {
+          continue;
+        }
+        const result = await this.getCommitMap(entry);
+        if (result.success) {
+          maps.push({
+            backupId: entry,
+            createdAt: result.createdAt,
+            operations: result.operations,
+            total: Object.keys(result.commits).length
+          });
+        }
+      }
+
+      maps.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      return maps;
+    } catch (error) {
+      logger.error(`Could not list commit maps: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Replaces old commit hashes in a text with their new hashes
+   * Full and abbreviated hashes (at least 7 characters) are recognised; abbreviations keep
+   * their length and prefixes that match more than one old commit are left alone.
+   * @param {string} text - Text such as a changelog or CI log
+   * @param {Object} commits - Old hash -> new hash
+   * @returns {Object} {text, replaced: [{old, new}]}
+   */
+  translateHashes(text, commits) {
+    const byPrefix = new Map();
+    Object.keys(commits).forEach(hash => {
+      const key = hash.substring(0, 7).toLowerCase();
+      if (!byPrefix.has(key)) byPrefix.set(key, []);
+      byPrefix.get(key).push(hash);
+    });
+    const replaced = [];
+
+    const translated = String(text).replace(/\b[0-9a-f]{7,40}\b/gi, (token) => {
+      const prefix = token.toLowerCase();
+      const matches = (byPrefix.get(prefix.substring(0, 7)) || []).filter(hash => hash.startsWith(prefix));
+      if (matches.length !== 1) {
+        return token;
+      }
+
+      const newHash = commits[matches[0]].substring(0, token.length);
+      replaced.push({ old: token, new: newHash });
+      return newHash;
+    });
+
+    return { text: translated, replaced };
+  }
+
   /**
    * Calculates directory size
    * @param {string} dirPath - Directory path
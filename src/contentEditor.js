@@ -58,12 +58,20 @@ class ContentEditor {
    * Edits files in a specific commit
    * @param {string} commitHash - Commit hash
    * @param {Array} replacements - Patterns to replace and their replacements
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Count the matches without writing any file
    * @returns {Promise<Object>} Operation result
    */
-  async editCommit(commitHash, replacements) {
+  async editCommit(commitHash, replacements, options = {}) {
     try {
       logger.info(`Editing commit content: ${commitHash}`);
 
+      // The files are edited in the working tree; a bare repository only has objects, whose
+      // content can only change by rewriting history (GitHistoryRewriter.replaceContentInHistory)
+      if (await this.isBareRepository()) {
+        throw new Error('Editing the files of a commit needs a working tree; in a bare repository rewrite the history instead');
+      }
+
       // First get the changed files in the commit
       const changedFiles = await this.getCommitFiles(commitHash);
       const results = [];
@@ -73,7 +81,7 @@ class ContentEditor {
         try {
           // SECURITY: Validate path is within repository
           const filePath = this.safePath(file.file);
-          const result = await this.editFile(filePath, replacements, commitHash);
+          const result = await this.editFile(filePath, replacements, commitHash, options);
           results.push(result);
         } catch (error) {
           logger.warn(`Skipping unsafe file path: ${file.file}`);
@@ -109,9 +117,11 @@ class ContentEditor {
    * @param {string} filePath - File path (must be absolute or will be validated)
    * @param {Array} replacements - Patterns to replace and their replacements
    * @param {string} context - Operation context (for logging)
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Count the matches without writing the file
    * @returns {Promise<Object>} Operation result
    */
-  async editFile(filePath, replacements, context = '') {
+  async editFile(filePath, replacements, context = '', options = {}) {
     try {
       // BUG-023 fix: Validate file path before operations
       const Validator = require('./utils/validator');
@@ -149,9 +159,10 @@ class ContentEditor {
         if (typeof pattern === 'string') {
           // Replace as string
           if (content.includes(pattern)) {
-            content = content.split(pattern).join(replacementText);
+            const parts = content.split(pattern);
+            content = parts.join(replacementText);
             changesMade = true;
-            appliedReplacements.push({ type: 'string', pattern });
+            appliedReplacements.push({ type: 'string', pattern, matchCount: parts.length - 1 });
           }
         } else if (pattern instanceof RegExp) {
           // Replace with regex - create new instance to avoid state mutation
@@ -172,6 +183,19 @@ class ContentEditor {
         }
       }
 
+      if (changesMade && options.dryRun) {
+        logger.debug(`Would edit: ${path.basename(filePath)} (${appliedReplacements.length} changes)`);
+
+        return {
+          success: true,
+          file: filePath,
+          changes: true,
+          dryRun: true,
+          appliedReplacements,
+          context
+        };
+      }
+
       // Write back to file if there are changes
       if (changesMade) {
         await fs.writeFile(filePath, content, 'utf8');
@@ -501,6 +525,21 @@ class ContentEditor {
     }
   }
 
+  /**
+   * Checks if the repository is bare (a `git clone --bare` or `--mirror` copy without a working tree)
+   * @returns {Promise<boolean>} Whether the repository is bare
+   */
+  async isBareRepository() {
+    try {
+      const simpleGit = require('simple-git');
+      const git = simpleGit({ baseDir: this.repoPath });
+
+      return (await git.revparse(['--is-bare-repository'])).trim() === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Gets changed files in a specific commit
    * @param {string} commitHash - Commit hash
@@ -1,4 +1,7 @@
 const moment = require('moment');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
 const logger = require('./utils/logger');
 
 /**
@@ -16,14 +19,11 @@ class DateManager {
    * @returns {boolean} Whether valid date range
    */
   validateDateRange(startDate, endDate) {
-    const start = moment(startDate, this.defaultFormat);
-    const end = moment(endDate, this.defaultFormat);
-
-    if (!start.isValid() || !end.isValid()) {
+    try {
+      return this.parseDateExpression(startDate).isSameOrBefore(this.parseDateExpression(endDate));
+    } catch (error) {
       return false;
     }
-
-    return start.isSameOrBefore(end);
   }
 
   /**
@@ -35,27 +35,21 @@ class DateManager {
    * @param {boolean} options.preserveOrder - Generate ordered dates
    * @param {boolean} options.randomize - Generate random dates
    * @param {string} options.timeFormat - Time format
+   * @param {Object} options.schedule - Restrict dates to working hours (see normalizeSchedule)
+   * @param {Object|Array} options.calendar - Blackout calendar whose days are skipped (see normalizeCalendar)
    * @returns {Array<string>} Date list
    */
   generateDateRange(startDate, endDate, count, options = {}) {
     const {
       preserveOrder = true,
       randomize = false,
-      timeFormat = 'YYYY-MM-DD HH:mm:ss'
+      timeFormat = 'YYYY-MM-DD HH:mm:ss',
+      schedule = null,
+      calendar = null
     } = options;
 
-    const start = moment(startDate, this.defaultFormat);
-    const end = moment(endDate, this.defaultFormat);
-
-    if (!start.isValid() || !end.isValid()) {
-      throw new Error('Invalid date format. Please use YYYY-MM-DD format.');
-    }
-
-    if (start.isAfter(end)) {
-      throw new Error('Start date cannot be after end date.');
-    }
-
-    const totalMinutes = end.diff(start, 'minutes');
+    const windows = this.buildDateWindows(startDate, endDate, { schedule, calendar });
+    const totalMinutes = windows.reduce((sum, window) => sum + window.minutes, 0);
     const dates = [];
 
     if (preserveOrder) {
@@ -63,37 +57,538 @@ class DateManager {
       // BUG-NEW-005 fix: Handle count=1 case to place date in middle of range
       for (let i = 0; i < count; i++) {
         const progress = count === 1 ? 0.5 : i / (count - 1);
-        const minutes = Math.floor(totalMinutes * progress);
-
-        let targetDate = moment(start).add(minutes, 'minutes');
+        let minutes = Math.floor(totalMinutes * progress);
 
         // Add random variation (optional) with boundary checks
         if (randomize) {
           const variation = Math.floor(Math.random() * 60) - 30; // -30 to +30 minutes
-          targetDate = targetDate.add(variation, 'minutes');
 
           // Ensure date stays within boundaries
-          if (targetDate.isBefore(start)) {
-            targetDate = moment(start);
-          } else if (targetDate.isAfter(end)) {
-            targetDate = moment(end);
-          }
+          minutes = Math.min(Math.max(minutes + variation, 0), totalMinutes);
         }
 
-        dates.push(targetDate.format(timeFormat));
+        dates.push(this.resolveWindowOffset(windows, minutes).format(timeFormat));
       }
     } else {
       // Generate random dates
       for (let i = 0; i < count; i++) {
         const randomMinutes = Math.floor(Math.random() * totalMinutes);
-        const targetDate = moment(start).add(randomMinutes, 'minutes');
-        dates.push(targetDate.format(timeFormat));
+        dates.push(this.resolveWindowOffset(windows, randomMinutes).format(timeFormat));
       }
     }
 
     return dates;
   }
 
+  /**
+   * Maps existing commit dates onto a new range, keeping the relative gaps
+   * between them (bursts stay bursts, quiet periods stay quiet)
+   * @param {Array<string|Date>} originalDates - Original commit dates
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Object} options - Options
+   * @param {string} options.timeFormat - Output format
+   * @param {Object} options.schedule - Working-hours schedule; time is scaled over working time only
+   * @param {Object|Array} options.calendar - Blackout calendar
+   * @returns {Array<string>} New dates, in the same order as originalDates
+   */
+  scaleDates(originalDates, startDate, endDate, options = {}) {
+    const {
+      timeFormat = 'YYYY-MM-DD HH:mm:ss',
+      schedule = null,
+      calendar = null
+    } = options;
+
+    const windows = this.buildDateWindows(startDate, endDate, { schedule, calendar });
+    const totalMinutes = windows.reduce((sum, window) => sum + window.minutes, 0);
+
+    const timestamps = originalDates.map(date => {
+      const parsed = typeof date === 'string' ? moment.parseZone(date) : moment(date);
+      if (!parsed.isValid()) {
+        throw new Error(`Invalid commit date: ${date}`);
+      }
+      return parsed.valueOf();
+    });
+
+    const first = Math.min(...timestamps);
+    const span = Math.max(...timestamps) - first;
+
+    return timestamps.map(timestamp => {
+      // A history without any time span collapses onto the middle of the range
+      const progress = span === 0 ? 0.5 : (timestamp - first) / span;
+      const minutes = Math.round(totalMinutes * progress * 60) / 60;
+      return this.resolveWindowOffset(windows, minutes).format(timeFormat);
+    });
+  }
+
+  /**
+   * Builds the time windows that new dates may fall into
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Object} options - {schedule, calendar}
+   * @returns {Array<Object>} Windows as {start, minutes}
+   */
+  buildDateWindows(startDate, endDate, options = {}) {
+    const { schedule = null, calendar = null } = options;
+    const start = this.parseDateExpression(startDate);
+    const end = this.parseDateExpression(endDate);
+
+    if (start.isAfter(end)) {
+      throw new Error('Start date cannot be after end date.');
+    }
+
+    // Without a schedule the whole range is a single window; with one, only
+    // the working windows count and every offset is mapped back into them.
+    // Blacked-out calendar days are dropped from the windows, so the commits
+    // are redistributed over the remaining days.
+    let windows = schedule || calendar
+      ? this.buildScheduleWindows(start, end, this.normalizeSchedule(schedule || {}), this.normalizeCalendar(calendar))
+      : [{ start: moment(start), minutes: end.diff(start, 'minutes') }];
+
+    // The range ends at the end bound itself (00:00 of a day-level end date) with or
+    // without a schedule, so a schedule or calendar never adds the end day
+    windows = windows
+      .map(window => {
+        const windowStart = moment.max(window.start, start);
+        const windowEnd = moment.min(moment(window.start).add(window.minutes, 'minutes'), end);
+        return { start: windowStart, minutes: windowEnd.diff(windowStart, 'minutes') };
+      })
+      .filter(window => window.minutes > 0 || !(schedule || calendar));
+
+    if (windows.length === 0) {
+      throw new Error('No working time available in the selected date range. Check the schedule and calendar settings.');
+    }
+
+    return windows;
+  }
+
+  /**
+   * Normalizes and validates a working-hours schedule
+   * @param {Object} schedule - Schedule definition
+   * @param {boolean} schedule.weekdaysOnly - Only allow Monday to Friday
+   * @param {Array<number>} schedule.days - Allowed weekdays (0 = Sunday ... 6 = Saturday)
+   * @param {Object|string} schedule.workingHours - Working window, e.g. {start: '09:00', end: '18:00'} or '09:00-18:00'
+   * @param {Object|string} schedule.lunchBreak - Break inside the working window, e.g. '12:00-13:00'
+   * @param {Array<string>} schedule.excludeDates - Days to skip entirely (YYYY-MM-DD)
+   * @returns {Object} Normalized schedule with minute offsets
+   */
+  normalizeSchedule(schedule = {}) {
+    if (typeof schedule !== 'object') {
+      throw new Error('Schedule must be an object');
+    }
+
+    let days = [0, 1, 2, 3, 4, 5, 6];
+    if (Array.isArray(schedule.days) && schedule.days.length > 0) {
+      days = schedule.days.map(day => parseInt(day, 10));
+      if (days.some(day => isNaN(day) || day < 0 || day > 6)) {
+        throw new Error('Schedule days must be numbers between 0 (Sunday) and 6 (Saturday)');
+      }
+    } else if (schedule.weekdaysOnly) {
+      days = [1, 2, 3, 4, 5];
+    }
+
+    const working = this.parseTimeWindow(schedule.workingHours || { start: '00:00', end: '24:00' }, 'Working hours');
+    const lunch = schedule.lunchBreak ? this.parseTimeWindow(schedule.lunchBreak, 'Lunch break') : null;
+
+    if (lunch && (lunch.start < working.start || lunch.end > working.end)) {
+      throw new Error('Lunch break must be inside working hours');
+    }
+
+    const excludeDates = (schedule.excludeDates || []).map(date => {
+      const parsed = moment(date, this.defaultFormat, true);
+      if (!parsed.isValid()) {
+        throw new Error(`Invalid excluded date: ${date}. Please use YYYY-MM-DD format.`);
+      }
+      return parsed.format(this.defaultFormat);
+    });
+
+    return {
+      days,
+      working,
+      lunch,
+      excludeDates: new Set(excludeDates)
+    };
+  }
+
+  /**
+   * Parses a time window into minutes since midnight
+   * @param {Object|string} window - {start, end} or 'HH:mm-HH:mm'
+   * @param {string} label - Label used in error messages
+   * @returns {Object} {start, end} in minutes
+   */
+  parseTimeWindow(window, label = 'Time window') {
+    let startText;
+    let endText;
+
+    if (typeof window === 'string') {
+      [startText, endText] = window.split('-').map(part => part && part.trim());
+    } else if (window && typeof window === 'object') {
+      startText = window.start;
+      endText = window.end;
+    }
+
+    const toMinutes = (text) => {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+      if (!match) return NaN;
+      const hours = parseInt(match[1], 10);
+      const minutes = parseInt(match[2], 10);
+      if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return NaN;
+      return hours * 60 + minutes;
+    };
+
+    const start = toMinutes(startText);
+    const end = toMinutes(endText);
+
+    if (isNaN(start) || isNaN(end)) {
+      throw new Error(`${label} must be in HH:mm-HH:mm format`);
+    }
+
+    if (start >= end) {
+      throw new Error(`${label} start must be before its end`);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Builds the allowed time windows for each day between start and end (inclusive)
+   * @param {moment.Moment} start - Range start
+   * @param {moment.Moment} end - Range end
+   * @param {Object} schedule - Normalized schedule
+   * @param {Object} calendar - Normalized blackout calendar (optional)
+   * @returns {Array<Object>} Windows as {start: moment, minutes}
+   */
+  buildScheduleWindows(start, end, schedule, calendar = null) {
+    const windows = [];
+    const day = moment(start).startOf('day');
+    const lastDay = moment(end).startOf('day');
+
+    const isAllowed = date => schedule.days.includes(date.day()) &&
+      !schedule.excludeDates.has(date.format(this.defaultFormat)) &&
+      !this.isBlackedOut(date, calendar);
+
+    while (day.isSameOrBefore(lastDay)) {
+      if (isAllowed(day)) {
+        const segments = schedule.lunch
+          ? [
+            { start: schedule.working.start, end: schedule.lunch.start },
+            { start: schedule.lunch.end, end: schedule.working.end }
+          ]
+          : [schedule.working];
+        // A window ending at 24:00 reaches 00:00 of the next day, which may not be allowed
+        const dayEnd = isAllowed(moment(day).add(1, 'day')) ? 24 * 60 : 24 * 60 - 1;
+
+        segments.forEach(segment => {
+          const segmentEnd = Math.min(segment.end, dayEnd);
+          if (segmentEnd > segment.start) {
+            windows.push({
+              start: moment(day).add(segment.start, 'minutes'),
+              minutes: segmentEnd - segment.start
+            });
+          }
+        });
+      }
+
+      day.add(1, 'day');
+    }
+
+    return windows;
+  }
+
+  /**
+   * Maps an offset (in allowed minutes) onto a concrete date inside the windows
+   * @param {Array<Object>} windows - Windows from buildScheduleWindows
+   * @param {number} offset - Offset in minutes
+   * @returns {moment.Moment} Resolved date
+   */
+  resolveWindowOffset(windows, offset) {
+    let remaining = offset;
+
+    for (const window of windows) {
+      if (remaining < window.minutes) {
+        return moment(window.start).add(remaining, 'minutes');
+      }
+      remaining -= window.minutes;
+    }
+
+    const last = windows[windows.length - 1];
+    return moment(last.start).add(last.minutes, 'minutes');
+  }
+
+  /**
+   * Moves a commit date forward into the allowed windows
+   * The windows hold wall-clock times, so a date with a UTC offset is compared by its own
+   * wall-clock time and keeps its offset.
+   * @param {string} date - Date ('YYYY-MM-DD HH:mm:ss', optionally followed by ' +HHMM')
+   * @param {Array<Object>} windows - Windows from buildDateWindows
+   * @returns {string} The date when it is inside a window, otherwise the start of the next window
+   *   (the end of the last window when none follows)
+   */
+  snapToWindows(date, windows) {
+    const wallClock = moment(date.substring(0, 19), 'YYYY-MM-DD HH:mm:ss', true);
+    let snapped = null;
+
+    for (const window of windows) {
+      if (wallClock.isBefore(window.start)) {
+        snapped = moment(window.start);
+        break;
+      }
+      if (wallClock.isSameOrBefore(moment(window.start).add(window.minutes, 'minutes'))) {
+        return date;
+      }
+    }
+
+    if (!snapped) {
+      const last = windows[windows.length - 1];
+      snapped = moment(last.start).add(last.minutes, 'minutes');
+    }
+    return snapped.format('YYYY-MM-DD HH:mm:ss') + date.substring(19);
+  }
+
+  /**
+   * Checks whether a date falls inside a working-hours schedule
+   * @param {string|Date} date - Date to check
+   * @param {Object} schedule - Schedule definition
+   * @returns {boolean} Whether the date is allowed
+   */
+  isWithinSchedule(date, schedule) {
+    const normalized = this.normalizeSchedule(schedule);
+    const target = moment(date);
+
+    if (!normalized.days.includes(target.day()) ||
+        normalized.excludeDates.has(target.format(this.defaultFormat))) {
+      return false;
+    }
+
+    const minutes = target.hours() * 60 + target.minutes() + target.seconds() / 60;
+    if (minutes < normalized.working.start || minutes > normalized.working.end) {
+      return false;
+    }
+
+    return !(normalized.lunch && minutes > normalized.lunch.start && minutes < normalized.lunch.end);
+  }
+
+  /**
+   * Loads a holiday/blackout calendar file (.ics or .json)
+   * @param {string} filePath - Calendar file path
+   * @returns {Promise<Object>} Normalized calendar
+   */
+  async loadCalendar(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('Calendar file path must be specified');
+    }
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Calendar file not found: ${filePath}`);
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const format = path.extname(filePath).toLowerCase() === '.ics' ? 'ics' : 'json';
+    const calendar = this.parseCalendar(content, format);
+
+    logger.debug(`Loaded calendar ${path.basename(filePath)}: ${calendar.dates.size} dates, ${calendar.yearly.size} yearly dates`);
+
+    return calendar;
+  }
+
+  /**
+   * Parses calendar content
+   * @param {string} content - Raw calendar content
+   * @param {string} format - 'ics' or 'json'
+   * @returns {Object} Normalized calendar
+   */
+  parseCalendar(content, format = 'json') {
+    if (format === 'ics') {
+      return this.parseICalendar(content);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid calendar JSON: ${error.message}`);
+    }
+
+    return this.normalizeCalendar(data);
+  }
+
+  /**
+   * Normalizes a calendar definition
+   * Accepts an array (or {dates: [...]}) of 'YYYY-MM-DD' strings, {date},
+   * {start, end} ranges (inclusive) and {date, yearly: true} entries
+   * @param {Object|Array} calendar - Calendar definition
+   * @returns {Object|null} Calendar as {dates: Set, yearly: Set} or null
+   */
+  normalizeCalendar(calendar) {
+    if (!calendar) {
+      return null;
+    }
+
+    if (calendar.dates instanceof Set && calendar.yearly instanceof Set) {
+      return calendar;
+    }
+
+    const entries = Array.isArray(calendar) ? calendar : calendar.dates;
+    if (!Array.isArray(entries)) {
+      throw new Error('Calendar must be a list of dates or date ranges');
+    }
+
+    const result = { dates: new Set(), yearly: new Set() };
+    const parseDay = (value) => {
+      const parsed = moment(value, this.defaultFormat, true);
+      if (!parsed.isValid()) {
+        throw new Error(`Invalid calendar date: ${value}. Please use YYYY-MM-DD format.`);
+      }
+      return parsed;
+    };
+
+    entries.forEach(entry => {
+      if (typeof entry === 'string' || (entry && entry.date)) {
+        const day = parseDay(typeof entry === 'string' ? entry : entry.date);
+        if (entry.yearly) {
+          result.yearly.add(day.format('MM-DD'));
+        } else {
+          result.dates.add(day.format(this.defaultFormat));
+        }
+      } else if (entry && entry.start) {
+        this.addCalendarRange(result, parseDay(entry.start), parseDay(entry.end || entry.start));
+      } else {
+        throw new Error(`Invalid calendar entry: ${JSON.stringify(entry)}`);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Parses an iCalendar (.ics) document into a blackout calendar
+   * All-day and timed VEVENTs are supported, timed ones in UTC, local time or the zone of their
+   * TZID; RRULE is honoured for FREQ=YEARLY and any other RRULE is an error
+   * @param {string} content - iCalendar content
+   * @returns {Object} Normalized calendar
+   */
+  parseICalendar(content) {
+    if (typeof content !== 'string' || !content.includes('BEGIN:VCALENDAR')) {
+      throw new Error('Invalid iCalendar file: missing BEGIN:VCALENDAR');
+    }
+
+    // Unfold continuation lines (RFC 5545 section 3.1)
+    const lines = content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const result = { dates: new Set(), yearly: new Set() };
+    let event = null;
+
+    const parseValue = (line) => {
+      const separator = line.indexOf(':');
+      const key = line.substring(0, separator);
+      const value = line.substring(separator + 1).trim();
+      const isDate = /VALUE=DATE(?!-)/.test(key) || /^\d{8}$/.test(value);
+      const tzid = /;TZID=("?)([^;:"]+)\1/.exec(key);
+      let parsed;
+      if (isDate) {
+        parsed = moment(value, 'YYYYMMDD', true);
+      } else if (value.endsWith('Z')) {
+        parsed = moment.utc(value, 'YYYYMMDDTHHmmss[Z]', true).local();
+      } else if (tzid) {
+        // Times with a TZID are wall-clock times in that zone; the calendar is kept in local days
+        if (!this.isValidTimezone(tzid[2])) {
+          throw new Error(`Invalid iCalendar timezone: ${tzid[2]}. Use an IANA timezone name`);
+        }
+        parsed = moment.utc(value, 'YYYYMMDDTHHmmss', true);
+        parsed = parsed.isValid() ? this.zonedTimeToUtc(parsed, tzid[2]).local() : parsed;
+      } else {
+        parsed = moment(value, 'YYYYMMDDTHHmmss', true);
+      }
+
+      if (!parsed.isValid()) {
+        throw new Error(`Invalid iCalendar date: ${value}`);
+      }
+      return { date: parsed, isDate };
+    };
+
+    lines.forEach(rawLine => {
+      const line = rawLine.trim();
+
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+      } else if (line === 'END:VEVENT' && event) {
+        if (!event.start) {
+          throw new Error('Invalid iCalendar event: missing DTSTART');
+        }
+
+        const start = moment(event.start.date).startOf('day');
+        let end = event.end ? moment(event.end.date) : moment(start);
+
+        // DTEND is exclusive for all-day events
+        if (event.end && event.end.isDate) {
+          end = end.subtract(1, 'day');
+        } else if (event.end && end.isSame(moment(end).startOf('day'))) {
+          end = end.subtract(1, 'minute');
+        }
+
+        if (end.isBefore(start)) {
+          end = moment(start);
+        }
+
+        if (event.rrule && /FREQ=YEARLY/.test(event.rrule)) {
+          const day = moment(start);
+          while (day.isSameOrBefore(end, 'day')) {
+            result.yearly.add(day.format('MM-DD'));
+            day.add(1, 'day');
+          }
+        } else if (event.rrule) {
+          throw new Error(`Unsupported RRULE in calendar: ${event.rrule}. Only FREQ=YEARLY is supported; list the other dates as separate events`);
+        } else {
+          this.addCalendarRange(result, start, end);
+        }
+
+        event = null;
+      } else if (event && line.startsWith('DTSTART')) {
+        event.start = parseValue(line);
+      } else if (event && line.startsWith('DTEND')) {
+        event.end = parseValue(line);
+      } else if (event && line.startsWith('RRULE:')) {
+        event.rrule = line.substring('RRULE:'.length);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Adds every day of an inclusive range to a calendar
+   * @param {Object} calendar - Normalized calendar
+   * @param {moment.Moment} start - First day
+   * @param {moment.Moment} end - Last day
+   */
+  addCalendarRange(calendar, start, end) {
+    if (end.isBefore(start, 'day')) {
+      throw new Error(`Invalid calendar range: ${start.format(this.defaultFormat)} is after ${end.format(this.defaultFormat)}`);
+    }
+
+    const day = moment(start).startOf('day');
+    while (day.isSameOrBefore(end, 'day')) {
+      calendar.dates.add(day.format(this.defaultFormat));
+      day.add(1, 'day');
+    }
+  }
+
+  /**
+   * Checks whether a day is blacked out by a calendar
+   * @param {string|Date|moment.Moment} date - Date to check
+   * @param {Object} calendar - Calendar (normalized or raw)
+   * @returns {boolean} Whether the day is blacked out
+   */
+  isBlackedOut(date, calendar) {
+    const normalized = this.normalizeCalendar(calendar);
+    if (!normalized) {
+      return false;
+    }
+
+    const day = moment(date);
+    return normalized.dates.has(day.format(this.defaultFormat)) ||
+      normalized.yearly.has(day.format('MM-DD'));
+  }
+
   /**
    * Filters commits before a specific date
    * @param {Array} commits - Commit list
@@ -207,13 +702,745 @@ class DateManager {
     return moment(date).toISOString();
   }
 
+  /**
+   * Loads a per-commit date mapping file
+   * @param {string} filePath - Path to a .csv, .json, .yaml or .yml file
+   * @returns {Promise<Array<Object>>} Rows as {hash, authorDate, committerDate}
+   */
+  async loadDateMap(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('Date map file path must be specified');
+    }
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Date map file not found: ${filePath}`);
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const rows = this.parseDateMap(content, this.getDateMapFormat(filePath));
+
+    logger.debug(`Loaded date map ${path.basename(filePath)}: ${rows.length} rows`);
+
+    return rows;
+  }
+
+  /**
+   * Detects the date map format from a file extension
+   * @param {string} filePath - File path
+   * @returns {string} 'csv', 'json' or 'yaml'
+   */
+  getDateMapFormat(filePath) {
+    const extension = path.extname(filePath || '').toLowerCase();
+    if (extension === '.json') return 'json';
+    if (extension === '.yaml' || extension === '.yml') return 'yaml';
+    return 'csv';
+  }
+
+  /**
+   * Parses date map content. CSV files have hash,author_date,committer_date
+   * columns (the header row is optional); JSON/YAML files hold a list of rows
+   * with the same keys. An empty date keeps the commit's original date.
+   * @param {string} content - Raw content
+   * @param {string} format - 'csv', 'json' or 'yaml'
+   * @returns {Array<Object>} Rows as {hash, authorDate, committerDate}
+   */
+  parseDateMap(content, format = 'csv') {
+    if (format === 'csv') {
+      return this.normalizeDateMap(this.parseDateMapCsv(content));
+    }
+
+    let data;
+    try {
+      // The core schema keeps timestamps as strings so their UTC offsets survive
+      data = format === 'yaml' ? yaml.load(content, { schema: yaml.CORE_SCHEMA }) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid date map ${format.toUpperCase()}: ${error.message}`);
+    }
+
+    return this.normalizeDateMap(data);
+  }
+
+  /**
+   * Validates date map rows and normalizes their keys and dates
+   * @param {Array|Object} entries - List of rows (or {commits: [...]}) with hash and
+   *   author_date/authorDate, committer_date/committerDate keys
+   * @returns {Array<Object>} Rows as {hash, authorDate, committerDate}
+   */
+  normalizeDateMap(entries) {
+    const rows = entries && !Array.isArray(entries) && Array.isArray(entries.commits) ? entries.commits : entries;
+    if (!Array.isArray(rows)) {
+      throw new Error('Date map must be a list of {hash, author_date, committer_date} rows');
+    }
+
+    return rows.map((entry, index) => {
+      const row = `Row ${index + 1}`;
+      if (!entry || typeof entry !== 'object') {
+        throw new Error(`${row}: expected an object`);
+      }
+
+      const hash = String(entry.hash || '').trim();
+      if (!/^[a-f0-9]{4,40}$/i.test(hash)) {
+        throw new Error(`${row}: invalid commit hash "${hash}"`);
+      }
+
+      const authorDate = this.parseMapDate(entry.author_date !== undefined ? entry.author_date : entry.authorDate, row);
+      const committerDate = this.parseMapDate(entry.committer_date !== undefined ? entry.committer_date : entry.committerDate, row);
+      if (!authorDate && !committerDate) {
+        throw new Error(`${row}: no date given for ${hash}`);
+      }
+
+      return { hash: hash.toLowerCase(), authorDate, committerDate };
+    });
+  }
+
+  /**
+   * Splits CSV date map content into row objects
+   * @param {string} content - CSV content
+   * @returns {Array<Object>} Rows keyed by column name
+   */
+  parseDateMapCsv(content) {
+    const lines = content.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+    const split = line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+    let columns = ['hash', 'author_date', 'committer_date'];
+    if (lines.length > 0 && split(lines[0])[0].toLowerCase() === 'hash') {
+      columns = split(lines.shift()).map(column => column.toLowerCase());
+    }
+
+    return lines.map(line => {
+      const cells = split(line);
+      return columns.reduce((row, column, index) => {
+        row[column] = cells[index];
+        return row;
+      }, {});
+    });
+  }
+
+  /**
+   * Parses a date from a date map row
+   * @param {string|Date} value - ISO 8601 date, with or without a UTC offset
+   * @param {string} row - Row label used in errors
+   * @returns {string|null} 'YYYY-MM-DD HH:mm:ss[ ZZ]' or null when empty
+   */
+  parseMapDate(value, row) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return moment.utc(value).format('YYYY-MM-DD HH:mm:ss ZZ');
+    }
+
+    const text = String(value).trim();
+    const parsed = moment.parseZone(text, moment.ISO_8601, true);
+    if (!parsed.isValid()) {
+      throw new Error(`${row}: invalid date "${text}"`);
+    }
+
+    return this.isWallClockDate(text)
+      ? parsed.format('YYYY-MM-DD HH:mm:ss')
+      : parsed.format('YYYY-MM-DD HH:mm:ss ZZ');
+  }
+
+  /**
+   * Serializes commit dates as a date map
+   * @param {Array<Object>} rows - Rows as {hash, authorDate, committerDate}
+   * @param {string} format - 'csv', 'json' or 'yaml'
+   * @returns {string} File content
+   */
+  formatDateMap(rows, format = 'csv') {
+    const entries = rows.map(row => ({
+      hash: row.hash,
+      author_date: row.authorDate,
+      committer_date: row.committerDate
+    }));
+
+    if (format === 'json') {
+      return `${JSON.stringify(entries, null, 2)}\n`;
+    }
+
+    if (format === 'yaml') {
+      return yaml.dump(entries);
+    }
+
+    return ['hash,author_date,committer_date']
+      .concat(entries.map(entry => `${entry.hash},${entry.author_date},${entry.committer_date}`))
+      .join('\n') + '\n';
+  }
+
   /**
    * Converts to Git-compatible date format
+   * Instants (Date objects, timestamps with an offset) keep their moment in time;
+   * naive strings such as 'YYYY-MM-DD HH:mm:ss' are read as wall-clock time in the
+   * target zone. Without a zone the machine's local offset is used.
    * @param {string|Date} date - Date to convert
+   * @param {Object} options - Options
+   * @param {string} options.timezone - IANA timezone (e.g. 'Europe/Istanbul')
+   * @param {number} options.offset - Fixed UTC offset in minutes (used when no timezone is given)
    * @returns {string} Date in Git format
    */
-  formatForGit(date) {
-    return moment(date).format('YYYY-MM-DD HH:mm:ss ZZ');
+  formatForGit(date, options = {}) {
+    const { timezone = null, offset = null } = options;
+
+    if (!timezone && (offset === null || offset === undefined)) {
+      return moment(date).format('YYYY-MM-DD HH:mm:ss ZZ');
+    }
+
+    if (timezone && !this.isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    let instant;
+    if (this.isWallClockDate(date)) {
+      const wallClock = moment.utc(date);
+      if (!wallClock.isValid()) {
+        throw new Error(`Invalid date: ${date}`);
+      }
+      instant = timezone
+        ? this.zonedTimeToUtc(wallClock, timezone)
+        : moment.utc(wallClock).subtract(offset, 'minutes');
+    } else {
+      instant = moment.utc(date);
+    }
+
+    const targetOffset = timezone ? this.getTimezoneOffset(timezone, instant) : offset;
+    return moment.utc(instant).utcOffset(targetOffset).format('YYYY-MM-DD HH:mm:ss ZZ');
+  }
+
+  /**
+   * Checks whether a date is a naive wall-clock value (string without offset)
+   * @param {any} date - Date to check
+   * @returns {boolean} Whether the date carries no timezone information
+   */
+  isWallClockDate(date) {
+    return typeof date === 'string' && !/([zZ]|[+-]\d{2}:?\d{2})$/.test(date.trim());
+  }
+
+  /**
+   * Checks whether a string is a valid IANA timezone name
+   * @param {string} timezone - Timezone name
+   * @returns {boolean} Whether the timezone is known
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets the UTC offset of a timezone at a given instant (DST aware)
+   * @param {string} timezone - IANA timezone
+   * @param {string|Date|moment.Moment} date - Instant
+   * @returns {number} Offset in minutes (e.g. 180 for +03:00)
+   */
+  getTimezoneOffset(timezone, date) {
+    const instant = moment.utc(date).startOf('second');
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(instant.toDate()).reduce((result, part) => {
+      result[part.type] = part.value;
+      return result;
+    }, {});
+
+    const zoned = Date.UTC(
+      parseInt(parts.year, 10),
+      parseInt(parts.month, 10) - 1,
+      parseInt(parts.day, 10),
+      parseInt(parts.hour, 10) % 24,
+      parseInt(parts.minute, 10),
+      parseInt(parts.second, 10)
+    );
+
+    return Math.round((zoned - instant.valueOf()) / 60000);
+  }
+
+  /**
+   * Converts a wall-clock time in a timezone to the matching UTC instant
+   * Times skipped by a DST transition are moved forward by the gap; ambiguous
+   * times (clocks going back) resolve to the earlier instant.
+   * @param {moment.Moment} wallClock - Wall-clock time expressed as a UTC moment
+   * @param {string} timezone - IANA timezone
+   * @returns {moment.Moment} UTC instant
+   */
+  zonedTimeToUtc(wallClock, timezone) {
+    const wallMillis = wallClock.valueOf();
+    const offsetBefore = this.getTimezoneOffset(timezone, wallMillis - 86400000);
+    const offsetAfter = this.getTimezoneOffset(timezone, wallMillis + 86400000);
+
+    // Try both offsets around the transition; a candidate is valid when the zone
+    // really has that offset at the resulting instant
+    const candidates = [offsetBefore, offsetAfter]
+      .map(offset => wallMillis - offset * 60000)
+      .filter(instant => wallMillis - this.getTimezoneOffset(timezone, instant) * 60000 === instant)
+      .sort((a, b) => a - b);
+
+    if (candidates.length > 0) {
+      return moment.utc(candidates[0]);
+    }
+
+    // Wall-clock time does not exist (spring forward gap)
+    return moment.utc(wallMillis - offsetBefore * 60000);
+  }
+
+  /**
+   * Extracts the UTC offset from a timestamp string such as '2024-03-01T09:30:00+03:00'
+   * @param {string|Date} date - Date string
+   * @returns {number|null} Offset in minutes or null when the string has none
+   */
+  parseUtcOffset(date) {
+    if (typeof date !== 'string') {
+      return null;
+    }
+
+    const trimmed = date.trim();
+    if (/[zZ]$/.test(trimmed)) {
+      return 0;
+    }
+
+    const match = /([+-])(\d{2}):?(\d{2})$/.exec(trimmed);
+    if (!match || !/\d[T ]\d/.test(trimmed)) {
+      return null;
+    }
+
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * Builds the author/committer dates for a commit from a generated date
+   * @param {string} date - Generated date
+   * @param {Object} options - Options
+   * @param {string} options.dateField - 'author', 'committer' or 'both'
+   * @param {Object|string|number} options.committerGap - Minutes between author and committer
+   *   date when both are rewritten, e.g. {min: 0, max: 20}, '0-20' or 5
+   * @param {Array<Object>} options.windows - Allowed windows (see buildDateWindows); a committer date
+   *   the gap puts outside them moves to the start of the next one
+   * @returns {Object} {authorDate, committerDate} where null keeps the original date
+   */
+  buildCommitDates(date, options = {}) {
+    const { dateField = 'both', committerGap = null, windows = null } = options;
+
+    if (dateField === 'author') {
+      return { authorDate: date, committerDate: null };
+    }
+    if (dateField === 'committer') {
+      return { authorDate: null, committerDate: date };
+    }
+    if (dateField !== 'both') {
+      throw new Error(`Invalid date field: ${dateField}. Use 'author', 'committer' or 'both'.`);
+    }
+
+    if (!committerGap) {
+      return { authorDate: date, committerDate: date };
+    }
+    const gap = this.parseMinuteRange(committerGap);
+    const minutes = gap.min + Math.floor(Math.random() * (gap.max - gap.min + 1));
+    const committerDate = this.addMinutes(date, minutes);
+    return { authorDate: date, committerDate: windows ? this.snapToWindows(committerDate, windows) : committerDate };
+  }
+
+  /**
+   * Parses a minute range such as '0-20', 5 or {min, max}
+   * @param {Object|string|number} range - Range definition
+   * @returns {Object} {min, max} in minutes
+   */
+  parseMinuteRange(range) {
+    let min;
+    let max;
+
+    if (typeof range === 'number') {
+      min = max = range;
+    } else if (typeof range === 'string') {
+      const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(range);
+      if (match) {
+        min = parseInt(match[1], 10);
+        max = match[2] !== undefined ? parseInt(match[2], 10) : min;
+      }
+    } else if (range && typeof range === 'object') {
+      min = Number(range.min || 0);
+      max = Number(range.max !== undefined ? range.max : min);
+    }
+
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+      throw new Error(`Invalid minute range: ${JSON.stringify(range)}. Use e.g. '0-20'.`);
+    }
+
+    return { min, max };
+  }
+
+  /**
+   * Adds minutes to a date while keeping its format and UTC offset
+   * @param {string} date - 'YYYY-MM-DD HH:mm:ss' or a date with an offset
+   * @param {number} minutes - Minutes to add
+   * @returns {string} Shifted date
+   */
+  addMinutes(date, minutes) {
+    if (this.isWallClockDate(date)) {
+      return moment(date).add(minutes, 'minutes').format('YYYY-MM-DD HH:mm:ss');
+    }
+
+    return moment.parseZone(date).add(minutes, 'minutes').format('YYYY-MM-DD HH:mm:ss ZZ');
+  }
+
+  /**
+   * Parses a relative duration such as '+3 days 4 hours', '-2 weeks' or '1d4h'
+   * @param {string} value - Duration text; a leading sign applies to every unit
+   * @returns {moment.Duration} Parsed duration
+   */
+  parseDuration(value) {
+    const units = {
+      y: 'years', yr: 'years', yrs: 'years', year: 'years', years: 'years',
+      mo: 'months', month: 'months', months: 'months',
+      w: 'weeks', wk: 'weeks', wks: 'weeks', week: 'weeks', weeks: 'weeks',
+      d: 'days', day: 'days', days: 'days',
+      h: 'hours', hr: 'hours', hrs: 'hours', hour: 'hours', hours: 'hours',
+      m: 'minutes', min: 'minutes', mins: 'minutes', minute: 'minutes', minutes: 'minutes',
+      s: 'seconds', sec: 'seconds', secs: 'seconds', second: 'seconds', seconds: 'seconds'
+    };
+
+    const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    const signMatch = /^([+-])\s*/.exec(text);
+    const sign = signMatch && signMatch[1] === '-' ? -1 : 1;
+    const body = signMatch ? text.slice(signMatch[0].length) : text;
+
+    const parts = {};
+    const tokenPattern = /(\d+)\s*([a-z]+)[\s,]*/gy;
+    let consumed = 0;
+    let match;
+
+    while ((match = tokenPattern.exec(body)) !== null) {
+      const unit = units[match[2]];
+      if (!unit) {
+        throw new Error(`Invalid duration unit: ${match[2]}`);
+      }
+      parts[unit] = (parts[unit] || 0) + sign * parseInt(match[1], 10);
+      consumed = tokenPattern.lastIndex;
+    }
+
+    if (!body || consumed !== body.length || Object.keys(parts).length === 0) {
+      throw new Error(`Invalid duration: ${value}. Use e.g. '+3 days 4 hours' or '-2w'.`);
+    }
+
+    const duration = moment.duration(parts);
+    if (duration.asMilliseconds() === 0) {
+      throw new Error(`Duration must not be zero: ${value}`);
+    }
+
+    return duration;
+  }
+
+  /**
+   * Parses a date expression used for date ranges. Accepted forms:
+   * - 'YYYY-MM-DD' and ISO 8601 date-times, optionally with a UTC offset
+   *   ('2024-03-01T09:30+02:00'); offsets are converted to local time
+   * - ISO weeks: '2024-W12' (Monday of that week) or '2024-W12-5' (weekday 1-7)
+   * - 'now', 'today', 'yesterday', 'tomorrow'
+   * - 'last monday', 'next friday', 'this week', 'last month', 'next year'
+   * - '2 weeks ago', 'in 3 days', '+3 days', '-1 month'
+   * Day-level expressions resolve to the start of the day.
+   * @param {string|Date} expression - Date expression
+   * @param {Object} options - Options
+   * @param {Date|moment.Moment} options.now - Reference time for relative expressions
+   * @returns {moment.Moment} Local date
+   */
+  parseDateExpression(expression, options = {}) {
+    if (expression instanceof Date || moment.isMoment(expression)) {
+      const date = moment(expression);
+      if (!date.isValid()) {
+        throw new Error('Invalid date format. Please use YYYY-MM-DD format.');
+      }
+      return date;
+    }
+
+    const raw = typeof expression === 'string' ? expression.trim() : '';
+    const text = raw.toLowerCase().replace(/\s+/g, ' ');
+    const now = moment(options.now || undefined);
+    const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const ambiguous = message => {
+      const error = new Error(message);
+      error.ambiguous = true;
+      return error;
+    };
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+      const date = moment(raw, this.defaultFormat, true);
+      if (date.isValid()) {
+        return date;
+      }
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}[t ]\d{2}:\d{2}/i.test(raw)) {
+      const date = moment.parseZone(raw, moment.ISO_8601, true);
+      if (date.isValid()) {
+        return this.isWallClockDate(raw) ? moment(raw, moment.ISO_8601, true) : date.local();
+      }
+    }
+
+    const week = /^(\d{4})-?w(\d{2})(?:-?([1-7]))?$/i.exec(raw);
+    if (week) {
+      const date = moment(`${week[1]}-W${week[2]}-${week[3] || 1}`, 'GGGG-[W]WW-E', true);
+      if (!date.isValid() || date.isoWeek() !== parseInt(week[2], 10)) {
+        throw new Error(`Invalid ISO week: ${raw}`);
+      }
+      return date.startOf('day');
+    }
+
+    if (/^\d{1,4}[/.]\d{1,2}[/.]\d{1,4}$/.test(raw)) {
+      throw ambiguous(`Ambiguous date "${raw}": day/month order is unclear. Use YYYY-MM-DD.`);
+    }
+
+    const named = { now: 0, today: 0, yesterday: -1, tomorrow: 1 };
+    if (text in named) {
+      return text === 'now' ? now : now.startOf('day').add(named[text], 'days');
+    }
+
+    if (weekdays.includes(text)) {
+      throw ambiguous(`Ambiguous date "${raw}": use "last ${text}", "this ${text}" or "next ${text}".`);
+    }
+
+    const relative = /^(last|this|next) (\w+)$/.exec(text);
+    if (relative) {
+      const [, which, unit] = relative;
+      const step = { last: -1, this: 0, next: 1 }[which];
+      const weekday = weekdays.indexOf(unit);
+
+      if (weekday !== -1) {
+        const date = moment(now).startOf('day');
+        if (which === 'this') {
+          // The given weekday in the current (Monday-based) week
+          return date.isoWeekday(weekday === 0 ? 7 : weekday);
+        }
+        // The closest such day strictly before/after today
+        do {
+          date.add(step, 'days');
+        } while (date.day() !== weekday);
+        return date;
+      }
+
+      const period = { week: 'isoWeek', month: 'month', year: 'year' }[unit];
+      if (period) {
+        return moment(now).add(step, period === 'isoWeek' ? 'weeks' : `${unit}s`).startOf(period);
+      }
+    }
+
+    const ago = /^(.+) ago$/.exec(text);
+    const ahead = /^in (.+)$/.exec(text);
+    const amount = ago ? ago[1] : ahead ? ahead[1] : null;
+    if (amount !== null && /^[+-]/.test(amount)) {
+      throw ambiguous(`Ambiguous date "${raw}": do not combine a sign with "ago" or "in".`);
+    }
+    if (amount !== null || /^[+-]\s*\d/.test(text)) {
+      const duration = this.parseDuration(ago ? `-${amount}` : amount || text);
+      const date = moment(now).add(duration);
+      const hasTime = duration.hours() || duration.minutes() || duration.seconds();
+      return hasTime ? date : date.startOf('day');
+    }
+
+    throw new Error(`Invalid date format. Please use YYYY-MM-DD format. Also accepted: ISO date-times, ISO weeks (2024-W12) and relative dates such as "last monday" or "2 weeks ago" (got: ${raw || 'empty value'})`);
+  }
+
+  /**
+   * Shifts dates by a relative duration, keeping each date's UTC offset
+   * @param {Array<string>} dates - Dates to shift (null entries are kept as null)
+   * @param {string|moment.Duration} duration - Duration text or parsed duration
+   * @returns {Array<string>} Shifted dates ('YYYY-MM-DD HH:mm:ss ZZ' when the input had an offset)
+   */
+  shiftDates(dates, duration) {
+    const delta = moment.isDuration(duration) ? duration : this.parseDuration(duration);
+
+    return dates.map(date => {
+      if (date === null || date === undefined) {
+        return null;
+      }
+
+      if (this.isWallClockDate(date)) {
+        return moment(date).add(delta).format('YYYY-MM-DD HH:mm:ss');
+      }
+
+      const parsed = moment.parseZone(date);
+      if (!parsed.isValid()) {
+        throw new Error(`Invalid date: ${date}`);
+      }
+      return parsed.add(delta).format('YYYY-MM-DD HH:mm:ss ZZ');
+    });
+  }
+
+  /**
+   * Finds parent/child pairs whose order is broken by new dates. Pairs that
+   * were already out of order before the change are not reported.
+   * @param {Array<Object>} graph - Commits as {hash, parents, authorDate, committerDate}
+   * @param {Map<string, Object>} newDates - hash -> {authorDate, committerDate} (null keeps the date)
+   * @returns {Array<Object>} Violations as {hash, parent, field}
+   */
+  findOrderViolations(graph, newDates) {
+    const byHash = new Map(graph.map(commit => [commit.hash, commit]));
+    const resolve = (commit, field) => {
+      const updated = newDates.get(commit.hash);
+      return this.parseGitDate(updated && updated[field] ? updated[field] : commit[field]);
+    };
+    const violations = [];
+
+    graph.forEach(commit => {
+      (commit.parents || []).forEach(parentHash => {
+        const parent = byHash.get(parentHash);
+        if (!parent || (!newDates.has(commit.hash) && !newDates.has(parentHash))) {
+          return;
+        }
+
+        ['authorDate', 'committerDate'].forEach(field => {
+          const wasOrdered = !this.parseGitDate(commit[field]).isBefore(this.parseGitDate(parent[field]));
+          if (wasOrdered && resolve(commit, field).isBefore(resolve(parent, field))) {
+            violations.push({ hash: commit.hash, parent: parentHash, field });
+          }
+        });
+      });
+    });
+
+    return violations;
+  }
+
+  /**
+   * Orders commits so that every parent comes before its children. Commits
+   * that are ready at the same time are taken oldest (committer date) first.
+   * @param {Array<Object>} graph - Commits as {hash, parents, committerDate}
+   * @returns {Array<string>} Commit hashes, parents first
+   */
+  sortTopologically(graph) {
+    const byHash = new Map(graph.map(commit => [commit.hash, commit]));
+    const pending = new Map();
+    const children = new Map();
+    const timeOf = new Map(graph.map(commit => [commit.hash, this.parseGitDate(commit.committerDate).valueOf()]));
+
+    graph.forEach(commit => {
+      const parents = (commit.parents || []).filter(parent => byHash.has(parent));
+      pending.set(commit.hash, parents.length);
+      parents.forEach(parent => {
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(commit.hash);
+      });
+    });
+
+    // Ready commits sorted newest first, so pop() yields the oldest
+    const ready = graph.filter(commit => pending.get(commit.hash) === 0).map(commit => commit.hash);
+    const byTimeDesc = (a, b) => timeOf.get(b) - timeOf.get(a);
+    ready.sort(byTimeDesc);
+
+    const order = [];
+    while (ready.length > 0) {
+      const hash = ready.pop();
+      order.push(hash);
+
+      (children.get(hash) || []).forEach(child => {
+        pending.set(child, pending.get(child) - 1);
+        if (pending.get(child) === 0) {
+          ready.push(child);
+          ready.sort(byTimeDesc);
+        }
+      });
+    }
+
+    if (order.length !== graph.length) {
+      throw new Error('Commit graph contains a cycle');
+    }
+
+    return order;
+  }
+
+  /**
+   * Checks that new dates never put a commit before its parents and optionally
+   * repairs them by moving offending commits to one second after their latest parent
+   * @param {Array<Object>} graph - Commits as {hash, parents, authorDate, committerDate}
+   * @param {Map<string, Object>} newDates - hash -> {authorDate, committerDate} (null keeps the date)
+   * @param {Object} options - Options
+   * @param {boolean} options.fix - Move offending commits instead of only reporting them
+   * @param {Array<Object>} options.windows - Allowed windows (see buildDateWindows); a moved date that
+   *   falls outside them goes on to the start of the next one, unless no window follows
+   * @returns {Object} {dates, violations, adjusted} with the (possibly repaired) date map
+   */
+  enforceCommitOrder(graph, newDates, options = {}) {
+    const dates = new Map(Array.from(newDates, ([hash, value]) => [hash, { ...value }]));
+    let adjusted = 0;
+
+    if (options.fix) {
+      const byHash = new Map(graph.map(commit => [commit.hash, commit]));
+      const finalDate = (hash, field) => {
+        const updated = dates.get(hash);
+        return updated && updated[field] ? updated[field] : byHash.get(hash)[field];
+      };
+
+      // Parents are settled before their children, so one pass is enough
+      this.sortTopologically(graph).forEach(hash => {
+        const updated = dates.get(hash);
+        if (!updated) {
+          return;
+        }
+
+        let changed = false;
+        ['authorDate', 'committerDate'].forEach(field => {
+          if (!updated[field]) {
+            return;
+          }
+
+          const latestParent = byHash.get(hash).parents
+            .filter(parent => byHash.has(parent))
+            .map(parent => this.parseGitDate(finalDate(parent, field)))
+            .reduce((latest, date) => (latest && latest.isAfter(date) ? latest : date), null);
+
+          if (latestParent && this.parseGitDate(updated[field]).isBefore(latestParent)) {
+            const moved = this.formatLike(updated[field], moment(latestParent).add(1, 'second'));
+            const snapped = options.windows ? this.snapToWindows(moved, options.windows) : moved;
+            // Past the last window the commit stays right after its parent
+            updated[field] = this.parseGitDate(snapped).isBefore(this.parseGitDate(moved)) ? moved : snapped;
+            changed = true;
+          }
+        });
+
+        if (changed) {
+          adjusted++;
+        }
+      });
+    }
+
+    return { dates, violations: this.findOrderViolations(graph, dates), adjusted };
+  }
+
+  /**
+   * Parses a date as Git reads it: strings without an offset are local time
+   * @param {string|Date} date - Date
+   * @returns {moment.Moment} Parsed date
+   */
+  parseGitDate(date) {
+    return this.isWallClockDate(date) ? moment(date) : moment.parseZone(date);
+  }
+
+  /**
+   * Formats an instant in the same style (and UTC offset) as an existing date
+   * @param {string} template - Date whose style is kept
+   * @param {moment.Moment} instant - Instant to format
+   * @returns {string} Formatted date
+   */
+  formatLike(template, instant) {
+    if (this.isWallClockDate(template)) {
+      return moment(instant).local().format('YYYY-MM-DD HH:mm:ss');
+    }
+
+    return moment(instant).utcOffset(moment.parseZone(template).utcOffset()).format('YYYY-MM-DD HH:mm:ss ZZ');
   }
 
   /**
@@ -261,13 +1488,131 @@ class DateManager {
     const hourStats = {};
 
     commits.forEach(commit => {
-      const hour = moment(commit.date).hour();
+      const hour = this.getCommitMoment(commit).hour();
       hourStats[hour] = (hourStats[hour] || 0) + 1;
     });
 
     return hourStats;
   }
 
+  /**
+   * Analyzes commit weekdays (which days of the week commits were made)
+   * @param {Array} commits - Commit list
+   * @returns {Object} Commit count by weekday (0 = Sunday ... 6 = Saturday)
+   */
+  analyzeCommitWeekdays(commits) {
+    const weekdayStats = {};
+
+    commits.forEach(commit => {
+      const weekday = this.getCommitMoment(commit).day();
+      weekdayStats[weekday] = (weekdayStats[weekday] || 0) + 1;
+    });
+
+    return weekdayStats;
+  }
+
+  /**
+   * Returns a commit's date in the author's own UTC offset when it is known
+   * @param {Object} commit - Commit with date and optional rawDate
+   * @returns {moment.Moment} Commit date
+   */
+  getCommitMoment(commit) {
+    return commit.rawDate ? moment.parseZone(commit.rawDate) : moment(commit.date);
+  }
+
+  /**
+   * Builds an hour-of-day and day-of-week rhythm profile from commit history
+   * @param {Array} commits - Commits to learn from
+   * @returns {Object} {hours: Array(24), weekdays: Array(7), total} commit counts
+   */
+  buildRhythmProfile(commits) {
+    const hourStats = this.analyzeCommitHours(commits);
+    const weekdayStats = this.analyzeCommitWeekdays(commits);
+
+    return {
+      hours: Array.from({ length: 24 }, (_, hour) => hourStats[hour] || 0),
+      weekdays: Array.from({ length: 7 }, (_, day) => weekdayStats[day] || 0),
+      total: commits.length
+    };
+  }
+
+  /**
+   * Generates dates whose hour-of-day and day-of-week follow a rhythm profile
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {number} count - Number of dates to generate
+   * @param {Object} options - Options
+   * @param {Object} options.profile - Profile from buildRhythmProfile
+   * @param {string} options.timeFormat - Output format
+   * @param {Object} options.schedule - Working-hours schedule
+   * @param {Object|Array} options.calendar - Blackout calendar
+   * @returns {Array<string>} Sorted date list
+   */
+  generateNaturalDates(startDate, endDate, count, options = {}) {
+    const {
+      profile,
+      timeFormat = 'YYYY-MM-DD HH:mm:ss',
+      schedule = null,
+      calendar = null
+    } = options;
+
+    if (!profile || !profile.total) {
+      throw new Error('Not enough commit history to build a rhythm profile');
+    }
+
+    const windows = this.buildDateWindows(startDate, endDate, { schedule, calendar });
+
+    // Cut the windows at hour boundaries and weight every piece by how often
+    // commits were made at that hour and on that weekday
+    const segments = [];
+    let totalWeight = 0;
+
+    windows.forEach(window => {
+      const windowEnd = moment(window.start).add(window.minutes, 'minutes');
+      let cursor = moment(window.start);
+
+      while (cursor.isBefore(windowEnd)) {
+        const nextHour = moment(cursor).startOf('hour').add(1, 'hour');
+        const segmentEnd = moment.min(nextHour, windowEnd);
+        const minutes = segmentEnd.diff(cursor, 'minutes', true);
+        const weight = minutes * profile.hours[cursor.hour()] * profile.weekdays[cursor.day()];
+
+        if (weight > 0) {
+          totalWeight += weight;
+          segments.push({ start: moment(cursor), minutes, cumulative: totalWeight });
+        }
+        cursor = segmentEnd;
+      }
+    });
+
+    if (segments.length === 0) {
+      throw new Error('The rhythm profile has no activity inside the selected date range. Widen the range or the schedule.');
+    }
+
+    const dates = [];
+    for (let i = 0; i < count; i++) {
+      const target = Math.random() * totalWeight;
+      let low = 0;
+      let high = segments.length - 1;
+
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (segments[mid].cumulative <= target) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      const segment = segments[low];
+      dates.push(moment(segment.start).add(Math.floor(Math.random() * segment.minutes * 60), 'seconds'));
+    }
+
+    return dates
+      .sort((a, b) => a.valueOf() - b.valueOf())
+      .map(date => date.format(timeFormat));
+  }
+
   /**
    * Makes date information human-readable
    * @param {string|Date} date - Date
@@ -0,0 +1,839 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const moment = require('moment');
+const os = require('os');
+const path = require('path');
+const DateManager = require('./dateManager');
+const logger = require('./utils/logger');
+
+/**
+ * Keywords that start a new command in a fast-export stream
+ */
+const STREAM_COMMANDS = new Set([
+  'blob', 'commit', 'reset', 'tag', 'feature', 'option', 'progress', 'checkpoint', 'done', 'alias'
+]);
+
+/**
+ * Identity of an author, committer or tagger: "[name ]<email> <epoch> <offset>"
+ */
+const IDENTITY_PATTERN = /^(?:(.*?) )?<([^>]*)> (\d+) ([+-]\d{4})$/;
+
+/**
+ * Backup branches keep the old history, so they are never rewritten
+ */
+const BACKUP_REF_PREFIX = 'refs/heads/gctm-backup-';
+
+/**
+ * Reads lines and counted byte blocks from a stream
+ */
+class StreamReader {
+  constructor(stream) {
+    this.iterator = stream[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.ended = false;
+  }
+
+  /**
+   * Reads the next chunk from the stream into the buffer
+   * @returns {Promise<boolean>} Whether a chunk was read
+   */
+  async fill() {
+    if (this.ended) {
+      return false;
+    }
+
+    const { value, done } = await this.iterator.next();
+    if (done) {
+      this.ended = true;
+      return false;
+    }
+
+    const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    return true;
+  }
+
+  /**
+   * Reads one line without its trailing LF
+   * @returns {Promise<string|null>} Line, or null at the end of the stream
+   */
+  async line() {
+    let index = this.buffer.indexOf(10);
+
+    while (index === -1) {
+      if (!(await this.fill())) {
+        if (this.buffer.length === 0) {
+          return null;
+        }
+        const rest = this.buffer.toString('utf8');
+        this.buffer = Buffer.alloc(0);
+        return rest;
+      }
+      index = this.buffer.indexOf(10);
+    }
+
+    const line = this.buffer.subarray(0, index).toString('utf8');
+    this.buffer = this.buffer.subarray(index + 1);
+    return line;
+  }
+
+  /**
+   * Reads exactly `count` bytes
+   * Chunks are collected first and joined once, so large blobs are not copied repeatedly.
+   * @param {number} count - Number of bytes
+   * @returns {Promise<Buffer>} Bytes read
+   */
+  async bytes(count) {
+    if (this.buffer.length < count) {
+      const parts = [this.buffer];
+      let total = this.buffer.length;
+
+      while (total < count) {
+        const { value, done } = await this.iterator.next();
+        if (done) {
+          this.ended = true;
+          throw new Error('Unexpected end of fast-export stream');
+        }
+        const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+        parts.push(chunk);
+        total += chunk.length;
+      }
+
+      this.buffer = Buffer.concat(parts, total);
+    }
+
+    const data = this.buffer.subarray(0, count);
+    this.buffer = this.buffer.subarray(count);
+    return data;
+  }
+
+  /**
+   * Skips the optional LF that may follow a data block
+   */
+  async skipNewline() {
+    if (this.buffer.length === 0) {
+      await this.fill();
+    }
+    if (this.buffer.length > 0 && this.buffer[0] === 10) {
+      this.buffer = this.buffer.subarray(1);
+    }
+  }
+}
+
+/**
+ * Fast Export Rewriter - Rewrites history by streaming `git fast-export`
+ * through JavaScript transforms into `git fast-import`
+ * SECURITY: git is spawned with argument arrays, never through a shell
+ */
+class FastExportRewriter {
+  constructor(repoPath, options = {}) {
+    this.repoPath = repoPath;
+    this.dateManager = new DateManager();
+    this.GIT_TIMEOUT = options.timeout || 300000; // 300 second timeout for short git commands
+    // Longest a rewrite may go without progress (0: no limit); its total run time is not limited
+    this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : this.GIT_TIMEOUT;
+  }
+
+  /**
+   * Execute a short git command
+   * @param {Array} args - Git command arguments
+   * @returns {Object} Result with stdout, stderr, status
+   */
+  executeGitCommand(args) {
+    const result = spawnSync('git', args, {
+      cwd: this.repoPath,
+      encoding: 'utf8',
+      timeout: this.GIT_TIMEOUT
+    });
+
+    if (result.error) {
+      throw new Error(`Git command failed: ${result.error.message}`);
+    }
+
+    return {
+      stdout: result.stdout || '',
+      stderr: result.stderr || '',
+      status: result.status
+    };
+  }
+
+  /**
+   * Lists the refs a rewrite may update: local branches and tags, except backup branches
+   * Remote-tracking branches are left alone so they still show what was published.
+   * @param {Object} options - Options
+   * @param {Array} options.contains - Only refs containing at least one of these commits
+   * @returns {Array} Full ref names
+   */
+  listRefs(options = {}) {
+    const contains = options.contains || [null];
+    const refs = new Set();
+
+    // Batched so thousands of commits do not overflow the command line
+    for (let i = 0; i < contains.length; i += 200) {
+      const args = ['for-each-ref', '--format=%(refname)'];
+      contains.slice(i, i + 200).filter(Boolean).forEach(hash => args.push(`--contains=${hash}`));
+      args.push('refs/heads', 'refs/tags');
+
+      const result = this.executeGitCommand(args);
+      if (result.status !== 0) {
+        throw new Error(result.stderr.trim() || 'Cannot list branches and tags');
+      }
+      result.stdout.split('\n').forEach(ref => {
+        if (ref && !ref.startsWith(BACKUP_REF_PREFIX)) refs.add(ref);
+      });
+    }
+
+    return Array.from(refs);
+  }
+
+  /**
+   * Resolves a branch or tag name to its full ref name
+   * @param {string} name - Branch, tag or full ref name ('HEAD' means the current branch)
+   * @returns {string} Full ref name
+   */
+  resolveRef(name) {
+    if (typeof name !== 'string' || !name || name.startsWith('-')) {
+      throw new Error(`Invalid branch or tag: ${name}`);
+    }
+
+    const result = this.executeGitCommand(['rev-parse', '--symbolic-full-name', name]);
+    const ref = result.stdout.trim();
+
+    if (result.status !== 0 || !/^refs\/(heads|tags)\//.test(ref)) {
+      throw new Error(`${name} is not a branch or tag`);
+    }
+    if (ref.startsWith(BACKUP_REF_PREFIX)) {
+      throw new Error(`Backup branch ${name} cannot be rewritten`);
+    }
+
+    return ref;
+  }
+
+  /**
+   * Resolves a (possibly abbreviated) commit hash to its full hash
+   * @param {string} hash - Commit hash or other commit-ish
+   * @returns {string} Full commit hash
+   */
+  resolveCommit(hash) {
+    if (typeof hash !== 'string' || !hash || hash.startsWith('-')) {
+      throw new Error(`Unknown commit: ${hash}`);
+    }
+
+    const result = this.executeGitCommand(['rev-parse', '--verify', '--quiet', `${hash}^{commit}`]);
+    const fullHash = result.stdout.trim();
+
+    if (result.status !== 0 || !fullHash) {
+      throw new Error(`Unknown commit: ${hash}`);
+    }
+
+    return fullHash;
+  }
+
+  /**
+   * Resolves a rewrite scope to the revisions fast-export walks
+   * Without range, branch or refs the rewrite covers every branch and tag that
+   * contains one of the target commits, so unrelated refs are never touched.
+   * @param {Object} scope - Scope options (all optional)
+   * @param {string} scope.range - '<base>..<branch>': commits after base on that branch
+   * @param {string} scope.branch - Only this branch
+   * @param {string} scope.sinceCommit - Only this commit and its descendants
+   * @param {Array} scope.refs - Only these branches and tags
+   * @param {Array} targets - Full hashes of the commits the rewrite changes
+   * @returns {Array} Refs to update followed by ^excluded commits
+   */
+  resolveScope(scope = {}, targets = []) {
+    const { range, branch, sinceCommit, refs } = scope || {};
+
+    if (range && (branch || sinceCommit || refs)) {
+      throw new Error('A range cannot be combined with branch, sinceCommit or refs');
+    }
+    if (branch && refs) {
+      throw new Error('Use either branch or refs, not both');
+    }
+
+    if (range) {
+      const parts = String(range).split('..');
+      if (parts.length !== 2 || !parts[0] || parts[1].startsWith('.')) {
+        throw new Error(`Invalid range: ${range}. Use <base>..<branch>, e.g. main~20..main`);
+      }
+      return [this.resolveRef(parts[1] || 'HEAD'), `^${this.resolveCommit(parts[0])}`];
+    }
+
+    let tips = null;
+    if (refs) {
+      tips = [].concat(refs).map(ref => this.resolveRef(ref));
+    } else if (branch) {
+      tips = [this.resolveRef(branch.startsWith('refs/') ? branch : `refs/heads/${branch}`)];
+    }
+
+    const exclusions = [];
+    if (sinceCommit) {
+      const since = this.resolveCommit(sinceCommit);
+      const parents = this.executeGitCommand(['rev-parse', `${since}^@`]).stdout.split('\n').filter(Boolean);
+      tips = tips || this.listRefs({ contains: [since] });
+      exclusions.push(...parents.map(parent => `^${parent}`));
+    }
+
+    if (!tips) {
+      tips = targets.length > 0 ? this.listRefs({ contains: targets }) : this.listRefs();
+    }
+    if (tips.length === 0) {
+      throw new Error('No branch or tag contains the commits to rewrite');
+    }
+
+    return [...tips, ...exclusions];
+  }
+
+  /**
+   * Lists the commits a set of revisions covers
+   * @param {Array} revisions - Revisions returned by resolveScope
+   * @returns {Array} Full commit hashes
+   */
+  listCommits(revisions) {
+    const result = this.executeGitCommand(['rev-list', ...revisions]);
+    if (result.status !== 0) {
+      throw new Error(result.stderr.trim() || 'Cannot list commits');
+    }
+
+    return result.stdout.split('\n').filter(Boolean);
+  }
+
+  /**
+   * Converts a date to the raw `<epoch> <offset>` form used by fast-import
+   * Dates with a UTC offset keep it; dates without one are local time.
+   * @param {string|Date} date - Date
+   * @returns {Object} {time, tz}
+   */
+  toGitTime(date) {
+    const parsed = date instanceof Date ? this.dateManager.parseGitDate(date.toISOString()) : this.dateManager.parseGitDate(date);
+
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid date value: ${date}`);
+    }
+
+    return { time: parsed.unix(), tz: parsed.format('ZZ') };
+  }
+
+  /**
+   * Formats a raw git time as an ISO 8601 date with its UTC offset
+   * @param {Object} identity - {time, tz}
+   * @returns {string} Date such as '2024-03-01T09:30:00+02:00'
+   */
+  formatGitTime(identity) {
+    return moment.unix(identity.time).utcOffset(identity.tz).format();
+  }
+
+  /**
+   * Parses an author, committer or tagger value
+   * @param {string} value - Identity without the leading keyword
+   * @returns {Object} {name, email, time, tz}
+   */
+  parseIdentity(value) {
+    const match = IDENTITY_PATTERN.exec(value);
+    if (!match) {
+      throw new Error(`Invalid identity in fast-export stream: ${value}`);
+    }
+
+    return {
+      name: match[1] || '',
+      email: match[2],
+      time: parseInt(match[3], 10),
+      tz: match[4]
+    };
+  }
+
+  /**
+   * Formats an identity for fast-import
+   * @param {Object} identity - {name, email, time, tz}
+   * @returns {string} Identity value
+   */
+  formatIdentity(identity) {
+    const name = identity.name ? `${identity.name} ` : '';
+    return `${name}<${identity.email}> ${identity.time} ${identity.tz}`;
+  }
+
+  /**
+   * Reads the path of a file change line ('M <mode> <dataref> <path>', 'D <path>')
+   * Paths with special characters are C-quoted by fast-export.
+   * @param {string} change - File change line of a commit
+   * @returns {Object|null} {type, dataref, path}, or null for other changes
+   */
+  parseFileChange(change) {
+    const match = /^(?:M \d+ (\S+)|D) (.+)$/.exec(change);
+    if (!match) {
+      return null;
+    }
+
+    let filePath = match[2];
+    if (filePath.startsWith('"') && filePath.endsWith('"')) {
+      const escapes = { a: 7, b: 8, f: 12, n: 10, r: 13, t: 9, v: 11 };
+      const bytes = [];
+      const quoted = Buffer.from(filePath.slice(1, -1), 'utf8');
+      for (let i = 0; i < quoted.length; i++) {
+        if (quoted[i] !== 92) {
+          bytes.push(quoted[i]);
+          continue;
+        }
+        const next = String.fromCharCode(quoted[++i]);
+        if (/[0-7]/.test(next)) {
+          bytes.push(parseInt(quoted.subarray(i, i + 3).toString(), 8));
+          i += 2;
+        } else {
+          bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+        }
+      }
+      filePath = Buffer.from(bytes).toString('utf8');
+    }
+
+    return { type: change[0], dataref: match[1] || null, path: filePath };
+  }
+
+  /**
+   * Creates an empty bare repository that borrows this repository's objects
+   * Dry runs import into it, so the refs and objects of the repository stay untouched.
+   * @returns {Promise<string>} Path of the scratch repository
+   */
+  async createScratchRepository() {
+    const commonDirResult = this.executeGitCommand(['rev-parse', '--git-common-dir']);
+    if (commonDirResult.status !== 0) {
+      throw new Error(commonDirResult.stderr.trim() || 'Not a Git repository');
+    }
+    const objectsDir = path.resolve(this.repoPath, commonDirResult.stdout.trim(), 'objects');
+    const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-dry-run-'));
+
+    try {
+      const initResult = spawnSync('git', ['init', '--bare', '-q', scratchDir], {
+        encoding: 'utf8',
+        timeout: this.GIT_TIMEOUT
+      });
+      if (initResult.status !== 0) {
+        throw new Error(`Cannot create dry-run repository: ${(initResult.stderr || '').trim()}`);
+      }
+      await fs.writeFile(path.join(scratchDir, 'objects', 'info', 'alternates'), `${objectsDir}\n`);
+    } catch (error) {
+      await fs.remove(scratchDir).catch(() => {});
+      throw error;
+    }
+
+    return scratchDir;
+  }
+
+  /**
+   * Parses a fast-export stream into commands
+   * Commits, blobs and tags become structured objects; other commands keep their raw lines.
+   * @param {Stream} stream - Readable fast-export output
+   * @returns {AsyncGenerator<Object>} Parsed commands
+   */
+  async *parseStream(stream) {
+    const reader = new StreamReader(stream);
+    const readData = async (header) => {
+      if (!/^data \d+$/.test(header)) {
+        throw new Error(`Unsupported data header in fast-export stream: ${header}`);
+      }
+      const data = await reader.bytes(parseInt(header.slice(5), 10));
+      await reader.skipNewline();
+      return data;
+    };
+    const isCommand = (value) => value === null || value === '' || STREAM_COMMANDS.has(value.split(' ')[0]);
+
+    let line = await reader.line();
+
+    while (line !== null) {
+      if (line === '') {
+        line = await reader.line();
+        continue;
+      }
+
+      const keyword = line.split(' ')[0];
+      const argument = line.slice(keyword.length + 1);
+
+      if (keyword === 'blob') {
+        const blob = { type: 'blob', mark: null, originalOid: null, data: Buffer.alloc(0) };
+        line = await reader.line();
+        while (!isCommand(line)) {
+          if (line.startsWith('mark ')) blob.mark = line.slice(5);
+          else if (line.startsWith('original-oid ')) blob.originalOid = line.slice(13);
+          else if (line.startsWith('data ')) blob.data = await readData(line);
+          line = await reader.line();
+        }
+        yield blob;
+      } else if (keyword === 'commit') {
+        const commit = {
+          type: 'commit',
+          ref: argument,
+          mark: null,
+          originalOid: null,
+          author: null,
+          committer: null,
+          encoding: null,
+          message: '',
+          rawMessage: null,
+          from: null,
+          merges: [],
+          changes: []
+        };
+        line = await reader.line();
+        while (!isCommand(line)) {
+          if (line.startsWith('mark ')) commit.mark = line.slice(5);
+          else if (line.startsWith('original-oid ')) commit.originalOid = line.slice(13);
+          else if (line.startsWith('author ')) commit.author = this.parseIdentity(line.slice(7));
+          else if (line.startsWith('committer ')) commit.committer = this.parseIdentity(line.slice(10));
+          else if (line.startsWith('encoding ')) commit.encoding = line.slice(9);
+          else if (line.startsWith('data ')) {
+            commit.rawMessage = await readData(line);
+            commit.message = this.decodeMessage(commit.rawMessage, commit.encoding);
+          } else if (line.startsWith('from ')) commit.from = line.slice(5);
+          else if (line.startsWith('merge ')) commit.merges.push(line.slice(6));
+          else commit.changes.push(line);
+          line = await reader.line();
+        }
+        yield commit;
+      } else if (keyword === 'tag') {
+        const tag = { type: 'tag', name: argument, mark: null, from: null, originalOid: null, tagger: null, message: '' };
+        line = await reader.line();
+        while (!isCommand(line)) {
+          if (line.startsWith('mark ')) tag.mark = line.slice(5);
+          else if (line.startsWith('from ')) tag.from = line.slice(5);
+          else if (line.startsWith('original-oid ')) tag.originalOid = line.slice(13);
+          else if (line.startsWith('tagger ')) tag.tagger = this.parseIdentity(line.slice(7));
+          else if (line.startsWith('data ')) tag.message = (await readData(line)).toString('utf8');
+          line = await reader.line();
+        }
+        yield tag;
+      } else {
+        const command = { type: keyword, lines: [line] };
+        line = await reader.line();
+        while (!isCommand(line)) {
+          command.lines.push(line);
+          line = await reader.line();
+        }
+        yield command;
+      }
+    }
+  }
+
+  /**
+   * Decodes a commit message in the encoding its commit declares
+   * @param {Buffer} raw - Message bytes
+   * @param {string} encoding - Value of the commit's encoding header (null for UTF-8)
+   * @returns {string} Message text
+   */
+  decodeMessage(raw, encoding) {
+    if (encoding && !/^utf-?8$/i.test(encoding)) {
+      try {
+        return new TextDecoder(encoding).decode(raw);
+      } catch (error) {
+        // Encodings the runtime does not know are read as UTF-8
+      }
+    }
+    return raw.toString('utf8');
+  }
+
+  /**
+   * Serializes a parsed command back into fast-import input
+   * @param {Object} command - Command produced by parseStream
+   * @returns {Buffer} Stream bytes
+   */
+  serialize(command) {
+    const data = (content) => {
+      const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      return [Buffer.from(`data ${bytes.length}\n`), bytes, Buffer.from('\n')];
+    };
+    const lines = (values) => Buffer.from(values.filter(value => value !== null).map(value => `${value}\n`).join(''), 'utf8');
+
+    if (command.type === 'blob') {
+      return Buffer.concat([
+        lines(['blob', command.mark && `mark ${command.mark}`, command.originalOid && `original-oid ${command.originalOid}`]),
+        ...data(command.data)
+      ]);
+    }
+
+    if (command.type === 'commit') {
+      // Unchanged messages are written back byte for byte, in their own encoding; an
+      // edited message is written as UTF-8
+      const unchanged = command.rawMessage && command.message === this.decodeMessage(command.rawMessage, command.encoding);
+      const message = unchanged ? command.rawMessage : command.message;
+      const encoding = unchanged ? command.encoding : null;
+
+      return Buffer.concat([
+        lines([
+          `commit ${command.ref}`,
+          command.mark && `mark ${command.mark}`,
+          command.originalOid && `original-oid ${command.originalOid}`,
+          command.author && `author ${this.formatIdentity(command.author)}`,
+          `committer ${this.formatIdentity(command.committer)}`,
+          encoding && `encoding ${encoding}`
+        ]),
+        ...data(message),
+        lines([
+          command.from && `from ${command.from}`,
+          ...command.merges.map(merge => `merge ${merge}`),
+          ...command.changes
+        ]),
+        Buffer.from('\n')
+      ]);
+    }
+
+    if (command.type === 'tag') {
+      return Buffer.concat([
+        lines([
+          `tag ${command.name}`,
+          command.mark && `mark ${command.mark}`,
+          `from ${command.from}`,
+          command.originalOid && `original-oid ${command.originalOid}`,
+          command.tagger && `tagger ${this.formatIdentity(command.tagger)}`
+        ]),
+        ...data(command.message)
+      ]);
+    }
+
+    return lines(command.lines);
+  }
+
+  /**
+   * Rewrites history through fast-export and fast-import
+   * Each transform receives a parsed command and may change it in place.
+   * @param {Object} transforms - {commit, blob, tag} transform functions (all optional)
+   * @param {Object} options - Options
+   * @param {Array} options.revisions - Revisions to rewrite, see resolveScope (default: every branch and tag)
+   * @param {boolean} options.dryRun - Import into a scratch repository instead, leaving every ref in place;
+   *   commitMap then holds the hashes the rewrite would produce
+   * @param {Function} options.afterImport - Called with (commitMap, gitDir) once fast-import is done, where
+   *   gitDir is the scratch repository of a dry run (null otherwise); may return a replacement commitMap
+   * @param {Object} options.checkpoint - Checkpoint the rewrite, see readCheckpoint:
+   *   {marksFile, originalsFile, every, resume, onCheckpoint}. Every `every` commits fast-import writes
+   *   its objects, refs and marks, then onCheckpoint(commits) is awaited; with `resume` the commits of
+   *   the last checkpoint are not exported again
+   * @returns {Promise<Object>} {commits, resumed, commitMap} where commitMap maps old to new commit hashes
+   *   and resumed counts the commits taken from the checkpoint
+   */
+  async rewrite(transforms = {}, options = {}) {
+    const revisions = options.revisions || this.listRefs();
+
+    if (revisions.length === 0) {
+      throw new Error('There are no branches or tags to rewrite');
+    }
+    // SECURITY: Revisions are rev-list arguments, so they must not look like options
+    revisions.forEach(revision => {
+      if (typeof revision !== 'string' || !revision || revision.startsWith('-')) {
+        throw new Error(`Invalid revision: ${revision}`);
+      }
+    });
+
+    const gitDirResult = this.executeGitCommand(['rev-parse', '--absolute-git-dir']);
+    if (gitDirResult.status !== 0) {
+      throw new Error(gitDirResult.stderr.trim() || 'Not a Git repository');
+    }
+    const scratchDir = options.dryRun ? await this.createScratchRepository() : null;
+    const checkpoint = !scratchDir && options.checkpoint ? options.checkpoint : null;
+    const marksFile = checkpoint
+      ? checkpoint.marksFile
+      : path.join(scratchDir || gitDirResult.stdout.trim(), `gctm-marks-${Date.now()}`);
+    const resumed = checkpoint && checkpoint.resume ? await this.readCheckpoint(checkpoint) : new Map();
+
+    // Parents outside the scope stay as they are and are referenced by hash
+    const exportArgs = [
+      'fast-export', '--show-original-ids', '--reencode=no', '--signed-tags=warn-strip',
+      '--use-done-feature', '--reference-excluded-parents'
+    ];
+    if (!transforms.blob) {
+      // Without a blob transform the file contents are referenced by hash instead of copied
+      exportArgs.push('--no-data');
+    }
+    if (resumed.size > 0) {
+      // Commits that are marked already are referenced by their mark instead of exported again
+      exportArgs.push(`--import-marks=${checkpoint.originalsFile}`);
+      logger.info(`Resuming the rewrite after ${resumed.size} commits rewritten before it was interrupted`);
+    }
+    exportArgs.push(...revisions);
+
+    logger.debug(`Streaming ${revisions.join(' ')} through fast-export/fast-import${scratchDir ? ' (dry run)' : ''}`);
+
+    const importArgs = ['fast-import', '--force', '--quiet', `--export-marks=${marksFile}`];
+    if (scratchDir) {
+      importArgs.unshift(`--git-dir=${scratchDir}`);
+    }
+    if (resumed.size > 0) {
+      importArgs.push(`--import-marks=${marksFile}`);
+    }
+
+    const exporter = spawn('git', exportArgs, { cwd: this.repoPath, stdio: ['ignore', 'pipe', 'pipe'] });
+    const importer = spawn('git', importArgs, {
+      cwd: this.repoPath,
+      stdio: ['pipe', checkpoint ? 'pipe' : 'ignore', 'pipe']
+    });
+
+    const stderr = { exporter: '', importer: '' };
+    exporter.stderr.on('data', chunk => { stderr.exporter += chunk; });
+    importer.stderr.on('data', chunk => { stderr.importer += chunk; });
+
+    const exited = (child) => new Promise(resolve => {
+      child.on('error', error => resolve({ code: -1, error }));
+      child.on('close', code => resolve({ code }));
+    });
+    const exporterExit = exited(exporter);
+    const importerExit = exited(importer);
+
+    let stdinError = null;
+    importer.stdin.on('error', error => { stdinError = error; });
+
+    // Only a stalled rewrite is stopped: every command read, drained write and checkpoint counts as progress
+    let timedOut = false;
+    let timer = null;
+    const progress = () => {
+      clearTimeout(timer);
+      if (this.idleTimeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          exporter.kill();
+          importer.kill();
+        }, this.idleTimeout);
+      }
+    };
+    progress();
+    const stalled = () => new Error(`History rewrite stalled: git made no progress for ${this.idleTimeout}ms`);
+
+    const write = (chunk) => new Promise((resolve, reject) => {
+      if (stdinError) {
+        reject(stdinError);
+      } else if (importer.stdin.destroyed) {
+        // Its 'close' event has been emitted already, so there would be nothing to wait for
+        reject(new Error('git fast-import exited before the stream ended'));
+      } else if (importer.stdin.write(chunk)) {
+        resolve();
+      } else {
+        importer.stdin.once('drain', () => { progress(); resolve(); });
+        importer.stdin.once('close', resolve);
+      }
+    });
+
+    const markToOriginal = new Map(resumed);
+    let unsaved = [];
+    let commits = 0;
+
+    // fast-import answers a progress command once everything before it, checkpoints included, is done
+    let acknowledge = null;
+    if (checkpoint) {
+      let pending = '';
+      importer.stdout.on('data', (chunk) => {
+        pending += chunk;
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        if (acknowledge && lines.some(line => line.startsWith('progress gctm-checkpoint'))) {
+          acknowledge();
+        }
+      });
+    }
+    const saveCheckpoint = async (count) => {
+      await fs.appendFile(checkpoint.originalsFile, unsaved.join(''));
+      unsaved = [];
+      const acknowledged = new Promise(resolve => { acknowledge = resolve; });
+      await write(Buffer.from(`checkpoint\nprogress gctm-checkpoint ${count}\n`));
+      await Promise.race([acknowledged, importerExit]);
+      acknowledge = null;
+      progress();
+      await checkpoint.onCheckpoint(resumed.size + count);
+    };
+
+    try {
+      try {
+        for await (const command of this.parseStream(exporter.stdout)) {
+          progress();
+          if (command.type === 'commit') {
+            commits++;
+            if (transforms.commit) transforms.commit(command);
+            if (command.mark && command.originalOid) {
+              markToOriginal.set(command.mark, command.originalOid);
+              unsaved.push(`${command.mark} ${command.originalOid}\n`);
+            }
+          } else if (command.type === 'blob' && transforms.blob) {
+            transforms.blob(command);
+          } else if (command.type === 'tag' && transforms.tag) {
+            transforms.tag(command);
+          }
+
+          await write(this.serialize(command));
+
+          if (checkpoint && command.type === 'commit' && commits % checkpoint.every === 0) {
+            await saveCheckpoint(commits);
+          }
+        }
+      } catch (error) {
+        // Make sure neither process is left waiting for the other
+        exporter.kill();
+        importer.kill();
+        throw timedOut ? stalled() : error;
+      } finally {
+        // fast-import still has to finish its pack and update the refs
+        progress();
+        importer.stdin.end();
+      }
+
+      const [exportResult, importResult] = await Promise.all([exporterExit, importerExit]);
+
+      if (timedOut) {
+        throw stalled();
+      }
+      if (exportResult.code !== 0) {
+        throw new Error(`git fast-export failed: ${(exportResult.error && exportResult.error.message) || stderr.exporter.trim()}`);
+      }
+      if (importResult.code !== 0 || stdinError) {
+        throw new Error(`git fast-import failed: ${(importResult.error && importResult.error.message) || stderr.importer.trim() || stdinError.message}`);
+      }
+
+      const commitMap = new Map();
+      const marks = await fs.readFile(marksFile, 'utf8');
+      marks.split('\n').forEach(entry => {
+        const [mark, hash] = entry.split(' ');
+        if (markToOriginal.has(mark)) {
+          commitMap.set(markToOriginal.get(mark), hash);
+        }
+      });
+
+      if (options.afterImport) {
+        return { commits, resumed: resumed.size, commitMap: (await options.afterImport(commitMap, scratchDir)) || commitMap };
+      }
+
+      return { commits, resumed: resumed.size, commitMap };
+    } finally {
+      clearTimeout(timer);
+      if (!checkpoint) {
+        await fs.remove(scratchDir || marksFile).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Reads the commits of the last checkpoint of an interrupted rewrite
+   * The originals file lists the mark of every commit sent to fast-import ('<mark> <original hash>'),
+   * and the marks file the objects fast-import wrote by its last checkpoint ('<mark> <new hash>').
+   * Both are cut down to the commits in both, so the next run numbers its marks after them.
+   * @param {Object} checkpoint - {marksFile, originalsFile}, see rewrite
+   * @returns {Promise<Map>} Mark -> original hash of the commits that were rewritten, in rewrite order
+   */
+  async readCheckpoint(checkpoint) {
+    const read = async (file) => {
+      const entries = new Map();
+      if (await fs.pathExists(file)) {
+        (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).forEach(line => {
+          const [mark, hash] = line.split(' ');
+          entries.set(mark, hash);
+        });
+      }
+      return entries;
+    };
+
+    const written = await read(checkpoint.marksFile);
+    const originals = await read(checkpoint.originalsFile);
+    const resumed = new Map([...originals].filter(([mark]) => written.has(mark)));
+
+    await fs.writeFile(checkpoint.originalsFile, [...resumed].map(([mark, hash]) => `${mark} ${hash}\n`).join(''));
+    await fs.writeFile(checkpoint.marksFile, [...resumed].map(([mark]) => `${mark} ${written.get(mark)}\n`).join(''));
+
+    return resumed;
+  }
+}
+
+FastExportRewriter.BACKUP_REF_PREFIX = BACKUP_REF_PREFIX;
+
+module.exports = FastExportRewriter;
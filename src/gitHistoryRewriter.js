@@ -1,17 +1,51 @@
 const { execSync, spawnSync } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
+const FastExportRewriter = require('./fastExportRewriter');
+const BackupManager = require('./backupManager');
+const IdentityMapper = require('./identityMapper');
+const MessageEditor = require('./messageEditor');
+const RestructurePlanner = require('./restructurePlanner');
+const RewriteJournal = require('./rewriteJournal');
 const logger = require('./utils/logger');
 
+/**
+ * Engines that can rewrite history
+ * fast-import streams the history through fast-export/fast-import in one pass;
+ * filter-branch is the older, much slower engine kept as a fallback.
+ */
+const REWRITE_ENGINES = ['fast-import', 'filter-branch'];
+
+/**
+ * Rewrites that can be resumed from their journal, by the method that runs them
+ */
+const RESUMABLE_REWRITES = {
+  redate: 'changeCommitDates',
+  'edit-message': 'changeCommitMessage',
+  'edit-messages': 'rewriteMessages',
+  'edit-content': 'replaceContentInHistory',
+  'rewrite-author': 'rewriteIdentities'
+};
+
 /**
  * Git History Rewriter - Practical approach to modify Git history
  * SECURITY: All git commands use spawnSync with argument arrays to prevent command injection
  */
 class GitHistoryRewriter {
-  constructor(repoPath) {
+  constructor(repoPath, options = {}) {
     this.repoPath = repoPath;
     this.originalBranch = null;
+    this.dateEnvFile = null;
     this.GIT_TIMEOUT = 300000; // 300 second timeout for git operations
+    this.engine = options.engine || 'fast-import';
+    if (!REWRITE_ENGINES.includes(this.engine)) {
+      logger.warn(`Unknown rewrite engine "${this.engine}", using fast-import`);
+      this.engine = 'fast-import';
+    }
+    this.streamRewriter = new FastExportRewriter(repoPath, { timeout: this.GIT_TIMEOUT, idleTimeout: options.idleTimeout });
+    this.journal = new RewriteJournal(repoPath);
+    this.checkpointInterval = options.checkpointInterval || 1000; // commits between fast-import checkpoints
   }
 
   /**
@@ -79,228 +113,2362 @@ class GitHistoryRewriter {
   }
 
   /**
-   * Change commit dates using git filter-branch for batch processing
-   * @param {Array} commitsWithNewDates - Array of {hash, newDate} objects
-   * @returns {Promise<Object>} Operation result
+   * Change commit dates in one pass over the history
+   * Each entry may set `newDate` (author and committer) or `authorDate` /
+   * `committerDate` individually; a null field keeps the original date.
+   * @param {Array} commitsWithNewDates - Array of {hash, newDate, authorDate, committerDate} objects
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite, see FastExportRewriter.resolveScope
+   * @param {boolean} options.dryRun - Only return the plan of the rewrite (see planRewrite)
+   * @param {string} options.backupId - Backup to store the commit map with (see recordCommitMap)
+   * @param {boolean} options.resume - Continue an interrupted rewrite of the same arguments (see resumeRewrite)
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @param {string} options.tags - 'move' the tags on rewritten commits even when the scope leaves them
+   *   out, or 'redate' them too (annotated tags get the new committer date of their commit)
+   * @returns {Promise<Object>} Operation result with `commitMap` (old hash -> new hash),
+   *   the `backupId` the map was stored under, `signatures`, `tags` and `remotes` (see rewriteHistory)
    */
-  async changeCommitDates(commitsWithNewDates) {
+  async changeCommitDates(commitsWithNewDates, options = {}) {
+    if (this.engine === 'filter-branch' && !options.dryRun) {
+      if (options.resign) {
+        return { success: false, error: 'Re-signing commits needs the fast-import rewrite engine' };
+      }
+      if (options.tags) {
+        return { success: false, error: 'Moving and redating tags needs the fast-import rewrite engine' };
+      }
+      if (this.isBareRepository()) {
+        return { success: false, error: 'The filter-branch rewrite engine needs a working tree; bare repositories need the fast-import engine' };
+      }
+      return this.changeCommitDatesWithFilterBranch(commitsWithNewDates, options);
+    }
+
     let backupBranch = null;
 
     try {
-      logger.info('Starting Git history rewrite for date changes...');
+      logger.info(`${options.dryRun ? 'Planning' : 'Starting'} Git history rewrite for date changes...`);
 
-      // Create backup branch
-      backupBranch = await this.createBackupBranch();
+      // Create backup branch (a dry run changes nothing, so it needs none)
+      if (!options.dryRun) {
+        backupBranch = await this.createBackupBranch(options);
+      }
 
       try {
-        // Get current state
         this.originalBranch = await this.getCurrentBranch();
 
-        // Create hash to date mapping for filter
-        const hashDateMap = {};
-        for (const commitData of commitsWithNewDates) {
-          if (this.isValidHash(commitData.hash)) {
-            hashDateMap[commitData.hash] = commitData.newDate;
+        const dateMap = this.buildCommitDateMap(commitsWithNewDates);
+        const revisions = this.resolveRewriteScope(options.scope, Array.from(dateMap.keys()));
+        logger.info(`Processing ${dateMap.size} commits for date changes...`);
+
+        let processedCount = 0;
+        const { commitMap, plan, signatures, tags, remotes } = await this.rewriteHistory({
+          commit: (commit) => {
+            const dates = dateMap.get(commit.originalOid);
+            if (!dates) {
+              return;
+            }
+            if (dates.author && commit.author) Object.assign(commit.author, dates.author);
+            if (dates.committer) Object.assign(commit.committer, dates.committer);
+            processedCount++;
           }
+        }, {
+          revisions,
+          targets: Array.from(dateMap.keys()),
+          resign: options.resign,
+          dryRun: options.dryRun,
+          tags: options.tags,
+          journal: { operation: 'redate', args: [commitsWithNewDates, options], backupBranch },
+          resume: options.resume
+        });
+
+        if (plan) {
+          logger.info(`Dry run: dates of ${processedCount} commits would change`);
+          return { success: true, dryRun: true, processed: processedCount, commitMap, plan };
         }
 
-        // Build the filter script that will be executed for each commit
-        const envFilter = this.buildDateFilterScript(hashDateMap);
+        logger.success(`Successfully changed dates for ${processedCount} commits`);
 
-        logger.info(`Processing ${Object.keys(hashDateMap).length} commits for date changes...`);
+        await this.cleanupBackupBranches([backupBranch]);
+        logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+
+        const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'redate' });
 
-        // Check for unstaged changes and handle them
-        const statusResult = this.executeGitCommand(['status', '--porcelain']);
-        if (statusResult.stdout.trim()) {
-          // If there are unstaged changes, stash them temporarily
-          logger.warn('Unstaged changes detected, stashing temporarily for filter-branch operation');
-          this.executeGitCommand(['stash', 'push', '-m', 'GCTM temporary stash for redate']);
+        return { success: true, processed: processedCount, commitMap, backupId, signatures, tags, remotes };
+
+      } catch (error) {
+        // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+        if (backupBranch) {
+          await this.restoreFromBranch(backupBranch);
         }
+        throw error;
+      }
+
+    } catch (error) {
+      logger.error(`Failed to rewrite Git history: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build the full-hash to new-date mapping used by changeCommitDates
+   * @param {Array} commitsWithNewDates - Array of {hash, newDate, authorDate, committerDate} objects
+   * @returns {Map} Full hash -> {author, committer} raw git times (null keeps the original)
+   */
+  buildCommitDateMap(commitsWithNewDates) {
+    const dateMap = new Map();
+
+    for (const commitData of commitsWithNewDates || []) {
+      if (!commitData || !this.isValidHash(commitData.hash)) {
+        continue;
+      }
+
+      const dates = this.resolveCommitDates(commitData);
+      if (!dates.author && !dates.committer) {
+        continue;
+      }
+
+      dateMap.set(this.streamRewriter.resolveCommit(commitData.hash), {
+        author: dates.author && this.streamRewriter.toGitTime(dates.author),
+        committer: dates.committer && this.streamRewriter.toGitTime(dates.committer)
+      });
+    }
+
+    return dateMap;
+  }
+
+  /**
+   * Resolve the revisions a rewrite walks and check that every target commit is among them
+   * @param {Object} scope - Scope options, see FastExportRewriter.resolveScope
+   * @param {Array} targets - Full hashes of the commits that will change
+   * @returns {Array} Revisions for FastExportRewriter.rewrite
+   */
+  resolveRewriteScope(scope, targets = []) {
+    const revisions = this.streamRewriter.resolveScope(scope, targets);
+
+    if (targets.length > 0) {
+      const inScope = new Set(this.streamRewriter.listCommits(revisions));
+      const outside = targets.filter(hash => !inScope.has(hash));
+      if (outside.length > 0) {
+        const listed = outside.slice(0, 5).map(hash => hash.substring(0, 7)).join(', ');
+        throw new Error(`Commits outside the rewrite scope: ${listed}${outside.length > 5 ? ` and ${outside.length - 5} more` : ''}`);
+      }
+    }
+
+    logger.info(`Rewriting ${revisions.filter(revision => !revision.startsWith('^')).join(', ')}`);
+    return revisions;
+  }
+
+  /**
+   * Run a fast-export/fast-import rewrite and carry the checkout over to the rewritten HEAD
+   * The rewrite only writes objects and refs; the working tree and index are left alone
+   * until the refs are in place (see withCheckout).
+   * fast-export drops commit signatures: signed commits that do not change keep their
+   * original (signed) object, and with `resign` every rewritten commit is signed again.
+   * @param {Object} transforms - {commit, blob, tag} transforms, see FastExportRewriter.rewrite
+   * @param {Object} options - Options passed to FastExportRewriter.rewrite
+   * @param {boolean} options.dryRun - Only plan the rewrite, see planRewrite
+   * @param {Array} options.targets - Full hashes of the commits the transforms change (default: any commit may change)
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @param {string} options.tags - 'move' to also move the tags on rewritten commits that are not in the
+   *   revisions, 'redate' to move them and redate annotated tags too (see prepareTagRewrite)
+   * @param {Object} options.journal - {operation, args, backupBranch}: the rewrite as the journal records it,
+   *   so it can be resumed after an interruption (see startJournal)
+   * @param {boolean} options.resume - Continue the journal of an interrupted rewrite (see resumeRewrite)
+   * @returns {Promise<Object>} {commits, commitMap, signatures, tags, remotes}, with `tags` and `remotes` in the
+   *   `plan` for a dry run; signatures is {signed, resigned, lost}, see checkSignatures and restoreSignatures,
+   *   tags is {moved, redated, skipped, outside}, see reportTags, and remotes is {published, upstream, others},
+   *   see checkRemotes
+   */
+  async rewriteHistory(transforms, options = {}) {
+    if (!options.resume) {
+      await this.assertNoInterruptedRewrite();
+    }
+
+    const tagging = this.prepareTagRewrite(options.revisions || this.streamRewriter.listRefs(), options.tags);
+    const revisions = tagging.revisions;
+    const signatures = this.checkSignatures(revisions, options.targets);
+    const remotes = this.checkRemotes(revisions, signatures.rewritten);
+
+    if (options.resign) {
+      const signingKey = this.getSigningKey();
+      logger.info(`Rewritten commits will be signed with ${signingKey}`);
+    } else if (signatures.affected.length > 0) {
+      const listed = signatures.affected.slice(0, 5).map(hash => hash.substring(0, 7)).join(', ');
+      const more = signatures.affected.length > 5 ? ` and ${signatures.affected.length - 5} more` : '';
+      logger.warn(`${signatures.affected.length} signed commits will lose their signatures: ${listed}${more} (use --resign to sign them again)`);
+    }
 
-        // Execute git filter-branch to rewrite all commits at once
-        const filterResult = this.executeGitCommand([
-          'filter-branch',
-          '--env-filter',
-          envFilter,
-          '--force',
-          '--',
-          '--all'
-        ]);
-
-        // Restore stashed changes if they existed
-        if (statusResult.stdout.trim()) {
-          try {
-            this.executeGitCommand(['stash', 'pop']);
-            logger.info('Restored stashed changes');
-          } catch (stashError) {
-            logger.warn(`Could not restore stashed changes: ${stashError.message}`);
+    if (options.dryRun) {
+      const planned = await this.planRewrite(tagging.wrap(transforms), { ...options, revisions, signatures });
+      planned.plan.tags = this.reportTags(tagging, planned.commitMap);
+      planned.plan.remotes = remotes;
+      return planned;
+    }
+
+    const journal = options.journal ? await this.startJournal(options.journal, options.resume) : null;
+
+    try {
+      const result = await this.withCheckout(async () => {
+        let signing = null;
+        const rewritten = await this.streamRewriter.rewrite(tagging.wrap(transforms), {
+          ...options,
+          revisions,
+          checkpoint: journal && {
+            marksFile: this.journal.marksFile,
+            originalsFile: this.journal.originalsFile,
+            every: this.checkpointInterval,
+            resume: options.resume,
+            onCheckpoint: commits => this.journal.update({ commits })
+          },
+          afterImport: (commitMap) => {
+            signing = this.restoreSignatures(commitMap, { signed: signatures.signed, resign: options.resign, revisions });
+            return signing.commitMap;
           }
+        });
+        rewritten.signatures = {
+          signed: signatures.affected,
+          resigned: signing.resigned,
+          lost: signing.lost
+        };
+        rewritten.tags = this.reportTags(tagging, rewritten.commitMap);
+        rewritten.remotes = remotes;
+
+        return rewritten;
+      });
+
+      if (journal) {
+        await this.journal.remove();
+      }
+      return result;
+    } catch (error) {
+      // Checkpoints may have moved refs already; the checkout is only carried over after a successful rewrite
+      if (journal) {
+        this.restoreJournalRefs(journal);
+        const saved = await this.journal.load();
+        if (saved && saved.commits > 0) {
+          // The checkpointed commits are kept for gctm resume, which starts over from the same refs
+          throw new Error(`${error.message} (${saved.commits} commits were rewritten by the last checkpoint: ` +
+            'run gctm resume to continue the rewrite or gctm abort to drop it)');
         }
+        await this.journal.remove();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start the journal of a rewrite, recording the refs and HEAD it starts from
+   * @param {Object} rewrite - {operation, args, backupBranch}: the operation (see RESUMABLE_REWRITES), the
+   *   arguments of its method and the backup branch created for it
+   * @param {boolean} resume - Continue the journal of an interrupted rewrite
+   * @returns {Promise<Object>} Journal entry
+   */
+  async startJournal(rewrite, resume = false) {
+    const refs = {};
+    this.executeGitCommand(['for-each-ref', '--format=%(refname) %(objectname)', 'refs/heads', 'refs/tags'])
+      .stdout.split('\n').filter(Boolean).forEach(line => {
+        const [ref, object] = line.split(' ');
+        if (!ref.startsWith(FastExportRewriter.BACKUP_REF_PREFIX)) refs[ref] = object;
+      });
+    const branch = this.executeGitCommand(['symbolic-ref', '--quiet', 'HEAD']);
+    const head = this.executeGitCommand(['rev-parse', '--verify', '--quiet', 'HEAD']).stdout.trim() || null;
+
+    return this.journal.start({
+      operation: rewrite.operation,
+      args: rewrite.args,
+      backupBranch: rewrite.backupBranch || null,
+      refs,
+      head: branch.status === 0 ? { ref: branch.stdout.trim() } : { commit: head }
+    }, { resume });
+  }
+
+  /**
+   * Refuse to start a rewrite while the journal of an interrupted one is still there
+   * @returns {Promise<void>}
+   */
+  async assertNoInterruptedRewrite() {
+    const entry = await this.journal.load();
+    if (entry) {
+      throw new Error(`An interrupted ${entry.operation} rewrite from ${entry.startedAt} is still in progress: run gctm resume or gctm abort first`);
+    }
+  }
+
+  /**
+   * Move the branches and tags of a journal back to where the rewrite found them
+   * Checkpoints move refs while a rewrite runs; refs the rewrite did not touch are left alone.
+   * @param {Object} entry - Journal entry, see startJournal
+   * @returns {number} Number of refs moved back
+   */
+  restoreJournalRefs(entry) {
+    const current = new Map(this.executeGitCommand(['for-each-ref', '--format=%(refname) %(objectname)', 'refs/heads', 'refs/tags'])
+      .stdout.split('\n').filter(Boolean).map(line => line.split(' ')));
+    let restored = 0;
+
+    Object.entries(entry.refs || {}).forEach(([ref, object]) => {
+      if (current.get(ref) === object) return;
+      const result = this.executeGitCommand(['update-ref', '-m', 'gctm: roll back interrupted rewrite', ref, object]);
+      if (result.status !== 0) {
+        throw new Error(`Cannot move ${ref} back to ${object.substring(0, 7)}: ${result.stderr.trim()}`);
+      }
+      restored++;
+    });
+
+    if (entry.head && entry.head.commit) {
+      this.executeGitCommand(['update-ref', '--no-deref', '-m', 'gctm: roll back interrupted rewrite', 'HEAD', entry.head.commit]);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Put the repository back in the state an interrupted rewrite started from
+   * Refs are moved back and the backup branch of the rewrite is removed. The checkout is only
+   * carried over once a rewrite has finished, so it normally still matches the restored HEAD;
+   * if the rewrite got that far, it is carried back.
+   * @param {Object} entry - Journal entry, see startJournal
+   * @returns {Object} {refs}: number of refs moved back
+   */
+  rollbackRewrite(entry) {
+    const headResult = this.executeGitCommand(['rev-parse', '--verify', '--quiet', 'HEAD']);
+    const refs = this.restoreJournalRefs(entry);
+
+    if (headResult.status === 0 && !this.isBareRepository()) {
+      this.updateCheckout(headResult.stdout.trim(), this.executeGitCommand(['rev-parse', 'HEAD']).stdout.trim());
+    }
+
+    if (entry.backupBranch) {
+      this.executeGitCommand(['branch', '-D', entry.backupBranch]);
+    }
+
+    return { refs };
+  }
+
+  /**
+   * Resume an interrupted rewrite from its journal
+   * The repository is rolled back to where the rewrite started and the rewrite runs again,
+   * without exporting the commits fast-import had written by its last checkpoint.
+   * @returns {Promise<Object>} Result of the rewrite (see the method of its operation), with `operation`
+   *   and `resumed`, the number of commits taken from the checkpoint
+   */
+  async resumeRewrite() {
+    const entry = await this.journal.load();
+    if (!entry) {
+      return { success: false, error: 'No interrupted rewrite to resume' };
+    }
+
+    const method = RESUMABLE_REWRITES[entry.operation];
+    if (!method || !Array.isArray(entry.args)) {
+      return { success: false, error: `The interrupted ${entry.operation} rewrite cannot be resumed: run gctm abort` };
+    }
+
+    try {
+      logger.info(`Resuming the ${entry.operation} rewrite started ${entry.startedAt} (${entry.commits || 0} commits checkpointed)`);
+      this.rollbackRewrite(entry);
+    } catch (error) {
+      return { success: false, error: `Cannot resume the rewrite: ${error.message}` };
+    }
+
+    const args = [...entry.args];
+    args[args.length - 1] = { ...args[args.length - 1], resume: true };
+    const result = await this[method](...args);
+
+    return { ...result, operation: entry.operation, resumed: entry.commits || 0 };
+  }
+
+  /**
+   * Abort an interrupted rewrite: roll the repository back and remove the journal
+   * @returns {Promise<Object>} Operation result with `operation` and `refs`, the number of refs moved back
+   */
+  async abortRewrite() {
+    const entry = await this.journal.load();
+    if (!entry) {
+      return { success: false, error: 'No interrupted rewrite to abort' };
+    }
+
+    try {
+      const { refs } = this.rollbackRewrite(entry);
+      await this.journal.remove();
+
+      logger.success(`Aborted the interrupted ${entry.operation} rewrite, ${refs} refs moved back`);
+      return { success: true, operation: entry.operation, refs };
+    } catch (error) {
+      logger.error(`Failed to abort the rewrite: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Prepare the tags of a rewrite
+   * Tags in the revisions always follow their rewritten commits. With `mode` the other tags on
+   * commits in the revisions are added to them, which does not change the commits that are
+   * rewritten; with 'redate' annotated tags also get the new committer date of their commit.
+   * @param {Array} revisions - Revisions returned by resolveRewriteScope
+   * @param {string|boolean} mode - 'move' (or true), 'redate', or false to leave the other tags alone
+   * @returns {Object} {revisions, parents, tags, redated, wrap}: the revisions with the added tags,
+   *   the commits of the rewrite (hash -> parent hashes), every tag (ref -> commit), the names of the
+   *   redated tags (filled in during the rewrite) and a function that adds the tag transform to transforms
+   */
+  prepareTagRewrite(revisions, mode = false) {
+    const tagMode = mode === true ? 'move' : mode || null;
+    if (tagMode && !['move', 'redate'].includes(tagMode)) {
+      throw new Error(`Invalid tags mode: ${mode}. Use move or redate`);
+    }
+
+    const parents = new Map();
+    const listed = this.executeGitCommand(['rev-list', '--parents', ...revisions], { maxBuffer: 512 * 1024 * 1024 });
+    if (listed.status !== 0) {
+      throw new Error(listed.stderr.trim() || 'Cannot list the commits to rewrite');
+    }
+    listed.stdout.split('\n').filter(Boolean).forEach(line => {
+      const [hash, ...commitParents] = line.split(' ');
+      parents.set(hash, commitParents);
+    });
+
+    // Tags of other objects than commits (trees, blobs) are left alone
+    const tags = new Map();
+    this.executeGitCommand(['for-each-ref', '--format=%(refname) %(objecttype) %(objectname) %(*objecttype) %(*objectname)', 'refs/tags'])
+      .stdout.split('\n').filter(Boolean).forEach(line => {
+        const [ref, type, object, peeledType, peeled] = line.split(' ');
+        if (type === 'commit') tags.set(ref, object);
+        else if (peeledType === 'commit') tags.set(ref, peeled);
+      });
+
+    const added = tagMode
+      ? [...tags].filter(([ref, commit]) => parents.has(commit) && !revisions.includes(ref)).map(([ref]) => ref)
+      : [];
+    const tips = revisions.filter(revision => !revision.startsWith('^'));
+    const tagging = {
+      revisions: [...tips, ...added, ...revisions.filter(revision => revision.startsWith('^'))],
+      parents,
+      tags,
+      redated: [],
+      wrap: transforms => transforms
+    };
+
+    if (tagMode === 'redate') {
+      tagging.wrap = (transforms) => {
+        const dates = new Map();
+        return {
+          ...transforms,
+          commit: (commit) => {
+            const before = { ...commit.committer };
+            const details = transforms.commit && transforms.commit(commit);
+            if (commit.mark && (before.time !== commit.committer.time || before.tz !== commit.committer.tz)) {
+              dates.set(commit.mark, { ...commit.committer });
+            }
+            return details;
+          },
+          tag: (tag) => {
+            if (transforms.tag) transforms.tag(tag);
+            const date = dates.get(tag.from);
+            if (tag.tagger && date) {
+              tag.tagger = { ...tag.tagger, time: date.time, tz: date.tz };
+              tagging.redated.push(tag.name);
+            }
+          }
+        };
+      };
+    }
+
+    if (added.length > 0) {
+      logger.info(`Tags on rewritten commits are moved as well: ${added.map(ref => ref.substring(10)).join(', ')}`);
+    }
+
+    return tagging;
+  }
+
+  /**
+   * Report what a rewrite did to the tags, warning about the tags left on the old history
+   * @param {Object} tagging - Result of prepareTagRewrite
+   * @param {Map} commitMap - Old hash -> new hash of the rewrite
+   * @returns {Object} Tag names as {moved, redated, skipped, outside}: tags moved to rewritten commits,
+   *   annotated tags with a new date, tags on rewritten commits that were not moved (see the `tags`
+   *   option), and tags that point at commits outside the rewritten range but contain rewritten commits
+   */
+  reportTags(tagging, commitMap) {
+    const changed = hash => commitMap.has(hash) && commitMap.get(hash) !== hash;
+    const name = ref => ref.substring(10);
+    const report = { moved: [], redated: [...tagging.redated], skipped: [], outside: [] };
+
+    tagging.tags.forEach((commit, ref) => {
+      if (!changed(commit)) return;
+      (tagging.revisions.includes(ref) ? report.moved : report.skipped).push(name(ref));
+    });
+
+    // The oldest rewritten commits are in the history of every tag that contains a rewritten commit
+    const roots = [...tagging.parents.keys()].filter(hash => changed(hash) && !tagging.parents.get(hash).some(changed));
+    if (roots.length > 0) {
+      this.streamRewriter.listRefs({ contains: roots })
+        .filter(ref => ref.startsWith('refs/tags/') && tagging.tags.has(ref) && !tagging.parents.has(tagging.tags.get(ref)))
+        .forEach(ref => report.outside.push(name(ref)));
+    }
+
+    if (report.moved.length > 0) {
+      logger.info(`Moved ${report.moved.length} tags to the rewritten commits${report.redated.length ? `, ${report.redated.length} of them redated` : ''}`);
+    }
+    if (report.skipped.length > 0) {
+      logger.warn(`${report.skipped.length} tags still point at the old commits: ${report.skipped.join(', ')} (use --tags to move them)`);
+    }
+    if (report.outside.length > 0) {
+      logger.warn(`${report.outside.length} tags point at commits outside the rewritten range and keep the old history: ${report.outside.join(', ')}`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Check whether the repository is bare (a `git clone --bare` or `--mirror` copy without a working tree)
+   * @returns {boolean} Whether the repository is bare
+   */
+  isBareRepository() {
+    return this.executeGitCommand(['rev-parse', '--is-bare-repository']).stdout.trim() === 'true';
+  }
+
+  /**
+   * Move refs, then carry the checkout over to the rewritten HEAD
+   * The working tree and index are not touched while the refs move, so uncommitted changes
+   * never go through a stash. A checked-out branch that was rewritten moves with the rewrite
+   * and a detached HEAD follows its commit; see updateCheckout for the working tree.
+   * A bare repository has no working tree, so only its refs are moved.
+   * @param {Function} update - Moves the refs; resolves to a result with `commitMap` (old hash -> new hash)
+   * @returns {Promise<Object>} Result of update
+   */
+  async withCheckout(update) {
+    const headResult = this.executeGitCommand(['rev-parse', '--verify', '--quiet', 'HEAD']);
+    const oldHead = headResult.status === 0 ? headResult.stdout.trim() : null;
+
+    const result = await update();
+
+    if (oldHead && !this.isBareRepository()) {
+      const attached = this.executeGitCommand(['symbolic-ref', '-q', 'HEAD']).status === 0;
+      const target = result.commitMap.get(oldHead);
+      if (!attached && target && target !== oldHead) {
+        this.executeGitCommand(['update-ref', '--no-deref', '-m', 'gctm: follow rewritten commit', 'HEAD', target, oldHead]);
+      }
+
+      this.updateCheckout(oldHead, this.executeGitCommand(['rev-parse', 'HEAD']).stdout.trim());
+    }
+
+    return result;
+  }
+
+  /**
+   * Carry the index and working tree from one commit to another, as git checkout does
+   * Only the files that differ between the two commits are updated. Uncommitted changes to
+   * other files stay as they are; when they touch a file that differs, nothing is updated and
+   * the files keep the content of the old commit until the user checks out the new one.
+   * @param {string} fromCommit - Commit the checkout matches
+   * @param {string} toCommit - Commit to carry it to
+   * @returns {boolean} Whether the checkout now matches toCommit
+   */
+  updateCheckout(fromCommit, toCommit) {
+    if (!fromCommit || !toCommit || fromCommit === toCommit) {
+      return true;
+    }
+
+    const trees = this.executeGitCommand(['rev-parse', `${fromCommit}^{tree}`, `${toCommit}^{tree}`]).stdout.trim().split('\n');
+    if (trees.length === 2 && trees[0] === trees[1]) {
+      return true;
+    }
+
+    // Stat-only differences (e.g. a touched file) must not count as changes
+    this.executeGitCommand(['update-index', '-q', '--refresh']);
+    const result = this.executeGitCommand(['read-tree', '-m', '-u', fromCommit, toCommit]);
+    if (result.status !== 0) {
+      const files = [...new Set([...result.stderr.matchAll(/Entry '(.+?)'/g), ...result.stderr.matchAll(/^\t(.+)$/gm)]
+        .map(match => match[1]))];
+      const old = fromCommit.substring(0, 7);
+      logger.warn(`Uncommitted changes touch files the rewrite changed${files.length > 0 ? ` (${files.join(', ')})` : ''}, ` +
+        `so the working tree and index were left at ${old}: save your changes with git diff ${old} > local.patch, ` +
+        'then run git reset --hard and git apply --3way local.patch');
+      return false;
+    }
+
+    return true;
+  }
 
-        if (filterResult.status !== 0) {
-          throw new Error(`Git filter-branch failed: ${filterResult.stderr}`);
+  /**
+   * Pre-flight check for signed commits in the revisions of a rewrite
+   * A signed commit that is rewritten (a target or a descendant of one) loses its signature
+   * unless it is re-signed; signed commits that do not change keep it.
+   * @param {Array} revisions - Revisions returned by resolveRewriteScope
+   * @param {Array} targets - Full hashes of the commits that will change (default: any commit may change)
+   * @returns {Object} {signed, affected, rewritten}: a Set of every signed commit in the revisions, the
+   *   signed commits that will be rewritten, oldest first, and a Set of every commit that will be rewritten
+   */
+  checkSignatures(revisions, targets = null) {
+    const result = this.executeGitCommand(['rev-list', '--header', '--topo-order', '--reverse', ...revisions], {
+      maxBuffer: 512 * 1024 * 1024
+    });
+    if (result.status !== 0) {
+      throw new Error(result.stderr.trim() || 'Cannot list the commits to rewrite');
+    }
+
+    const targetSet = targets ? new Set(targets) : null;
+    const rewritten = new Set();
+    const signed = new Set();
+    const affected = [];
+
+    // Records are '<hash>\n<raw headers>\n\n<indented message>', separated by NUL
+    result.stdout.split('\0').filter(Boolean).forEach(record => {
+      const lines = record.substring(0, record.indexOf('\n\n')).split('\n');
+      const hash = lines[0];
+      const parents = lines.filter(line => line.startsWith('parent ')).map(line => line.substring(7));
+
+      if (!targetSet || targetSet.has(hash) || parents.some(parent => rewritten.has(parent))) {
+        rewritten.add(hash);
+      }
+      if (lines.some(line => /^gpgsig(-sha256)? /.test(line))) {
+        signed.add(hash);
+        if (rewritten.has(hash)) affected.push(hash);
+      }
+    });
+
+    return { signed, affected, rewritten };
+  }
+
+  /**
+   * Pre-flight check for rewritten commits that are already on a remote
+   * Compares the commits of a rewrite with the remote-tracking branches (as of the last fetch).
+   * Remote branches that contain them keep the old commits: the upstreams of the rewritten
+   * branches need a force push, and the other branches have to be rebased by their owners.
+   * @param {Array} revisions - Revisions returned by resolveRewriteScope
+   * @param {Set|Array} rewritten - Full hashes of the commits that will be rewritten (see checkSignatures)
+   * @returns {Object} {published, upstream, others}: the rewritten commits that are on a remote, oldest
+   *   first, the remote branches of the rewritten branches that contain them and every other remote
+   *   branch that contains them (as 'origin/main')
+   */
+  checkRemotes(revisions, rewritten) {
+    const report = { published: [], upstream: [], others: [] };
+    const remoteRefs = this.executeGitCommand(['for-each-ref', '--format=%(refname) %(symref)', 'refs/remotes'])
+      .stdout.split('\n')
+      .filter(line => line && !line.includes(' refs/'))
+      .map(line => line.trim());
+    if (remoteRefs.length === 0) {
+      return report;
+    }
+
+    const unpublished = this.executeGitCommand(['rev-list', ...revisions, '--not', ...remoteRefs], {
+      maxBuffer: 512 * 1024 * 1024
+    });
+    if (unpublished.status !== 0) {
+      throw new Error(unpublished.stderr.trim() || 'Cannot compare the commits to rewrite with the remote branches');
+    }
+    const local = new Set(unpublished.stdout.split('\n').filter(Boolean));
+    report.published = [...rewritten].filter(hash => !local.has(hash));
+    if (report.published.length === 0) {
+      return report;
+    }
+
+    // A branch's remote is its configured upstream, or a remote branch with the same name
+    const upstreams = new Map(this.executeGitCommand(['for-each-ref', '--format=%(refname) %(upstream)', 'refs/heads'])
+      .stdout.split('\n').filter(Boolean).map(line => line.split(' ')));
+    const tips = revisions
+      .filter(revision => !revision.startsWith('^'))
+      .map(revision => revision === 'HEAD' ? this.executeGitCommand(['symbolic-ref', '--quiet', 'HEAD']).stdout.trim() : revision)
+      .filter(ref => ref.startsWith('refs/heads/'));
+    const isUpstream = ref => tips.some(tip => upstreams.get(tip) === ref ||
+      (!upstreams.get(tip) && ref.endsWith(`/${tip.substring(11)}`) && ref.split('/').length === tip.split('/').length + 1));
+
+    const containing = new Set();
+    for (let i = 0; i < report.published.length; i += 200) {
+      const args = ['for-each-ref', '--format=%(refname)'];
+      report.published.slice(i, i + 200).forEach(hash => args.push(`--contains=${hash}`));
+      this.executeGitCommand([...args, ...remoteRefs]).stdout.split('\n').filter(Boolean).forEach(ref => containing.add(ref));
+    }
+    containing.forEach(ref => (isUpstream(ref) ? report.upstream : report.others).push(ref.substring(13)));
+
+    const listed = report.published.slice(0, 5).map(hash => hash.substring(0, 7)).join(', ');
+    const more = report.published.length > 5 ? ` and ${report.published.length - 5} more` : '';
+    logger.warn(`${report.published.length} of the commits to rewrite are already on a remote: ${listed}${more}`);
+    if (report.upstream.length > 0) {
+      logger.warn(`The rewritten branches need a force push to ${report.upstream.join(', ')}`);
+    }
+    if (report.others.length > 0) {
+      logger.warn(`${report.others.length} other remote branches contain them and keep the old commits until their owners rebase: ${report.others.join(', ')}`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Get the key rewritten commits are signed with
+   * @returns {string} Configured user.signingkey (a GPG key ID or an SSH key, depending on gpg.format)
+   */
+  getSigningKey() {
+    const result = this.executeGitCommand(['config', '--get', 'user.signingkey']);
+    const signingKey = result.stdout.trim();
+
+    if (result.status !== 0 || !signingKey) {
+      throw new Error('Re-signing needs a signing key: set user.signingkey (and gpg.format for SSH keys)');
+    }
+
+    return signingKey;
+  }
+
+  /**
+   * Give rewritten commits their signatures back after fast-import
+   * Commits are visited parents first. A commit that was signed and only changed because
+   * fast-export dropped its signature is replaced by the original signed commit; with
+   * `resign` every other rewritten commit is signed with user.signingkey. Descendants are
+   * re-parented onto the result, and branches and tags are moved along.
+   * @param {Map} commitMap - Old hash -> hash written by fast-import (in import order)
+   * @param {Object} options - Options
+   * @param {Set} options.signed - Signed commits in the rewrite (see checkSignatures)
+   * @param {boolean} options.resign - Sign the rewritten commits
+   * @param {Array} options.revisions - Revisions of the rewrite, whose refs are moved to the final commits
+   * @param {string} options.gitDir - Repository the new commits are in (the scratch repository of a dry run)
+   * @returns {Object} {commitMap, resigned, lost}: old hash -> final hash, the number of commits
+   *   signed, and the signed commits that lost their signature
+   */
+  restoreSignatures(commitMap, options = {}) {
+    const signed = options.signed || new Set();
+    if (signed.size === 0 && !options.resign) {
+      return { commitMap, resigned: 0, lost: [] };
+    }
+
+    const git = (args, gitOptions = {}) => {
+      const result = this.executeGitCommand(options.gitDir ? [`--git-dir=${options.gitDir}`, ...args] : args, {
+        encoding: 'buffer',
+        ...gitOptions
+      });
+      if (result.status !== 0) {
+        throw new Error(`git ${args[0]} failed: ${result.stderr.toString().trim()}`);
+      }
+      return result.stdout;
+    };
+    const readCommit = (hash) => {
+      const raw = git(['cat-file', 'commit', hash]);
+      const end = raw.indexOf('\n\n');
+      return {
+        headers: raw.subarray(0, end).toString('utf8').split('\n'),
+        message: raw.subarray(end + 2)
+      };
+    };
+
+    const finalHashes = new Map();
+    const result = { commitMap: new Map(), resigned: 0, lost: [] };
+
+    commitMap.forEach((newHash, oldHash) => {
+      let finalHash = newHash;
+
+      if (newHash !== oldHash) {
+        const commit = readCommit(newHash);
+        const headers = commit.headers.map(line => {
+          const parent = line.startsWith('parent ') && line.substring(7);
+          return parent && finalHashes.has(parent) ? `parent ${finalHashes.get(parent)}` : line;
+        });
+
+        let unchanged = false;
+        if (signed.has(oldHash)) {
+          const original = readCommit(oldHash);
+          let inSignature = false;
+          const unsignedHeaders = original.headers.filter(line => {
+            // Signature headers continue on the lines that start with a space
+            if (!line.startsWith(' ')) inSignature = /^gpgsig(-sha256)? /.test(line);
+            return !inSignature;
+          });
+          unchanged = unsignedHeaders.join('\n') === headers.join('\n') && original.message.equals(commit.message);
         }
 
-        const processedCount = Object.keys(hashDateMap).length;
-        logger.success(`Successfully changed dates for ${processedCount} commits`);
+        if (unchanged) {
+          finalHash = oldHash;
+        } else if (options.resign) {
+          finalHash = this.signCommit(headers, commit.message, git);
+          result.resigned++;
+        } else if (headers.join('\n') !== commit.headers.join('\n')) {
+          const object = Buffer.concat([Buffer.from(`${headers.join('\n')}\n\n`, 'utf8'), commit.message]);
+          finalHash = git(['hash-object', '-t', 'commit', '-w', '--stdin'], { input: object }).toString().trim();
+        }
 
-        // BUG-018 fix: Clean up backup branch after successful operation
-        await this.cleanupBackupBranches([backupBranch]);
-        logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+        if (signed.has(oldHash) && !unchanged && !options.resign) {
+          result.lost.push(oldHash);
+        }
+      }
 
-        return { success: true, processed: processedCount };
+      finalHashes.set(newHash, finalHash);
+      result.commitMap.set(oldHash, finalHash);
+    });
 
-      } catch (error) {
-        // Restore from backup if something went wrong (keep backup on error)
-        await this.restoreFromBranch(backupBranch);
-        logger.info(`Backup branch ${backupBranch} preserved for recovery`);
-        throw error;
+    if (!options.gitDir) {
+      this.moveRewrittenRefs(options.revisions || [], finalHashes, git, { resign: options.resign });
+    }
+    if (result.resigned > 0) {
+      logger.info(`Signed ${result.resigned} rewritten commits`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Write a signed copy of a commit with `git commit-tree -S`
+   * commit-tree signs with user.signingkey in the format set by gpg.format (openpgp, x509 or ssh).
+   * @param {Array} headers - Raw header lines of the commit (tree, parent, author, committer)
+   * @param {Buffer} message - Raw commit message
+   * @param {Function} git - Runs a git command and returns its stdout
+   * @returns {string} Hash of the signed commit
+   */
+  signCommit(headers, message, git) {
+    const value = (keyword) => {
+      const line = headers.find(entry => entry.startsWith(`${keyword} `));
+      return line && line.substring(keyword.length + 1);
+    };
+
+    return this.writeCommit({
+      tree: value('tree'),
+      parents: headers.filter(line => line.startsWith('parent ')).map(line => line.substring(7)),
+      author: this.streamRewriter.parseIdentity(value('author')),
+      committer: this.streamRewriter.parseIdentity(value('committer')),
+      message,
+      sign: true
+    }, git);
+  }
+
+  /**
+   * Write a commit with `git commit-tree`, keeping the given identities and dates
+   * @param {Object} commit - {tree, parents, author, committer, message, sign}; identities are
+   *   {name, email, time, tz} and sign signs the commit with user.signingkey
+   * @param {Function} git - Runs a git command and returns its stdout
+   * @returns {string} Hash of the new commit
+   */
+  writeCommit(commit, git) {
+    const args = ['commit-tree', commit.tree];
+    if (commit.sign) args.push('-S');
+    commit.parents.forEach(parent => args.push('-p', parent));
+
+    return git(args, {
+      input: commit.message,
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: commit.author.name,
+        GIT_AUTHOR_EMAIL: commit.author.email,
+        GIT_AUTHOR_DATE: `@${commit.author.time} ${commit.author.tz}`,
+        GIT_COMMITTER_NAME: commit.committer.name,
+        GIT_COMMITTER_EMAIL: commit.committer.email,
+        GIT_COMMITTER_DATE: `@${commit.committer.time} ${commit.committer.tz}`
+      }
+    }).toString().trim();
+  }
+
+  /**
+   * Move the refs of a rewrite from the commits fast-import wrote to their final commits
+   * Annotated tags are written again pointing at the final commit. A signature would no longer
+   * verify, so it is dropped, or with `resign` the tag is signed again (see signTag).
+   * @param {Array} revisions - Revisions of the rewrite (^exclusions are skipped)
+   * @param {Map} finalHashes - Hash written by fast-import -> final hash
+   * @param {Function} git - Runs a git command and returns its stdout
+   * @param {Object} options - Options
+   * @param {boolean} options.resign - Sign the annotated tags that are moved
+   */
+  moveRewrittenRefs(revisions, finalHashes, git, options = {}) {
+    revisions.filter(revision => !revision.startsWith('^')).forEach(ref => {
+      const current = git(['rev-parse', '--verify', ref]).toString().trim();
+      const commit = git(['rev-parse', '--verify', `${ref}^{commit}`]).toString().trim();
+      const finalHash = finalHashes.get(commit);
+      if (!finalHash || finalHash === commit) {
+        return;
+      }
+
+      let target = finalHash;
+      if (current !== commit) {
+        const tag = git(['cat-file', 'tag', current]).toString('utf8');
+        if (!tag.startsWith(`object ${commit}\n`)) {
+          logger.warn(`${ref} does not point at its commit directly and was left on the imported commit`);
+          return;
+        }
+        const body = this.stripTagSignature(tag.substring(tag.indexOf('\n') + 1));
+        if (options.resign && ref.startsWith('refs/tags/')) {
+          this.signTag(ref.substring('refs/tags/'.length), finalHash, body, git);
+          return;
+        }
+        target = git(['mktag'], { input: Buffer.from(`object ${finalHash}\n${body}`, 'utf8') }).toString().trim();
+      }
+
+      git(['update-ref', '-m', 'gctm: restore commit signatures', ref, target, current]);
+    });
+  }
+
+  /**
+   * Drop the signature of a tag object
+   * Tags are signed with a block appended to their message (OpenPGP, SSH or X.509) and, in
+   * SHA-256 repositories, with gpgsig headers as well.
+   * @param {string} body - Raw tag object after its object line (type, tag, tagger, message)
+   * @returns {string} Tag without its signature
+   */
+  stripTagSignature(body) {
+    const end = body.indexOf('\n\n');
+    const headers = body.substring(0, end).split('\n');
+    let message = body.substring(end + 2);
+
+    let inSignature = false;
+    const unsignedHeaders = headers.filter(line => {
+      // Signature headers continue on the lines that start with a space
+      if (!line.startsWith(' ')) inSignature = /^gpgsig(-sha256)? /.test(line);
+      return !inSignature;
+    });
+
+    const signatures = [...message.matchAll(/^-----BEGIN (PGP SIGNATURE|PGP MESSAGE|SSH SIGNATURE|SIGNED MESSAGE)-----$/gm)];
+    if (signatures.length > 0) {
+      message = message.substring(0, signatures[signatures.length - 1].index);
+    }
+
+    return `${unsignedHeaders.join('\n')}\n\n${message}`;
+  }
+
+  /**
+   * Write a tag again, signed, with `git tag -s`
+   * The tag keeps its name, message, tagger and date; like commit-tree, git tag signs with
+   * user.signingkey in the format set by gpg.format.
+   * @param {string} name - Tag name
+   * @param {string} commit - Commit the tag points at
+   * @param {string} body - Unsigned tag object after its object line, see stripTagSignature
+   * @param {Function} git - Runs a git command and returns its stdout
+   */
+  signTag(name, commit, body, git) {
+    const end = body.indexOf('\n\n');
+    const taggerLine = body.substring(0, end).split('\n').find(line => line.startsWith('tagger '));
+    const tagger = taggerLine && this.streamRewriter.parseIdentity(taggerLine.substring(7));
+    const env = { ...process.env };
+    if (tagger) {
+      Object.assign(env, {
+        GIT_COMMITTER_NAME: tagger.name,
+        GIT_COMMITTER_EMAIL: tagger.email,
+        GIT_COMMITTER_DATE: `@${tagger.time} ${tagger.tz}`
+      });
+    }
+
+    git(['tag', '-s', '-f', '--cleanup=verbatim', '-F', '-', name, commit], {
+      input: Buffer.from(body.substring(end + 2), 'utf8'),
+      env
+    });
+  }
+
+  /**
+   * Run a rewrite against a scratch repository and describe what it would change
+   * The repository is left untouched; the new hashes are the ones a real rewrite produces,
+   * except for commits that `resign` would sign.
+   * A commit transform may return {files: [{path, matches}]} to list the files it changes.
+   * @param {Object} transforms - {commit, blob, tag} transforms, see FastExportRewriter.rewrite
+   * @param {Object} options - Options passed to FastExportRewriter.rewrite
+   * @param {Object} options.signatures - Result of checkSignatures for the revisions
+   * @returns {Promise<Object>} {commits, commitMap, plan} where plan is {refs, commits, signedCommits, resign} and each
+   *   planned commit is {oldHash, newHash, subject, authorDate, committerDate, author, committer, message, files};
+   *   authorDate, committerDate, author, committer and message are {old, new} when they change, null otherwise
+   */
+  async planRewrite(transforms, options = {}) {
+    const changes = new Map();
+
+    const signed = options.signatures ? options.signatures.signed : new Set();
+    const { commits, commitMap } = await this.streamRewriter.rewrite({
+      ...transforms,
+      commit: (commit) => {
+        const before = {
+          author: commit.author && { ...commit.author },
+          committer: { ...commit.committer },
+          message: commit.message
+        };
+        const details = (transforms.commit && transforms.commit(commit)) || {};
+
+        changes.set(commit.originalOid, {
+          subject: before.message.split('\n')[0],
+          authorDate: this.describeDateChange(before.author, commit.author),
+          committerDate: this.describeDateChange(before.committer, commit.committer),
+          author: this.describeIdentityChange(before.author, commit.author),
+          committer: this.describeIdentityChange(before.committer, commit.committer),
+          message: before.message !== commit.message ? { old: before.message, new: commit.message } : null,
+          files: details.files || []
+        });
+      }
+    }, {
+      ...options,
+      dryRun: true,
+      // Signatures are only made on a real run, so the plan keeps what can be kept without signing
+      afterImport: (map, gitDir) => this.restoreSignatures(map, { signed, gitDir }).commitMap
+    });
+
+    // Commits that keep their hash are not part of the plan
+    const planned = [];
+    changes.forEach((change, oldHash) => {
+      const newHash = commitMap.get(oldHash);
+      if (newHash && newHash !== oldHash) {
+        planned.push({ oldHash, newHash, ...change });
+      }
+    });
+
+    return {
+      commits,
+      commitMap,
+      plan: {
+        refs: (options.revisions || []).filter(revision => !revision.startsWith('^')),
+        commits: planned,
+        signedCommits: options.signatures ? options.signatures.affected : [],
+        resign: Boolean(options.resign)
+      }
+    };
+  }
+
+  /**
+   * Describe how an author or committer date changes
+   * @param {Object} before - Identity before the transform
+   * @param {Object} after - Identity after the transform
+   * @returns {Object|null} {old, new} ISO dates, or null when the date is unchanged
+   */
+  describeDateChange(before, after) {
+    if (!before || !after || (before.time === after.time && before.tz === after.tz)) {
+      return null;
+    }
+
+    return {
+      old: this.streamRewriter.formatGitTime(before),
+      new: this.streamRewriter.formatGitTime(after)
+    };
+  }
+
+  /**
+   * Describe how an author or committer name/email changes
+   * @param {Object} before - Identity before the transform
+   * @param {Object} after - Identity after the transform
+   * @returns {Object|null} {old, new} as 'Name <email>', or null when the identity is unchanged
+   */
+  describeIdentityChange(before, after) {
+    if (!before || !after || (before.name === after.name && before.email === after.email)) {
+      return null;
+    }
+
+    const format = identity => `${identity.name} <${identity.email}>`;
+    return { old: format(before), new: format(after) };
+  }
+
+  /**
+   * Store the commit map of a finished rewrite with its backup in .gctm-backups
+   * Only commits whose hash changed are recorded. The history has already been
+   * rewritten at this point, so a map that cannot be stored is only a warning.
+   * @param {Map} commitMap - Old hash -> new hash
+   * @param {Object} options - Options
+   * @param {string} options.backupId - Backup to store the map with (default: a new map-only entry)
+   * @param {string} options.operation - Operation that rewrote the history
+   * @returns {Promise<string|null>} Backup ID the map was stored under
+   */
+  async recordCommitMap(commitMap, options = {}) {
+    const changed = new Map(Array.from(commitMap).filter(([oldHash, newHash]) => oldHash !== newHash));
+    if (changed.size === 0) {
+      return null;
+    }
+
+    const result = await new BackupManager(this.repoPath).saveCommitMap(changed, options);
+    if (!result.success) {
+      logger.warn(`Could not store the commit map: ${result.error}`);
+      return null;
+    }
+
+    logger.info(`Commit map of ${changed.size} commits stored under ${result.backupId}`);
+    return result.backupId;
+  }
+
+  /**
+   * Resolve the commits the refs of a rewrite point to
+   * @param {Array} revisions - Revisions returned by resolveRewriteScope
+   * @returns {Object} Ref name -> commit hash
+   */
+  resolveTips(revisions) {
+    const tips = {};
+    revisions.filter(revision => !revision.startsWith('^')).forEach(ref => {
+      tips[ref] = this.streamRewriter.resolveCommit(ref);
+    });
+    return tips;
+  }
+
+  /**
+   * Work out the commit map of a filter-branch rewrite
+   * filter-branch keeps the shape of the history, so walking the old and the new
+   * history from each ref in step pairs every commit with its rewritten version.
+   * @param {Array} revisions - Revisions that were rewritten (refs and ^exclusions)
+   * @param {Object} oldTips - Ref name -> commit hash before the rewrite (see resolveTips)
+   * @returns {Map} Old hash -> new hash
+   */
+  mapRewrittenCommits(revisions, oldTips) {
+    const exclusions = revisions.filter(revision => revision.startsWith('^'));
+    const readGraph = (tips) => {
+      const graph = new Map();
+      const result = this.executeGitCommand(['rev-list', '--parents', ...tips, ...exclusions]);
+      result.stdout.split('\n').filter(Boolean).forEach(line => {
+        const [hash, ...parents] = line.split(' ');
+        graph.set(hash, parents);
+      });
+      return graph;
+    };
+
+    const newTips = this.resolveTips(Object.keys(oldTips));
+    const oldGraph = readGraph(Object.values(oldTips));
+    const newGraph = readGraph(Object.values(newTips));
+    const commitMap = new Map();
+    const pending = Object.keys(oldTips).map(ref => [oldTips[ref], newTips[ref]]);
+
+    while (pending.length > 0) {
+      const [oldHash, newHash] = pending.pop();
+      if (commitMap.has(oldHash) || !oldGraph.has(oldHash) || !newGraph.has(newHash)) {
+        continue;
+      }
+
+      commitMap.set(oldHash, newHash);
+      const newParents = newGraph.get(newHash);
+      oldGraph.get(oldHash).forEach((parent, index) => {
+        if (newParents[index]) pending.push([parent, newParents[index]]);
+      });
+    }
+
+    return commitMap;
+  }
+
+  /**
+   * Change commit dates using git filter-branch (fallback engine)
+   * @param {Array} commitsWithNewDates - Array of {hash, newDate, authorDate, committerDate} objects
+   * @param {Object} options - Options (see changeCommitDates)
+   * @returns {Promise<Object>} Operation result
+   */
+  async changeCommitDatesWithFilterBranch(commitsWithNewDates, options = {}) {
+    let backupBranch = null;
+
+    try {
+      logger.info('Starting Git history rewrite for date changes...');
+
+      // Create backup branch
+      backupBranch = await this.createBackupBranch();
+
+      try {
+        // Get current state
+        this.originalBranch = await this.getCurrentBranch();
+
+        // Create hash to date mapping for filter
+        const hashDateMap = {};
+        for (const commitData of commitsWithNewDates) {
+          if (this.isValidHash(commitData.hash)) {
+            const dates = this.resolveCommitDates(commitData);
+            if (dates.author || dates.committer) {
+              hashDateMap[commitData.hash] = dates;
+            }
+          }
+        }
+
+        const revisions = this.resolveRewriteScope(
+          options.scope,
+          Object.keys(hashDateMap).map(hash => this.streamRewriter.resolveCommit(hash))
+        );
+        const oldTips = this.resolveTips(revisions);
+
+        // Build the filter script that will be executed for each commit
+        const envFilter = this.buildDateFilterScript(hashDateMap);
+
+        logger.info(`Processing ${Object.keys(hashDateMap).length} commits for date changes...`);
+
+        // Execute git filter-branch to rewrite the scoped commits at once
+        const { commitMap } = await this.withCheckout(async () => {
+          await this.runFilterBranch(['--env-filter', envFilter, '--force', '--', ...revisions]);
+          return { commitMap: this.mapRewrittenCommits(revisions, oldTips) };
+        });
+
+        await this.removeDateEnvFile();
+
+        const processedCount = Object.keys(hashDateMap).length;
+        logger.success(`Successfully changed dates for ${processedCount} commits`);
+
+        // BUG-018 fix: Clean up backup branch after successful operation
+        await this.cleanupBackupBranches([backupBranch]);
+        logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+
+        const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'redate' });
+
+        return { success: true, processed: processedCount, commitMap, backupId };
+
+      } catch (error) {
+        await this.removeDateEnvFile();
+        // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+        await this.restoreFromBranch(backupBranch);
+        throw error;
+      }
+
+    } catch (error) {
+      logger.error(`Failed to rewrite Git history: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resolve the author and committer dates requested for a commit
+   * @param {Object|string} commitData - {newDate, authorDate, committerDate} or a date string
+   * @returns {Object} {author, committer} where null means "keep the original"
+   */
+  resolveCommitDates(commitData) {
+    const data = typeof commitData === 'string' ? { newDate: commitData } : (commitData || {});
+    const pick = (value) => (value === undefined ? data.newDate : value) || null;
+    const dates = {
+      author: pick(data.authorDate !== undefined ? data.authorDate : data.author),
+      committer: pick(data.committerDate !== undefined ? data.committerDate : data.committer)
+    };
+
+    // SECURITY: The filter-branch engine puts dates in a shell script and a line-based mapping file
+    Object.values(dates).forEach(date => {
+      if (date !== null && (typeof date !== 'string' || /['"|\n\r\\$`]/.test(date))) {
+        throw new Error(`Invalid date value: ${date}`);
+      }
+    });
+
+    return dates;
+  }
+
+  /**
+   * Build the date filter script for git filter-branch
+   * Uses environment file approach to avoid Windows Git bash quote escaping issues.
+   * Dates are passed through verbatim, so a value such as '2024-03-01 09:30:00 +0300'
+   * keeps its UTC offset in the rewritten commit.
+   * @param {Object} hashDateMap - Mapping of commit hash to a new date (both fields)
+   *   or to {author, committer} (a null field keeps the original date)
+   * @returns {string} Shell script for env filter
+   */
+  buildDateFilterScript(hashDateMap) {
+    // Create a temporary environment file with all the date mappings
+    const tempEnvFile = path.join(os.tmpdir(), `gctm-date-env-${process.pid}-${Date.now()}`);
+
+    try {
+      // Create environment file with simple format: HASH=AUTHOR_DATE|COMMITTER_DATE
+      const envContent = Object.entries(hashDateMap)
+        .map(([hash, date]) => {
+          const dates = this.resolveCommitDates(date);
+          return `${hash}=${dates.author || ''}|${dates.committer || ''}`;
+        })
+        .join('\n');
+
+      // Trailing newline so the last mapping is read by `while read`
+      fs.writeFileSync(tempEnvFile, envContent + '\n', 'utf8');
+      this.dateEnvFile = tempEnvFile;
+
+      logger.debug(`Created environment file with ${Object.keys(hashDateMap).length} date mappings`);
+
+    } catch (error) {
+      logger.warn(`Failed to create environment file: ${error.message}`);
+      // Fallback to simple case statement without complex quotes
+      return this.buildSimpleCaseStatement(hashDateMap);
+    }
+
+    // Return a shell script that sources the environment file
+    return `#!/bin/sh
+# Date filter for Git filter-branch - Environment file approach
+# Load date mappings from environment file
+if [ -f "${tempEnvFile}" ]; then
+  # Read the environment file line by line
+  while IFS='=' read -r commit_hash new_dates; do
+    if [ "$GIT_COMMIT" = "$commit_hash" ]; then
+      author_date="\${new_dates%%|*}"
+      committer_date="\${new_dates#*|}"
+      if [ -n "$author_date" ]; then
+        export GIT_AUTHOR_DATE="$author_date"
+      fi
+      if [ -n "$committer_date" ]; then
+        export GIT_COMMITTER_DATE="$committer_date"
+      fi
+      break
+    fi
+  done < "${tempEnvFile}"
+fi`;
+  }
+
+  /**
+   * Build a simple case statement as fallback for environment file approach
+   * @param {Object} hashDateMap - Mapping of commit hash to new date
+   * @returns {string} Simple shell script for env filter
+   */
+  buildSimpleCaseStatement(hashDateMap) {
+    // Use minimal quoting and simple syntax for Windows Git bash compatibility
+    const caseEntries = Object.entries(hashDateMap).map(([hash, date]) => {
+      const dates = this.resolveCommitDates(date);
+      // Dates contain spaces (time and UTC offset), so they must be quoted
+      const assignments = [
+        dates.author ? `GIT_AUTHOR_DATE='${dates.author}'` : '',
+        dates.committer ? `GIT_COMMITTER_DATE='${dates.committer}'` : ''
+      ].filter(Boolean).join(' ');
+      return `    ${hash}) ${assignments} ;;`;
+    });
+
+    return `#!/bin/sh
+# Simple date filter for Git filter-branch
+case "$GIT_COMMIT" in${caseEntries.join('\n')}
+    *) ;;
+esac`;
+  }
+
+  /**
+   * Run git filter-branch in a temporary worktree
+   * filter-branch refuses to run with uncommitted changes and checks out the branch it
+   * rewrote when it is done; in a worktree of its own neither concerns the user's checkout,
+   * while the refs it moves are shared with the repository.
+   * @param {Array} args - filter-branch arguments
+   */
+  async runFilterBranch(args) {
+    const worktree = await this.createTempWorktree();
+
+    try {
+      const result = this.executeGitCommand(['filter-branch', ...args], { cwd: worktree });
+      if (result.status !== 0) {
+        throw new Error(`Git filter-branch failed: ${result.stderr}`);
+      }
+    } finally {
+      await this.removeTempWorktree(worktree);
+    }
+  }
+
+  /**
+   * Create a temporary linked worktree with a detached HEAD at the current commit
+   * @returns {Promise<string>} Path of the worktree
+   */
+  async createTempWorktree() {
+    const worktree = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-temp-worktree-'));
+    const result = this.executeGitCommand(['worktree', 'add', '--detach', '-q', '-f', worktree, 'HEAD']);
+
+    if (result.status !== 0) {
+      await fs.remove(worktree);
+      throw new Error(`Cannot create temporary worktree: ${result.stderr.trim()}`);
+    }
+
+    return worktree;
+  }
+
+  /**
+   * Remove a worktree created by createTempWorktree
+   * @param {string} worktree - Path of the worktree
+   */
+  async removeTempWorktree(worktree) {
+    this.executeGitCommand(['worktree', 'remove', '--force', worktree]);
+
+    try {
+      await fs.remove(worktree);
+    } catch (error) {
+      logger.debug(`Failed to remove temporary worktree: ${error.message}`);
+    }
+    this.executeGitCommand(['worktree', 'prune']);
+  }
+
+  /**
+   * Remove the environment file created by buildDateFilterScript
+   * The filter runs once per commit, so the file can only be removed after
+   * filter-branch has finished.
+   */
+  async removeDateEnvFile() {
+    if (!this.dateEnvFile) {
+      return;
+    }
+
+    try {
+      await fs.remove(this.dateEnvFile);
+    } catch (error) {
+      logger.debug(`Failed to remove date environment file: ${error.message}`);
+    }
+    this.dateEnvFile = null;
+  }
+
+  /**
+   * Rewrite author and committer names/emails in one pass over the history
+   * @param {Array} mappings - Identity mappings, see IdentityMapper.normalizeMappings
+   * @param {Object} options - Options
+   * @param {string} options.identityField - Identity to rewrite: 'author', 'committer' or 'both' (default)
+   * @param {Object} options.scope - Branches/commits to rewrite, see FastExportRewriter.resolveScope
+   *   (default: every branch and tag with a matching commit)
+   * @param {boolean} options.dryRun - Only return the plan of the rewrite (see planRewrite)
+   * @param {string} options.backupId - Backup to store the commit map with (see recordCommitMap)
+   * @param {boolean} options.resume - Continue an interrupted rewrite of the same arguments (see resumeRewrite)
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with `commitMap` (old hash -> new hash), `backupId` and `signatures`
+   */
+  async rewriteIdentities(mappings, options = {}) {
+    let backupBranch = null;
+
+    try {
+      const identityMapper = new IdentityMapper();
+      const normalized = identityMapper.normalizeMappings(mappings);
+      const identityField = options.identityField || 'both';
+      if (!['author', 'committer', 'both'].includes(identityField)) {
+        throw new Error(`Invalid identity field: ${identityField}. Use author, committer or both`);
+      }
+      const fields = identityField === 'both' ? ['author', 'committer'] : [identityField];
+
+      logger.info(`${options.dryRun ? 'Planning' : 'Starting'} Git history rewrite for identity changes...`);
+
+      const targets = this.findIdentityTargets(this.streamRewriter.resolveScope(options.scope), normalized, fields);
+      if (targets.length === 0) {
+        logger.info('No commits match the identity mappings');
+        const result = { success: true, processed: 0, commitMap: new Map() };
+        return options.dryRun ? { ...result, dryRun: true, plan: { refs: [], commits: [], signedCommits: [] } } : result;
+      }
+
+      // Create backup branch (a dry run changes nothing, so it needs none)
+      if (!options.dryRun) {
+        backupBranch = await this.createBackupBranch(options);
+      }
+
+      try {
+        this.originalBranch = await this.getCurrentBranch();
+
+        const revisions = this.resolveRewriteScope(options.scope, targets);
+        logger.info(`Processing ${targets.length} commits for identity changes...`);
+
+        let processedCount = 0;
+        const { commitMap, plan, signatures, remotes } = await this.rewriteHistory({
+          commit: (commit) => {
+            let changed = false;
+            fields.forEach(field => {
+              const mapped = commit[field] && identityMapper.mapIdentity(commit[field], normalized);
+              if (mapped) {
+                Object.assign(commit[field], mapped);
+                changed = true;
+              }
+            });
+            if (changed) processedCount++;
+          }
+        }, {
+          revisions,
+          targets,
+          resign: options.resign,
+          dryRun: options.dryRun,
+          journal: { operation: 'rewrite-author', args: [mappings, options], backupBranch },
+          resume: options.resume
+        });
+
+        if (plan) {
+          logger.info(`Dry run: identities of ${processedCount} commits would change`);
+          return { success: true, dryRun: true, processed: processedCount, commitMap, plan };
+        }
+
+        logger.success(`Successfully changed identities of ${processedCount} commits`);
+
+        await this.cleanupBackupBranches([backupBranch]);
+        logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+
+        const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'rewrite-author' });
+
+        return { success: true, processed: processedCount, commitMap, backupId, signatures, remotes };
+
+      } catch (error) {
+        // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+        if (backupBranch) {
+          await this.restoreFromBranch(backupBranch);
+        }
+        throw error;
+      }
+
+    } catch (error) {
+      logger.error(`Failed to rewrite identities: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Find the commits whose author or committer an identity rewrite changes
+   * @param {Array} revisions - Revisions to look at
+   * @param {Array} mappings - Normalized identity mappings
+   * @param {Array} fields - 'author' and/or 'committer'
+   * @returns {Array} Full hashes of the matching commits
+   */
+  findIdentityTargets(revisions, mappings, fields) {
+    const result = this.executeGitCommand(['log', '--format=%H%x00%an%x00%ae%x00%cn%x00%ce', ...revisions], {
+      maxBuffer: 512 * 1024 * 1024
+    });
+    if (result.status !== 0) {
+      throw new Error(result.stderr.trim() || 'Cannot list the commits to rewrite');
+    }
+
+    const identityMapper = new IdentityMapper();
+    const targets = [];
+
+    result.stdout.split('\n').filter(Boolean).forEach(line => {
+      const [hash, authorName, authorEmail, committerName, committerEmail] = line.split('\0');
+      const identities = {
+        author: { name: authorName, email: authorEmail },
+        committer: { name: committerName, email: committerEmail }
+      };
+      if (fields.some(field => identityMapper.mapIdentity(identities[field], mappings))) {
+        targets.push(hash);
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Edit the messages of every commit in scope in one pass over the history
+   * @param {Object} edits - Message edits, see MessageEditor.normalizeEdits
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite, see FastExportRewriter.resolveScope
+   *   (default: every branch and tag with a commit whose message changes)
+   * @param {boolean} options.dryRun - Only return the plan of the rewrite (see planRewrite)
+   * @param {string} options.backupId - Backup to store the commit map with (see recordCommitMap)
+   * @param {boolean} options.resume - Continue an interrupted rewrite of the same arguments (see resumeRewrite)
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with `commitMap` (old hash -> new hash), `backupId` and `signatures`
+   */
+  async rewriteMessages(edits, options = {}) {
+    let backupBranch = null;
+
+    try {
+      const messageEditor = new MessageEditor();
+      const normalized = messageEditor.normalizeEdits(edits);
+
+      logger.info(`${options.dryRun ? 'Planning' : 'Starting'} Git history rewrite for commit message edits...`);
+
+      const targets = this.findMessageTargets(this.streamRewriter.resolveScope(options.scope), normalized);
+      if (targets.length === 0) {
+        logger.info('No commit messages change with these edits');
+        const result = { success: true, processed: 0, commitMap: new Map() };
+        return options.dryRun ? { ...result, dryRun: true, plan: { refs: [], commits: [], signedCommits: [] } } : result;
+      }
+
+      // Create backup branch (a dry run changes nothing, so it needs none)
+      if (!options.dryRun) {
+        backupBranch = await this.createBackupBranch(options);
+      }
+
+      try {
+        this.originalBranch = await this.getCurrentBranch();
+
+        const revisions = this.resolveRewriteScope(options.scope, targets);
+        logger.info(`Editing the messages of ${targets.length} commits...`);
+
+        let processedCount = 0;
+        const { commitMap, plan, signatures, remotes } = await this.rewriteHistory({
+          commit: (commit) => {
+            const message = messageEditor.applyEdits(commit.message, normalized);
+            if (message !== commit.message) {
+              commit.message = message;
+              processedCount++;
+            }
+          }
+        }, {
+          revisions,
+          targets,
+          resign: options.resign,
+          dryRun: options.dryRun,
+          journal: { operation: 'edit-messages', args: [edits, options], backupBranch },
+          resume: options.resume
+        });
+
+        if (plan) {
+          logger.info(`Dry run: messages of ${processedCount} commits would change`);
+          return { success: true, dryRun: true, processed: processedCount, commitMap, plan };
+        }
+
+        logger.success(`Successfully edited the messages of ${processedCount} commits`);
+
+        await this.cleanupBackupBranches([backupBranch]);
+        logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+
+        const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'edit-messages' });
+
+        return { success: true, processed: processedCount, commitMap, backupId, signatures, remotes };
+
+      } catch (error) {
+        // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+        if (backupBranch) {
+          await this.restoreFromBranch(backupBranch);
+        }
+        throw error;
+      }
+
+    } catch (error) {
+      logger.error(`Failed to edit commit messages: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Find the commits whose message a bulk message edit changes
+   * @param {Array} revisions - Revisions to look at
+   * @param {Object} edits - Normalized message edits
+   * @returns {Array} Full hashes of the matching commits
+   */
+  findMessageTargets(revisions, edits) {
+    const result = this.executeGitCommand(['log', '-z', '--format=%H%n%B', ...revisions], {
+      maxBuffer: 512 * 1024 * 1024
+    });
+    if (result.status !== 0) {
+      throw new Error(result.stderr.trim() || 'Cannot list the commits to rewrite');
+    }
+
+    const messageEditor = new MessageEditor();
+    const targets = [];
+
+    result.stdout.split('\0').filter(Boolean).forEach(record => {
+      const separator = record.indexOf('\n');
+      const hash = record.substring(0, separator);
+      const message = record.substring(separator + 1);
+      const edited = messageEditor.applyEdits(message, edits);
+
+      if (edited !== message) {
+        if (edited.trim().length === 0) {
+          throw new Error(`The edits would leave commit ${hash.substring(0, 7)} without a message`);
+        }
+        targets.push(hash);
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Squash, reorder and drop the commits of a branch, like a non-interactive rebase
+   * Every commit between the base and the branch tip has to be in the plan. Commits are
+   * applied with `git merge-tree` (git 2.38 or newer), so nothing is checked out while the
+   * new history is built, and a commit that does not apply cleanly aborts the restructure
+   * before the branch moves.
+   * @param {Array} steps - Plan steps, see RestructurePlanner.normalizeSteps
+   * @param {Object} options - Options
+   * @param {string} options.branch - Branch to restructure (default: the current branch)
+   * @param {string} options.base - Commit the new history starts from (default: the parent of
+   *   the oldest commit in the plan)
+   * @param {Function} options.generateMessage - async ({commits, message, diff}) => message of a
+   *   squashed commit (default: the messages of the squashed commits, combined)
+   * @param {boolean} options.dryRun - Only return the plan, see buildRestructuredHistory
+   * @param {string} options.backupId - Backup to store the commit map with (see recordCommitMap)
+   * @param {boolean} options.resign - Sign the new commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with `commitMap` (old hash -> new hash; dropped
+   *   commits are left out), `dropped`, `backupId`, `signatures` and `remotes` (see checkRemotes)
+   */
+  async restructureHistory(steps, options = {}) {
+    let scratchDir = null;
+
+    try {
+      const normalized = new RestructurePlanner().normalizeSteps(steps);
+
+      logger.info(`${options.dryRun ? 'Planning' : 'Starting'} restructure of the branch history...`);
+
+      const ref = this.streamRewriter.resolveRef(options.branch || 'HEAD');
+      if (!ref.startsWith('refs/heads/')) {
+        throw new Error(`${options.branch} is not a branch`);
+      }
+      const oldTip = this.streamRewriter.resolveCommit(ref);
+      const layout = this.resolveRestructurePlan(normalized, ref, options.base);
+
+      if (options.resign) {
+        logger.info(`New commits will be signed with ${this.getSigningKey()}`);
+      }
+      const { signed } = this.checkSignatures(layout.base ? [ref, `^${layout.base}`] : [ref], []);
+
+      scratchDir = options.dryRun ? await this.streamRewriter.createScratchRepository() : null;
+      const built = await this.buildRestructuredHistory(layout, {
+        gitDir: scratchDir,
+        resign: options.resign && !options.dryRun,
+        generateMessage: options.generateMessage
+      });
+
+      const changed = built.groups.filter(group => group.newHash !== group.oldHash);
+      const affected = [...built.commitMap].filter(([oldHash, newHash]) => signed.has(oldHash) && oldHash !== newHash)
+        .map(([oldHash]) => oldHash);
+      if (affected.length > 0 && !options.resign) {
+        logger.warn(`${affected.length} signed commits will lose their signatures (use --resign to sign them again)`);
+      }
+      const remotes = this.checkRemotes([ref], [...built.commitMap]
+        .filter(([oldHash, newHash]) => oldHash !== newHash).map(([oldHash]) => oldHash).concat(layout.dropped));
+
+      if (options.dryRun) {
+        logger.info(`Dry run: ${changed.length} new commits, ${layout.dropped.length} dropped`);
+        return {
+          success: true,
+          dryRun: true,
+          processed: changed.length,
+          commitMap: built.commitMap,
+          dropped: layout.dropped,
+          plan: {
+            refs: built.newTip !== oldTip ? [ref] : [],
+            commits: changed.map(group => ({
+              oldHash: group.oldHash,
+              newHash: group.newHash,
+              subject: group.subject,
+              authorDate: null,
+              committerDate: null,
+              author: null,
+              committer: null,
+              message: group.message,
+              files: [],
+              squashed: group.commits.slice(1)
+            })),
+            dropped: layout.dropped,
+            signedCommits: affected,
+            resign: Boolean(options.resign),
+            remotes
+          }
+        };
+      }
+
+      if (built.newTip === oldTip) {
+        logger.info('The plan keeps the history as it is');
+        return { success: true, processed: 0, commitMap: built.commitMap, dropped: [] };
+      }
+
+      await this.replaceBranchHistory(ref, oldTip, built.newTip, built.commitMap, layout.dropped);
+
+      logger.success(`Successfully restructured ${ref.substring(11)}: ${changed.length} new commits, ${layout.dropped.length} dropped`);
+
+      const backupId = await this.recordCommitMap(built.commitMap, { backupId: options.backupId, operation: 'restructure' });
+
+      return {
+        success: true,
+        processed: changed.length,
+        commitMap: built.commitMap,
+        dropped: layout.dropped,
+        backupId,
+        signatures: { signed: affected, resigned: options.resign ? changed.length : 0, lost: options.resign ? [] : affected },
+        remotes
+      };
+
+    } catch (error) {
+      logger.error(`Failed to restructure history: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      if (scratchDir) {
+        await fs.remove(scratchDir).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Split a commit into several commits that each apply part of its file changes
+   * The commits after it on the branch are written again on top of the last part, which has
+   * the tree of the original commit. The parts keep the original author and committer; the
+   * first keeps the original dates and the others are spread between them and the dates of
+   * the next commit (one minute apart when the commit is the branch tip, and all on the original
+   * dates when the next commit is not later).
+   * @param {string} commitHash - Commit to split (hash, or a revision such as HEAD~1)
+   * @param {Object} options - Options
+   * @param {string} options.by - 'file' (one commit per file, the default), 'directory' or 'glob'
+   * @param {Array} options.patterns - Path globs for 'glob', in git pathspec syntax (e.g. 'src/**\/*.js');
+   *   a file goes with the first pattern it matches, and files matching none go in a last commit
+   * @param {string} options.branch - Branch with the commit (default: the current branch)
+   * @param {Function} options.generateMessage - async ({files, message, diff}) => message of a part
+   *   (default: the original subject with the part's files or directory, and the original body)
+   * @param {boolean} options.dryRun - Only return the plan; the plan lists the new commits as `splits`
+   * @param {string} options.backupId - Backup to store the commit map with (see recordCommitMap)
+   * @param {boolean} options.resign - Sign the new commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with the new `commits`, `commitMap` (the split commit
+   *   maps to the last part), `backupId`, `signatures` and `remotes` (see checkRemotes)
+   */
+  async splitCommit(commitHash, options = {}) {
+    let scratchDir = null;
+
+    try {
+      const by = options.by || 'file';
+      if (!['file', 'directory', 'glob'].includes(by)) {
+        throw new Error(`Invalid split mode: ${by}. Use file, directory or glob`);
+      }
+      if (by === 'glob' && (!Array.isArray(options.patterns) || options.patterns.length === 0)) {
+        throw new Error('Splitting by glob needs at least one pattern');
+      }
+
+      logger.info(`${options.dryRun ? 'Planning' : 'Starting'} split of commit ${commitHash}...`);
+
+      const ref = this.streamRewriter.resolveRef(options.branch || 'HEAD');
+      if (!ref.startsWith('refs/heads/')) {
+        throw new Error(`${options.branch} is not a branch`);
+      }
+      const oldTip = this.streamRewriter.resolveCommit(ref);
+      const target = this.streamRewriter.resolveCommit(commitHash);
+      if (this.executeGitCommand(['merge-base', '--is-ancestor', target, ref]).status !== 0) {
+        throw new Error(`Commit ${commitHash} is not on ${ref.substring(11)}`);
+      }
+
+      const parents = this.executeGitCommand(['rev-list', '--parents', '-n', '1', target]).stdout.trim().split(' ').slice(1);
+      if (parents.length > 1) {
+        throw new Error(`Merge commit ${commitHash} cannot be split: its changes differ for each of its ${parents.length} parents`);
+      }
+
+      // The commits after the split one are replayed one parent at a time, which a merge cannot be
+      const merge = this.executeGitCommand(['rev-list', '--merges', '-n', '1', ref, `^${target}`]).stdout.trim();
+      if (merge) {
+        throw new Error(`Merge commit ${merge.substring(0, 7)} comes after ${commitHash} on ${ref.substring(11)} and cannot be ` +
+          'written again on top of the split commits; only commits after the last merge can be split');
+      }
+
+      // The commits after the split one are picked again, as in a restructure
+      const descendants = this.executeGitCommand(['rev-list', '--reverse', '--topo-order', ref, `^${target}`])
+        .stdout.split('\n').filter(Boolean);
+      const layout = this.resolveRestructurePlan(descendants.map(hash => ({ action: 'pick', commit: hash })), ref, target);
+
+      if (options.resign) {
+        logger.info(`New commits will be signed with ${this.getSigningKey()}`);
+      }
+      const { signed } = this.checkSignatures(parents.length ? [ref, `^${parents[0]}`] : [ref], []);
+
+      scratchDir = options.dryRun ? await this.streamRewriter.createScratchRepository() : null;
+      const git = this.createGitRunner(scratchDir);
+      const resign = options.resign && !options.dryRun;
+
+      const parts = await this.buildSplitCommits(target, {
+        by,
+        patterns: options.patterns,
+        child: descendants[0] || null,
+        git,
+        resign,
+        generateMessage: options.generateMessage
+      });
+      const lastPart = parts[parts.length - 1].hash;
+
+      const built = await this.buildRestructuredHistory({ base: lastPart, groups: layout.groups, dropped: [] }, { gitDir: scratchDir, resign });
+      const commitMap = new Map([[target, lastPart], ...built.commitMap]);
+
+      const affected = [...commitMap].filter(([oldHash, newHash]) => signed.has(oldHash) && oldHash !== newHash)
+        .map(([oldHash]) => oldHash);
+      if (affected.length > 0 && !options.resign) {
+        logger.warn(`${affected.length} signed commits will lose their signatures (use --resign to sign them again)`);
+      }
+      const remotes = this.checkRemotes([ref], [...commitMap].filter(([oldHash, newHash]) => oldHash !== newHash).map(([oldHash]) => oldHash));
+
+      const subject = parts[0].original.split('\n')[0];
+      const changed = [{ oldHash: target, newHash: lastPart, subject }]
+        .concat(built.groups.filter(group => group.newHash !== group.oldHash));
+
+      if (options.dryRun) {
+        logger.info(`Dry run: commit ${commitHash} would be split into ${parts.length} commits`);
+        return {
+          success: true,
+          dryRun: true,
+          processed: parts.length,
+          commits: parts.map(part => part.hash),
+          commitMap,
+          plan: {
+            refs: [ref],
+            commits: changed.map(entry => ({
+              oldHash: entry.oldHash,
+              newHash: entry.newHash,
+              subject: entry.subject,
+              authorDate: null,
+              committerDate: null,
+              author: null,
+              committer: null,
+              message: null,
+              files: []
+            })),
+            splits: parts.map(({ hash, message, files, authorDate, committerDate }) => ({ hash, message, files, authorDate, committerDate })),
+            signedCommits: affected,
+            resign: Boolean(options.resign),
+            remotes
+          }
+        };
+      }
+
+      await this.replaceBranchHistory(ref, oldTip, built.newTip, commitMap);
+
+      logger.success(`Successfully split commit ${commitHash} into ${parts.length} commits`);
+
+      const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'split' });
+
+      return {
+        success: true,
+        processed: parts.length,
+        commits: parts.map(part => part.hash),
+        commitMap,
+        backupId,
+        signatures: { signed: affected, resigned: options.resign ? parts.length + built.groups.length : 0, lost: options.resign ? [] : affected },
+        remotes
+      };
+
+    } catch (error) {
+      logger.error(`Failed to split commit: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      if (scratchDir) {
+        await fs.remove(scratchDir).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Write the parts of a split commit on top of its parent
+   * Each part's tree is the previous one with the part's files taken from the split commit,
+   * built in a temporary index.
+   * @param {string} target - Full hash of the commit to split
+   * @param {Object} options - Options (by, patterns, generateMessage and resign as in splitCommit)
+   * @param {string} options.child - Commit after it on the branch, whose dates the parts are spread towards
+   * @param {Function} options.git - Runs a git command, see createGitRunner
+   * @returns {Promise<Array>} Parts as {hash, message, files, authorDate, committerDate, original}
+   */
+  async buildSplitCommits(target, options) {
+    const git = options.git;
+    const commit = this.readCommitObject(target, git);
+    const parentTree = commit.parent ? git(['rev-parse', `${commit.parent}^{tree}`]).trim() : git(['mktree'], { input: '' }).trim();
+
+    // Raw diff entries are ":<old mode> <new mode> <old oid> <new oid> <status>" followed by the path
+    const fields = git(['diff-tree', '-r', '-z', '--no-renames', parentTree, commit.tree]).split('\0');
+    const changes = [];
+    for (let i = 0; i + 1 < fields.length; i += 2) {
+      const [, mode, , oid] = fields[i].substring(1).split(' ');
+      changes.push({ mode, oid, path: fields[i + 1] });
+    }
+
+    let groups = [];
+    if (options.by === 'glob') {
+      const assigned = new Set();
+      options.patterns.forEach(pattern => {
+        const matched = git(['diff-tree', '-r', '-z', '--no-renames', '--name-only', parentTree, commit.tree, '--', `:(glob)${pattern}`])
+          .split('\0').filter(file => file && !assigned.has(file));
+        matched.forEach(file => assigned.add(file));
+        groups.push({ label: pattern, changes: changes.filter(change => matched.includes(change.path)) });
+      });
+      groups.push({ label: 'other files', changes: changes.filter(change => !assigned.has(change.path)) });
+    } else {
+      const byKey = new Map();
+      changes.forEach(change => {
+        const key = options.by === 'directory' ? path.posix.dirname(change.path) : change.path;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(change);
+      });
+      groups = [...byKey].map(([key, grouped]) => ({ label: key === '.' ? 'top-level files' : key, changes: grouped }));
+    }
+    groups = groups.filter(group => group.changes.length > 0);
+
+    if (groups.length < 2) {
+      throw new Error(`Commit ${target.substring(0, 7)} has no changes to split by ${options.by}`);
+    }
+
+    const child = options.child ? this.readCommitObject(options.child, git) : null;
+    const spread = (start, end, index) => {
+      if (!end) {
+        return { ...start, time: start.time + index * 60 };
+      }
+      if (end.time <= start.time) {
+        return start;
+      }
+      return { ...start, time: start.time + Math.floor((end.time - start.time) * index / groups.length) };
+    };
+
+    const [subject, ...body] = commit.message.replace(/\s+$/, '').split('\n');
+    const indexFile = path.join(os.tmpdir(), `gctm-split-index-${process.pid}-${Date.now()}`);
+    const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+    const parts = [];
+
+    try {
+      let tree = parentTree;
+      let parent = commit.parent;
+
+      for (const [index, group] of groups.entries()) {
+        git(['read-tree', tree], { env });
+        git(['update-index', '-z', '--index-info'], {
+          env,
+          input: group.changes.map(change => `${change.mode} ${change.oid}\t${change.path}\0`).join('')
+        });
+        const partTree = git(['write-tree'], { env }).trim();
+
+        const files = group.changes.map(change => change.path);
+        let message = `${subject} (${group.label})\n${body.length ? `${body.join('\n')}\n` : ''}`;
+        if (options.generateMessage) {
+          const generated = await options.generateMessage({ files, message: commit.message, diff: git(['diff', tree, partTree]) });
+          if (!generated || !String(generated).trim()) {
+            throw new Error(`No message was generated for part ${index + 1} of ${target.substring(0, 7)}`);
+          }
+          message = `${String(generated).trim()}\n`;
+        }
+
+        const author = spread(commit.author, child && child.author, index);
+        const committer = spread(commit.committer, child && child.committer, index);
+        const hash = this.writeCommit({ tree: partTree, parents: parent ? [parent] : [], author, committer, message, sign: options.resign }, git);
+
+        parts.push({
+          hash,
+          message,
+          files,
+          authorDate: this.streamRewriter.formatGitTime(author),
+          committerDate: this.streamRewriter.formatGitTime(committer),
+          original: commit.message
+        });
+        tree = partTree;
+        parent = hash;
       }
 
-    } catch (error) {
-      logger.error(`Failed to rewrite Git history: ${error.message}`);
-      return { success: false, error: error.message };
+      if (tree !== commit.tree) {
+        throw new Error(`The parts of ${target.substring(0, 7)} do not add up to its tree`);
+      }
+    } finally {
+      await fs.remove(indexFile).catch(() => {});
     }
+
+    return parts;
   }
 
   /**
-   * Build the date filter script for git filter-branch
-   * Uses environment file approach to avoid Windows Git bash quote escaping issues
-   * @param {Object} hashDateMap - Mapping of commit hash to new date
-   * @returns {string} Shell script for env filter
+   * Move a branch to a rebuilt history and check it out if it is the current branch
+   * A backup branch keeps the old tip until the branch has moved, and is restored if moving fails.
+   * @param {string} ref - Full ref name of the branch
+   * @param {string} oldTip - Commit the branch points at
+   * @param {string} newTip - Tip of the rebuilt history
+   * @param {Map} commitMap - Old hash -> new hash
+   * @param {Array} removed - Old commits that are not in the new history
    */
-  buildDateFilterScript(hashDateMap) {
-    // Create a temporary environment file with all the date mappings
-    const tempEnvFile = path.join(this.repoPath, '.gctm-date-env-' + Date.now());
-
-    try {
-      // Create environment file with simple format: HASH=DATE
-      const envContent = Object.entries(hashDateMap)
-        .map(([hash, date]) => `${hash}=${date}`)
-        .join('\n');
-
-      fs.writeFileSync(tempEnvFile, envContent, 'utf8');
+  async replaceBranchHistory(ref, oldTip, newTip, commitMap, removed = []) {
+    const replaced = [...commitMap].filter(([oldHash, newHash]) => oldHash !== newHash).map(([oldHash]) => oldHash);
+    const stale = this.findRefsContaining(replaced.concat(removed), ref);
+    if (stale.length > 0) {
+      logger.warn(`${stale.join(', ')} still contain the old commits and are not rewritten`);
+    }
 
-      logger.debug(`Created environment file with ${Object.keys(hashDateMap).length} date mappings`);
+    const backupBranch = await this.createBackupBranch();
 
+    try {
+      await this.withCheckout(async () => {
+        const updateResult = this.executeGitCommand(['update-ref', '-m', 'gctm: rebuild history', ref, newTip, oldTip]);
+        if (updateResult.status !== 0) {
+          throw new Error(`Cannot move ${ref}: ${updateResult.stderr.trim()}`);
+        }
+        return { commitMap };
+      });
     } catch (error) {
-      logger.warn(`Failed to create environment file: ${error.message}`);
-      // Fallback to simple case statement without complex quotes
-      return this.buildSimpleCaseStatement(hashDateMap);
+      // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+      await this.restoreFromBranch(backupBranch);
+      throw error;
     }
 
-    // Return a shell script that sources the environment file
-    return `#!/bin/sh
-# Date filter for Git filter-branch - Environment file approach
-# Load date mappings from environment file
-if [ -f "${tempEnvFile}" ]; then
-  # Read the environment file line by line
-  while IFS='=' read -r commit_hash new_date; do
-    if [ "$GIT_COMMIT" = "$commit_hash" ]; then
-      export GIT_AUTHOR_DATE="$new_date"
-      export GIT_COMMITTER_DATE="$new_date"
-      break
-    fi
-  done < "${tempEnvFile}"
-fi
-# Clean up environment file after use
-rm -f "${tempEnvFile}" 2>/dev/null || true`;
+    await this.cleanupBackupBranches([backupBranch]);
+    logger.debug(`Cleaned up backup branch: ${backupBranch}`);
   }
 
   /**
-   * Build a simple case statement as fallback for environment file approach
-   * @param {Object} hashDateMap - Mapping of commit hash to new date
-   * @returns {string} Simple shell script for env filter
+   * Match the steps of a restructure plan to the commits of a branch
+   * @param {Array} steps - Normalized plan steps
+   * @param {string} ref - Full ref name of the branch
+   * @param {string} base - Commit the new history starts from (default: the parent of the oldest
+   *   commit in the plan)
+   * @returns {Object} {base, groups, dropped}: the full base hash (null for the root), the kept
+   *   commits as groups of {action, commit} steps (a pick with its squashes and fixups), and the
+   *   dropped commits, oldest first
    */
-  buildSimpleCaseStatement(hashDateMap) {
-    // Use minimal quoting and simple syntax for Windows Git bash compatibility
-    const caseEntries = Object.entries(hashDateMap).map(([hash, date]) => {
-      return `    ${hash}) GIT_AUTHOR_DATE=${date} GIT_COMMITTER_DATE=${date} ;;`;
+  resolveRestructurePlan(steps, ref, base) {
+    const git = (args) => {
+      const result = this.executeGitCommand(args, { maxBuffer: 512 * 1024 * 1024 });
+      if (result.status !== 0) {
+        throw new Error(result.stderr.trim() || `git ${args[0]} failed`);
+      }
+      return result.stdout;
+    };
+    const short = hash => hash.substring(0, 7);
+    const branchName = ref.substring(11);
+
+    const resolved = steps.map(step => (step.commit ? { ...step, commit: this.streamRewriter.resolveCommit(step.commit) } : step));
+    const listed = new Set();
+    resolved.filter(step => step.commit).forEach(step => {
+      if (listed.has(step.commit)) {
+        throw new Error(`Commit ${short(step.commit)} is listed twice in the plan`);
+      }
+      listed.add(step.commit);
     });
 
-    return `#!/bin/sh
-# Simple date filter for Git filter-branch
-case "$GIT_COMMIT" in${caseEntries.join('\n')}
-    *) ;;
-esac`;
+    let baseHash = null;
+    if (base) {
+      baseHash = this.streamRewriter.resolveCommit(base);
+      if (this.executeGitCommand(['merge-base', '--is-ancestor', baseHash, ref]).status !== 0) {
+        throw new Error(`${base} is not an ancestor of ${branchName}`);
+      }
+    } else {
+      const order = git(['rev-list', '--topo-order', ref]).split('\n').filter(Boolean);
+      const oldest = [...listed].reduce((found, hash) => {
+        const index = order.indexOf(hash);
+        if (index === -1) {
+          throw new Error(`Commit ${short(hash)} is not on ${branchName}`);
+        }
+        return found === null || index > order.indexOf(found) ? hash : found;
+      }, null);
+      if (!oldest) {
+        throw new Error('A plan that only drops by pattern needs a base commit');
+      }
+      const parents = git(['rev-list', '--parents', '-n', '1', oldest]).trim().split(' ').slice(1);
+      if (parents.length > 1) {
+        throw new Error(`Merge commit ${short(oldest)} cannot be restructured: commits are replayed on a single parent`);
+      }
+      baseHash = parents[0] || null;
+    }
+
+    const range = git(['rev-list', '--reverse', '--topo-order', '--parents', ref, ...(baseHash ? [`^${baseHash}`] : [])])
+      .split('\n').filter(Boolean).map(line => line.split(' '));
+    range.forEach(([hash, ...parents]) => {
+      if (parents.length > 1) {
+        throw new Error(`Merge commit ${short(hash)} cannot be restructured: commits are replayed on a single parent, so choose a base after it`);
+      }
+    });
+    const inRange = new Set(range.map(([hash]) => hash));
+    listed.forEach(hash => {
+      if (!inRange.has(hash)) {
+        throw new Error(`Commit ${short(hash)} is not on ${branchName}${baseHash ? ` after ${short(baseHash)}` : ''}`);
+      }
+    });
+
+    const patterns = resolved.filter(step => step.pattern).map(step => step.pattern);
+    const messages = new Map();
+    if (patterns.length > 0) {
+      git(['log', '-z', '--format=%H%n%B', ref, ...(baseHash ? [`^${baseHash}`] : [])]).split('\0').filter(Boolean)
+        .forEach(record => messages.set(record.substring(0, record.indexOf('\n')), record.substring(record.indexOf('\n') + 1)));
+    }
+
+    const explicitDrops = new Set(resolved.filter(step => step.commit && step.action === 'drop').map(step => step.commit));
+    const dropped = [];
+    const missing = [];
+    range.forEach(([hash]) => {
+      if (explicitDrops.has(hash)) {
+        dropped.push(hash);
+      } else if (!listed.has(hash)) {
+        const matches = patterns.some(pattern => {
+          pattern.lastIndex = 0;
+          return pattern.test(messages.get(hash) || '');
+        });
+        (matches ? dropped : missing).push(hash);
+      }
+    });
+    if (missing.length > 0) {
+      throw new Error(`${missing.length} commits of ${branchName} are not in the plan (pick or drop them): ${missing.map(short).join(', ')}`);
+    }
+
+    const groups = [];
+    resolved.filter(step => step.commit && step.action !== 'drop').forEach(step => {
+      if (step.action === 'pick') {
+        groups.push([step]);
+      } else {
+        groups[groups.length - 1].push(step);
+      }
+    });
+
+    return { base: baseHash, groups, dropped };
   }
 
   /**
-   * Rewrite a single commit's date
-   * @param {Object} commitData - {hash, newDate} object
+   * Write the commits of a resolved restructure plan
+   * A kept commit whose parent does not change is reused as it is; other commits are applied
+   * on top of the new history with `git merge-tree`, as a cherry-pick would. Authors come from
+   * the first commit of a group and committers from the last one, dates included.
+   * @param {Object} layout - Result of resolveRestructurePlan
+   * @param {Object} options - Options
+   * @param {string} options.gitDir - Repository to write the commits to (the scratch repository of a dry run)
+   * @param {boolean} options.resign - Sign the new commits with user.signingkey
+   * @param {Function} options.generateMessage - Message generator for squashed commits
+   * @returns {Promise<Object>} {newTip, commitMap, groups}; each group is {oldHash, newHash, commits,
+   *   subject, message} where message is {old, new} when it changes, null otherwise
    */
-  async rewriteSingleCommitDate(commitData) {
-    const { hash, newDate } = commitData;
+  async buildRestructuredHistory(layout, options = {}) {
+    const prefix = options.gitDir ? [`--git-dir=${options.gitDir}`] : [];
+    const git = this.createGitRunner(options.gitDir);
+    const readCommit = hash => this.readCommitObject(hash, git);
+
+    const emptyTree = git(['mktree'], { input: '' }).trim();
+    const treeOf = hash => (hash ? git(['rev-parse', `${hash}^{tree}`]).trim() : emptyTree);
+    const placeholder = { name: 'gctm', email: 'gctm@localhost', time: 0, tz: '+0000' };
+
+    // Cherry-pick onto a tree: merge the tree and the commit as two children of the commit's parent
+    const applyCommit = (commit, ontoTree) => {
+      const parentTree = treeOf(commit.parent);
+      if (parentTree === ontoTree) {
+        return commit.tree;
+      }
 
-    // SECURITY: Validate commit hash format to prevent injection
-    if (!this.isValidHash(hash)) {
-      throw new Error(`Invalid commit hash format: ${hash}`);
-    }
+      const write = (tree, parents) => this.writeCommit({ tree, parents, author: placeholder, committer: placeholder, message: 'gctm\n' }, git);
+      const base = write(parentTree, []);
+      const result = this.executeGitCommand([
+        ...prefix, 'merge-tree', '--write-tree', '--name-only', '--no-messages',
+        write(ontoTree, [base]), write(commit.tree, [base])
+      ]);
 
-    // Reset to the commit before the target - using spawnSync to prevent command injection
-    try {
-      const result = this.executeGitCommand(['reset', '--hard', hash]);
+      if (result.status === 0) {
+        return result.stdout.split('\n')[0].trim();
+      }
+      if (result.status === 1) {
+        const files = [...new Set(result.stdout.split('\n').slice(1).filter(Boolean))];
+        throw new Error(`Commit ${commit.hash.substring(0, 7)} (${commit.message.split('\n')[0]}) does not apply at its new position, ` +
+          `conflicts in ${files.join(', ')}. Nothing was changed`);
+      }
+      if (/usage: git merge-tree/.test(result.stderr)) {
+        throw new Error('Restructuring needs git 2.38 or newer (git merge-tree --write-tree)');
+      }
+      throw new Error(`git merge-tree failed: ${result.stderr.trim()}`);
+    };
 
-      if (result.status !== 0) {
-        throw new Error(result.stderr || 'Reset failed');
+    const commitMap = new Map();
+    const groups = [];
+    let parent = layout.base;
+
+    for (const group of layout.groups) {
+      const commits = group.map(step => ({ ...readCommit(step.commit), action: step.action }));
+      const first = commits[0];
+      const last = commits[commits.length - 1];
+
+      const parentTree = treeOf(parent);
+      const tree = commits.reduce((ontoTree, commit) => applyCommit(commit, ontoTree), parentTree);
+
+      let message = first.message;
+      if (commits.length > 1) {
+        message = `${commits.filter(commit => commit.action !== 'fixup')
+          .map(commit => commit.message.replace(/\s+$/, ''))
+          .join('\n\n')}\n`;
+
+        if (options.generateMessage) {
+          const diff = git(['diff', parentTree, tree]);
+          const generated = await options.generateMessage({ commits: commits.map(commit => commit.hash), message, diff });
+          if (!generated || !String(generated).trim()) {
+            throw new Error(`No message was generated for the squash of ${first.hash.substring(0, 7)}`);
+          }
+          message = `${String(generated).trim()}\n`;
+        }
       }
-    } catch (error) {
-      throw new Error(`Cannot reset to commit ${hash}: ${error.message}`);
+
+      const newHash = commits.length === 1 && first.parent === parent
+        ? first.hash
+        : this.writeCommit({
+          tree,
+          parents: parent ? [parent] : [],
+          author: first.author,
+          committer: last.committer,
+          message,
+          sign: options.resign
+        }, git);
+
+      commits.forEach(commit => commitMap.set(commit.hash, newHash));
+      groups.push({
+        oldHash: first.hash,
+        newHash,
+        commits: commits.map(commit => commit.hash),
+        subject: first.message.split('\n')[0],
+        message: message !== first.message ? { old: first.message, new: message } : null
+      });
+      parent = newHash;
     }
 
-    // Set environment variables for new date
-    const env = {
-      ...process.env,
-      GIT_AUTHOR_DATE: newDate,
-      GIT_COMMITTER_DATE: newDate
-    };
+    if (!parent) {
+      throw new Error('The plan drops every commit of the branch');
+    }
 
-    // Amend the commit with new date - using spawnSync to prevent command injection
-    try {
-      const result = this.executeGitCommand(['commit', '--amend', '--no-edit'], { env });
+    return { newTip: parent, commitMap, groups };
+  }
 
+  /**
+   * Create a function that runs git commands and throws when they fail
+   * @param {string} gitDir - Repository to run them in (default: this repository)
+   * @returns {Function} (args, options) => stdout
+   */
+  createGitRunner(gitDir = null) {
+    const prefix = gitDir ? [`--git-dir=${gitDir}`] : [];
+    return (args, gitOptions = {}) => {
+      const result = this.executeGitCommand([...prefix, ...args], { maxBuffer: 512 * 1024 * 1024, ...gitOptions });
       if (result.status !== 0) {
-        throw new Error(result.stderr || 'Amend failed');
+        throw new Error(`git ${args[0]} failed: ${String(result.stderr).trim()}`);
       }
-    } catch (error) {
-      throw new Error(`Cannot amend commit ${hash}: ${error.message}`);
+      return result.stdout;
+    };
+  }
+
+  /**
+   * Read the tree, first parent, identities and message of a commit
+   * @param {string} hash - Full commit hash
+   * @param {Function} git - Runs a git command, see createGitRunner
+   * @returns {Object} {hash, tree, parent, author, committer, message}; identities are {name, email, time, tz}
+   */
+  readCommitObject(hash, git) {
+    const raw = git(['cat-file', 'commit', hash], { encoding: 'buffer' });
+    const end = raw.indexOf('\n\n');
+    const headers = raw.subarray(0, end).toString('utf8').split('\n');
+    const value = keyword => (headers.find(line => line.startsWith(`${keyword} `)) || '').substring(keyword.length + 1);
+
+    return {
+      hash,
+      tree: value('tree'),
+      parent: value('parent') || null,
+      author: this.streamRewriter.parseIdentity(value('author')),
+      committer: this.streamRewriter.parseIdentity(value('committer')),
+      message: raw.subarray(end + 2).toString('utf8')
+    };
+  }
+
+  /**
+   * List the other branches and tags that contain any of some commits
+   * @param {Array} hashes - Full commit hashes
+   * @param {string} exceptRef - Ref to leave out
+   * @returns {Array} Ref names
+   */
+  findRefsContaining(hashes, exceptRef) {
+    if (hashes.length === 0) {
+      return [];
     }
+
+    const contains = hashes.flatMap(hash => ['--contains', hash]);
+    const result = this.executeGitCommand(['for-each-ref', ...contains, '--format=%(refname)', 'refs/heads', 'refs/tags']);
+
+    return result.stdout.split('\n').filter(Boolean)
+      .filter(ref => ref !== exceptRef && !ref.startsWith('refs/heads/gctm-backup-'));
   }
 
   /**
-   * Replace content in Git history using filter approach
+   * Replace content in every file of every commit in one pass over the history
+   * Binary files (containing NUL bytes) and files that are not valid UTF-8 are left untouched.
    * @param {Array} replacements - Array of {pattern, replacement} objects
-   * @returns {Promise<Object>} Operation result
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite, see FastExportRewriter.resolveScope
+   *   (default: every branch and tag)
+   * @param {boolean} options.dryRun - Only return the plan of the rewrite (see planRewrite)
+   * @param {string} options.backupId - Backup to store the commit map with (see recordCommitMap)
+   * @param {boolean} options.resume - Continue an interrupted rewrite of the same arguments (see resumeRewrite)
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @param {string} options.tags - 'move' the tags on rewritten commits even when the scope leaves them out
+   * @returns {Promise<Object>} Operation result with `commitMap` (old hash -> new hash), `backupId`,
+   *   `signatures`, `tags` and `remotes`
    */
-  async replaceContentInHistory(replacements) {
-    let tempDir = null;
+  async replaceContentInHistory(replacements, options = {}) {
     let backupBranch = null;
 
     try {
-      logger.info('Starting content replacement in Git history...');
+      if (!Array.isArray(replacements) || replacements.length === 0) {
+        throw new Error('At least one replacement pattern must be specified');
+      }
 
-      // Create backup branch
-      backupBranch = await this.createBackupBranch();
+      logger.info(`${options.dryRun ? 'Planning' : 'Starting'} content replacement in Git history...`);
+
+      // Create backup branch (a dry run changes nothing, so it needs none)
+      if (!options.dryRun) {
+        backupBranch = await this.createBackupBranch(options);
+      }
 
       try {
         this.originalBranch = await this.getCurrentBranch();
 
-        // Create a temp working directory
-        tempDir = await this.createTempWorkingDirectory();
+        const revisions = this.resolveRewriteScope(options.scope);
+        const changedBlobs = new Map();
+        let processedCount = 0;
 
-        // Get all commits to process
-        const commits = await this.getAllCommitHashes();
+        const { commitMap, plan, signatures, tags, remotes } = await this.rewriteHistory({
+          blob: (blob) => {
+            if (blob.data.includes(0)) {
+              return;
+            }
 
-        let processedCount = 0;
+            const content = blob.data.toString('utf8');
+            const { content: modifiedContent, matches } = this.replaceWithCount(content, replacements);
+            if (modifiedContent === content) {
+              return;
+            }
+            if (!Buffer.from(content, 'utf8').equals(blob.data)) {
+              logger.debug(`Skipping blob ${blob.originalOid}: not valid UTF-8`);
+              return;
+            }
 
-        // Process each commit
-        for (const commitHash of commits) {
-          try {
-            const success = await this.processCommitForContentReplacement(commitHash, replacements, tempDir);
-            if (success) processedCount++;
-          } catch (error) {
-            logger.warn(`Failed to process commit ${commitHash}: ${error.message}`);
+            blob.data = Buffer.from(modifiedContent, 'utf8');
+            changedBlobs.set(blob.mark, matches);
+          },
+          commit: (commit) => {
+            const files = commit.changes
+              .map(change => this.streamRewriter.parseFileChange(change))
+              .filter(change => change && changedBlobs.has(change.dataref))
+              .map(change => ({ path: change.path, matches: changedBlobs.get(change.dataref) }));
+            if (files.length > 0) processedCount++;
+            return { files };
           }
+        }, {
+          revisions,
+          resign: options.resign,
+          dryRun: options.dryRun,
+          tags: options.tags,
+          journal: { operation: 'edit-content', args: [replacements, options], backupBranch },
+          resume: options.resume
+        });
+
+        if (plan) {
+          logger.info(`Dry run: content of ${processedCount} commits would change`);
+          return { success: true, dryRun: true, processed: processedCount, commitMap, plan };
         }
 
         logger.success(`Successfully processed ${processedCount} commits for content replacement`);
@@ -309,101 +2477,60 @@ esac`;
         await this.cleanupBackupBranches([backupBranch]);
         logger.debug(`Cleaned up backup branch: ${backupBranch}`);
 
-        return { success: true, processed: processedCount };
+        const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'edit-content' });
+
+        return { success: true, processed: processedCount, commitMap, backupId, signatures, tags, remotes };
 
       } catch (error) {
-        // Restore from backup if something went wrong
-        await this.restoreFromBranch(backupBranch);
+        // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+        if (backupBranch) {
+          await this.restoreFromBranch(backupBranch);
+        }
         throw error;
       }
 
     } catch (error) {
       logger.error(`Failed to replace content: ${error.message}`);
       return { success: false, error: error.message };
-    } finally {
-      // BUG-017 fix: Always clean up temp directory in finally block
-      if (tempDir) {
-        try {
-          await fs.remove(tempDir);
-          logger.debug(`Cleaned up temp directory: ${tempDir}`);
-        } catch (cleanupError) {
-          logger.warn(`Failed to clean up temp directory: ${cleanupError.message}`);
-        }
-      }
     }
   }
 
   /**
-   * Process a single commit for content replacement
-   * @param {string} commitHash - Commit hash
-   * @param {Array} replacements - Replacement patterns
-   * @param {string} tempDir - Temporary directory
-   * @returns {Promise<boolean>} Success status
+   * Apply replacement patterns to a text
+   * @param {string} content - Original text
+   * @param {Array} replacements - Array of {pattern, replacement} objects
+   * @returns {string} Text with all replacements applied
    */
-  async processCommitForContentReplacement(commitHash, replacements, tempDir) {
-    try {
-      // SECURITY: Validate commit hash
-      if (!this.isValidHash(commitHash)) {
-        throw new Error(`Invalid commit hash: ${commitHash}`);
-      }
-
-      // Reset to the commit - using safe git execution
-      const resetResult = this.executeGitCommand(['reset', '--hard', commitHash]);
-      if (resetResult.status !== 0) {
-        throw new Error(resetResult.stderr || 'Reset failed');
-      }
-
-      // Find files to modify
-      const modifiedFiles = await this.findFilesWithPatterns(replacements);
-
-      let fileModified = false;
-
-      // Modify each file
-      for (const filePath of modifiedFiles) {
-        const fullPath = path.join(this.repoPath, filePath);
-
-        if (await fs.pathExists(fullPath)) {
-          const content = await fs.readFile(fullPath, 'utf8');
-          let modifiedContent = content;
-
-          // Apply all replacements
-          for (const replacement of replacements) {
-            if (typeof replacement.pattern === 'string') {
-              modifiedContent = modifiedContent.split(replacement.pattern).join(replacement.replacement);
-            } else if (replacement.pattern instanceof RegExp) {
-              modifiedContent = modifiedContent.replace(replacement.pattern, replacement.replacement);
-            }
-          }
-
-          // Write back if content changed
-          if (modifiedContent !== content) {
-            await fs.writeFile(fullPath, modifiedContent, 'utf8');
-            fileModified = true;
-          }
-        }
-      }
-
-      // Amend commit if any files were modified
-      if (fileModified) {
-        const addResult = this.executeGitCommand(['add', '.']);
-        if (addResult.status !== 0) {
-          throw new Error(addResult.stderr || 'Git add failed');
-        }
+  applyReplacements(content, replacements) {
+    return this.replaceWithCount(content, replacements).content;
+  }
 
-        const commitResult = this.executeGitCommand(['commit', '--amend', '--no-edit']);
-        if (commitResult.status !== 0) {
-          throw new Error(commitResult.stderr || 'Git commit amend failed');
-        }
+  /**
+   * Apply replacement patterns to a text and count the replaced matches
+   * A regex without the g flag replaces (and counts) only its first match.
+   * @param {string} content - Original text
+   * @param {Array} replacements - Array of {pattern, replacement} objects
+   * @returns {Object} {content, matches}
+   */
+  replaceWithCount(content, replacements) {
+    let modifiedContent = content;
+    let matches = 0;
 
-        return true;
+    for (const replacement of replacements) {
+      if (typeof replacement.pattern === 'string') {
+        const parts = modifiedContent.split(replacement.pattern);
+        matches += parts.length - 1;
+        modifiedContent = parts.join(replacement.replacement);
+      } else if (replacement.pattern instanceof RegExp) {
+        const found = replacement.pattern.global
+          ? (modifiedContent.match(replacement.pattern) || []).length
+          : Number(modifiedContent.search(replacement.pattern) !== -1);
+        matches += found;
+        modifiedContent = modifiedContent.replace(replacement.pattern, replacement.replacement);
       }
-
-      return false;
-
-    } catch (error) {
-      logger.warn(`Error processing commit ${commitHash}: ${error.message}`);
-      return false;
     }
+
+    return { content: modifiedContent, matches };
   }
 
   /**
@@ -506,9 +2633,16 @@ esac`;
 
   /**
    * Create backup branch
+   * Every rewrite starts here, so no rewrite starts while an interrupted one is in progress.
+   * @param {Object} options - Options
+   * @param {boolean} options.resume - The rewrite resumes the interrupted one
    * @returns {Promise<string>} Backup branch name
    */
-  async createBackupBranch() {
+  async createBackupBranch(options = {}) {
+    if (!options.resume) {
+      await this.assertNoInterruptedRewrite();
+    }
+
     const backupBranch = 'gctm-backup-' + Date.now();
 
     // SECURITY: Validate branch name
@@ -544,7 +2678,10 @@ esac`;
   }
 
   /**
-   * Restore from backup branch
+   * Restore from backup branch after a failed rewrite
+   * The backup branch is kept for recovery, unless the rewrite failed before HEAD moved (a
+   * validation error, say) and no interrupted rewrite can still be resumed from it: then it
+   * holds nothing HEAD does not, so it is removed.
    * @param {string} backupBranch - Backup branch name
    */
   async restoreFromBranch(backupBranch) {
@@ -554,13 +2691,28 @@ esac`;
         throw new Error(`Invalid backup branch name: ${backupBranch}`);
       }
 
-      const result = this.executeGitCommand(['reset', '--hard', backupBranch]);
+      // Only the branch moves back; the checkout is carried back as after a rewrite
+      const headResult = this.executeGitCommand(['rev-parse', '--verify', '--quiet', 'HEAD']);
+      const backupResult = this.executeGitCommand(['rev-parse', '--verify', '--quiet', backupBranch]);
+      const interrupted = await this.journal.load().catch(() => null);
+      if (headResult.status === 0 && headResult.stdout === backupResult.stdout &&
+        !(interrupted && interrupted.backupBranch === backupBranch)) {
+        await this.cleanupBackupBranches([backupBranch]);
+        logger.debug(`Nothing was rewritten, removed backup branch: ${backupBranch}`);
+        return;
+      }
+
+      const result = this.executeGitCommand(['reset', '--soft', backupBranch]);
 
       if (result.status !== 0) {
         throw new Error(result.stderr || 'Failed to restore from backup');
       }
+      if (headResult.status === 0 && !this.isBareRepository()) {
+        this.updateCheckout(headResult.stdout.trim(), this.executeGitCommand(['rev-parse', 'HEAD']).stdout.trim());
+      }
 
       logger.info(`Restored from backup branch: ${backupBranch}`);
+      logger.info(`Backup branch ${backupBranch} preserved for recovery`);
     } catch (error) {
       logger.error(`Failed to restore from backup: ${error.message}`);
     }
@@ -588,89 +2740,194 @@ esac`;
   }
 
   /**
-   * Change commit message using git filter-branch
+   * Change the message of a single commit
    * @param {string} commitHash - Commit hash to change
    * @param {string} newMessage - New commit message
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite, see FastExportRewriter.resolveScope
+   * @param {boolean} options.dryRun - Only return the plan of the rewrite (see planRewrite)
+   * @param {string} options.backupId - Backup to store the commit map with (see recordCommitMap)
+   * @param {boolean} options.resume - Continue an interrupted rewrite of the same arguments (see resumeRewrite)
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
    * @returns {Promise<Object>} Operation result
    */
-  async changeCommitMessage(commitHash, newMessage) {
-  let backupBranch = null;
-
-  try {
-    // Validate commit hash
-    if (!this.isValidHash(commitHash)) {
-      throw new Error(`Invalid commit hash: ${commitHash}`);
-    }
+  async changeCommitMessage(commitHash, newMessage, options = {}) {
+    let backupBranch = null;
 
-    // Validate new message
-    if (!newMessage || newMessage.trim().length === 0) {
-      throw new Error(`Commit message cannot be empty`);
-    }
+    try {
+      // Validate commit hash
+      if (!this.isValidHash(commitHash)) {
+        throw new Error(`Invalid commit hash: ${commitHash}`);
+      }
 
-    logger.info('Starting Git history rewrite for commit message change...');
+      // Validate new message
+      if (!newMessage || newMessage.trim().length === 0) {
+        throw new Error(`Commit message cannot be empty`);
+      }
 
-    // Create backup branch
-    backupBranch = await this.createBackupBranch();
+      if (this.engine === 'filter-branch' && !options.dryRun) {
+        if (options.resign) {
+          throw new Error('Re-signing commits needs the fast-import rewrite engine');
+        }
+        if (this.isBareRepository()) {
+          throw new Error('The filter-branch rewrite engine needs a working tree; bare repositories need the fast-import engine');
+        }
+        return await this.changeCommitMessageWithFilterBranch(commitHash, newMessage, options);
+      }
 
-    try {
-      // Get current state
-      this.originalBranch = await this.getCurrentBranch();
-
-      // Build filter script for message change
-      const messageFilter = this.buildMessageFilterScript(commitHash, newMessage);
-
-      logger.info(`Changing message for commit: ${commitHash}`);
-
-      // Execute git filter-branch to change commit message
-      const filterResult = this.executeGitCommand([
-        'filter-branch',
-        '--msg-filter',
-        messageFilter,
-        '--force',
-        '--',
-        '--all'
-      ]);
+      logger.info(`${options.dryRun ? 'Planning' : 'Starting'} Git history rewrite for commit message change...`);
 
-      if (filterResult.status !== 0) {
-        throw new Error(`Git filter-branch failed: ${filterResult.stderr}`);
+      // Create backup branch (a dry run changes nothing, so it needs none)
+      if (!options.dryRun) {
+        backupBranch = await this.createBackupBranch(options);
       }
 
-      // Get the new commit hash after rewrite
-      const newHashResult = this.executeGitCommand(['rev-parse', 'HEAD']);
-      if (newHashResult.status !== 0) {
-        logger.warn('Could not retrieve new commit hash');
-      }
+      try {
+        this.originalBranch = await this.getCurrentBranch();
+
+        const targetHash = this.streamRewriter.resolveCommit(commitHash);
+        const revisions = this.resolveRewriteScope(options.scope, [targetHash]);
+        let found = false;
+
+        logger.info(`Changing message for commit: ${commitHash}`);
+
+        const { commitMap, plan, signatures, remotes } = await this.rewriteHistory({
+          commit: (commit) => {
+            if (commit.originalOid === targetHash) {
+              commit.message = newMessage.endsWith('\n') ? newMessage : `${newMessage}\n`;
+              found = true;
+            }
+          }
+        }, {
+          revisions,
+          targets: [targetHash],
+          resign: options.resign,
+          dryRun: options.dryRun,
+          journal: { operation: 'edit-message', args: [commitHash, newMessage, options], backupBranch },
+          resume: options.resume
+        });
 
-      const newHash = newHashResult.stdout.trim() || commitHash;
+        // A resumed rewrite does not export the commits of its last checkpoint again
+        if (!found && !(options.resume && commitMap.has(targetHash))) {
+          throw new Error(`Commit ${commitHash} was not part of the rewrite`);
+        }
+
+        if (plan) {
+          return {
+            success: true,
+            dryRun: true,
+            oldHash: commitHash,
+            newHash: commitMap.get(targetHash) || targetHash,
+            newMessage,
+            commitMap,
+            plan
+          };
+        }
+
+        logger.success(`Successfully changed commit message`);
+
+        // Clean up backup branch after successful operation
+        await this.cleanupBackupBranches([backupBranch]);
+        logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+
+        const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'edit-message' });
 
-      logger.success(`Successfully changed commit message`);
+        return {
+          success: true,
+          oldHash: commitHash,
+          newHash: commitMap.get(targetHash) || targetHash,
+          newMessage,
+          commitMap,
+          backupId,
+          signatures,
+          remotes
+        };
 
-      // Clean up backup branch after successful operation
-      await this.cleanupBackupBranches([backupBranch]);
-      logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+      } catch (error) {
+        // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+        if (backupBranch) {
+          await this.restoreFromBranch(backupBranch);
+        }
+        throw error;
+      }
 
+    } catch (error) {
+      logger.error(`Failed to rewrite commit message: ${error.message}`);
       return {
-        success: true,
-        oldHash: commitHash,
-        newHash,
-        newMessage
+        success: false,
+        error: error.message
       };
+    }
+  }
+
+  /**
+   * Change commit message using git filter-branch (fallback engine)
+   * @param {string} commitHash - Commit hash to change
+   * @param {string} newMessage - New commit message
+   * @param {Object} options - Options (see changeCommitMessage)
+   * @returns {Promise<Object>} Operation result
+   */
+  async changeCommitMessageWithFilterBranch(commitHash, newMessage, options = {}) {
+    let backupBranch = null;
+
+    try {
+      logger.info('Starting Git history rewrite for commit message change...');
+
+      // Create backup branch
+      backupBranch = await this.createBackupBranch();
+
+      try {
+        // Get current state
+        this.originalBranch = await this.getCurrentBranch();
+
+        const targetHash = this.streamRewriter.resolveCommit(commitHash);
+        const revisions = this.resolveRewriteScope(options.scope, [targetHash]);
+        const oldTips = this.resolveTips(revisions);
+
+        // Build filter script for message change
+        const messageFilter = this.buildMessageFilterScript(targetHash, newMessage);
+
+        logger.info(`Changing message for commit: ${commitHash}`);
+
+        // Execute git filter-branch to change commit message
+        const { commitMap } = await this.withCheckout(async () => {
+          await this.runFilterBranch(['--msg-filter', messageFilter, '--force', '--', ...revisions]);
+          return { commitMap: this.mapRewrittenCommits(revisions, oldTips) };
+        });
+
+        const newHash = commitMap.get(targetHash) || targetHash;
+
+        logger.success(`Successfully changed commit message`);
+
+        // Clean up backup branch after successful operation
+        await this.cleanupBackupBranches([backupBranch]);
+        logger.debug(`Cleaned up backup branch: ${backupBranch}`);
+
+        const backupId = await this.recordCommitMap(commitMap, { backupId: options.backupId, operation: 'edit-message' });
+
+        return {
+          success: true,
+          oldHash: commitHash,
+          newHash,
+          newMessage,
+          commitMap,
+          backupId
+        };
+
+      } catch (error) {
+        // Restore from backup if something went wrong (the backup is kept if anything was rewritten)
+        await this.restoreFromBranch(backupBranch);
+        throw error;
+      }
 
     } catch (error) {
-      // Restore from backup if something went wrong (keep backup on error)
-      await this.restoreFromBranch(backupBranch);
-      logger.info(`Backup branch ${backupBranch} preserved for recovery`);
-      throw error;
+      logger.error(`Failed to rewrite commit message: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
     }
-
-  } catch (error) {
-    logger.error(`Failed to rewrite commit message: ${error.message}`);
-    return {
-      success: false,
-      error: error.message
-    };
   }
-}
 
   /**
    * Build the message filter script for git filter-branch
@@ -693,4 +2950,6 @@ fi
   }
 }
 
+GitHistoryRewriter.REWRITE_ENGINES = REWRITE_ENGINES;
+
 module.exports = GitHistoryRewriter;
@@ -1,6 +1,4 @@
 const simpleGit = require('simple-git');
-const fs = require('fs-extra');
-const path = require('path');
 const logger = require('./utils/logger');
 const GitHistoryRewriter = require('./gitHistoryRewriter');
 
@@ -9,8 +7,17 @@ const GitHistoryRewriter = require('./gitHistoryRewriter');
  * BUG-NEW-039 fix: Added timeout handling for git operations
  */
 class GitProcessor {
-  constructor(repoPath) {
+  /**
+   * @param {string} repoPath - Repository path
+   * @param {Object} options - Options
+   * @param {string} options.rewriteEngine - History rewrite engine ('fast-import' or 'filter-branch')
+   * @param {number} options.checkpointInterval - Commits between the checkpoints of a rewrite
+   * @param {number} options.rewriteIdleTimeout - Milliseconds a rewrite may go without progress (0: no limit)
+   * @param {boolean} options.allowForcePush - Allow forcePush (git.allowForcePush)
+   */
+  constructor(repoPath, options = {}) {
     this.repoPath = repoPath;
+    this.allowForcePush = options.allowForcePush === true;
     // BUG-NEW-039 fix: Add timeout to prevent hung operations
     this.git = simpleGit({
       baseDir: repoPath,
@@ -18,7 +25,11 @@ class GitProcessor {
         block: 60000 // 60 second timeout for blocking operations
       }
     });
-    this.historyRewriter = new GitHistoryRewriter(repoPath);
+    this.historyRewriter = new GitHistoryRewriter(repoPath, {
+      engine: options.rewriteEngine,
+      checkpointInterval: options.checkpointInterval,
+      idleTimeout: options.rewriteIdleTimeout
+    });
   }
 
   /**
@@ -27,19 +38,44 @@ class GitProcessor {
    */
   async isGitRepo() {
     try {
-      await this.git.status();
+      // status needs a working tree, which bare repositories do not have
+      await this.git.revparse(['--git-dir']);
       return true;
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Checks if repository is bare (a `git clone --bare` or `--mirror` copy without a working tree)
+   * @returns {Promise<boolean>} Whether the repository is bare
+   */
+  async isBareRepository() {
+    try {
+      return (await this.git.revparse(['--is-bare-repository'])).trim() === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Throws a clear error for operations that need a working tree in a bare repository
+   * @param {string} operation - Operation name for the error message
+   * @returns {Promise<void>}
+   */
+  async assertWorkTree(operation) {
+    if (await this.isBareRepository()) {
+      throw new Error(`${operation} needs a working tree and cannot run in a bare repository`);
+    }
+  }
+
   /**
    * Gets commit list
    * @param {Object} options - Options
    * @param {Function} options.filter - Function to filter commits
    * @param {number} options.limit - Maximum commit count
    * @param {string} options.branch - Branch to work on
+   * @param {Array} options.revisions - Revisions to list instead of HEAD (see resolveRewriteScope)
    * @returns {Promise<Array>} Commit list
    */
   async getCommits(options = {}) {
@@ -52,9 +88,11 @@ class GitProcessor {
       const gitOptions = { ...defaultOptions, ...options };
 
       // Get commit information using Git log
-      const log = await this.git.log({
-        maxCount: gitOptions.limit
+      const logOptions = { maxCount: gitOptions.limit };
+      (options.revisions || []).forEach(revision => {
+        logOptions[revision] = null;
       });
+      const log = await this.git.log(logOptions);
 
       let commits = log.all.map(commit => ({
         hash: commit.hash,
@@ -63,6 +101,7 @@ class GitProcessor {
         author: commit.author_name,
         email: commit.author_email,
         date: new Date(commit.date),
+        rawDate: commit.date, // Keeps the original UTC offset, which Date objects drop
         body: commit.body,
         diff: null // Diff information will be retrieved separately when needed
       }));
@@ -79,6 +118,40 @@ class GitProcessor {
     }
   }
 
+  /**
+   * Gets parent links and both dates of every commit reachable from a branch
+   * @param {Object} options - Options
+   * @param {string} options.branch - Branch or revision to walk (default HEAD)
+   * @param {Array} options.revisions - Revisions to walk instead of a single branch
+   * @returns {Promise<Array>} Commits as {hash, parents, authorDate, committerDate, subject}, newest first
+   */
+  async getCommitGraph(options = {}) {
+    try {
+      const output = await this.git.raw([
+        'log',
+        '--format=%H%x1f%P%x1f%aI%x1f%cI%x1f%s',
+        ...(options.revisions || [options.branch || 'HEAD'])
+      ]);
+
+      return output
+        .split('\n')
+        .filter(line => line.includes('\x1f'))
+        .map(line => {
+          const [hash, parents, authorDate, committerDate, subject] = line.split('\x1f');
+          return {
+            hash,
+            parents: parents ? parents.split(' ') : [],
+            authorDate,
+            committerDate,
+            subject
+          };
+        });
+    } catch (error) {
+      logger.error(`Error in getCommitGraph: ${error.message}`);
+      throw new Error(`Cannot get commit graph: ${error.message}`);
+    }
+  }
+
   /**
    * Gets diff information for a specific commit
    * @param {string} commitHash - Commit hash
@@ -110,6 +183,10 @@ class GitProcessor {
    */
   async getCurrentBranch() {
     try {
+      if (await this.isBareRepository()) {
+        return (await this.git.raw(['symbolic-ref', '--short', 'HEAD'])).trim();
+      }
+
       const status = await this.git.status();
       return status.current || 'main';
     } catch (error) {
@@ -148,13 +225,28 @@ class GitProcessor {
     }
   }
 
+  /**
+   * Resolves rewrite scope options to the revisions a rewrite walks
+   * @param {Object} scope - {range, branch, sinceCommit, refs}, see FastExportRewriter.resolveScope
+   * @returns {Object} {revisions, tips} where tips are the branches and tags that get rewritten
+   */
+  resolveRewriteScope(scope) {
+    const revisions = this.historyRewriter.streamRewriter.resolveScope(scope);
+    return {
+      revisions,
+      tips: revisions.filter(revision => !revision.startsWith('^'))
+    };
+  }
+
   /**
    * Changes date of a specific commit (using history rewriter)
    * @param {string} commitHash - Commit hash to change
    * @param {string|Date} newDate - New date
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite (see resolveRewriteScope)
    * @returns {Promise<Object>} Operation result
    */
-  async amendCommitDate(commitHash, newDate) {
+  async amendCommitDate(commitHash, newDate, options = {}) {
     try {
       // Convert date to ISO format
       const date = new Date(newDate);
@@ -164,7 +256,7 @@ class GitProcessor {
       const result = await this.historyRewriter.changeCommitDates([{
         hash: commitHash,
         newDate: isoDate
-      }]);
+      }], { scope: options.scope });
 
       return {
         success: result.success,
@@ -185,19 +277,38 @@ class GitProcessor {
   /**
    * Changes multiple commit dates at once
    * @param {Array} commitsWithDates - Array of {hash, newDate} objects
-   * @returns {Promise<Object>} Operation result
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite (see resolveRewriteScope)
+   * @param {boolean} options.dryRun - Only plan the rewrite; the result carries the `plan`
+   * @param {string} options.backupId - Backup to store the commit map with
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @param {string} options.tags - 'move' or 'redate' the tags on rewritten commits (see GitHistoryRewriter.prepareTagRewrite)
+   * @returns {Promise<Object>} Operation result with `commitMap`, the `backupId` it was stored under,
+   *   `signatures` ({signed, resigned, lost}), `tags` ({moved, redated, skipped, outside}) and `remotes`
    */
-  async amendMultipleCommitDates(commitsWithDates) {
+  async amendMultipleCommitDates(commitsWithDates, options = {}) {
     try {
       logger.info(`Changing dates for ${commitsWithDates.length} commits`);
 
       // Use history rewriter for batch operation
-      const result = await this.historyRewriter.changeCommitDates(commitsWithDates);
+      const result = await this.historyRewriter.changeCommitDates(commitsWithDates, {
+        scope: options.scope,
+        dryRun: options.dryRun,
+        backupId: options.backupId,
+        resign: options.resign,
+        tags: options.tags
+      });
 
       return {
         success: result.success,
         processed: result.processed || commitsWithDates.length,
-        error: result.error
+        error: result.error,
+        plan: result.plan,
+        commitMap: result.commitMap,
+        backupId: result.backupId,
+        signatures: result.signatures,
+        tags: result.tags,
+        remotes: result.remotes
       };
     } catch (error) {
       logger.error(`Cannot change multiple commit dates: ${error.message}`);
@@ -212,29 +323,68 @@ class GitProcessor {
    * Changes commit message
    * @param {string} commitHash - Commit hash to change
    * @param {string} newMessage - New commit message
-   * @returns {Promise<Object>} Operation result
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite (see resolveRewriteScope)
+   * @param {boolean} options.dryRun - Only plan the rewrite; the result carries the `plan`
+   * @param {string} options.backupId - Backup to store the commit map with
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with `commitMap`, the `backupId` it was stored under,
+   *   `signatures` ({signed, resigned, lost}) and `remotes` (see GitHistoryRewriter.checkRemotes)
    */
-  async amendCommitMessage(commitHash, newMessage) {
+  async amendCommitMessage(commitHash, newMessage, options = {}) {
     try {
-      // This only works for the latest commit
-      // For historical commits, we need a different approach
-      const isLatestCommit = await this.isLatestCommit(commitHash);
+      // This only works for the latest commit of the current branch
+      // For historical commits, and in bare repositories, which cannot amend, we need a different approach
+      const isLatestCommit = !options.scope && !options.dryRun && !(await this.isBareRepository()) &&
+        await this.isLatestCommit(commitHash);
 
       if (isLatestCommit) {
         // Use git commit --amend for latest commit
-        await this.git.raw(['commit', '--amend', '-m', newMessage]);
+        const oldHash = (await this.git.revparse(['HEAD'])).trim();
+        const isSigned = async (hash) => /\ngpgsig(-sha256)? /.test(await this.git.raw(['cat-file', 'commit', hash]));
+        const signed = await isSigned(oldHash);
+        if (options.resign) {
+          this.historyRewriter.getSigningKey();
+        } else if (signed) {
+          logger.warn(`Signed commit ${oldHash.substring(0, 7)} will lose its signature (use --resign to sign it again)`);
+        }
+        const remotes = this.historyRewriter.checkRemotes(['HEAD'], [oldHash]);
+
+        // --only without paths rewords the commit and leaves staged changes out of it
+        await this.git.raw(['commit', '--amend', '--only', ...(options.resign ? ['-S'] : []), '-m', newMessage]);
+        const newHash = (await this.git.revparse(['HEAD'])).trim();
+
+        const commitMap = new Map([[oldHash, newHash]]);
+        const backupId = await this.historyRewriter.recordCommitMap(commitMap, {
+          backupId: options.backupId,
+          operation: 'edit-message'
+        });
 
         return {
           success: true,
           hash: commitHash,
-          newMessage
+          newMessage,
+          newHash,
+          commitMap,
+          backupId,
+          signatures: {
+            signed: signed ? [oldHash] : [],
+            resigned: options.resign ? 1 : 0,
+            lost: signed && !(await isSigned(newHash)) ? [oldHash] : []
+          },
+          remotes
         };
       } else {
         // For historical commits, use GitHistoryRewriter
         logger.info(`Changing message for historical commit ${commitHash} using GitHistoryRewriter`);
 
         try {
-          const result = await this.historyRewriter.changeCommitMessage(commitHash, newMessage);
+          const result = await this.historyRewriter.changeCommitMessage(commitHash, newMessage, {
+            scope: options.scope,
+            dryRun: options.dryRun,
+            backupId: options.backupId,
+            resign: options.resign
+          });
 
           if (result.success) {
             return {
@@ -242,7 +392,12 @@ class GitProcessor {
               hash: commitHash,
               newMessage,
               newHash: result.newHash,
-              requiresForcePush: true
+              requiresForcePush: !result.dryRun,
+              plan: result.plan,
+              commitMap: result.commitMap,
+              backupId: result.backupId,
+              signatures: result.signatures,
+              remotes: result.remotes
             };
           } else {
             return {
@@ -287,19 +442,41 @@ class GitProcessor {
   /**
    * Replaces content in repository history
    * @param {Array} replacements - Replacement patterns
-   * @param {string} commitHash - Specific commit to target (optional)
-   * @returns {Promise<Object>} Operation result
+   * @param {string} commitHash - Only rewrite this commit and its descendants (optional)
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite (see resolveRewriteScope)
+   * @param {boolean} options.dryRun - Only plan the rewrite; the result carries the `plan`
+   * @param {string} options.backupId - Backup to store the commit map with
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @param {string} options.tags - 'move' the tags on rewritten commits (see GitHistoryRewriter.prepareTagRewrite)
+   * @returns {Promise<Object>} Operation result with `commitMap`, the `backupId` it was stored under,
+   *   `signatures` ({signed, resigned, lost}), `tags` ({moved, redated, skipped, outside}) and `remotes`
    */
-  async replaceContentInHistory(replacements, commitHash = null) {
+  async replaceContentInHistory(replacements, commitHash = null, options = {}) {
     try {
       logger.info(`Replacing content in Git history`);
 
+      const scope = commitHash ? { ...options.scope, sinceCommit: commitHash } : options.scope;
+
       // Use history rewriter for content replacement
-      const result = await this.historyRewriter.replaceContentInHistory(replacements);
+      const result = await this.historyRewriter.replaceContentInHistory(replacements, {
+        scope,
+        dryRun: options.dryRun,
+        backupId: options.backupId,
+        resign: options.resign,
+        tags: options.tags
+      });
 
       return {
         success: result.success,
-        error: result.error
+        processed: result.processed,
+        error: result.error,
+        plan: result.plan,
+        commitMap: result.commitMap,
+        backupId: result.backupId,
+        signatures: result.signatures,
+        tags: result.tags,
+        remotes: result.remotes
       };
     } catch (error) {
       logger.error(`Cannot replace content in history: ${error.message}`);
@@ -310,6 +487,238 @@ class GitProcessor {
     }
   }
 
+  /**
+   * Rewrites author and committer identities in repository history
+   * @param {Array} mappings - Identity mappings ({oldName, oldEmail, newName, newEmail})
+   * @param {Object} options - Options
+   * @param {string} options.identityField - Identity to rewrite: 'author', 'committer' or 'both' (default)
+   * @param {Object} options.scope - Branches/commits to rewrite (see resolveRewriteScope)
+   * @param {boolean} options.dryRun - Only plan the rewrite; the result carries the `plan`
+   * @param {string} options.backupId - Backup to store the commit map with
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with `commitMap`, the `backupId` it was stored under,
+   *   `signatures` ({signed, resigned, lost}) and `remotes`
+   */
+  async rewriteIdentities(mappings, options = {}) {
+    try {
+      logger.info(`Rewriting identities with ${mappings.length} mappings`);
+
+      const result = await this.historyRewriter.rewriteIdentities(mappings, {
+        identityField: options.identityField,
+        scope: options.scope,
+        dryRun: options.dryRun,
+        backupId: options.backupId,
+        resign: options.resign
+      });
+
+      return {
+        success: result.success,
+        processed: result.processed,
+        error: result.error,
+        plan: result.plan,
+        commitMap: result.commitMap,
+        backupId: result.backupId,
+        signatures: result.signatures,
+        remotes: result.remotes
+      };
+    } catch (error) {
+      logger.error(`Cannot rewrite identities: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Edits the messages of many commits in a single history rewrite
+   * @param {Object} edits - Message edits ({replacements, prefix, suffix, trailers, removeLines})
+   * @param {Object} options - Options
+   * @param {Object} options.scope - Branches/commits to rewrite (see resolveRewriteScope)
+   * @param {boolean} options.dryRun - Only plan the rewrite; the result carries the `plan`
+   * @param {string} options.backupId - Backup to store the commit map with
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with `commitMap`, the `backupId` it was stored under,
+   *   `signatures` ({signed, resigned, lost}) and `remotes`
+   */
+  async rewriteMessages(edits, options = {}) {
+    try {
+      logger.info('Editing commit messages in bulk');
+
+      const result = await this.historyRewriter.rewriteMessages(edits, {
+        scope: options.scope,
+        dryRun: options.dryRun,
+        backupId: options.backupId,
+        resign: options.resign
+      });
+
+      return {
+        success: result.success,
+        processed: result.processed,
+        error: result.error,
+        plan: result.plan,
+        commitMap: result.commitMap,
+        backupId: result.backupId,
+        signatures: result.signatures,
+        remotes: result.remotes
+      };
+    } catch (error) {
+      logger.error(`Cannot edit commit messages: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Squashes, reorders and drops the commits of a branch following a plan
+   * @param {Array} steps - Plan steps ({action, commit} or {action: 'drop', pattern})
+   * @param {Object} options - Options
+   * @param {string} options.branch - Branch to restructure (default: the current branch)
+   * @param {string} options.base - Commit the new history starts from
+   * @param {Function} options.generateMessage - Message generator for squashed commits
+   * @param {boolean} options.dryRun - Only plan the restructure; the result carries the `plan`
+   * @param {string} options.backupId - Backup to store the commit map with
+   * @param {boolean} options.resign - Sign the new commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with `commitMap`, `dropped`, the `backupId` the map
+   *   was stored under, `signatures` ({signed, resigned, lost}) and `remotes`
+   */
+  async restructureHistory(steps, options = {}) {
+    try {
+      logger.info(`Restructuring history with ${steps.length} plan steps`);
+
+      const result = await this.historyRewriter.restructureHistory(steps, {
+        branch: options.branch,
+        base: options.base,
+        generateMessage: options.generateMessage,
+        dryRun: options.dryRun,
+        backupId: options.backupId,
+        resign: options.resign
+      });
+
+      return {
+        success: result.success,
+        processed: result.processed,
+        error: result.error,
+        plan: result.plan,
+        commitMap: result.commitMap,
+        dropped: result.dropped,
+        backupId: result.backupId,
+        signatures: result.signatures,
+        remotes: result.remotes
+      };
+    } catch (error) {
+      logger.error(`Cannot restructure history: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Splits a commit of a branch into several commits by file, directory or path glob
+   * @param {string} commitHash - Commit to split
+   * @param {Object} options - Options
+   * @param {string} options.by - 'file', 'directory' or 'glob'
+   * @param {Array} options.patterns - Path globs when splitting by glob
+   * @param {string} options.branch - Branch with the commit (default: the current branch)
+   * @param {Function} options.generateMessage - Message generator for the new commits
+   * @param {boolean} options.dryRun - Only plan the split; the result carries the `plan`
+   * @param {string} options.backupId - Backup to store the commit map with
+   * @param {boolean} options.resign - Sign the new commits with user.signingkey
+   * @returns {Promise<Object>} Operation result with the new `commits`, `commitMap`, the `backupId`
+   *   the map was stored under, `signatures` ({signed, resigned, lost}) and `remotes`
+   */
+  async splitCommit(commitHash, options = {}) {
+    try {
+      logger.info(`Splitting commit ${commitHash} by ${options.by || 'file'}`);
+
+      const result = await this.historyRewriter.splitCommit(commitHash, {
+        by: options.by,
+        patterns: options.patterns,
+        branch: options.branch,
+        generateMessage: options.generateMessage,
+        dryRun: options.dryRun,
+        backupId: options.backupId,
+        resign: options.resign
+      });
+
+      return {
+        success: result.success,
+        processed: result.processed,
+        error: result.error,
+        plan: result.plan,
+        commits: result.commits,
+        commitMap: result.commitMap,
+        backupId: result.backupId,
+        signatures: result.signatures,
+        remotes: result.remotes
+      };
+    } catch (error) {
+      logger.error(`Cannot split commit: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Gets the journal of an interrupted rewrite
+   * @returns {Promise<Object|null>} Journal entry ({operation, startedAt, commits, ...}), or null
+   */
+  async getInterruptedRewrite() {
+    return this.historyRewriter.journal.load();
+  }
+
+  /**
+   * Resumes an interrupted rewrite from its last checkpoint
+   * @returns {Promise<Object>} Operation result of the rewrite with `operation` and `resumed`,
+   *   the number of commits the checkpoints already had
+   */
+  async resumeRewrite() {
+    try {
+      const result = await this.historyRewriter.resumeRewrite();
+
+      return {
+        success: result.success,
+        processed: result.processed,
+        error: result.error,
+        operation: result.operation,
+        resumed: result.resumed,
+        commitMap: result.commitMap,
+        backupId: result.backupId,
+        signatures: result.signatures,
+        tags: result.tags,
+        remotes: result.remotes
+      };
+    } catch (error) {
+      logger.error(`Cannot resume rewrite: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Aborts an interrupted rewrite and restores the repository as it was before it
+   * @returns {Promise<Object>} Operation result with `operation` and `refs`, the number of refs moved back
+   */
+  async abortRewrite() {
+    try {
+      return await this.historyRewriter.abortRewrite();
+    } catch (error) {
+      logger.error(`Cannot abort rewrite: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Reverts to a specific commit
    * @param {string} commitHash - Commit hash to revert to
@@ -319,6 +728,9 @@ class GitProcessor {
   async resetCommit(commitHash, hard = false) {
     try {
       const resetMode = hard ? '--hard' : '--soft';
+      if (hard) {
+        await this.assertWorkTree('A hard reset');
+      }
       await this.git.reset([resetMode, commitHash]);
 
       return {
@@ -344,6 +756,7 @@ class GitProcessor {
    */
   async checkoutFileFromCommit(commitHash, filePath) {
     try {
+      await this.assertWorkTree('Checking out a file');
       await this.git.checkout([commitHash, '--', filePath]);
 
       return {
@@ -363,28 +776,36 @@ class GitProcessor {
   }
 
   /**
-   * Creates temporary work area
-   * @returns {Promise<string>} Work area path
+   * Creates a temporary linked worktree, detached at the current commit
+   * Remove it with removeTempWorktree.
+   * @returns {Promise<string>} Worktree path
    */
   async createTempWorktree() {
     try {
-      const tempDir = path.join(this.repoPath, '.git', 'temp-worktree');
-      await fs.ensureDir(tempDir);
-
-      // Worktree support may not be available in older versions, use alternative method:
-      return tempDir;
+      return await this.historyRewriter.createTempWorktree();
     } catch (error) {
       logger.error(`Cannot create temporary work area: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Removes a worktree created by createTempWorktree
+   * @param {string} worktree - Worktree path
+   * @returns {Promise<void>}
+   */
+  async removeTempWorktree(worktree) {
+    await this.historyRewriter.removeTempWorktree(worktree);
+  }
+
   /**
    * Cleans current working tree
    * @returns {Promise<Object>} Operation result
    */
   async cleanWorkingTree() {
     try {
+      await this.assertWorkTree('Cleaning the working tree');
+
       // Clean changes
       await this.git.clean(['-fd']);
 
@@ -411,6 +832,8 @@ class GitProcessor {
    */
   async getStatus() {
     try {
+      await this.assertWorkTree('Repository status');
+
       const status = await this.git.status();
       return {
         success: true,
@@ -484,19 +907,50 @@ class GitProcessor {
     }
   }
 
+  /**
+   * Gets the commit a remote branch pointed at when it was last fetched
+   * @param {string} remote - Remote name
+   * @param {string} branch - Branch name
+   * @returns {Promise<string>} Commit hash, or '' when the remote branch is not known
+   */
+  async getRemoteTip(remote, branch) {
+    try {
+      return (await this.git.raw(['rev-parse', '--verify', '--quiet', `refs/remotes/${remote}/${branch}`])).trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
   /**
    * Force push to remote repository
+   * Refused unless the processor was created with allowForcePush. The push only replaces the remote branch while it still points at `expect`, the commit it
+   * had before the rewrite, so commits others pushed in the meantime are not overwritten.
    * @param {string} remote - Remote name (default: origin)
    * @param {string} branch - Branch name (default: current branch)
+   * @param {Object} options - Options
+   * @param {string} options.expect - Commit the remote branch must point at ('' when it must not exist;
+   *   default: its remote-tracking branch)
    * @returns {Promise<Object>} Operation result
    */
-  async forcePush(remote = 'origin', branch = null) {
+  async forcePush(remote = 'origin', branch = null, options = {}) {
+    if (!this.allowForcePush) {
+      return {
+        success: false,
+        error: 'Force pushing is disabled: set git.allowForcePush to true in the configuration to push rewritten history',
+        remote,
+        branch
+      };
+    }
+
     try {
       const targetBranch = branch || (await this.getCurrentBranch());
+      const lease = typeof options.expect === 'string'
+        ? `--force-with-lease=${targetBranch}:${options.expect}`
+        : '--force-with-lease';
 
       logger.info(`Force pushing ${targetBranch} to ${remote}...`);
 
-      const result = await this.git.push(remote, `${targetBranch}:${targetBranch}`, ['--force-with-lease']);
+      await this.git.push(remote, `${targetBranch}:${targetBranch}`, [lease]);
 
       logger.success(`Successfully force pushed to ${remote}/${targetBranch}`);
 
@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./utils/logger');
+
+/**
+ * Class used for author/committer identity mappings
+ * A mapping is {oldName, oldEmail, newName, newEmail}: the old fields select the
+ * identities to change (emails and names compare case-insensitively) and a missing
+ * new field keeps the original value, as in a .mailmap file.
+ */
+class IdentityMapper {
+  /**
+   * Loads a .mailmap file
+   * @param {string} filePath - Path to a file in .mailmap format
+   * @returns {Promise<Array<Object>>} Mappings as {oldName, oldEmail, newName, newEmail}
+   */
+  async loadMailmap(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('Mailmap file path must be specified');
+    }
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Mailmap file not found: ${filePath}`);
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const mappings = this.parseMailmap(content);
+
+    logger.debug(`Loaded mailmap ${path.basename(filePath)}: ${mappings.length} entries`);
+
+    return mappings;
+  }
+
+  /**
+   * Parses .mailmap content. Supported lines (see gitmailmap(5)):
+   *   Proper Name <commit@email>
+   *   <proper@email> <commit@email>
+   *   Proper Name <proper@email> <commit@email>
+   *   Proper Name <proper@email> Commit Name <commit@email>
+   * @param {string} content - Raw content
+   * @returns {Array<Object>} Mappings as {oldName, oldEmail, newName, newEmail}
+   */
+  parseMailmap(content) {
+    const entries = [];
+
+    String(content).split(/\r?\n/).forEach((rawLine, index) => {
+      // Comments start a line or follow the last email address
+      const line = rawLine.replace(/(^|>)\s*#.*$/, '$1').trim();
+      if (!line) {
+        return;
+      }
+
+      const pairs = [];
+      const pattern = /([^<>]*)<([^<>]*)>/g;
+      let match;
+      let consumed = 0;
+      while ((match = pattern.exec(line)) !== null) {
+        pairs.push({ name: match[1].trim() || null, email: match[2].trim() || null });
+        consumed = pattern.lastIndex;
+      }
+
+      if (pairs.length === 0 || pairs.length > 2 || line.substring(consumed).trim()) {
+        throw new Error(`Mailmap line ${index + 1}: expected "Proper Name <proper@email> Commit Name <commit@email>"`);
+      }
+
+      if (pairs.length === 1) {
+        entries.push({ oldName: null, oldEmail: pairs[0].email, newName: pairs[0].name, newEmail: null });
+      } else {
+        entries.push({ oldName: pairs[1].name, oldEmail: pairs[1].email, newName: pairs[0].name, newEmail: pairs[0].email });
+      }
+    });
+
+    return this.normalizeMappings(entries);
+  }
+
+  /**
+   * Validates identity mappings and normalizes their keys
+   * @param {Array} entries - List of {oldName, oldEmail, newName, newEmail} objects
+   *   (old_name/old_email/new_name/new_email keys work too)
+   * @returns {Array<Object>} Mappings as {oldName, oldEmail, newName, newEmail}
+   */
+  normalizeMappings(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('At least one identity mapping must be specified');
+    }
+
+    return entries.map((entry, index) => {
+      const label = `Mapping ${index + 1}`;
+      if (!entry || typeof entry !== 'object') {
+        throw new Error(`${label}: expected an object`);
+      }
+
+      const field = (camel, snake) => {
+        const value = entry[camel] !== undefined ? entry[camel] : entry[snake];
+        if (value === undefined || value === null || String(value).trim() === '') {
+          return null;
+        }
+        // Names and emails end up in raw commit headers
+        if (/[<>\n\r\0]/.test(String(value))) {
+          throw new Error(`${label}: ${snake} cannot contain <, > or line breaks`);
+        }
+        return String(value).trim();
+      };
+
+      const mapping = {
+        oldName: field('oldName', 'old_name'),
+        oldEmail: field('oldEmail', 'old_email'),
+        newName: field('newName', 'new_name'),
+        newEmail: field('newEmail', 'new_email')
+      };
+
+      if (!mapping.oldName && !mapping.oldEmail) {
+        throw new Error(`${label}: an old name or email must be specified`);
+      }
+      if (!mapping.newName && !mapping.newEmail) {
+        throw new Error(`${label}: a new name or email must be specified`);
+      }
+
+      return mapping;
+    });
+  }
+
+  /**
+   * Finds the mapping for an identity
+   * Mappings that match both name and email win over email-only ones, which win over name-only ones.
+   * @param {Object} identity - {name, email}
+   * @param {Array} mappings - Normalized mappings
+   * @returns {Object|null} Matching mapping
+   */
+  findMapping(identity, mappings) {
+    const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+    const matches = mappings.filter(mapping =>
+      (!mapping.oldEmail || same(mapping.oldEmail, identity.email)) &&
+      (!mapping.oldName || same(mapping.oldName, identity.name))
+    );
+
+    const rank = mapping => (mapping.oldEmail ? 2 : 0) + (mapping.oldName ? 1 : 0);
+    return matches.reduce((best, mapping) => (!best || rank(mapping) > rank(best) ? mapping : best), null);
+  }
+
+  /**
+   * Maps an identity
+   * @param {Object} identity - {name, email}
+   * @param {Array} mappings - Normalized mappings
+   * @returns {Object|null} New {name, email}, or null when the identity does not change
+   */
+  mapIdentity(identity, mappings) {
+    const mapping = this.findMapping(identity, mappings);
+    if (!mapping) {
+      return null;
+    }
+
+    const mapped = {
+      name: mapping.newName || identity.name,
+      email: mapping.newEmail || identity.email
+    };
+
+    return mapped.name === identity.name && mapped.email === identity.email ? null : mapped;
+  }
+}
+
+module.exports = IdentityMapper;
@@ -1,9 +1,25 @@
 const GitProcessor = require('./gitProcessor');
 const DateManager = require('./dateManager');
+const IdentityMapper = require('./identityMapper');
+const MessageEditor = require('./messageEditor');
+const RestructurePlanner = require('./restructurePlanner');
 const ContentEditor = require('./contentEditor');
 const BackupManager = require('./backupManager');
 const AICommitAssistant = require('./aiCommitAssistant');
 const logger = require('./utils/logger');
+const Config = require('./utils/config');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Ways redateCommits can produce new dates
+ */
+const REDATE_MODES = ['uniform', 'scale', 'natural'];
+
+/**
+ * Options that limit a history rewrite to part of the repository
+ */
+const REWRITE_SCOPE_OPTIONS = ['range', 'branch', 'sinceCommit', 'refs'];
 
 /**
  * Git Commit Time Machine Main Class
@@ -11,8 +27,17 @@ const logger = require('./utils/logger');
 class GitCommitTimeMachine {
   constructor(options = {}) {
     this.repoPath = options.repoPath || process.cwd();
-    this.gitProcessor = new GitProcessor(this.repoPath);
+    this.config = Config.load(options.config);
+    this.gitProcessor = new GitProcessor(this.repoPath, {
+      rewriteEngine: Config.get(this.config, 'git.rewriteEngine', 'fast-import'),
+      checkpointInterval: Config.get(this.config, 'git.checkpointInterval', 1000),
+      rewriteIdleTimeout: Config.get(this.config, 'git.rewriteIdleSeconds', 300) * 1000,
+      allowForcePush: Config.get(this.config, 'git.allowForcePush', false)
+    });
     this.dateManager = new DateManager();
+    this.identityMapper = new IdentityMapper();
+    this.messageEditor = new MessageEditor();
+    this.restructurePlanner = new RestructurePlanner();
     this.contentEditor = new ContentEditor(this.repoPath);
     this.backupManager = new BackupManager(this.repoPath);
     // BUG-029 fix: Lazy initialization of AI assistant to prevent validation errors
@@ -36,15 +61,54 @@ class GitCommitTimeMachine {
   /**
    * Redates commits within a specified date range
    * @param {Object} options - Redating options
-   * @param {string} options.startDate - Start date (YYYY-MM-DD format)
-   * @param {string} options.endDate - End date (YYYY-MM-DD format)
+   * @param {string} options.startDate - Start date: YYYY-MM-DD, an ISO date-time, an ISO week
+   *   ('2024-W12') or a relative expression ('last monday', '2 weeks ago')
+   * @param {string} options.endDate - End date, in the same forms as startDate
    * @param {Function} options.filter - Function to filter commits
    * @param {boolean} options.createBackup - Create backup before operation
-   * @param {boolean} options.preserveOrder - Preserve commit order
+   * @param {boolean} options.preserveOrder - Evenly spaced dates; false picks random dates (commits
+   *   are still dated after their parents)
+   * @param {boolean} options.randomize - Add random variation to generated dates
+   * @param {Object} options.schedule - Working-hours schedule (see DateManager.normalizeSchedule)
+   * @param {string|Object|Array} options.calendar - Blackout calendar file (.ics/.json) or calendar entries
+   *   (defaults to the date.calendar config key)
+   * @param {string} options.timezone - 'local' (machine zone), 'preserve' (keep each commit's
+   *   original UTC offset) or an IANA timezone such as 'Europe/Istanbul' (defaults to date.timezone)
+   * @param {string} options.dateField - Date to rewrite: 'author', 'committer' or 'both' (default)
+   * @param {Object|string} options.committerGap - Random gap in minutes added to the committer
+   *   date when both dates are rewritten, e.g. '0-20'
+   * @param {string} options.mode - 'uniform' (default) spreads commits evenly over the range,
+   *   'scale' maps the original timeline onto it so bursts and gaps keep their shape,
+   *   'natural' samples times from the repository's hour-of-day/day-of-week rhythm
+   * @param {string} options.profileFrom - Author email whose rhythm 'natural' mode follows
+   *   (defaults to all authors)
+   * @param {boolean} options.fixOrder - Move commits that would be dated before a parent to just after
+   *   it instead of refusing the operation
+   * @param {string} options.shift - Relative duration (e.g. '+3 days 4 hours') to move the existing
+   *   dates by instead of generating new ones; see shiftCommitDates
+   * @param {string|Array} options.map - Per-commit date mapping file (or rows) to apply instead of
+   *   generating dates; see redateFromMap
+   * @param {string} options.range - Only redate '<base>..<branch>' (e.g. 'main~20..main')
+   * @param {string} options.branch - Only redate this branch (default: the current branch)
+   * @param {string} options.sinceCommit - Only redate this commit and its descendants
+   * @param {Array} options.refs - Only redate these branches and tags
+   * @param {boolean} options.dryRun - Return the plan of the rewrite without changing anything
+   *   (see buildDryRunResult)
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey (default: git.resignCommits)
+   * @param {string} options.tags - 'move' the tags on rewritten commits that the scope leaves out, or
+   *   'redate' them too so annotated tags get the new committer date of their commit
    * @returns {Promise<Object>} Operation results
    */
   async redateCommits(options) {
     try {
+      if (options.map) {
+        return await this.redateFromMap(options);
+      }
+
+      if (options.shift) {
+        return await this.shiftCommitDates(options);
+      }
+
       logger.info('Redating commits...');
 
       // BUG-028 fix: Default createBackup to true for destructive operations
@@ -59,47 +123,194 @@ class GitCommitTimeMachine {
         return { success: false, error: errorMsg };
       }
 
-      if (createBackup) {
-        await this.backupManager.createBackup();
-        logger.info('Backup created');
+      // Resolve relative expressions once so every step sees the same range
+      const startDate = this.dateManager.parseDateExpression(options.startDate).format('YYYY-MM-DD HH:mm:ss');
+      const endDate = this.dateManager.parseDateExpression(options.endDate).format('YYYY-MM-DD HH:mm:ss');
+      logger.info(`Date range: ${startDate} - ${endDate}`);
+
+      // Reject a malformed schedule before anything is backed up or rewritten
+      if (options.schedule) {
+        try {
+          this.dateManager.normalizeSchedule(options.schedule);
+        } catch (scheduleError) {
+          const errorMsg = `Schedule validation failed: ${scheduleError.message}`;
+          logger.error(errorMsg);
+          return { success: false, error: errorMsg };
+        }
       }
 
-      const commits = await this.gitProcessor.getCommits({
-        filter: options.filter
+      const mode = options.mode || 'uniform';
+      if (!REDATE_MODES.includes(mode)) {
+        const errorMsg = `Invalid redate mode: ${mode}. Use one of: ${REDATE_MODES.join(', ')}.`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      const timezone = options.timezone || Config.get(this.config, 'date.timezone', 'local');
+      if (!['local', 'preserve'].includes(timezone) && !this.dateManager.isValidTimezone(timezone)) {
+        const errorMsg = `Invalid timezone: ${timezone}. Use 'local', 'preserve' or an IANA timezone name.`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      const dateField = options.dateField || 'both';
+      try {
+        this.dateManager.buildCommitDates('2000-01-01 00:00:00', {
+          dateField,
+          committerGap: options.committerGap
+        });
+      } catch (fieldError) {
+        const errorMsg = `Date field validation failed: ${fieldError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let calendar = null;
+      try {
+        calendar = await this.resolveCalendar(options.calendar);
+      } catch (calendarError) {
+        const errorMsg = `Calendar loading failed: ${calendarError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let profile = null;
+      if (mode === 'natural') {
+        profile = await this.buildRhythmProfile(options.profileFrom);
+        if (profile.total === 0) {
+          const errorMsg = options.profileFrom
+            ? `No commits found for author ${options.profileFrom} to build a rhythm profile`
+            : 'No commits found to build a rhythm profile';
+          logger.error(errorMsg);
+          return { success: false, error: errorMsg };
+        }
+      }
+
+      let scoped = null;
+      try {
+        scoped = this.resolveRewriteScope(options);
+      } catch (scopeError) {
+        const errorMsg = `Invalid rewrite scope: ${scopeError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      const selectedCommits = await this.gitProcessor.getCommits({
+        filter: options.filter,
+        revisions: scoped && scoped.revisions
       });
 
-      if (commits.length === 0) {
+      if (selectedCommits.length === 0) {
         logger.warn('No commits found to process');
         return { success: true, message: 'No commits found to process', processed: 0 };
       }
 
-      logger.info(`Found ${commits.length} commits`);
+      logger.info(`Found ${selectedCommits.length} commits`);
+
+      // git log lists commits newest first and not necessarily in DAG order;
+      // walk parents before children so ascending dates follow the history
+      const graph = await this.gitProcessor.getCommitGraph({ revisions: scoped && scoped.tips });
+      const selectedByHash = new Map(selectedCommits.map(commit => [commit.hash, commit]));
+      const commits = this.dateManager.sortTopologically(graph)
+        .filter(hash => selectedByHash.has(hash))
+        .map(hash => selectedByHash.get(hash));
 
       // Generate new dates within the date range
-      const newDates = this.dateManager.generateDateRange(
-        options.startDate,
-        options.endDate,
-        commits.length,
-        { preserveOrder: options.preserveOrder }
-      );
+      let newDates;
+      if (mode === 'scale') {
+        newDates = this.dateManager.scaleDates(
+          commits.map(commit => commit.rawDate || commit.date),
+          startDate,
+          endDate,
+          { schedule: options.schedule, calendar }
+        );
+      } else if (mode === 'natural') {
+        newDates = this.dateManager.generateNaturalDates(
+          startDate,
+          endDate,
+          commits.length,
+          { profile, schedule: options.schedule, calendar }
+        );
+      } else {
+        newDates = this.dateManager.generateDateRange(
+          startDate,
+          endDate,
+          commits.length,
+          {
+            preserveOrder: options.preserveOrder,
+            randomize: options.randomize,
+            schedule: options.schedule,
+            calendar
+          }
+        ).sort();
+      }
+
+      // Committer gaps and moved commits are kept inside the working hours and off blackout days
+      const windows = options.schedule || calendar
+        ? this.dateManager.buildDateWindows(startDate, endDate, { schedule: options.schedule, calendar })
+        : null;
 
       // Prepare commit-date mapping
-      const commitsWithDates = commits.map((commit, index) => ({
-        hash: commit.hash,
-        newDate: newDates[index]
-      }));
+      const dateMap = new Map(commits.map((commit, index) => [
+        commit.hash,
+        this.dateManager.buildCommitDates(this.applyTimezone(newDates[index], commit, timezone), {
+          dateField,
+          committerGap: options.committerGap,
+          windows
+        })
+      ]));
+
+      // Timezones, committer gaps and commits left out by the filter can still
+      // put a child before a parent, so check the final mapping
+      const order = this.dateManager.enforceCommitOrder(graph, dateMap, { fix: options.fixOrder, windows });
+      if (order.adjusted > 0) {
+        logger.warn(`Moved ${order.adjusted} commits to keep them after their parents`);
+      }
+      if (order.violations.length > 0) {
+        const details = order.violations.slice(0, 5)
+          .map(v => `${v.hash.substring(0, 7)} before parent ${v.parent.substring(0, 7)} (${v.field})`)
+          .join(', ');
+        const errorMsg = `New dates would break parent/child ordering: ${details}` +
+          (options.fixOrder ? '' : '. Use fixOrder to move these commits automatically.');
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg, violations: order.violations };
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
+        logger.info('Backup created');
+      }
+
+      const commitsWithDates = Array.from(order.dates, ([hash, dates]) => ({ hash, ...dates }));
 
       // Use batch date changing for better performance
       logger.info(`Changing dates for ${commitsWithDates.length} commits...`);
 
-      const result = await this.gitProcessor.amendMultipleCommitDates(commitsWithDates);
+      const result = await this.gitProcessor.amendMultipleCommitDates(commitsWithDates, {
+        scope: scoped && scoped.scope,
+        dryRun: options.dryRun,
+        backupId,
+        resign: this.shouldResign(options),
+        tags: options.tags
+      });
+
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('redate', result.plan, { processed: result.processed, total: commits.length });
+      }
 
       if (result.success) {
         logger.info(`Operation completed: ${result.processed}/${commits.length} commits successfully redated`);
         return {
           success: true,
           processed: result.processed,
-          total: commits.length
+          total: commits.length,
+          commitMap: result.commitMap,
+          backupId: result.backupId,
+          signatures: result.signatures,
+          tags: result.tags,
+          remotes: result.remotes
         };
       } else {
         logger.error(`Date changing failed: ${result.error}`);
@@ -116,13 +327,431 @@ class GitCommitTimeMachine {
     }
   }
 
+  /**
+   * Moves existing commit dates by a relative duration, keeping their spacing and UTC offsets
+   * @param {Object} options - Shift options
+   * @param {string} options.shift - Duration such as '+3 days 4 hours' or '-2 weeks'
+   * @param {Function} options.filter - Function to filter commits
+   * @param {string} options.dateField - Date to shift: 'author', 'committer' or 'both' (default)
+   * @param {boolean} options.createBackup - Create backup before operation
+   * @param {string} options.range - Rewrite scope, as in redateCommits (also branch, sinceCommit, refs)
+   * @param {boolean} options.dryRun - Return the plan of the rewrite without changing anything
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey (default: git.resignCommits)
+   * @param {string} options.tags - 'move' or 'redate' the tags on rewritten commits, as in redateCommits
+   * @returns {Promise<Object>} Operation results
+   */
+  async shiftCommitDates(options) {
+    try {
+      logger.info(`Shifting commit dates by ${options.shift}...`);
+
+      const createBackup = options.createBackup !== false;
+      const dateField = options.dateField || 'both';
+
+      let duration;
+      try {
+        duration = this.dateManager.parseDuration(options.shift);
+        this.dateManager.buildCommitDates('2000-01-01 00:00:00', { dateField });
+      } catch (shiftError) {
+        const errorMsg = `Shift validation failed: ${shiftError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let scoped = null;
+      try {
+        scoped = this.resolveRewriteScope(options);
+      } catch (scopeError) {
+        const errorMsg = `Invalid rewrite scope: ${scopeError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      const commits = await this.gitProcessor.getCommits({
+        filter: options.filter,
+        revisions: scoped && scoped.revisions
+      });
+
+      if (commits.length === 0) {
+        logger.warn('No commits found to process');
+        return { success: true, message: 'No commits found to process', processed: 0 };
+      }
+
+      logger.info(`Found ${commits.length} commits`);
+
+      const graph = await this.gitProcessor.getCommitGraph({ revisions: scoped && scoped.tips });
+      const selected = new Set(commits.map(commit => commit.hash));
+      const newDates = new Map();
+
+      graph.filter(commit => selected.has(commit.hash)).forEach(commit => {
+        const [authorDate, committerDate] = this.dateManager.shiftDates(
+          [commit.authorDate, commit.committerDate],
+          duration
+        );
+        newDates.set(commit.hash, {
+          authorDate: dateField === 'committer' ? null : authorDate,
+          committerDate: dateField === 'author' ? null : committerDate
+        });
+      });
+
+      // Moving only part of the history can put a child before its parent
+      const violations = this.dateManager.findOrderViolations(graph, newDates);
+      if (violations.length > 0) {
+        const details = violations.slice(0, 5)
+          .map(v => `${v.hash.substring(0, 7)} before parent ${v.parent.substring(0, 7)} (${v.field})`)
+          .join(', ');
+        const errorMsg = `Shift would break parent/child ordering: ${details}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg, violations };
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
+        logger.info('Backup created');
+      }
+
+      const commitsWithDates = Array.from(newDates, ([hash, dates]) => ({ hash, ...dates }));
+      logger.info(`Changing dates for ${commitsWithDates.length} commits...`);
+
+      const result = await this.gitProcessor.amendMultipleCommitDates(commitsWithDates, {
+        scope: scoped && scoped.scope,
+        dryRun: options.dryRun,
+        backupId,
+        resign: this.shouldResign(options),
+        tags: options.tags
+      });
+
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('redate', result.plan, { processed: result.processed, total: commits.length });
+      }
+
+      if (result.success) {
+        logger.info(`Operation completed: ${result.processed}/${commits.length} commits successfully shifted`);
+        return {
+          success: true,
+          processed: result.processed,
+          total: commits.length,
+          commitMap: result.commitMap,
+          backupId: result.backupId,
+          signatures: result.signatures,
+          tags: result.tags,
+          remotes: result.remotes
+        };
+      }
+
+      logger.error(`Date shifting failed: ${result.error}`);
+      return {
+        success: false,
+        error: result.error,
+        total: commits.length
+      };
+
+    } catch (error) {
+      logger.error(`Shift operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Applies an explicit per-commit date mapping
+   * @param {Object} options - Mapping options
+   * @param {string|Array} options.map - CSV/JSON/YAML file with hash,author_date,committer_date rows,
+   *   or the rows themselves as {hash, authorDate, committerDate}
+   * @param {boolean} options.createBackup - Create backup before operation
+   * @param {string} options.range - Rewrite scope, as in redateCommits (also branch, sinceCommit, refs);
+   *   rows for commits outside it are rejected
+   * @param {boolean} options.dryRun - Return the plan of the rewrite without changing anything
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey (default: git.resignCommits)
+   * @param {string} options.tags - 'move' or 'redate' the tags on rewritten commits, as in redateCommits
+   * @returns {Promise<Object>} Operation results
+   */
+  async redateFromMap(options) {
+    try {
+      const createBackup = options.createBackup !== false;
+
+      let rows;
+      try {
+        if (typeof options.map === 'string') {
+          const mapPath = path.resolve(this.repoPath, options.map);
+          logger.info(`Using date map: ${mapPath}`);
+          rows = await this.dateManager.loadDateMap(mapPath);
+        } else {
+          rows = this.dateManager.normalizeDateMap(options.map);
+        }
+      } catch (mapError) {
+        const errorMsg = `Date map loading failed: ${mapError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      if (rows.length === 0) {
+        logger.warn('Date map has no rows');
+        return { success: true, message: 'Date map has no rows', processed: 0 };
+      }
+
+      let scoped = null;
+      try {
+        scoped = this.resolveRewriteScope(options);
+      } catch (scopeError) {
+        const errorMsg = `Invalid rewrite scope: ${scopeError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      const graph = await this.gitProcessor.getCommitGraph({ revisions: scoped && scoped.tips });
+      const inScope = scoped
+        ? new Set((await this.gitProcessor.getCommitGraph({ revisions: scoped.revisions })).map(commit => commit.hash))
+        : null;
+      const newDates = new Map();
+      const errors = [];
+
+      rows.forEach((row, index) => {
+        const matches = graph.filter(commit => commit.hash.startsWith(row.hash));
+        if (matches.length !== 1) {
+          errors.push(`Row ${index + 1}: commit ${row.hash} ${matches.length === 0 ? 'not found' : 'is ambiguous'}`);
+        } else if (inScope && !inScope.has(matches[0].hash)) {
+          errors.push(`Row ${index + 1}: commit ${row.hash} is outside the rewrite scope`);
+        } else if (newDates.has(matches[0].hash)) {
+          errors.push(`Row ${index + 1}: commit ${row.hash} is listed more than once`);
+        } else {
+          newDates.set(matches[0].hash, { authorDate: row.authorDate, committerDate: row.committerDate });
+        }
+      });
+
+      if (errors.length === 0) {
+        this.dateManager.findOrderViolations(graph, newDates).forEach(v => {
+          errors.push(`${v.hash.substring(0, 7)} would be dated before parent ${v.parent.substring(0, 7)} (${v.field})`);
+        });
+      }
+
+      if (errors.length > 0) {
+        const errorMsg = `Date map validation failed: ${errors.slice(0, 5).join(', ')}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg, errors };
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
+        logger.info('Backup created');
+      }
+
+      const commitsWithDates = Array.from(newDates, ([hash, dates]) => ({ hash, ...dates }));
+      logger.info(`Changing dates for ${commitsWithDates.length} commits...`);
+
+      const result = await this.gitProcessor.amendMultipleCommitDates(commitsWithDates, {
+        scope: scoped && scoped.scope,
+        dryRun: options.dryRun,
+        backupId,
+        resign: this.shouldResign(options),
+        tags: options.tags
+      });
+
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('redate', result.plan, {
+          processed: result.processed,
+          total: commitsWithDates.length
+        });
+      }
+
+      if (result.success) {
+        logger.info(`Operation completed: ${result.processed}/${commitsWithDates.length} commits successfully redated`);
+        return {
+          success: true,
+          processed: result.processed,
+          total: commitsWithDates.length,
+          commitMap: result.commitMap,
+          backupId: result.backupId,
+          signatures: result.signatures,
+          tags: result.tags,
+          remotes: result.remotes
+        };
+      }
+
+      logger.error(`Date changing failed: ${result.error}`);
+      return {
+        success: false,
+        error: result.error,
+        total: commitsWithDates.length
+      };
+
+    } catch (error) {
+      logger.error(`Date map operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Exports the current commit dates as a date map that redateFromMap accepts
+   * @param {Object} options - Export options
+   * @param {string} options.file - Output file; the format follows its extension (optional)
+   * @param {string} options.format - 'csv', 'json' or 'yaml' (overrides the extension)
+   * @param {string} options.range - Only export this scope, as in redateCommits (also branch, sinceCommit, refs)
+   * @returns {Promise<Object>} Operation result with the rows and serialized content
+   */
+  async exportDateMap(options = {}) {
+    try {
+      const scoped = this.resolveRewriteScope(options);
+      const graph = await this.gitProcessor.getCommitGraph({ revisions: scoped && scoped.revisions });
+      const format = options.format || this.dateManager.getDateMapFormat(options.file);
+
+      if (!['csv', 'json', 'yaml'].includes(format)) {
+        return { success: false, error: `Invalid date map format: ${format}. Use csv, json or yaml.` };
+      }
+
+      // Oldest first, which reads naturally when the map is edited by hand
+      const rows = graph.reverse().map(commit => ({
+        hash: commit.hash,
+        authorDate: commit.authorDate,
+        committerDate: commit.committerDate
+      }));
+      const content = this.dateManager.formatDateMap(rows, format);
+
+      let file = null;
+      if (options.file) {
+        file = path.resolve(this.repoPath, options.file);
+        await fs.writeFile(file, content);
+        logger.info(`Exported ${rows.length} commit dates to ${file}`);
+      }
+
+      return { success: true, rows, content, file, total: rows.length };
+    } catch (error) {
+      logger.error(`Date map export failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Builds the result of a dry run
+   * @param {string} operation - 'redate', 'edit-message', 'edit-messages', 'edit-content', 'rewrite-author',
+   *   'restructure', 'split' or 'sanitize'
+   * @param {Object} plan - {refs, commits} where each commit is {oldHash, newHash, subject,
+   *   authorDate, committerDate, message, files}; the dates and message are {old, new} or null
+   *   when unchanged, files are {path, matches}
+   * @param {Object} details - Other result fields such as processed and total
+   * @returns {Object} Operation result with `dryRun: true` and the plan
+   */
+  buildDryRunResult(operation, plan, details = {}) {
+    logger.info(`Dry run: ${plan.commits.length} commits would change, nothing was modified`);
+    return { success: true, dryRun: true, ...details, plan: { operation, ...plan } };
+  }
+
+  /**
+   * Whether an operation signs the commits it rewrites
+   * @param {Object} options - Operation options
+   * @returns {boolean} options.resign when given, the git.resignCommits config key otherwise
+   */
+  shouldResign(options = {}) {
+    return options.resign !== undefined ? Boolean(options.resign) : Boolean(Config.get(this.config, 'git.resignCommits', false));
+  }
+
+  /**
+   * Resolves the rewrite scope options (range, branch, sinceCommit, refs) of an operation
+   * @param {Object} options - Operation options
+   * @returns {Object|null} {scope, revisions, tips}, or null when the operation is not scoped
+   */
+  resolveRewriteScope(options = {}) {
+    const scope = {};
+    REWRITE_SCOPE_OPTIONS.forEach(key => {
+      if (options[key]) scope[key] = options[key];
+    });
+
+    if (Object.keys(scope).length === 0) {
+      return null;
+    }
+
+    return { scope, ...this.gitProcessor.resolveRewriteScope(scope) };
+  }
+
+  /**
+   * Gets the branch a force push after a rewrite publishes
+   * @param {Object} scoped - Result of resolveRewriteScope
+   * @returns {Promise<string>} The branch named by the scope (branch, range or refs), otherwise the current branch
+   */
+  async getPushBranch(scoped) {
+    if (!scoped || !(scoped.scope.branch || scoped.scope.range || scoped.scope.refs)) {
+      return await this.gitProcessor.getCurrentBranch();
+    }
+
+    const branches = scoped.tips.filter(ref => ref.startsWith('refs/heads/'));
+    if (branches.length !== 1) {
+      throw new Error('Force pushing needs a scope with exactly one branch');
+    }
+    return branches[0].slice('refs/heads/'.length);
+  }
+
+  /**
+   * Builds the commit rhythm profile used by 'natural' redating
+   * @param {string} authorEmail - Only learn from this author's commits (optional)
+   * @returns {Promise<Object>} Rhythm profile (see DateManager.buildRhythmProfile)
+   */
+  async buildRhythmProfile(authorEmail = null) {
+    const email = authorEmail ? authorEmail.trim().toLowerCase() : null;
+    const commits = await this.gitProcessor.getCommits({
+      filter: email ? commit => (commit.email || '').toLowerCase() === email : undefined
+    });
+
+    logger.info(`Building commit rhythm from ${commits.length} commits${email ? ` by ${email}` : ''}`);
+    return this.dateManager.buildRhythmProfile(commits);
+  }
+
+  /**
+   * Attaches a UTC offset to a generated wall-clock date
+   * @param {string} date - Generated date ('YYYY-MM-DD HH:mm:ss')
+   * @param {Object} commit - Commit the date belongs to
+   * @param {string} timezone - 'local', 'preserve' or an IANA timezone
+   * @returns {string} Date for GIT_AUTHOR_DATE/GIT_COMMITTER_DATE
+   */
+  applyTimezone(date, commit, timezone) {
+    if (timezone === 'local') {
+      return date;
+    }
+
+    if (timezone === 'preserve') {
+      const offset = this.dateManager.parseUtcOffset(commit.rawDate);
+      return offset === null ? date : this.dateManager.formatForGit(date, { offset });
+    }
+
+    return this.dateManager.formatForGit(date, { timezone });
+  }
+
+  /**
+   * Resolves the blackout calendar for a redate operation
+   * @param {string|Object|Array} calendar - Calendar file path or calendar entries
+   * @returns {Promise<Object|null>} Normalized calendar or null
+   */
+  async resolveCalendar(calendar) {
+    const source = calendar || Config.get(this.config, 'date.calendar', null);
+
+    if (!source) {
+      return null;
+    }
+
+    if (typeof source === 'string') {
+      const calendarPath = path.resolve(this.repoPath, source);
+      logger.info(`Using blackout calendar: ${calendarPath}`);
+      return await this.dateManager.loadCalendar(calendarPath);
+    }
+
+    return this.dateManager.normalizeCalendar(source);
+  }
+
   /**
    * Edits a commit message
    * @param {Object} options - Message editing options
    * @param {string} options.commitId - Commit ID to edit
    * @param {string} options.newMessage - New commit message
    * @param {boolean} options.createBackup - Create backup before operation
-   * @returns {Promise<Object>} Operation result
+   * @param {string} options.branch - Only rewrite this branch (also range, sinceCommit, refs; default:
+   *   every branch and tag that contains the commit)
+   * @param {boolean} options.dryRun - Return the plan of the rewrite without changing anything
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey (default: git.resignCommits)
+   * @param {boolean} options.forcePush - Force push the rewritten branch to origin afterwards; needs
+   *   git.allowForcePush, and only replaces the remote branch while it is where it was before the rewrite
+   * @returns {Promise<Object>} Operation result with `remotes` ({published, upstream, others}, see
+   *   GitHistoryRewriter.checkRemotes), and `pushed` or `forcePushError` after a force push
    */
   async editCommitMessage(options) {
     try {
@@ -131,28 +760,44 @@ class GitCommitTimeMachine {
       // BUG-028 fix: Default createBackup to true for destructive operations
       const createBackup = options.createBackup !== false;
 
-      if (createBackup) {
-        await this.backupManager.createBackup();
+      const scoped = this.resolveRewriteScope(options);
+
+      let push = null;
+      if (options.forcePush && !options.dryRun) {
+        if (!Config.get(this.config, 'git.allowForcePush', false)) {
+          return { success: false, error: 'Force pushing is disabled: set git.allowForcePush to true in the configuration to push rewritten history' };
+        }
+        const branch = await this.getPushBranch(scoped);
+        push = { remote: 'origin', branch, expect: await this.gitProcessor.getRemoteTip('origin', branch) };
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
         logger.info('Backup created');
       }
 
       const result = await this.gitProcessor.amendCommitMessage(
         options.commitId,
-        options.newMessage
+        options.newMessage,
+        { scope: scoped && scoped.scope, dryRun: options.dryRun, backupId, resign: this.shouldResign(options) }
       );
 
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('edit-message', result.plan, { hash: result.hash, newHash: result.newHash });
+      }
+
       if (result.success) {
         logger.info('Commit message successfully edited');
 
-        // If force push is requested, handle it
-        if (options.forcePush && result.requiresForcePush) {
-          logger.info('Force pushing changes to remote...');
-          try {
-            await this.gitProcessor.forcePush();
-            logger.success('Changes force pushed to remote');
-          } catch (pushError) {
-            logger.warn(`Force push failed: ${pushError.message}`);
-            result.forcePushError = pushError.message;
+        // The lease is the remote branch as it was before the rewrite
+        if (push) {
+          const pushResult = await this.gitProcessor.forcePush(push.remote, push.branch, { expect: push.expect });
+          result.pushed = pushResult.success;
+          if (!pushResult.success) {
+            logger.warn(`Force push failed, the rewritten history is only local: ${pushResult.error}`);
+            result.forcePushError = pushResult.error;
           }
         }
       } else {
@@ -167,12 +812,87 @@ class GitCommitTimeMachine {
     }
   }
 
+  /**
+   * Edits the messages of every commit in scope in a single rewrite
+   * @param {Object} options - Message editing options
+   * @param {Array} options.replacements - List of {pattern, replacement, flags}; patterns are regular
+   *   expressions and replace every match, e.g. {pattern: 'JIRA-(\\d+)', replacement: 'PROJ-$1'}
+   * @param {string} options.prefix - Text put in front of each subject line
+   * @param {string} options.suffix - Text put after each subject line
+   * @param {Array} options.trailers - Trailers to add ('Signed-off-by: Name <email>' or {key, value})
+   * @param {Array} options.removeLines - Patterns of the message lines to remove
+   * @param {boolean} options.createBackup - Create backup before operation
+   * @param {string} options.range - Rewrite scope, as in redateCommits (also branch, sinceCommit, refs)
+   * @param {boolean} options.dryRun - Return the plan (old and new messages) without changing anything
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey (default: git.resignCommits)
+   * @returns {Promise<Object>} Operation result
+   */
+  async editCommitMessages(options = {}) {
+    try {
+      logger.info('Editing commit messages...');
+
+      const createBackup = options.createBackup !== false;
+
+      let edits;
+      try {
+        edits = this.messageEditor.normalizeEdits(options);
+      } catch (editError) {
+        const errorMsg = `Message edit validation failed: ${editError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let scoped = null;
+      try {
+        scoped = this.resolveRewriteScope(options);
+      } catch (scopeError) {
+        const errorMsg = `Invalid rewrite scope: ${scopeError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
+        logger.info('Backup created');
+      }
+
+      const result = await this.gitProcessor.rewriteMessages(edits, {
+        scope: scoped && scoped.scope,
+        dryRun: options.dryRun,
+        backupId,
+        resign: this.shouldResign(options)
+      });
+
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('edit-messages', result.plan, { processed: result.processed });
+      }
+
+      if (result.success) {
+        logger.info(`Operation completed: messages of ${result.processed} commits edited`);
+      } else {
+        logger.error(`Failed to edit commit messages: ${result.error}`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error(`Message editing operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Edits commit content
    * @param {Object} options - Content editing options
    * @param {string} options.commitId - Commit ID to edit
    * @param {Array} options.replacements - Patterns and their replacements
    * @param {boolean} options.createBackup - Create backup before operation
+   * @param {string} options.branch - Only rewrite this branch (also range, sinceCommit, refs)
+   * @param {boolean} options.dryRun - Return the plan of the rewrite without changing anything
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey (default: git.resignCommits)
+   * @param {string} options.tags - 'move' the tags on rewritten commits that the scope leaves out
    * @returns {Promise<Object>} Operation result
    */
   async editCommitContent(options) {
@@ -182,17 +902,26 @@ class GitCommitTimeMachine {
       // BUG-028 fix: Default createBackup to true for destructive operations
       const createBackup = options.createBackup !== false;
 
-      if (createBackup) {
-        await this.backupManager.createBackup();
+      const scoped = this.resolveRewriteScope(options);
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
         logger.info('Backup created');
       }
 
       // Use the new GitProcessor method for content replacement
       const result = await this.gitProcessor.replaceContentInHistory(
         options.replacements,
-        options.commitId
+        options.commitId,
+        { scope: scoped && scoped.scope, dryRun: options.dryRun, backupId, resign: this.shouldResign(options), tags: options.tags }
       );
 
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('edit-content', result.plan, { processed: result.processed });
+      }
+
       if (result.success) {
         logger.info('Commit content successfully edited');
       } else {
@@ -207,6 +936,281 @@ class GitCommitTimeMachine {
     }
   }
 
+  /**
+   * Rewrites author and committer identities (names and emails), like a .mailmap applied to history
+   * @param {Object} options - Rewrite options
+   * @param {Array} options.mappings - Identity mappings as {oldName, oldEmail, newName, newEmail};
+   *   the old fields select identities, a missing new field keeps the original value
+   * @param {string} options.mailmap - .mailmap file whose entries are applied as well
+   * @param {string} options.identityField - Identity to rewrite: 'author', 'committer' or 'both' (default)
+   * @param {boolean} options.createBackup - Create backup before operation
+   * @param {string} options.range - Rewrite scope, as in redateCommits (also branch, sinceCommit, refs)
+   * @param {boolean} options.dryRun - Return the plan of the rewrite without changing anything
+   * @param {boolean} options.resign - Sign the rewritten commits with user.signingkey (default: git.resignCommits)
+   * @returns {Promise<Object>} Operation results
+   */
+  async rewriteAuthors(options = {}) {
+    try {
+      logger.info('Rewriting author and committer identities...');
+
+      const createBackup = options.createBackup !== false;
+
+      let mappings;
+      try {
+        const entries = [...(options.mappings || [])];
+        if (options.mailmap) {
+          entries.push(...await this.identityMapper.loadMailmap(options.mailmap));
+        }
+        mappings = this.identityMapper.normalizeMappings(entries);
+      } catch (mappingError) {
+        const errorMsg = `Identity mapping validation failed: ${mappingError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let scoped = null;
+      try {
+        scoped = this.resolveRewriteScope(options);
+      } catch (scopeError) {
+        const errorMsg = `Invalid rewrite scope: ${scopeError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
+        logger.info('Backup created');
+      }
+
+      const result = await this.gitProcessor.rewriteIdentities(mappings, {
+        identityField: options.identityField,
+        scope: scoped && scoped.scope,
+        dryRun: options.dryRun,
+        backupId,
+        resign: this.shouldResign(options)
+      });
+
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('rewrite-author', result.plan, { processed: result.processed });
+      }
+
+      if (result.success) {
+        logger.info(`Operation completed: identities of ${result.processed} commits rewritten`);
+      } else {
+        logger.error(`Identity rewrite failed: ${result.error}`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error(`Identity rewrite operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Squashes, reorders and drops commits of a branch, like a non-interactive rebase
+   * @param {Object} options - Restructure options
+   * @param {string} options.plan - Plan file: `pick|squash|fixup|drop <commit>` lines, oldest first,
+   *   and `drop /<regex>/` lines (see RestructurePlanner)
+   * @param {Array} options.steps - Plan steps as {action, commit} or {action: 'drop', pattern}, instead of a file
+   * @param {string} options.branch - Branch to restructure (default: the current branch)
+   * @param {string} options.base - Commit the new history starts from (default: the parent of the
+   *   oldest commit in the plan); every commit after it has to be in the plan
+   * @param {boolean} options.aiMessage - Generate the messages of squashed commits with the AI assistant
+   * @param {boolean} options.createBackup - Create backup before operation
+   * @param {boolean} options.dryRun - Return the plan (new hashes, messages, dropped commits) without changing anything
+   * @param {boolean} options.resign - Sign the new commits with user.signingkey (default: git.resignCommits)
+   * @returns {Promise<Object>} Operation result
+   */
+  async restructureHistory(options = {}) {
+    try {
+      logger.info('Restructuring history...');
+
+      const createBackup = options.createBackup !== false;
+
+      let steps;
+      try {
+        steps = options.plan
+          ? await this.restructurePlanner.loadPlan(options.plan)
+          : this.restructurePlanner.normalizeSteps(options.steps);
+      } catch (planError) {
+        const errorMsg = `Restructure plan validation failed: ${planError.message}`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      let generateMessage = null;
+      if (options.aiMessage) {
+        const generator = await this.createAIMessageGenerator(({ commits }) => `These ${commits.length} commits are squashed into one`);
+        if (!generator.success) {
+          return generator;
+        }
+        generateMessage = generator.generateMessage;
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
+        logger.info('Backup created');
+      }
+
+      const result = await this.gitProcessor.restructureHistory(steps, {
+        branch: options.branch,
+        base: options.base,
+        generateMessage,
+        dryRun: options.dryRun,
+        backupId,
+        resign: this.shouldResign(options)
+      });
+
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('restructure', result.plan, { processed: result.processed, dropped: result.dropped });
+      }
+
+      if (result.success) {
+        logger.info(`Operation completed: ${result.processed} new commits, ${result.dropped.length} dropped`);
+      } else {
+        logger.error(`Restructure failed: ${result.error}`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error(`Restructure operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Splits a commit into several commits, each with part of its file changes
+   * The commits after it on the branch are rewritten on top of the new commits.
+   * @param {Object} options - Split options
+   * @param {string} options.commitId - Commit to split
+   * @param {string} options.by - 'file' (one commit per changed file, the default), 'directory'
+   *   (one per directory) or 'glob' (one per pattern, and one for the files no pattern matches)
+   * @param {Array} options.patterns - Path globs when splitting by glob, e.g. ['src/**', '*.md']
+   * @param {string} options.branch - Branch with the commit (default: the current branch)
+   * @param {boolean} options.aiMessage - Generate the message of each new commit with the AI assistant
+   * @param {boolean} options.createBackup - Create backup before operation
+   * @param {boolean} options.dryRun - Return the plan (new commits, their files and dates) without changing anything
+   * @param {boolean} options.resign - Sign the new commits with user.signingkey (default: git.resignCommits)
+   * @returns {Promise<Object>} Operation result
+   */
+  async splitCommit(options = {}) {
+    try {
+      logger.info(`Splitting commit ${options.commitId}...`);
+
+      const createBackup = options.createBackup !== false;
+
+      let generateMessage = null;
+      if (options.aiMessage) {
+        const generator = await this.createAIMessageGenerator(({ files }) =>
+          `This commit is part of a larger commit that was split; it changes ${files.join(', ')}`);
+        if (!generator.success) {
+          return generator;
+        }
+        generateMessage = generator.generateMessage;
+      }
+
+      let backupId;
+      if (createBackup && !options.dryRun) {
+        const backup = await this.backupManager.createBackup();
+        backupId = backup && backup.backupId;
+        logger.info('Backup created');
+      }
+
+      const result = await this.gitProcessor.splitCommit(options.commitId, {
+        by: options.by,
+        patterns: options.patterns,
+        branch: options.branch,
+        generateMessage,
+        dryRun: options.dryRun,
+        backupId,
+        resign: this.shouldResign(options)
+      });
+
+      if (result.success && options.dryRun) {
+        return this.buildDryRunResult('split', result.plan, { processed: result.processed });
+      }
+
+      if (result.success) {
+        logger.info(`Operation completed: ${result.processed} new commits`);
+      } else {
+        logger.error(`Split failed: ${result.error}`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error(`Split operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Creates a commit message generator backed by the AI assistant
+   * @param {Function} describe - Returns the context sentence for the generator's input
+   * @returns {Promise<Object>} {success, generateMessage} where generateMessage is
+   *   async ({message, diff, ...}) => message, or {success: false, error}
+   */
+  async createAIMessageGenerator(describe) {
+    const initResult = await this.initializeAI();
+    if (!initResult.success) {
+      return { success: false, error: `AI assistant is not available: ${initResult.error}` };
+    }
+
+    return {
+      success: true,
+      generateMessage: async (input) => {
+        const result = await this.aiAssistant.generateCommitMessage({
+          diff: input.diff,
+          currentMessage: input.message,
+          context: describe(input)
+        });
+        if (!result.success || result.suggestions.length === 0) {
+          throw new Error(`AI message generation failed: ${result.error || 'no suggestions'}`);
+        }
+        return result.suggestions[0];
+      }
+    };
+  }
+
+  /**
+   * Writes a restructure plan that picks every commit of a branch after a base commit
+   * @param {Object} options - Export options
+   * @param {string} options.base - Base commit (required)
+   * @param {string} options.branch - Branch (default: the current branch)
+   * @param {string} options.file - File to write (default: only return the content)
+   * @returns {Promise<Object>} Operation result with the plan `content`, the `file` and the number of commits
+   */
+  async exportRestructurePlan(options = {}) {
+    try {
+      if (!options.base) {
+        throw new Error('A base commit must be specified');
+      }
+
+      const scoped = this.resolveRewriteScope({ range: `${options.base}..${options.branch || 'HEAD'}` });
+      const commits = (await this.gitProcessor.getCommitGraph({ revisions: scoped.revisions })).reverse();
+      const content = this.restructurePlanner.formatPlan(commits);
+
+      let file = null;
+      if (options.file) {
+        file = path.resolve(this.repoPath, options.file);
+        await fs.writeFile(file, content);
+        logger.info(`Restructure plan for ${commits.length} commits written to ${file}`);
+      }
+
+      return { success: true, content, file, total: commits.length };
+    } catch (error) {
+      logger.error(`Plan export failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Sanitizes repository history from sensitive data
    * @param {Object} options - Sanitization options
@@ -214,6 +1218,12 @@ class GitCommitTimeMachine {
    * @param {string} options.replacement - Text to replace with
    * @param {Function} options.filter - Filter commits to process
    * @param {boolean} options.createBackup - Create backup before operation
+   * @param {string} options.branch - Only scan this branch (also range, sinceCommit, refs)
+   * @param {boolean} options.dryRun - Return the files and match counts per commit without editing anything
+   * @param {boolean} options.resign - In a bare repository, sign the rewritten commits with user.signingkey
+   *   (default: git.resignCommits); refused elsewhere
+   * @param {string} options.tags - In a bare repository, 'move' or 'redate' the tags on rewritten commits, as in
+   *   redateCommits; refused elsewhere, where no commit or tag moves
    * @returns {Promise<Object>} Operation results
    */
   async sanitizeHistory(options) {
@@ -231,13 +1241,29 @@ class GitCommitTimeMachine {
       // BUG-028 fix: Default createBackup to true for destructive operations
       const createBackup = options.createBackup !== false;
 
-      if (createBackup) {
+      const scoped = this.resolveRewriteScope(options);
+
+      if (await this.gitProcessor.isBareRepository()) {
+        return await this.sanitizeBareHistory(options, scoped, createBackup);
+      }
+
+      // Outside a bare repository sanitizing edits the working tree, so no commit or tag moves
+      if (options.tags || options.resign) {
+        const option = options.tags ? 'tags' : 'resign';
+        const errorMsg = `The ${option} option needs a bare repository: sanitize only edits the working tree here ` +
+          `(rewrite the history with edit-content --${option} instead)`;
+        logger.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+
+      if (createBackup && !options.dryRun) {
         await this.backupManager.createBackup();
         logger.info('Backup created');
       }
 
       const commits = await this.gitProcessor.getCommits({
-        filter: options.filter
+        filter: options.filter,
+        revisions: scoped && scoped.revisions
       });
 
       if (commits.length === 0) {
@@ -248,6 +1274,8 @@ class GitCommitTimeMachine {
       logger.info(`Scanning ${commits.length} commits`);
 
       const results = [];
+      const plannedCommits = [];
+      const plannedFiles = new Set();
       for (const commit of commits) {
         try {
           logger.info(`Scanning commit: ${commit.hash.substring(0, 7)}`);
@@ -266,16 +1294,49 @@ class GitCommitTimeMachine {
 
           const result = await this.contentEditor.editCommit(
             commit.hash,
-            replacements
+            replacements,
+            { dryRun: options.dryRun }
           );
 
           results.push(result);
+
+          if (options.dryRun) {
+            // A real run edits each working tree file once, at the first commit that lists it
+            const files = (result.results || [])
+              .filter(file => file.changes && !plannedFiles.has(file.file))
+              .map(file => {
+                plannedFiles.add(file.file);
+                return {
+                  path: path.relative(this.repoPath, file.file),
+                  matches: file.appliedReplacements.reduce((sum, applied) => sum + applied.matchCount, 0)
+                };
+              });
+            if (files.length > 0) {
+              plannedCommits.push({
+                oldHash: commit.hash,
+                newHash: commit.hash,
+                subject: commit.message,
+                authorDate: null,
+                committerDate: null,
+                message: null,
+                files
+              });
+            }
+          }
         } catch (error) {
           logger.error(`Error scanning commit ${commit.hash}: ${error.message}`);
           results.push({ success: false, error: error.message, hash: commit.hash });
         }
       }
 
+      if (options.dryRun) {
+        // Sanitizing edits the working tree, so no ref moves and no hash changes
+        return this.buildDryRunResult('sanitize', { refs: [], commits: plannedCommits }, {
+          processed: plannedCommits.length,
+          total: commits.length
+        });
+      }
+
       const successful = results.filter(r => r.success).length;
       logger.info(`Sanitization completed: ${successful}/${commits.length} commits successfully edited`);
 
@@ -292,6 +1353,61 @@ class GitCommitTimeMachine {
     }
   }
 
+  /**
+   * Sanitizes a bare repository (e.g. a `git clone --mirror` copy), which has no working tree to
+   * edit: the patterns are replaced in the files of every commit in scope by rewriting the history,
+   * as editCommitContent does
+   * @param {Object} options - Sanitization options, see sanitizeHistory
+   * @param {Object} scoped - Resolved rewrite scope, see resolveRewriteScope
+   * @param {boolean} createBackup - Create backup before operation
+   * @returns {Promise<Object>} Operation result of the rewrite
+   */
+  async sanitizeBareHistory(options, scoped, createBackup) {
+    const Validator = require('./utils/validator');
+
+    if (options.filter) {
+      return {
+        success: false,
+        error: 'A commit filter cannot be used in a bare repository, where the history is rewritten; use range, branch, sinceCommit or refs instead'
+      };
+    }
+
+    const replacements = options.patterns.map(pattern => ({ pattern, replacement: options.replacement }));
+    const validation = Validator.validateReplacements(replacements);
+    if (!validation.isValid) {
+      return { success: false, error: validation.errors.join(', ') };
+    }
+
+    logger.info('Bare repository: rewriting the history to sanitize it');
+
+    let backupId;
+    if (createBackup && !options.dryRun) {
+      const backup = await this.backupManager.createBackup();
+      backupId = backup && backup.backupId;
+      logger.info('Backup created');
+    }
+
+    const result = await this.gitProcessor.replaceContentInHistory(replacements, null, {
+      scope: scoped && scoped.scope,
+      dryRun: options.dryRun,
+      backupId,
+      resign: this.shouldResign(options),
+      tags: options.tags
+    });
+
+    if (result.success && options.dryRun) {
+      return this.buildDryRunResult('sanitize', result.plan, { processed: result.processed });
+    }
+
+    if (result.success) {
+      logger.info(`Sanitization completed: ${result.processed} commits rewritten`);
+    } else {
+      logger.error(`Sanitization failed: ${result.error}`);
+    }
+
+    return result;
+  }
+
   /**
    * Lists available backups
    * @returns {Promise<Array>} List of backups
@@ -328,6 +1444,120 @@ class GitCommitTimeMachine {
     }
   }
 
+  /**
+   * Gets the interrupted rewrite, if any
+   * @returns {Promise<Object|null>} {operation, startedAt, commits, ...} of its journal, or null
+   */
+  async getInterruptedRewrite() {
+    try {
+      return await this.gitProcessor.getInterruptedRewrite();
+    } catch (error) {
+      logger.error(`Failed to read the rewrite journal: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resumes a rewrite that was interrupted (killed, crashed, machine restarted) from its last
+   * checkpoint. The rewrite runs again with the options it was started with, including its backup.
+   * @returns {Promise<Object>} Operation result of the rewrite with `operation` and `resumed`,
+   *   the number of commits its checkpoints already had
+   */
+  async resumeRewrite() {
+    try {
+      const result = await this.gitProcessor.resumeRewrite();
+
+      if (result.success) {
+        logger.info(`Operation completed: ${result.operation} rewrite resumed after ${result.resumed} commits`);
+      } else {
+        logger.error(`Resume failed: ${result.error}`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Resume operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Aborts a rewrite that was interrupted: its refs and HEAD are restored as they were
+   * before it started
+   * @returns {Promise<Object>} Operation result with `operation` and `refs`, the number of refs moved back
+   */
+  async abortRewrite() {
+    try {
+      return await this.gitProcessor.abortRewrite();
+    } catch (error) {
+      logger.error(`Abort operation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Gets the commit map (old hash -> new hash) stored for a rewrite
+   * @param {string} backupId - Backup ID the rewrite returned as `backupId`
+   * @returns {Promise<Object>} Operation result with `commits` (old hash -> new hash object)
+   */
+  async getCommitMap(backupId) {
+    try {
+      return await this.backupManager.getCommitMap(backupId);
+    } catch (error) {
+      logger.error(`Failed to read commit map: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lists the stored commit maps
+   * @returns {Promise<Array>} {backupId, createdAt, operations, total} entries, oldest first
+   */
+  async listCommitMaps() {
+    try {
+      return await this.backupManager.listCommitMaps();
+    } catch (error) {
+      logger.error(`Failed to list commit maps: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Translates old commit hashes in a text (changelog, CI log, ...) to their rewritten hashes
+   * @param {string} text - Text to translate
+   * @param {Object} options - Options
+   * @param {string} options.backupId - Only use the map of this rewrite; by default every stored
+   *   map is applied oldest first, so hashes rewritten several times end up at the latest hash
+   * @returns {Promise<Object>} Operation result with the translated `text` and the `replaced` hashes
+   */
+  async translateCommitHashes(text, options = {}) {
+    try {
+      let commits = {};
+
+      if (options.backupId) {
+        const map = await this.backupManager.getCommitMap(options.backupId);
+        if (!map.success) {
+          return map;
+        }
+        commits = map.commits;
+      } else {
+        for (const entry of await this.backupManager.listCommitMaps()) {
+          const map = await this.backupManager.getCommitMap(entry.backupId);
+          Object.keys(commits).forEach(oldHash => {
+            commits[oldHash] = map.commits[commits[oldHash]] || commits[oldHash];
+          });
+          Object.entries(map.commits).forEach(([oldHash, newHash]) => {
+            if (!commits[oldHash]) commits[oldHash] = newHash;
+          });
+        }
+      }
+
+      return { success: true, ...this.backupManager.translateHashes(text, commits) };
+    } catch (error) {
+      logger.error(`Hash translation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Initialize AI assistant
    * @returns {Promise<Object>} Initialization result
@@ -0,0 +1,173 @@
+/**
+ * Class used for bulk commit message edits
+ * Edits are {replacements, prefix, suffix, trailers, removeLines} and are applied in that
+ * order: matching lines are removed, the replacements run, the subject line gets its prefix
+ * and suffix, and the trailers are added to the trailer block at the end of the message.
+ */
+class MessageEditor {
+  /**
+   * Validates message edits and compiles their patterns
+   * @param {Object} edits - Message edits
+   * @param {Array} edits.replacements - List of {pattern, replacement, flags}; patterns are regular
+   *   expressions (strings or RegExp) replacing every match, and replacements may use $1, $2, ...
+   * @param {string} edits.prefix - Text put in front of the subject line, unless it already starts with it
+   * @param {string} edits.suffix - Text put after the subject line, unless it already ends with it
+   * @param {Array} edits.trailers - Trailers to add, as 'Key: value' strings or {key, value} objects;
+   *   a trailer the message already has is not added again
+   * @param {Array} edits.removeLines - Patterns of the lines to remove (strings, RegExp or {pattern, flags})
+   * @returns {Object} Normalized edits
+   */
+  normalizeEdits(edits = {}) {
+    const compile = (pattern, flags, label) => {
+      if (pattern instanceof RegExp) {
+        return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+      }
+      if (typeof pattern !== 'string' || pattern.length === 0) {
+        throw new Error(`${label}: a pattern must be specified`);
+      }
+      try {
+        return new RegExp(pattern, `${String(flags || '').replace('g', '')}g`);
+      } catch (error) {
+        throw new Error(`${label}: invalid pattern ${pattern} (${error.message})`);
+      }
+    };
+
+    const replacements = (edits.replacements || []).map((entry, index) => {
+      const label = `Replacement ${index + 1}`;
+      if (!entry || typeof entry !== 'object') {
+        throw new Error(`${label}: expected {pattern, replacement}`);
+      }
+      if (typeof entry.replacement !== 'string') {
+        throw new Error(`${label}: a replacement text must be specified`);
+      }
+      return { pattern: compile(entry.pattern, entry.flags, label), replacement: entry.replacement };
+    });
+
+    const removeLines = (edits.removeLines || []).map((entry, index) => {
+      const label = `Line pattern ${index + 1}`;
+      return entry && typeof entry === 'object' && !(entry instanceof RegExp)
+        ? compile(entry.pattern, entry.flags, label)
+        : compile(entry, '', label);
+    });
+
+    const trailers = (edits.trailers || []).map((entry, index) => {
+      const label = `Trailer ${index + 1}`;
+      let key;
+      let value;
+      if (typeof entry === 'string') {
+        const separator = entry.indexOf(':');
+        key = separator > 0 ? entry.substring(0, separator) : '';
+        value = separator > 0 ? entry.substring(separator + 1) : '';
+      } else if (entry && typeof entry === 'object') {
+        key = String(entry.key || '');
+        value = String(entry.value || '');
+      }
+
+      key = (key || '').trim();
+      value = (value || '').trim();
+      if (!/^[A-Za-z0-9][A-Za-z0-9-]*$/.test(key)) {
+        throw new Error(`${label}: expected "Key: value" with a key of letters, digits and dashes`);
+      }
+      if (!value || /[\r\n]/.test(value)) {
+        throw new Error(`${label}: ${key} needs a value on a single line`);
+      }
+      return { key, value };
+    });
+
+    const text = (value, label) => {
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+      if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        throw new Error(`${label} must be text on a single line`);
+      }
+      return value;
+    };
+
+    const normalized = {
+      replacements,
+      prefix: text(edits.prefix, 'Prefix'),
+      suffix: text(edits.suffix, 'Suffix'),
+      trailers,
+      removeLines
+    };
+
+    if (!replacements.length && !normalized.prefix && !normalized.suffix && !trailers.length && !removeLines.length) {
+      throw new Error('At least one message edit (replacement, prefix, suffix, trailer or line removal) must be specified');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Applies normalized edits to a commit message
+   * @param {string} message - Original message
+   * @param {Object} edits - Edits from normalizeEdits
+   * @returns {string} Edited message, or the original one when no edit changes it
+   */
+  applyEdits(message, edits) {
+    const original = message.replace(/\n+$/, '');
+    let text = original;
+
+    if (edits.removeLines.length > 0) {
+      const lines = text.split('\n');
+      const kept = lines.filter(line => !edits.removeLines.some(pattern => {
+        pattern.lastIndex = 0;
+        return pattern.test(line);
+      }));
+      if (kept.length !== lines.length) {
+        // Removed lines should not leave runs of blank lines behind
+        text = kept.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\n+$/g, '');
+      }
+    }
+
+    edits.replacements.forEach(({ pattern, replacement }) => {
+      text = text.replace(pattern, replacement);
+    });
+
+    if (edits.prefix || edits.suffix) {
+      const lines = text.split('\n');
+      if (edits.prefix && !lines[0].startsWith(edits.prefix)) {
+        lines[0] = `${edits.prefix}${lines[0]}`;
+      }
+      if (edits.suffix && !lines[0].endsWith(edits.suffix)) {
+        lines[0] = `${lines[0]}${edits.suffix}`;
+      }
+      text = lines.join('\n');
+    }
+
+    if (edits.trailers.length > 0) {
+      text = this.addTrailers(text, edits.trailers);
+    }
+
+    return text === original ? message : `${text}\n`;
+  }
+
+  /**
+   * Adds trailers to the trailer block of a message, or starts one
+   * As in git interpret-trailers, the trailer block is the last paragraph (never the subject)
+   * when every line in it is a "Key: value" trailer.
+   * @param {string} text - Message without trailing newlines
+   * @param {Array} trailers - List of {key, value}
+   * @returns {string} Message with the trailers
+   */
+  addTrailers(text, trailers) {
+    const paragraphs = text.split(/\n\s*\n/);
+    const last = paragraphs.length > 1 ? paragraphs[paragraphs.length - 1].split('\n') : [];
+    const hasBlock = last.length > 0 && last.every(line => /^[A-Za-z0-9][A-Za-z0-9-]*:\s/.test(line) || /^\s+\S/.test(line));
+
+    const existing = hasBlock ? last.map(line => line.toLowerCase().replace(/\s+/g, ' ')) : [];
+    const added = trailers
+      .map(({ key, value }) => `${key}: ${value}`)
+      .filter((line, index, all) =>
+        !existing.includes(line.toLowerCase().replace(/\s+/g, ' ')) && all.indexOf(line) === index
+      );
+
+    if (added.length === 0) {
+      return text;
+    }
+    return `${text}${hasBlock ? '\n' : '\n\n'}${added.join('\n')}`;
+  }
+}
+
+module.exports = MessageEditor;
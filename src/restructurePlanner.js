@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./utils/logger');
+
+/**
+ * Actions of a restructure plan, with their one-letter forms as in a rebase todo list
+ */
+const PLAN_ACTIONS = {
+  pick: 'pick',
+  p: 'pick',
+  squash: 'squash',
+  s: 'squash',
+  fixup: 'fixup',
+  f: 'fixup',
+  drop: 'drop',
+  d: 'drop'
+};
+
+/**
+ * Class used for restructure plans (a non-interactive rebase todo list)
+ * A plan lists the commits of a branch oldest first, each as {action, commit}:
+ * pick keeps the commit, squash melds it into the commit above and combines the
+ * messages, fixup melds it but keeps the message above, and drop removes it.
+ * {action: 'drop', pattern} drops every other commit whose message matches.
+ */
+class RestructurePlanner {
+  /**
+   * Loads a plan file
+   * @param {string} filePath - Path to the plan file
+   * @returns {Promise<Array<Object>>} Steps as {action, commit} or {action: 'drop', pattern}
+   */
+  async loadPlan(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('Plan file path must be specified');
+    }
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Plan file not found: ${filePath}`);
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const steps = this.parsePlan(content);
+
+    logger.debug(`Loaded restructure plan ${path.basename(filePath)}: ${steps.length} steps`);
+
+    return steps;
+  }
+
+  /**
+   * Parses plan content. Each line is `<action> <commit> [subject]` or `drop /<regex>/[flags]`;
+   * empty lines and lines starting with # are skipped.
+   * @param {string} content - Raw content
+   * @returns {Array<Object>} Steps as {action, commit} or {action: 'drop', pattern}
+   */
+  parsePlan(content) {
+    const steps = [];
+
+    String(content).split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) {
+        return;
+      }
+
+      const match = line.match(/^(\S+)\s+(\/.*\/[a-z]*|\S+)/);
+      if (!match) {
+        throw new Error(`Plan line ${index + 1}: expected "<pick|squash|fixup|drop> <commit>"`);
+      }
+
+      const pattern = match[2].match(/^\/(.*)\/([a-z]*)$/);
+      steps.push(pattern
+        ? { action: match[1], pattern: pattern[1], flags: pattern[2], line: index + 1 }
+        : { action: match[1], commit: match[2], line: index + 1 });
+    });
+
+    return this.normalizeSteps(steps);
+  }
+
+  /**
+   * Validates plan steps and normalizes their actions
+   * @param {Array} steps - List of {action, commit} or {action: 'drop', pattern, flags} objects
+   * @returns {Array<Object>} Steps as {action, commit} or {action: 'drop', pattern: RegExp}
+   */
+  normalizeSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('The restructure plan has no steps');
+    }
+
+    const normalized = steps.map((step, index) => {
+      const label = step && step.line ? `Plan line ${step.line}` : `Step ${index + 1}`;
+      if (!step || typeof step !== 'object') {
+        throw new Error(`${label}: expected {action, commit}`);
+      }
+
+      const action = PLAN_ACTIONS[String(step.action || '').toLowerCase()];
+      if (!action) {
+        throw new Error(`${label}: unknown action ${step.action} (use pick, squash, fixup or drop)`);
+      }
+
+      if (step.pattern !== undefined && step.pattern !== null) {
+        if (action !== 'drop') {
+          throw new Error(`${label}: only drop can select commits by message pattern`);
+        }
+        try {
+          return { action, pattern: step.pattern instanceof RegExp ? step.pattern : new RegExp(step.pattern, step.flags || '') };
+        } catch (error) {
+          throw new Error(`${label}: invalid pattern ${step.pattern} (${error.message})`);
+        }
+      }
+
+      if (typeof step.commit !== 'string' || !/^[0-9a-fA-F]{4,64}$/.test(step.commit)) {
+        throw new Error(`${label}: ${step.commit} is not a commit hash`);
+      }
+
+      return { action, commit: step.commit };
+    });
+
+    const first = normalized.find(step => step.action !== 'drop');
+    if (first && first.action !== 'pick') {
+      throw new Error(`The first kept commit must be a pick, not a ${first.action}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Formats commits as a plan that picks all of them
+   * @param {Array} commits - List of {hash, subject}, oldest first
+   * @returns {string} Plan file content
+   */
+  formatPlan(commits) {
+    const lines = [
+      '# gctm restructure plan, oldest commit first',
+      '# pick <commit>   keep the commit',
+      '# squash <commit> meld into the commit above and combine the messages',
+      '# fixup <commit>  meld into the commit above and keep its message',
+      '# drop <commit>   remove the commit (drop /<regex>/ removes every commit whose message matches)',
+      '# Reorder the lines to reorder the commits.',
+      ''
+    ];
+
+    commits.forEach(commit => lines.push(`pick ${commit.hash.substring(0, 12)} ${commit.subject}`));
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = RestructurePlanner;
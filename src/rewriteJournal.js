@@ -0,0 +1,145 @@
+const fs = require('fs-extra');
+const path = require('path');
+const BackupManager = require('./backupManager');
+
+/**
+ * Directory in .gctm-backups that holds the state of a rewrite in progress
+ */
+const JOURNAL_DIR = 'rewrite-in-progress';
+
+/**
+ * Class used for the journal of a history rewrite in progress
+ * The journal records what a rewrite was asked to do and the refs and HEAD it
+ * started from, next to the fast-import marks of its checkpoints. It exists from the
+ * start of a rewrite until its refs are in place, so a journal that is left behind means
+ * the rewrite was interrupted and can be resumed or aborted.
+ */
+class RewriteJournal {
+  constructor(repoPath) {
+    this.repoPath = repoPath;
+    this.dir = path.join(repoPath, '.gctm-backups', JOURNAL_DIR);
+    this.file = path.join(this.dir, 'journal.json');
+    this.marksFile = path.join(this.dir, 'import-marks');
+    this.originalsFile = path.join(this.dir, 'export-marks');
+  }
+
+  /**
+   * Reads the journal of an interrupted rewrite
+   * @returns {Promise<Object|null>} Journal entry, or null when no rewrite is in progress
+   */
+  async load() {
+    if (!(await fs.pathExists(this.file))) {
+      return null;
+    }
+
+    try {
+      const entry = await fs.readJson(this.file);
+      return { ...entry, args: this.deserialize(entry.args) };
+    } catch (error) {
+      throw new Error(`Cannot read the rewrite journal ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Starts the journal of a rewrite
+   * @param {Object} entry - {operation, method, args, refs, head, backupBranch}, see GitHistoryRewriter.startJournal
+   * @param {Object} options - Options
+   * @param {boolean} options.resume - Continue the journal of an interrupted rewrite, keeping its marks
+   * @returns {Promise<Object>} Journal entry as written
+   */
+  async start(entry, options = {}) {
+    const previous = await this.load();
+    if (previous && !options.resume) {
+      throw new Error(`An interrupted ${previous.operation} rewrite from ${previous.startedAt} is still in progress: run gctm resume or gctm abort first`);
+    }
+    if (!previous) {
+      await this.remove();
+    }
+
+    await new BackupManager(this.repoPath).ensureBackupDir();
+    await fs.ensureDir(this.dir);
+
+    const started = {
+      ...entry,
+      startedAt: previous ? previous.startedAt : new Date().toISOString(),
+      resumedAt: previous ? new Date().toISOString() : null,
+      commits: 0
+    };
+    await this.write(started);
+
+    return started;
+  }
+
+  /**
+   * Updates fields of the journal
+   * @param {Object} fields - Fields to set, e.g. {commits} after a checkpoint
+   * @returns {Promise<void>}
+   */
+  async update(fields) {
+    const entry = await this.load();
+    if (entry) {
+      await this.write({ ...entry, ...fields });
+    }
+  }
+
+  /**
+   * Removes the journal and the marks of its checkpoints
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    await fs.remove(this.dir);
+  }
+
+  /**
+   * Writes the journal through a temporary file, so an interruption never leaves half of it
+   * @param {Object} entry - Journal entry
+   * @returns {Promise<void>}
+   */
+  async write(entry) {
+    const temporary = `${this.file}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify({ ...entry, args: this.serialize(entry.args) }, null, 2));
+    await fs.rename(temporary, this.file);
+  }
+
+  /**
+   * Converts the arguments of a rewrite to JSON values; regular expressions become {$regexp, flags}
+   * @param {any} value - Arguments
+   * @returns {any} JSON value
+   */
+  serialize(value) {
+    if (value instanceof RegExp) {
+      return { $regexp: value.source, flags: value.flags };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.serialize(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value)
+        .filter(([, item]) => typeof item !== 'function')
+        .map(([key, item]) => [key, this.serialize(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Restores the arguments written by serialize
+   * @param {any} value - JSON value
+   * @returns {any} Arguments
+   */
+  deserialize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.deserialize(item));
+    }
+    if (value && typeof value === 'object') {
+      if (typeof value.$regexp === 'string') {
+        return new RegExp(value.$regexp, value.flags || '');
+      }
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.deserialize(item)]));
+    }
+    return value;
+  }
+}
+
+RewriteJournal.JOURNAL_DIR = JOURNAL_DIR;
+
+module.exports = RewriteJournal;
@@ -0,0 +1,73 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Default configuration file shipped with the package
+ */
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'default.json');
+
+/**
+ * Configuration helper class
+ */
+class Config {
+  /**
+   * Loads the default configuration and applies overrides on top of it
+   * @param {Object} overrides - Values that take precedence over the defaults
+   * @param {string} configPath - Configuration file path
+   * @returns {Object} Merged configuration
+   */
+  static load(overrides = {}, configPath = DEFAULT_CONFIG_PATH) {
+    let defaults = {};
+
+    try {
+      if (fs.pathExistsSync(configPath)) {
+        defaults = fs.readJsonSync(configPath);
+      }
+    } catch (error) {
+      // A broken config file should not prevent the tool from running
+      defaults = {};
+    }
+
+    return this.merge(defaults, overrides || {});
+  }
+
+  /**
+   * Deep merges plain objects (arrays and other values are replaced)
+   * @param {Object} target - Base object
+   * @param {Object} source - Object whose values win
+   * @returns {Object} New merged object
+   */
+  static merge(target, source) {
+    const result = { ...target };
+
+    Object.entries(source).forEach(([key, value]) => {
+      const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+      const targetIsPlainObject = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+
+      result[key] = isPlainObject && targetIsPlainObject
+        ? this.merge(result[key], value)
+        : value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Reads a nested value using a dotted path (e.g. 'date.calendar')
+   * @param {Object} config - Configuration object
+   * @param {string} keyPath - Dotted key path
+   * @param {any} defaultValue - Value returned when the key is missing
+   * @returns {any} Configuration value
+   */
+  static get(config, keyPath, defaultValue = undefined) {
+    const value = keyPath.split('.').reduce((current, key) => {
+      return current && typeof current === 'object' ? current[key] : undefined;
+    }, config);
+
+    return value === undefined ? defaultValue : value;
+  }
+}
+
+Config.DEFAULT_CONFIG_PATH = DEFAULT_CONFIG_PATH;
+
+module.exports = Config;
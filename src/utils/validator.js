@@ -1,4 +1,5 @@
 const moment = require('moment');
+const DateManager = require('../dateManager');
 
 /**
  * Data validation helper class
@@ -153,22 +154,21 @@ class Validator {
    */
   static validateDateRange(startDate, endDate) {
     const errors = [];
+    const dateManager = new DateManager();
+    const parse = (value, label) => {
+      try {
+        return dateManager.parseDateExpression(value);
+      } catch (error) {
+        errors.push(error.ambiguous ? `${label} is ambiguous: ${error.message}` : `${label} is invalid`);
+        return null;
+      }
+    };
 
-    if (!this.isValidDate(startDate)) {
-      errors.push('Start date is invalid');
-    }
-
-    if (!this.isValidDate(endDate)) {
-      errors.push('End date is invalid');
-    }
-
-    if (this.isValidDate(startDate) && this.isValidDate(endDate)) {
-      const start = moment(startDate);
-      const end = moment(endDate);
+    const start = parse(startDate, 'Start date');
+    const end = parse(endDate, 'End date');
 
-      if (start.isAfter(end)) {
-        errors.push('Start date cannot be after end date');
-      }
+    if (start && end && start.isAfter(end)) {
+      errors.push('Start date cannot be after end date');
     }
 
     return {
@@ -177,6 +177,21 @@ class Validator {
     };
   }
 
+  /**
+   * Checks if a value is a date expression accepted for date ranges
+   * ('2024-03-01', '2024-03-01T09:30+02:00', '2024-W12', 'last monday', '2 weeks ago', ...)
+   * @param {string} value - Value to check
+   * @returns {boolean} Whether valid date expression
+   */
+  static isValidDateExpression(value) {
+    try {
+      new DateManager().parseDateExpression(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Validates commit options
    * @param {Object} options - Options object
@@ -600,6 +600,69 @@ describe('BackupManager', () => {
     });
   });
 
+  describe('Commit Maps', () => {
+    const hash = (char) => char.repeat(40);
+
+    test('should store, read and chain commit maps', async () => {
+      const first = await backupManager.saveCommitMap(new Map([[hash('a'), hash('b')], [hash('c'), hash('d')]]), {
+        backupId: 'backup-2023-01-01T00-00-00-map',
+        operation: 'redate'
+      });
+      expect(first).toMatchObject({ success: true, backupId: 'backup-2023-01-01T00-00-00-map', total: 2 });
+
+      const second = await backupManager.saveCommitMap({ [hash('b')]: hash('e'), [hash('f')]: hash('0') }, {
+        backupId: first.backupId,
+        operation: 'edit-message'
+      });
+
+      const stored = await backupManager.getCommitMap(first.backupId);
+      expect(stored.success).toBe(true);
+      expect(stored.operations).toEqual(['redate', 'edit-message']);
+      // The map still starts from the backed-up commits: b only existed between the two rewrites
+      expect(stored.commits).toEqual({
+        [hash('a')]: hash('e'),
+        [hash('c')]: hash('d'),
+        [hash('f')]: hash('0')
+      });
+      expect(second.total).toBe(3);
+    });
+
+    test('should keep map-only entries out of the backup list', async () => {
+      const result = await backupManager.saveCommitMap({ [hash('a')]: hash('b') }, { operation: 'redate' });
+
+      expect(result.success).toBe(true);
+      expect(await backupManager.listBackups()).toEqual([]);
+      expect(await backupManager.listCommitMaps()).toEqual([
+        expect.objectContaining({ backupId: result.backupId, operations: ['redate'], total: 1 })
+      ]);
+    });
+
+    test('should report missing and invalid maps', async () => {
+      expect((await backupManager.getCommitMap('backup-2023-01-01T00-00-00-none')).error)
+        .toBe('No commit map found for backup: backup-2023-01-01T00-00-00-none');
+      expect((await backupManager.getCommitMap('../escape')).success).toBe(false);
+    });
+
+    test('should translate full and abbreviated hashes and skip ambiguous prefixes', () => {
+      const commits = {
+        ['1234567a'.padEnd(40, '0')]: 'abcdef01'.padEnd(40, '0'),
+        ['1234567b'.padEnd(40, '0')]: 'fedcba98'.padEnd(40, '0'),
+        ['89abcde0'.padEnd(40, '0')]: '76543210'.padEnd(40, '0')
+      };
+
+      const result = backupManager.translateHashes(
+        `Fixed in 1234567a (see ${'89abcde0'.padEnd(40, '0')}), reverted 1234567`,
+        commits
+      );
+
+      expect(result.text).toBe(`Fixed in abcdef01 (see ${'76543210'.padEnd(40, '0')}), reverted 1234567`);
+      expect(result.replaced).toEqual([
+        { old: '1234567a', new: 'abcdef01' },
+        { old: '89abcde0'.padEnd(40, '0'), new: '76543210'.padEnd(40, '0') }
+      ]);
+    });
+  });
+
   describe('Performance and Validation', () => {
     test('should validate backup ID format', () => {
       const validId = 'backup-2023-01-01T00-00-00-test123';
@@ -0,0 +1,94 @@
+/**
+ * CLI Test Suite
+ * Runs bin/gctm.js as a user would, in a throwaway repository
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const CLI = path.join(__dirname, '..', 'bin', 'gctm.js');
+
+describe('gctm CLI', () => {
+  let tempPath;
+  let repoPath;
+  let mirrorPath;
+
+  const run = (cwd, command, args) => {
+    const result = spawnSync(command, args, { cwd, encoding: 'utf8', timeout: 60000 });
+    if (result.status !== 0) {
+      throw new Error(`${command} ${args.join(' ')} failed: ${result.stderr}${result.stdout}`);
+    }
+    return result.stdout.trim();
+  };
+  const git = (args, cwd = repoPath) => run(cwd, 'git', args);
+
+  beforeEach(async () => {
+    tempPath = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-cli-'));
+    repoPath = path.join(tempPath, 'work');
+    mirrorPath = path.join(tempPath, 'mirror.git');
+    await fs.ensureDir(repoPath);
+    git(['init', '-q', '-b', 'main']);
+    git(['config', 'user.name', 'Test User']);
+    git(['config', 'user.email', 'test@example.com']);
+    git(['config', 'commit.gpgsign', 'false']);
+    fs.writeFileSync(path.join(repoPath, 'config.txt'), 'token=secret\n');
+    git(['add', 'config.txt']);
+    git(['commit', '-q', '-m', 'Add config']);
+    git(['tag', '-a', 'v1', '-m', 'Release']);
+    git(['branch', 'other']);
+    fs.writeFileSync(path.join(repoPath, 'notes.txt'), 'notes');
+    git(['add', 'notes.txt']);
+    git(['commit', '-q', '-m', 'Add notes']);
+    git(['clone', '-q', '--mirror', repoPath, mirrorPath], tempPath);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempPath);
+  });
+
+  describe('sanitize', () => {
+    test('should move the tags left out of the scope with --tags in a bare repository', () => {
+      const tag = git(['rev-parse', 'v1^{commit}'], mirrorPath);
+
+      run(mirrorPath, process.execPath, [CLI, 'sanitize', '--patterns', 'secret', '--replacement', 'REDACTED', '--branch', 'main', '--tags']);
+
+      const moved = git(['rev-parse', 'v1^{commit}'], mirrorPath);
+      expect(moved).not.toBe(tag);
+      expect(git(['show', 'v1:config.txt'], mirrorPath)).toBe('token=REDACTED');
+      expect(git(['rev-parse', 'main~1'], mirrorPath)).toBe(moved);
+      expect(git(['cat-file', '-p', 'v1'], mirrorPath)).toContain('Release');
+      // Branches outside the scope keep the old history
+      expect(git(['rev-parse', 'other'], mirrorPath)).toBe(tag);
+    });
+
+    test('should sign the rewritten commits with --resign in a bare repository', () => {
+      const key = path.join(tempPath, 'signing-key');
+      run(tempPath, 'ssh-keygen', ['-q', '-t', 'ed25519', '-N', '', '-C', 'test', '-f', key]);
+      const allowedSigners = path.join(tempPath, 'allowed-signers');
+      fs.writeFileSync(allowedSigners, `test@example.com ${fs.readFileSync(`${key}.pub`, 'utf8')}`);
+      git(['config', 'gpg.format', 'ssh'], mirrorPath);
+      git(['config', 'user.signingkey', `${key}.pub`], mirrorPath);
+      git(['config', 'gpg.ssh.allowedSignersFile', allowedSigners], mirrorPath);
+
+      run(mirrorPath, process.execPath, [CLI, 'sanitize', '--patterns', 'secret', '--replacement', 'REDACTED', '--resign']);
+
+      expect(git(['show', 'main:config.txt'], mirrorPath)).toBe('token=REDACTED');
+      expect(spawnSync('git', ['verify-commit', 'main'], { cwd: mirrorPath }).status).toBe(0);
+      expect(spawnSync('git', ['verify-commit', 'main~1'], { cwd: mirrorPath }).status).toBe(0);
+    });
+
+    test('should refuse --tags outside a bare repository', () => {
+      const result = spawnSync(process.execPath, [CLI, 'sanitize', '--patterns', 'secret', '--replacement', 'REDACTED', '--tags'], {
+        cwd: repoPath,
+        encoding: 'utf8',
+        timeout: 60000
+      });
+
+      expect(result.status).not.toBe(0);
+      expect(result.stdout + result.stderr).toContain('The tags option needs a bare repository');
+      expect(fs.readFileSync(path.join(repoPath, 'config.txt'), 'utf8')).toBe('token=secret\n');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Config Helper Tests
+ */
+
+const Config = require('../src/utils/config');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Config', () => {
+  test('should load the default configuration', () => {
+    const config = Config.load();
+
+    expect(config.date).toBeDefined();
+    expect(config.date.defaultFormat).toBe('YYYY-MM-DD');
+    expect(config.date.calendar).toBeNull();
+  });
+
+  test('should deep merge overrides', () => {
+    const config = Config.load({ date: { calendar: 'holidays.ics' } });
+
+    expect(config.date.calendar).toBe('holidays.ics');
+    expect(config.date.defaultFormat).toBe('YYYY-MM-DD');
+  });
+
+  test('should replace arrays instead of merging them', () => {
+    const merged = Config.merge({ list: [1, 2, 3] }, { list: [4] });
+    expect(merged.list).toEqual([4]);
+  });
+
+  test('should fall back to overrides when config file is missing or broken', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-config-'));
+    try {
+      const brokenPath = path.join(tempDir, 'broken.json');
+      await fs.writeFile(brokenPath, '{ broken');
+
+      expect(Config.load({ a: 1 }, path.join(tempDir, 'missing.json'))).toEqual({ a: 1 });
+      expect(Config.load({ a: 1 }, brokenPath)).toEqual({ a: 1 });
+    } finally {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('should read nested values by dotted path', () => {
+    const config = { git: { allowForcePush: false } };
+
+    expect(Config.get(config, 'git.allowForcePush')).toBe(false);
+    expect(Config.get(config, 'git.missing', 'fallback')).toBe('fallback');
+    expect(Config.get(config, 'missing.deep.key')).toBeUndefined();
+  });
+});
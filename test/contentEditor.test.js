@@ -122,6 +122,20 @@ describe('ContentEditor', () => {
       expect(updatedContent).toContain('Hello universe');
     });
 
+    test('should count matches without writing in dry-run mode', async () => {
+      const testFilePath = path.join(testRepoPath, 'test.txt');
+      const replacements = [
+        { pattern: 'e', replacement: 'E' },
+        { pattern: /\d/g, replacement: '#' }
+      ];
+
+      const result = await contentEditor.editFile(testFilePath, replacements, '', { dryRun: true });
+
+      expect(result).toMatchObject({ success: true, changes: true, dryRun: true });
+      expect(result.appliedReplacements.map(applied => applied.matchCount)).toEqual([6, 5]);
+      expect(await fs.readFile(testFilePath, 'utf8')).toBe('Hello world\nSecret API_KEY=12345\nEmail: test@example.com');
+    });
+
     test('should edit file with regex replacement', async () => {
       const testFilePath = path.join(testRepoPath, 'test.txt');
       const replacements = [
@@ -5,6 +5,9 @@
 
 const DateManager = require('../src/dateManager');
 const moment = require('moment');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
 
 describe('DateManager', () => {
   let dateManager;
@@ -107,6 +110,642 @@ describe('DateManager', () => {
     });
   });
 
+  describe('Working Hours Schedule', () => {
+    const schedule = {
+      weekdaysOnly: true,
+      workingHours: '09:00-18:00',
+      lunchBreak: '12:00-13:00'
+    };
+
+    test('should keep every generated date inside the working windows', () => {
+      // 2024-03-01 is a Friday, 2024-03-10 is a Sunday
+      const dates = dateManager.generateDateRange('2024-03-01', '2024-03-10', 40, { schedule });
+
+      expect(dates).toHaveLength(40);
+      dates.forEach(dateStr => {
+        const date = moment(dateStr);
+        expect([0, 6]).not.toContain(date.day());
+        expect(dateManager.isWithinSchedule(date, schedule)).toBe(true);
+      });
+    });
+
+    test('should keep chronological order with a schedule', () => {
+      const dates = dateManager.generateDateRange('2024-03-04', '2024-03-08', 20, { schedule });
+      const parsed = dates.map(dateStr => moment(dateStr));
+
+      for (let i = 1; i < parsed.length; i++) {
+        expect(parsed[i].isSameOrAfter(parsed[i - 1])).toBe(true);
+      }
+    });
+
+    test('should constrain randomized and unordered dates', () => {
+      const randomized = dateManager.generateDateRange('2024-03-04', '2024-03-08', 30, {
+        schedule,
+        randomize: true
+      });
+      const unordered = dateManager.generateDateRange('2024-03-04', '2024-03-08', 30, {
+        schedule,
+        preserveOrder: false
+      });
+
+      [...randomized, ...unordered].forEach(dateStr => {
+        expect(dateManager.isWithinSchedule(dateStr, schedule)).toBe(true);
+      });
+    });
+
+    test('should skip excluded dates', () => {
+      const dates = dateManager.generateDateRange('2024-03-04', '2024-03-06', 15, {
+        schedule: { ...schedule, excludeDates: ['2024-03-05'] }
+      });
+
+      dates.forEach(dateStr => {
+        expect(dateStr).not.toContain('2024-03-05');
+      });
+    });
+
+    test('should support explicit allowed days', () => {
+      const dates = dateManager.generateDateRange('2024-03-04', '2024-03-17', 10, {
+        schedule: { days: [2, 4], workingHours: { start: '10:00', end: '16:00' } }
+      });
+
+      dates.forEach(dateStr => {
+        expect([2, 4]).toContain(moment(dateStr).day());
+      });
+    });
+
+    test('should throw when no working time is available', () => {
+      // 2024-03-09/10 is a weekend
+      expect(() => {
+        dateManager.generateDateRange('2024-03-09', '2024-03-10', 3, { schedule });
+      }).toThrow('No working time available');
+    });
+
+    test('should reject malformed schedules', () => {
+      expect(() => dateManager.normalizeSchedule({ workingHours: '9am-5pm' }))
+        .toThrow('Working hours must be in HH:mm-HH:mm format');
+      expect(() => dateManager.normalizeSchedule({ workingHours: '18:00-09:00' }))
+        .toThrow('Working hours start must be before its end');
+      expect(() => dateManager.normalizeSchedule({ workingHours: '09:00-18:00', lunchBreak: '08:00-10:00' }))
+        .toThrow('Lunch break must be inside working hours');
+      expect(() => dateManager.normalizeSchedule({ excludeDates: ['03/05/2024'] }))
+        .toThrow('Invalid excluded date');
+      expect(() => dateManager.normalizeSchedule({ days: [7] }))
+        .toThrow('Schedule days must be numbers');
+    });
+  });
+
+  describe('Blackout Calendar', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'SUMMARY:Company shutdown',
+      'DTSTART;VALUE=DATE:20240311',
+      'DTEND;VALUE=DATE:20240313',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:New Year',
+      'DTSTART;VALUE=DATE:20200101',
+      'RRULE:FREQ=YEARLY',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    test('should parse JSON dates, ranges and yearly dates', () => {
+      const calendar = dateManager.parseCalendar(JSON.stringify([
+        '2024-03-05',
+        { start: '2024-03-07', end: '2024-03-08', name: 'Offsite' },
+        { date: '2024-12-25', yearly: true }
+      ]));
+
+      expect(dateManager.isBlackedOut('2024-03-05', calendar)).toBe(true);
+      expect(dateManager.isBlackedOut('2024-03-07', calendar)).toBe(true);
+      expect(dateManager.isBlackedOut('2024-03-08', calendar)).toBe(true);
+      expect(dateManager.isBlackedOut('2024-03-06', calendar)).toBe(false);
+      expect(dateManager.isBlackedOut('2031-12-25', calendar)).toBe(true);
+    });
+
+    test('should parse iCalendar all-day and yearly events', () => {
+      const calendar = dateManager.parseCalendar(ics, 'ics');
+
+      expect(dateManager.isBlackedOut('2024-03-11', calendar)).toBe(true);
+      expect(dateManager.isBlackedOut('2024-03-12', calendar)).toBe(true);
+      expect(dateManager.isBlackedOut('2024-03-13', calendar)).toBe(false); // DTEND is exclusive
+      expect(dateManager.isBlackedOut('2025-01-01', calendar)).toBe(true);
+    });
+
+    test('should read iCalendar times in the timezone of their TZID', () => {
+      const calendar = dateManager.parseCalendar([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;TZID=Pacific/Kiritimati:20240320T020000',
+        'DTEND;TZID="Pacific/Kiritimati":20240320T030000',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'), 'ics');
+      // 02:00 at UTC+14 is 12:00 UTC on the day before
+      const day = moment.utc('2024-03-19T12:00:00Z').local().format('YYYY-MM-DD');
+
+      expect([...calendar.dates]).toEqual([day]);
+      expect(() => dateManager.parseCalendar(ics.replace('DTSTART;VALUE=DATE:20240311', 'DTSTART;TZID=Mars/Olympus:20240311T090000'), 'ics'))
+        .toThrow('Invalid iCalendar timezone: Mars/Olympus');
+    });
+
+    test('should reject iCalendar recurrences other than yearly', () => {
+      expect(() => dateManager.parseCalendar(ics.replace('RRULE:FREQ=YEARLY', 'RRULE:FREQ=WEEKLY;BYDAY=FR'), 'ics'))
+        .toThrow('Unsupported RRULE in calendar: FREQ=WEEKLY;BYDAY=FR');
+    });
+
+    test('should load calendar files by extension', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-calendar-'));
+      try {
+        await fs.writeFile(path.join(tempDir, 'holidays.ics'), ics);
+        await fs.writeJson(path.join(tempDir, 'holidays.json'), { dates: ['2024-03-05'] });
+
+        const icsCalendar = await dateManager.loadCalendar(path.join(tempDir, 'holidays.ics'));
+        const jsonCalendar = await dateManager.loadCalendar(path.join(tempDir, 'holidays.json'));
+
+        expect(icsCalendar.dates.has('2024-03-11')).toBe(true);
+        expect(jsonCalendar.dates.has('2024-03-05')).toBe(true);
+        await expect(dateManager.loadCalendar(path.join(tempDir, 'missing.json')))
+          .rejects.toThrow('Calendar file not found');
+      } finally {
+        await fs.remove(tempDir);
+      }
+    });
+
+    test('should redistribute generated dates around blacked-out days', () => {
+      const calendar = ['2024-03-05', { start: '2024-03-07', end: '2024-03-08' }];
+      const dates = dateManager.generateDateRange('2024-03-04', '2024-03-08', 30, {
+        calendar,
+        schedule: { workingHours: '09:00-17:00' }
+      });
+
+      expect(dates).toHaveLength(30);
+      dates.forEach(dateStr => {
+        expect(['2024-03-04', '2024-03-06']).toContain(moment(dateStr).format('YYYY-MM-DD'));
+      });
+    });
+
+    test('should apply a calendar without a schedule', () => {
+      const dates = dateManager.generateDateRange('2024-03-04', '2024-03-06', 10, {
+        calendar: ['2024-03-05']
+      });
+
+      dates.forEach(dateStr => {
+        expect(dateStr).not.toContain('2024-03-05');
+      });
+    });
+
+    test('should end the range at the same bound with or without a schedule or calendar', () => {
+      const last = (options) => dateManager.generateDateRange('2024-03-04', '2024-03-06', 3, options)[2];
+
+      expect(last()).toBe('2024-03-06 00:00:00');
+      expect(last({ calendar: ['2024-03-01'] })).toBe('2024-03-06 00:00:00');
+      expect(last({ schedule: { workingHours: '09:00-17:00' } })).toBe('2024-03-05 17:00:00');
+      // A blacked-out end day is not reached through the day before it either
+      expect(last({ calendar: ['2024-03-06'] })).toBe('2024-03-05 23:59:00');
+      const minutes = (options) => dateManager.buildDateWindows('2024-03-04', '2024-03-06', options)
+        .reduce((sum, window) => sum + window.minutes, 0);
+      expect(minutes({ calendar: ['2024-03-01'] })).toBe(minutes());
+    });
+
+    test('should reject invalid calendars', () => {
+      expect(() => dateManager.parseCalendar('{not json')).toThrow('Invalid calendar JSON');
+      expect(() => dateManager.parseCalendar('["2024/03/05"]')).toThrow('Invalid calendar date');
+      expect(() => dateManager.parseCalendar('[{"start":"2024-03-08","end":"2024-03-01"}]'))
+        .toThrow('Invalid calendar range');
+      expect(() => dateManager.parseCalendar('not a calendar', 'ics')).toThrow('Invalid iCalendar file');
+    });
+  });
+
+  describe('Author and Committer Dates', () => {
+    test('should rewrite only the requested date field', () => {
+      expect(dateManager.buildCommitDates('2024-01-01 10:00:00', { dateField: 'author' }))
+        .toEqual({ authorDate: '2024-01-01 10:00:00', committerDate: null });
+      expect(dateManager.buildCommitDates('2024-01-01 10:00:00', { dateField: 'committer' }))
+        .toEqual({ authorDate: null, committerDate: '2024-01-01 10:00:00' });
+      expect(dateManager.buildCommitDates('2024-01-01 10:00:00'))
+        .toEqual({ authorDate: '2024-01-01 10:00:00', committerDate: '2024-01-01 10:00:00' });
+    });
+
+    test('should offset the committer date by the configured gap', () => {
+      const dates = dateManager.buildCommitDates('2024-01-01 23:55:00 +0300', { committerGap: '10' });
+
+      expect(dates).toEqual({
+        authorDate: '2024-01-01 23:55:00 +0300',
+        committerDate: '2024-01-02 00:05:00 +0300'
+      });
+
+      for (let i = 0; i < 20; i++) {
+        const { committerDate } = dateManager.buildCommitDates('2024-01-01 10:00:00', { committerGap: { min: 5, max: 20 } });
+        const gap = moment(committerDate).diff(moment('2024-01-01 10:00:00'), 'minutes');
+        expect(gap).toBeGreaterThanOrEqual(5);
+        expect(gap).toBeLessThanOrEqual(20);
+      }
+    });
+
+    test('should move a committer date the gap puts outside the working hours to the next window', () => {
+      const windows = dateManager.buildDateWindows('2024-01-01', '2024-02-01', {
+        schedule: { weekdaysOnly: true, workingHours: '09:00-18:00' }
+      });
+
+      // Friday evening goes on to Monday morning
+      expect(dateManager.buildCommitDates('2024-01-05 17:55:00 +0300', { committerGap: '10', windows })).toEqual({
+        authorDate: '2024-01-05 17:55:00 +0300',
+        committerDate: '2024-01-08 09:00:00 +0300'
+      });
+      expect(dateManager.buildCommitDates('2024-01-05 10:00:00', { committerGap: '10', windows }).committerDate)
+        .toBe('2024-01-05 10:10:00');
+      // Past the last window the date stops at its end
+      expect(dateManager.buildCommitDates('2024-01-31 17:55:00', { committerGap: '10', windows }).committerDate)
+        .toBe('2024-01-31 18:00:00');
+    });
+
+    test('should reject invalid fields and gaps', () => {
+      expect(() => dateManager.buildCommitDates('2024-01-01 10:00:00', { dateField: 'tagger' }))
+        .toThrow('Invalid date field');
+      expect(() => dateManager.parseMinuteRange('20-5')).toThrow('Invalid minute range');
+      expect(() => dateManager.parseMinuteRange('soon')).toThrow('Invalid minute range');
+      expect(dateManager.parseMinuteRange('0-20')).toEqual({ min: 0, max: 20 });
+    });
+  });
+
+  describe('Scale Mode', () => {
+    test('should keep the shape of the original timeline', () => {
+      const dates = dateManager.scaleDates([
+        '2020-01-10T00:00:00Z',
+        '2020-01-02T00:00:00Z',
+        '2020-01-01T00:00:00Z'
+      ], '2024-01-01', '2024-01-11');
+
+      expect(dates).toEqual([
+        '2024-01-11 00:00:00',
+        '2024-01-02 02:40:00',
+        '2024-01-01 00:00:00'
+      ]);
+    });
+
+    test('should place a history without a time span in the middle of the range', () => {
+      const dates = dateManager.scaleDates([new Date(), new Date()], '2024-01-01', '2024-01-03');
+
+      expect(dates).toEqual(['2024-01-02 00:00:00', '2024-01-02 00:00:00']);
+    });
+
+    test('should scale over working time only when a schedule is set', () => {
+      const dates = dateManager.scaleDates(
+        ['2020-01-01T00:00:00Z', '2020-01-01T12:00:00Z', '2020-01-02T00:00:00Z'],
+        '2024-01-01',
+        '2024-01-03',
+        { schedule: { workingHours: '09:00-17:00' } }
+      );
+
+      // Half of the working time ends with the first day; it resumes at 09:00 on the second
+      expect(dates).toEqual(['2024-01-01 09:00:00', '2024-01-02 09:00:00', '2024-01-02 17:00:00']);
+    });
+
+    test('should reject invalid commit dates', () => {
+      expect(() => dateManager.scaleDates(['not a date'], '2024-01-01', '2024-01-02'))
+        .toThrow('Invalid commit date');
+    });
+  });
+
+  describe('Natural Rhythm', () => {
+    const commits = [
+      { rawDate: '2024-01-01T10:15:00+03:00' },
+      { rawDate: '2024-01-02T10:55:00+03:00' },
+      { rawDate: '2024-01-03T14:05:00+03:00' }
+    ];
+
+    test('should build an hour and weekday profile', () => {
+      const profile = dateManager.buildRhythmProfile(commits);
+
+      expect(profile.total).toBe(3);
+      expect(profile.hours[10]).toBe(2);
+      expect(profile.hours[14]).toBe(1);
+      expect(profile.weekdays).toEqual([0, 1, 1, 1, 0, 0, 0]);
+    });
+
+    test('should only generate dates at hours and weekdays seen in the profile', () => {
+      const profile = dateManager.buildRhythmProfile(commits);
+      const dates = dateManager.generateNaturalDates('2024-03-01', '2024-04-01', 50, { profile });
+
+      expect(dates).toHaveLength(50);
+      expect([...dates].sort()).toEqual(dates);
+      dates.forEach(date => {
+        const parsed = moment(date);
+        expect([10, 14]).toContain(parsed.hour());
+        expect([1, 2, 3]).toContain(parsed.day());
+      });
+    });
+
+    test('should combine the profile with a schedule', () => {
+      const profile = dateManager.buildRhythmProfile(commits);
+      const dates = dateManager.generateNaturalDates('2024-03-01', '2024-04-01', 20, {
+        profile,
+        schedule: { workingHours: '10:30-18:00' }
+      });
+
+      dates.forEach(date => {
+        expect(date >= `${date.substring(0, 10)} 10:30:00`).toBe(true);
+      });
+    });
+
+    test('should fail without history or matching activity', () => {
+      expect(() => dateManager.generateNaturalDates('2024-03-01', '2024-04-01', 5, {
+        profile: dateManager.buildRhythmProfile([])
+      })).toThrow('Not enough commit history');
+
+      // A single Saturday has no weekday activity in the profile
+      expect(() => dateManager.generateNaturalDates('2024-03-02', '2024-03-03', 5, {
+        profile: dateManager.buildRhythmProfile(commits)
+      })).toThrow('no activity');
+    });
+  });
+
+  describe('Date Expressions', () => {
+    // Wednesday afternoon
+    const now = moment('2024-03-13 15:20:00');
+    const parse = expression => dateManager.parseDateExpression(expression, { now }).format('YYYY-MM-DD HH:mm:ss');
+
+    test('should parse absolute dates, date-times and ISO weeks', () => {
+      expect(parse('2024-03-01')).toBe('2024-03-01 00:00:00');
+      expect(parse('2024-03-01 09:30')).toBe('2024-03-01 09:30:00');
+      expect(dateManager.parseDateExpression('2024-03-01T09:30+02:00').valueOf())
+        .toBe(Date.parse('2024-03-01T07:30:00Z'));
+      expect(parse('2024-W12')).toBe('2024-03-18 00:00:00');
+      expect(parse('2024-W12-5')).toBe('2024-03-22 00:00:00');
+      expect(parse('2020-W53')).toBe('2020-12-28 00:00:00');
+      expect(() => parse('2021-W53')).toThrow('Invalid ISO week');
+    });
+
+    test('should parse relative expressions against a reference time', () => {
+      expect(parse('now')).toBe('2024-03-13 15:20:00');
+      expect(parse('yesterday')).toBe('2024-03-12 00:00:00');
+      expect(parse('last monday')).toBe('2024-03-11 00:00:00');
+      expect(parse('last wednesday')).toBe('2024-03-06 00:00:00');
+      expect(parse('next wednesday')).toBe('2024-03-20 00:00:00');
+      expect(parse('this sunday')).toBe('2024-03-17 00:00:00');
+      expect(parse('last week')).toBe('2024-03-04 00:00:00');
+      expect(parse('next month')).toBe('2024-04-01 00:00:00');
+      expect(parse('2 weeks ago')).toBe('2024-02-28 00:00:00');
+      expect(parse('in 3 days')).toBe('2024-03-16 00:00:00');
+      expect(parse('+3h')).toBe('2024-03-13 18:20:00');
+    });
+
+    test('should reject ambiguous and unknown expressions with clear messages', () => {
+      expect(() => parse('03/04/2024')).toThrow('day/month order is unclear');
+      expect(() => parse('monday')).toThrow('"last monday", "this monday" or "next monday"');
+      expect(() => parse('-2 weeks ago')).toThrow('do not combine a sign');
+      expect(() => parse('someday')).toThrow('Invalid date format. Please use YYYY-MM-DD format.');
+
+      try {
+        parse('friday');
+      } catch (error) {
+        expect(error.ambiguous).toBe(true);
+      }
+    });
+
+    test('should use the time of day of range bounds', () => {
+      const dates = dateManager.generateDateRange('2024-03-04 09:30', '2024-03-04 17:30', 3);
+      expect(dates).toEqual(['2024-03-04 09:30:00', '2024-03-04 13:30:00', '2024-03-04 17:30:00']);
+
+      // Working windows are cut at bounds that have a time of day (5h + 3h left)
+      const scheduled = dateManager.generateDateRange('2024-03-04 12:00', '2024-03-05 12:00', 3, {
+        schedule: { workingHours: '09:00-17:00' }
+      });
+      expect(scheduled).toEqual(['2024-03-04 12:00:00', '2024-03-04 16:00:00', '2024-03-05 12:00:00']);
+    });
+  });
+
+  describe('Shift Mode', () => {
+    test('should parse relative durations', () => {
+      expect(dateManager.parseDuration('+3 days 4 hours').toISOString()).toBe('P3DT4H');
+      expect(dateManager.parseDuration('-2 weeks').asDays()).toBe(-14);
+      expect(dateManager.parseDuration('1d4h30m').asMinutes()).toBe(1710);
+    });
+
+    test('should reject invalid durations', () => {
+      expect(() => dateManager.parseDuration('3 parsecs')).toThrow('Invalid duration unit');
+      expect(() => dateManager.parseDuration('soon')).toThrow('Invalid duration');
+      expect(() => dateManager.parseDuration('+0d')).toThrow('must not be zero');
+    });
+
+    test('should shift dates and keep their offsets', () => {
+      expect(dateManager.shiftDates([
+        '2024-01-31T23:30:00+03:00',
+        '2024-01-01 10:00:00',
+        null
+      ], '+1 day 1 hour')).toEqual([
+        '2024-02-02 00:30:00 +0300',
+        '2024-01-02 11:00:00',
+        null
+      ]);
+    });
+
+    test('should report parent/child pairs put out of order', () => {
+      const graph = [
+        { hash: 'child', parents: ['parent'], authorDate: '2024-01-02T10:00:00Z', committerDate: '2024-01-02T10:00:00Z' },
+        { hash: 'parent', parents: [], authorDate: '2024-01-01T10:00:00Z', committerDate: '2024-01-01T10:00:00Z' }
+      ];
+
+      const late = new Map([['parent', { authorDate: '2024-01-03 10:00:00 +0000', committerDate: null }]]);
+      expect(dateManager.findOrderViolations(graph, late)).toEqual([
+        { hash: 'child', parent: 'parent', field: 'authorDate' }
+      ]);
+
+      const both = new Map([
+        ['child', { authorDate: '2024-01-05 10:00:00 +0000', committerDate: '2024-01-05 10:00:00 +0000' }],
+        ['parent', { authorDate: '2024-01-04 10:00:00 +0000', committerDate: '2024-01-04 10:00:00 +0000' }]
+      ]);
+      expect(dateManager.findOrderViolations(graph, both)).toEqual([]);
+    });
+  });
+
+  describe('Date Map Files', () => {
+    test('should parse CSV rows with an optional header and empty dates', () => {
+      const rows = dateManager.parseDateMap([
+        'hash,committer_date,author_date',
+        '# comments are skipped',
+        'ABC1234,,2024-01-01T10:00:00+03:00',
+        'def5678,2024-01-02T11:00:00Z,2024-01-02 10:00:00'
+      ].join('\n'));
+
+      expect(rows).toEqual([
+        { hash: 'abc1234', authorDate: '2024-01-01 10:00:00 +0300', committerDate: null },
+        { hash: 'def5678', authorDate: '2024-01-02 10:00:00', committerDate: '2024-01-02 11:00:00 +0000' }
+      ]);
+    });
+
+    test('should parse JSON and YAML rows and keep UTC offsets', () => {
+      const expected = [{ hash: 'abc1234', authorDate: '2024-01-01 10:00:00 +0300', committerDate: null }];
+
+      expect(dateManager.parseDateMap('[{"hash": "abc1234", "authorDate": "2024-01-01T10:00:00+03:00"}]', 'json'))
+        .toEqual(expected);
+      expect(dateManager.parseDateMap('commits:\n  - hash: abc1234\n    author_date: 2024-01-01T10:00:00+03:00\n', 'yaml'))
+        .toEqual(expected);
+    });
+
+    test('should reject malformed rows', () => {
+      expect(() => dateManager.parseDateMap('zz,2024-01-01')).toThrow('Row 1: invalid commit hash');
+      expect(() => dateManager.parseDateMap('abc1234,yesterday')).toThrow('Row 1: invalid date');
+      expect(() => dateManager.parseDateMap('abc1234,,')).toThrow('Row 1: no date given');
+      expect(() => dateManager.parseDateMap('{"hash": "abc1234"}', 'json')).toThrow('must be a list');
+      expect(() => dateManager.parseDateMap('[', 'json')).toThrow('Invalid date map JSON');
+    });
+
+    test('should round-trip rows through every format', () => {
+      const rows = [{ hash: 'abc1234', authorDate: '2024-01-01T10:00:00+03:00', committerDate: '2024-01-01T10:05:00+03:00' }];
+
+      ['csv', 'json', 'yaml'].forEach(format => {
+        expect(dateManager.parseDateMap(dateManager.formatDateMap(rows, format), format)).toEqual([
+          { hash: 'abc1234', authorDate: '2024-01-01 10:00:00 +0300', committerDate: '2024-01-01 10:05:00 +0300' }
+        ]);
+      });
+    });
+
+    test('should load map files by extension', async () => {
+      const mapPath = path.join(os.tmpdir(), `gctm-map-${Date.now()}.yml`);
+      await fs.writeFile(mapPath, '- hash: abc1234\n  committer_date: "2024-01-01 10:00:00"\n');
+
+      try {
+        expect(dateManager.getDateMapFormat(mapPath)).toBe('yaml');
+        expect(await dateManager.loadDateMap(mapPath)).toEqual([
+          { hash: 'abc1234', authorDate: null, committerDate: '2024-01-01 10:00:00' }
+        ]);
+        await expect(dateManager.loadDateMap(`${mapPath}.missing`)).rejects.toThrow('Date map file not found');
+      } finally {
+        await fs.remove(mapPath);
+      }
+    });
+  });
+
+  describe('Commit Topology', () => {
+    // root <- side (dated before root) and root <- main <- merge(main, side)
+    const graph = [
+      { hash: 'merge', parents: ['main', 'side'], authorDate: '2024-01-04T10:00:00Z', committerDate: '2024-01-04T10:00:00Z' },
+      { hash: 'main', parents: ['root'], authorDate: '2024-01-03T10:00:00Z', committerDate: '2024-01-03T10:00:00Z' },
+      { hash: 'root', parents: [], authorDate: '2024-01-02T10:00:00Z', committerDate: '2024-01-02T10:00:00Z' },
+      { hash: 'side', parents: ['root'], authorDate: '2023-12-01T10:00:00Z', committerDate: '2023-12-01T10:00:00Z' }
+    ];
+
+    test('should order parents before children', () => {
+      expect(dateManager.sortTopologically(graph)).toEqual(['root', 'side', 'main', 'merge']);
+    });
+
+    test('should detect cycles', () => {
+      expect(() => dateManager.sortTopologically([
+        { hash: 'a', parents: ['b'], committerDate: '2024-01-01T00:00:00Z' },
+        { hash: 'b', parents: ['a'], committerDate: '2024-01-01T00:00:00Z' }
+      ])).toThrow('cycle');
+    });
+
+    test('should report or repair commits dated before their parents', () => {
+      const newDates = new Map([
+        ['main', { authorDate: '2024-02-01 10:00:00 +0300', committerDate: null }],
+        ['merge', { authorDate: '2024-01-15 12:00:00 +0300', committerDate: null }]
+      ]);
+
+      const reported = dateManager.enforceCommitOrder(graph, newDates);
+      expect(reported.adjusted).toBe(0);
+      expect(reported.violations).toEqual([{ hash: 'merge', parent: 'main', field: 'authorDate' }]);
+
+      const repaired = dateManager.enforceCommitOrder(graph, newDates, { fix: true });
+      expect(repaired.adjusted).toBe(1);
+      expect(repaired.violations).toEqual([]);
+      expect(repaired.dates.get('merge').authorDate).toBe('2024-02-01 10:00:01 +0300');
+      // The input map is left untouched
+      expect(newDates.get('merge').authorDate).toBe('2024-01-15 12:00:00 +0300');
+    });
+
+    test('should keep repaired commits inside the allowed windows', () => {
+      const schedule = { weekdaysOnly: true, workingHours: '09:00-18:00' };
+      const newDates = new Map([
+        ['main', { authorDate: '2024-02-01 18:00:00 +0300', committerDate: null }],
+        ['merge', { authorDate: '2024-01-15 12:00:00 +0300', committerDate: null }]
+      ]);
+
+      const windows = dateManager.buildDateWindows('2024-01-01', '2024-02-29', { schedule });
+      const repaired = dateManager.enforceCommitOrder(graph, newDates, { fix: true, windows });
+      expect(repaired.dates.get('merge').authorDate).toBe('2024-02-02 09:00:00 +0300');
+      expect(repaired.violations).toEqual([]);
+
+      // Without a later window the commit stays right after its parent
+      const lastDay = dateManager.buildDateWindows('2024-01-01', '2024-02-01', { schedule });
+      expect(dateManager.enforceCommitOrder(graph, newDates, { fix: true, windows: lastDay }).dates.get('merge').authorDate)
+        .toBe('2024-02-01 18:00:01 +0300');
+    });
+
+    test('should read dates without an offset as local time', () => {
+      expect(dateManager.parseGitDate('2024-01-01 10:00:00').format()).toBe(moment('2024-01-01 10:00:00').format());
+      expect(dateManager.parseGitDate('2024-01-01T10:00:00+03:00').utcOffset()).toBe(180);
+      expect(dateManager.formatLike('2024-01-01 10:00:00 -0500', moment.utc('2024-01-01T20:00:00Z')))
+        .toBe('2024-01-01 15:00:00 -0500');
+    });
+  });
+
+  describe('Timezone Handling', () => {
+    test('should validate IANA timezone names', () => {
+      expect(dateManager.isValidTimezone('Europe/Istanbul')).toBe(true);
+      expect(dateManager.isValidTimezone('America/New_York')).toBe(true);
+      expect(dateManager.isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(dateManager.isValidTimezone('')).toBe(false);
+      expect(dateManager.isValidTimezone(null)).toBe(false);
+    });
+
+    test('should compute DST-aware offsets', () => {
+      expect(dateManager.getTimezoneOffset('America/New_York', '2024-01-15T12:00:00Z')).toBe(-300);
+      expect(dateManager.getTimezoneOffset('America/New_York', '2024-07-15T12:00:00Z')).toBe(-240);
+      expect(dateManager.getTimezoneOffset('Europe/Istanbul', '2024-07-15T12:00:00Z')).toBe(180);
+      expect(dateManager.getTimezoneOffset('Asia/Kolkata', '2024-07-15T12:00:00Z')).toBe(330);
+    });
+
+    test('should format wall-clock dates in an IANA timezone', () => {
+      expect(dateManager.formatForGit('2024-07-01 09:00:00', { timezone: 'Europe/Istanbul' }))
+        .toBe('2024-07-01 09:00:00 +0300');
+      expect(dateManager.formatForGit('2024-01-10 09:00:00', { timezone: 'America/New_York' }))
+        .toBe('2024-01-10 09:00:00 -0500');
+      expect(dateManager.formatForGit('2024-07-10 09:00:00', { timezone: 'America/New_York' }))
+        .toBe('2024-07-10 09:00:00 -0400');
+    });
+
+    test('should handle DST gaps and overlaps', () => {
+      // 02:30 does not exist on the spring-forward day and is moved forward
+      expect(dateManager.formatForGit('2024-03-10 02:30:00', { timezone: 'America/New_York' }))
+        .toBe('2024-03-10 03:30:00 -0400');
+      // 02:30 happens twice on the fall-back day; the earlier instant is used
+      expect(dateManager.formatForGit('2024-10-27 02:30:00', { timezone: 'Europe/Berlin' }))
+        .toBe('2024-10-27 02:30:00 +0200');
+    });
+
+    test('should convert instants into the target timezone', () => {
+      expect(dateManager.formatForGit('2024-07-10T09:00:00Z', { timezone: 'Asia/Kolkata' }))
+        .toBe('2024-07-10 14:30:00 +0530');
+      expect(dateManager.formatForGit(new Date('2024-07-10T09:00:00Z'), { offset: 180 }))
+        .toBe('2024-07-10 12:00:00 +0300');
+    });
+
+    test('should apply fixed offsets to wall-clock dates', () => {
+      expect(dateManager.formatForGit('2024-07-10 09:00:00', { offset: -90 }))
+        .toBe('2024-07-10 09:00:00 -0130');
+      expect(dateManager.formatForGit('2024-07-10 09:00:00', { offset: 0 }))
+        .toBe('2024-07-10 09:00:00 +0000');
+    });
+
+    test('should reject unknown timezones', () => {
+      expect(() => dateManager.formatForGit('2024-07-10 09:00:00', { timezone: 'Nowhere/City' }))
+        .toThrow('Invalid timezone');
+    });
+
+    test('should parse UTC offsets from git dates', () => {
+      expect(dateManager.parseUtcOffset('2024-03-01T09:30:00+03:00')).toBe(180);
+      expect(dateManager.parseUtcOffset('2024-03-01 09:30:00 -0130')).toBe(-90);
+      expect(dateManager.parseUtcOffset('2024-03-01T09:30:00Z')).toBe(0);
+      expect(dateManager.parseUtcOffset('2024-03-01')).toBeNull();
+      expect(dateManager.parseUtcOffset(new Date())).toBeNull();
+    });
+  });
+
   describe('Commit Filtering', () => {
     test('should filter commits by date range', () => {
       const commits = [
@@ -312,6 +951,17 @@ describe('DateManager', () => {
       expect(hourStats[10]).toBe(2);
       expect(hourStats[14]).toBe(1);
     });
+
+    test('should analyze commit weekdays in the author offset', () => {
+      const commits = [
+        { date: new Date('2023-01-15T23:30:00Z'), rawDate: '2023-01-16T02:30:00+03:00' },
+        { date: '2023-01-17T10:00:00' }
+      ];
+
+      const weekdayStats = dateManager.analyzeCommitWeekdays(commits);
+      expect(weekdayStats).toEqual({ 1: 1, 2: 1 });
+      expect(dateManager.analyzeCommitHours(commits)[2]).toBe(1);
+    });
   });
 
   describe('Commit Date Normalization', () => {
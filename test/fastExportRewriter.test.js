@@ -0,0 +1,329 @@
+/**
+ * Fast Export Rewriter Tests
+ */
+
+const FastExportRewriter = require('../src/fastExportRewriter');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('FastExportRewriter', () => {
+  let rewriter;
+
+  const parse = async (content, chunkSize = 7) => {
+    const buffer = Buffer.from(content);
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += chunkSize) {
+      chunks.push(buffer.subarray(i, i + chunkSize));
+    }
+
+    const commands = [];
+    for await (const command of rewriter.parseStream(Readable.from(chunks))) {
+      commands.push(command);
+    }
+    return commands;
+  };
+
+  const stream = [
+    'feature done',
+    'blob',
+    'mark :1',
+    'original-oid 1111111111111111111111111111111111111111',
+    'data 10',
+    'a\nb\0c\ndone',
+    'reset refs/heads/main',
+    'commit refs/heads/main',
+    'mark :2',
+    'original-oid 2222222222222222222222222222222222222222',
+    'author Jane Doe <jane@example.com> 1704092400 +0300',
+    'committer <ci@example.com> 1704092400 -0500',
+    'data 18',
+    'Subject\n\ncommit x\n',
+    'M 100644 :1 file name.txt',
+    '',
+    'commit refs/heads/main',
+    'mark :3',
+    'author A <a@b.c> 1 +0000',
+    'committer A <a@b.c> 2 +0000',
+    'data 4',
+    'Tip',
+    'from :2',
+    'merge :2',
+    'D file name.txt',
+    '',
+    'tag v1',
+    'from :3',
+    'original-oid 3333333333333333333333333333333333333333',
+    'tagger T <t@t.t> 3 +0100',
+    'data 8',
+    'Release',
+    'done',
+    ''
+  ].join('\n');
+
+  beforeEach(() => {
+    rewriter = new FastExportRewriter('/tmp/repo');
+  });
+
+  describe('parseStream', () => {
+    test('should parse blobs, commits and tags across chunk boundaries', async () => {
+      const commands = await parse(stream);
+
+      expect(commands.map(command => command.type)).toEqual(['feature', 'blob', 'reset', 'commit', 'commit', 'tag', 'done']);
+
+      const [, blob, reset, commit, tip, tag] = commands;
+      expect(blob.data).toEqual(Buffer.from('a\nb\0c\ndone'));
+      expect(reset.lines).toEqual(['reset refs/heads/main']);
+      expect(commit).toMatchObject({
+        ref: 'refs/heads/main',
+        mark: ':2',
+        originalOid: '2222222222222222222222222222222222222222',
+        author: { name: 'Jane Doe', email: 'jane@example.com', time: 1704092400, tz: '+0300' },
+        committer: { name: '', email: 'ci@example.com', time: 1704092400, tz: '-0500' },
+        message: 'Subject\n\ncommit x\n',
+        from: null,
+        changes: ['M 100644 :1 file name.txt']
+      });
+      expect(tip).toMatchObject({ message: 'Tip\n', from: ':2', merges: [':2'], changes: ['D file name.txt'] });
+      expect(tag).toMatchObject({ name: 'v1', from: ':3', tagger: { email: 't@t.t', tz: '+0100' }, message: 'Release\n' });
+    });
+
+    test('should reject a truncated stream', async () => {
+      await expect(parse('blob\nmark :1\ndata 10\nabc')).rejects.toThrow('Unexpected end of fast-export stream');
+    });
+  });
+
+  describe('serialize', () => {
+    test('should round-trip parsed commands', async () => {
+      const commands = await parse(stream);
+      const output = Buffer.concat(commands.map(command => rewriter.serialize(command)));
+
+      const reparsed = await parse(output, 64);
+      expect(reparsed).toEqual(commands);
+    });
+
+    test('should write changed messages and identities', async () => {
+      const commit = (await parse(stream))[3];
+      commit.message = 'Größe\n';
+      commit.author = { ...commit.author, ...rewriter.toGitTime('2024-03-01 09:30:00 +0200') };
+
+      const output = rewriter.serialize(commit).toString('utf8');
+
+      expect(output).toContain('author Jane Doe <jane@example.com> 1709278200 +0200\n');
+      expect(output).toContain('data 8\nGröße\n');
+    });
+  });
+
+  describe('parseFileChange', () => {
+    test('should read modified and deleted paths, including quoted ones', () => {
+      expect(rewriter.parseFileChange('M 100644 :1 file name.txt')).toEqual({ type: 'M', dataref: ':1', path: 'file name.txt' });
+      expect(rewriter.parseFileChange('M 100644 :4 "dir/\\303\\244 \\"q\\".txt"').path).toBe('dir/ä "q".txt');
+      expect(rewriter.parseFileChange('D old.txt')).toEqual({ type: 'D', dataref: null, path: 'old.txt' });
+      expect(rewriter.parseFileChange('deleteall')).toBeNull();
+    });
+  });
+
+  describe('toGitTime', () => {
+    test('should keep the UTC offset of the date', () => {
+      expect(rewriter.toGitTime('2024-06-30 18:00:00 -0500')).toEqual({ time: 1719788400, tz: '-0500' });
+      expect(rewriter.toGitTime(new Date('2024-06-30T23:00:00Z'))).toEqual({ time: 1719788400, tz: '+0000' });
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => rewriter.toGitTime('not a date')).toThrow('Invalid date value');
+    });
+
+    test('should format raw git times back with their offset', () => {
+      expect(rewriter.formatGitTime({ time: 1709278200, tz: '+0200' })).toBe('2024-03-01T09:30:00+02:00');
+      expect(rewriter.formatGitTime({ time: 1709278200, tz: '-0530' })).toBe('2024-03-01T02:00:00-05:30');
+    });
+  });
+
+  describe('rewrite', () => {
+    let repoPath;
+
+    const git = (args) => {
+      const result = spawnSync('git', args, { cwd: repoPath, encoding: 'utf8' });
+      if (result.status !== 0) {
+        throw new Error(`git ${args.join(' ')} failed: ${result.stderr}`);
+      }
+      return result.stdout.trim();
+    };
+
+    beforeEach(async () => {
+      repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-fast-export-'));
+      git(['init', '-q', '-b', 'main']);
+      git(['config', 'user.name', 'Test User']);
+      git(['config', 'user.email', 'test@example.com']);
+      git(['config', 'commit.gpgsign', 'false']);
+      rewriter = new FastExportRewriter(repoPath);
+    });
+
+    afterEach(async () => {
+      await fs.remove(repoPath);
+    });
+
+    test('should rewrite branches and map old commits to new ones', async () => {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a');
+      git(['add', 'a.txt']);
+      git(['commit', '-q', '-m', 'First']);
+      const first = git(['rev-parse', 'HEAD']);
+      git(['branch', 'gctm-backup-1']);
+
+      expect(rewriter.listRefs()).toEqual(['refs/heads/main']);
+
+      const result = await rewriter.rewrite({
+        commit: (commit) => { commit.message = 'Renamed\n'; }
+      });
+
+      expect(result.commits).toBe(1);
+      expect(result.commitMap.get(first)).toBe(git(['rev-parse', 'main']));
+      expect(git(['log', '-1', '--format=%s', 'main'])).toBe('Renamed');
+      expect(git(['rev-parse', 'gctm-backup-1'])).toBe(first);
+      expect(fs.readdirSync(path.join(repoPath, '.git')).filter(f => f.startsWith('gctm-marks-'))).toEqual([]);
+    });
+
+    describe('resolveScope', () => {
+      let first;
+      let second;
+      let feature;
+
+      beforeEach(() => {
+        const commit = (message) => {
+          git(['commit', '-q', '--allow-empty', '-m', message]);
+          return git(['rev-parse', 'HEAD']);
+        };
+        first = commit('First');
+        second = commit('Second');
+        git(['checkout', '-q', '-b', 'feature']);
+        feature = commit('Feature');
+        git(['checkout', '-q', 'main']);
+        git(['tag', 'v1', first]);
+      });
+
+      test('should cover the branches and tags that contain the targets by default', () => {
+        expect(rewriter.resolveScope({}, [feature])).toEqual(['refs/heads/feature']);
+        expect(rewriter.resolveScope({}, [first])).toEqual(['refs/heads/feature', 'refs/heads/main', 'refs/tags/v1']);
+        expect(rewriter.resolveScope()).toEqual(['refs/heads/feature', 'refs/heads/main', 'refs/tags/v1']);
+      });
+
+      test('should resolve ranges, branches and starting commits', () => {
+        expect(rewriter.resolveScope({ range: 'main~1..main' })).toEqual(['refs/heads/main', `^${first}`]);
+        expect(rewriter.resolveScope({ range: `${first}..` })).toEqual(['refs/heads/main', `^${first}`]);
+        expect(rewriter.resolveScope({ branch: 'feature' })).toEqual(['refs/heads/feature']);
+        expect(rewriter.resolveScope({ sinceCommit: second.slice(0, 8) })).toEqual(['refs/heads/feature', 'refs/heads/main', `^${first}`]);
+        expect(rewriter.resolveScope({ branch: 'main', sinceCommit: second })).toEqual(['refs/heads/main', `^${first}`]);
+        expect(rewriter.listCommits(rewriter.resolveScope({ range: 'main~1..main' }))).toEqual([second]);
+      });
+
+      test('should reject scopes that are not branches, tags or valid ranges', () => {
+        expect(() => rewriter.resolveScope({ branch: 'missing' })).toThrow('missing is not a branch or tag');
+        expect(() => rewriter.resolveScope({ range: `${first}..${second}` })).toThrow('is not a branch or tag');
+        expect(() => rewriter.resolveScope({ range: 'main...feature' })).toThrow('Invalid range');
+        expect(() => rewriter.resolveScope({ range: 'main~1..main', branch: 'main' })).toThrow('cannot be combined');
+        expect(() => rewriter.resolveScope({ sinceCommit: '--all' })).toThrow('Unknown commit');
+        git(['branch', 'gctm-backup-1']);
+        expect(() => rewriter.resolveScope({ branch: 'gctm-backup-1' })).toThrow('Backup branch');
+      });
+    });
+
+    test('should only rewrite the commits in scope', async () => {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a');
+      git(['add', 'a.txt']);
+      git(['commit', '-q', '-m', 'First']);
+      const first = git(['rev-parse', 'HEAD']);
+      git(['commit', '-q', '--allow-empty', '-m', 'Second']);
+
+      const result = await rewriter.rewrite({
+        commit: (commit) => { commit.message = 'Renamed\n'; }
+      }, { revisions: rewriter.resolveScope({ range: 'main~1..main' }) });
+
+      expect(result.commits).toBe(1);
+      expect(git(['log', '--format=%s'])).toBe('Renamed\nFirst');
+      expect(git(['rev-parse', 'HEAD~1'])).toBe(first);
+    });
+
+    test('should keep commits in other encodings unless their message is edited', async () => {
+      const messageFile = path.join(repoPath, '.git', 'latin1-message');
+      fs.writeFileSync(messageFile, Buffer.from('Café au lait\n', 'latin1'));
+      spawnSync('git', ['-c', 'i18n.commitEncoding=ISO-8859-1', 'commit', '-q', '--allow-empty', '-F', messageFile], { cwd: repoPath });
+      const latin1 = git(['rev-parse', 'HEAD']);
+      git(['commit', '-q', '--allow-empty', '-m', 'Second']);
+
+      await rewriter.rewrite({
+        commit: (commit) => { commit.message = commit.message.replace('Second', 'Renamed'); }
+      });
+
+      expect(git(['log', '--format=%s'])).toBe('Renamed\nCafé au lait');
+      expect(git(['rev-parse', 'HEAD~1'])).toBe(latin1);
+
+      // An edited message is read in its encoding and written as UTF-8
+      await rewriter.rewrite({
+        commit: (commit) => { commit.message = commit.message.replace('Café', 'Crème'); }
+      });
+
+      expect(git(['log', '--format=%s'])).toBe('Renamed\nCrème au lait');
+      expect(git(['cat-file', 'commit', 'HEAD~1'])).not.toContain('encoding');
+    });
+
+    test('should predict the new hashes in a dry run without changing the repository', async () => {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a');
+      git(['add', 'a.txt']);
+      git(['commit', '-q', '-m', 'First']);
+      const first = git(['rev-parse', 'HEAD']);
+      const objects = git(['count-objects', '-v']);
+      const rename = { commit: (commit) => { commit.message = 'Renamed\n'; } };
+
+      const planned = await rewriter.rewrite(rename, { dryRun: true });
+
+      expect(git(['rev-parse', 'main'])).toBe(first);
+      expect(git(['count-objects', '-v'])).toBe(objects);
+      expect(planned.commitMap.get(first)).not.toBe(first);
+
+      const rewritten = await rewriter.rewrite(rename);
+      expect(rewritten.commitMap.get(first)).toBe(planned.commitMap.get(first));
+    });
+
+    test('should refuse revisions that look like options', async () => {
+      await expect(rewriter.rewrite({}, { revisions: ['--all'] })).rejects.toThrow('Invalid revision');
+    });
+
+    describe('idle timeout', () => {
+      const wait = (ms) => { const end = Date.now() + ms; while (Date.now() < end) { /* busy */ } };
+
+      beforeEach(() => {
+        for (let i = 1; i <= 4; i++) {
+          fs.writeFileSync(path.join(repoPath, 'a.txt'), `a${i}`);
+          git(['add', 'a.txt']);
+          git(['commit', '-q', '-m', `Commit ${i}`]);
+        }
+      });
+
+      test('should not limit the total run time of a rewrite that keeps making progress', async () => {
+        rewriter = new FastExportRewriter(repoPath, { idleTimeout: 1000 });
+
+        const result = await rewriter.rewrite({ commit: () => wait(400) });
+
+        expect(result.commits).toBe(4);
+      });
+
+      test('should stop a rewrite that stalls', async () => {
+        rewriter = new FastExportRewriter(repoPath, { idleTimeout: 200 });
+
+        const checkpoint = {
+          marksFile: path.join(repoPath, '.git', 'gctm-test-marks'),
+          originalsFile: path.join(repoPath, '.git', 'gctm-test-originals'),
+          every: 2,
+          onCheckpoint: () => new Promise(resolve => setTimeout(resolve, 600))
+        };
+
+        await expect(rewriter.rewrite({ commit: (commit) => { commit.message = 'Renamed\n'; } }, { checkpoint }))
+          .rejects.toThrow('History rewrite stalled: git made no progress for 200ms');
+        // The checkpoint before the stall is kept
+        expect(fs.readFileSync(checkpoint.originalsFile, 'utf8').split('\n').filter(Boolean)).toHaveLength(2);
+      });
+    });
+  });
+});
@@ -4,6 +4,8 @@
  */
 
 const GitHistoryRewriter = require('../src/gitHistoryRewriter');
+const BackupManager = require('../src/backupManager');
+const logger = require('../src/utils/logger');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
@@ -300,41 +302,30 @@ describe('GitHistoryRewriter', () => {
   });
 
   describe('Error Handling', () => {
-    test('should handle invalid hash in date operations', async () => {
-      const invalidCommitData = { hash: 'invalid-hash', newDate: '2023-01-01' };
+    test('should apply string and regex replacements to text', () => {
+      const replacements = [
+        { pattern: 'secret', replacement: 'REDACTED' },
+        { pattern: /key=\w+/g, replacement: 'key=***' }
+      ];
 
-      await expect(gitHistoryRewriter.rewriteSingleCommitDate(invalidCommitData))
-        .rejects.toThrow('Invalid commit hash format');
+      expect(gitHistoryRewriter.applyReplacements('secret key=abc secret key=def', replacements))
+        .toBe('REDACTED key=*** REDACTED key=***');
     });
 
-    test('should handle invalid hash in content operations', async () => {
-      const replacements = [{ pattern: 'test', replacement: 'replacement' }];
-      const tempDir = await gitHistoryRewriter.createTempWorkingDirectory();
-
-      const result = await gitHistoryRewriter.processCommitForContentReplacement(
-        'invalid-hash', replacements, tempDir
-      );
-
-      expect(result).toBe(false); // Should return false for invalid hash
+    test('should count the matches each replacement makes', () => {
+      const replacements = [
+        { pattern: 'secret', replacement: 'REDACTED' },
+        { pattern: /key=\w+/, replacement: 'key=***' }
+      ];
 
-      await fs.remove(tempDir);
+      expect(gitHistoryRewriter.replaceWithCount('secret key=abc secret key=def', replacements))
+        .toEqual({ content: 'REDACTED key=*** REDACTED key=def', matches: 3 });
     });
 
     test('should handle invalid branch name in restore operations', async () => {
       // This should handle gracefully without throwing
       await expect(gitHistoryRewriter.restoreFromBranch('invalid@branch')).resolves.not.toThrow();
     });
-
-    test('should handle file system errors gracefully', async () => {
-      // Test with non-existent temp directory
-      const replacements = [{ pattern: 'test', replacement: 'replacement' }];
-
-      const result = await gitHistoryRewriter.processCommitForContentReplacement(
-        'abc123', replacements, '/non/existent/path'
-      );
-
-      expect(result).toBe(false); // Should handle gracefully
-    });
   });
 
   describe('Integration Tests', () => {
@@ -781,4 +772,991 @@ describe('GitHistoryRewriter', () => {
       await expect(gitHistoryRewriter.cleanupBackupBranches(invalidBranches)).resolves.not.toThrow();
     });
   });
-});
\ No newline at end of file
+});
+describe('GitHistoryRewriter with a real repository', () => {
+  const { spawnSync } = require('child_process');
+  let repoPath;
+  let rewriter;
+
+  const git = (args, env = {}) => {
+    const result = spawnSync('git', args, {
+      cwd: repoPath,
+      encoding: 'utf8',
+      env: { ...process.env, ...env }
+    });
+    if (result.status !== 0) {
+      throw new Error(`git ${args.join(' ')} failed: ${result.stderr}`);
+    }
+    return result.stdout.trim();
+  };
+
+  const commitFile = (file, content, message, date = '2020-01-01 12:00:00 +0000') => {
+    fs.writeFileSync(path.join(repoPath, file), content);
+    git(['add', file]);
+    git(['commit', '-q', '-m', message], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+    return git(['rev-parse', 'HEAD']);
+  };
+
+  beforeAll(() => {
+    // The filter-branch engine otherwise pauses for 10 seconds to print a deprecation warning
+    process.env.FILTER_BRANCH_SQUELCH_WARNING = '1';
+  });
+
+  beforeEach(async () => {
+    repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-rewrite-'));
+    git(['init', '-q', '-b', 'main']);
+    git(['config', 'user.name', 'Test User']);
+    git(['config', 'user.email', 'test@example.com']);
+    git(['config', 'commit.gpgsign', 'false']);
+    rewriter = new GitHistoryRewriter(repoPath);
+  });
+
+  afterEach(async () => {
+    await fs.remove(repoPath);
+  });
+
+  describe('changeCommitDates', () => {
+    test('should keep the UTC offset carried by the new dates', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      const second = commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.changeCommitDates([
+        { hash: first, newDate: '2024-06-30 18:00:00 -0500' },
+        { hash: second, newDate: '2024-07-01 09:00:00 +0300' }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(git(['log', '--format=%ai|%ci']).split('\n')).toEqual([
+        '2024-07-01 09:00:00 +0300|2024-07-01 09:00:00 +0300',
+        '2024-06-30 18:00:00 -0500|2024-06-30 18:00:00 -0500'
+      ]);
+      // The date environment file is removed once the rewrite is done
+      expect(fs.readdirSync(repoPath).filter(f => f.startsWith('.gctm-date-env-'))).toEqual([]);
+    });
+
+    test('should rewrite author and committer dates independently', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      const second = commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.changeCommitDates([
+        { hash: first, authorDate: '2024-06-30 18:00:00 +0000' },
+        { hash: second, authorDate: '2024-07-01 09:00:00 +0000', committerDate: '2024-07-01 09:15:00 +0000' }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(git(['log', '--format=%ai|%ci']).split('\n')).toEqual([
+        '2024-07-01 09:00:00 +0000|2024-07-01 09:15:00 +0000',
+        '2024-06-30 18:00:00 +0000|2020-01-01 12:00:00 +0000'
+      ]);
+    });
+
+    test('should reject date values that would break the filter script', () => {
+      expect(() => rewriter.resolveCommitDates({ hash: 'abc1234', newDate: '2024-01-01 $(id)' }))
+        .toThrow('Invalid date value');
+      expect(rewriter.resolveCommitDates({ hash: 'abc1234', committerDate: '2024-01-01 10:00:00' }))
+        .toEqual({ author: null, committer: '2024-01-01 10:00:00' });
+    });
+
+    test('should return a plan instead of rewriting in a dry run', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      const second = commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.changeCommitDates([
+        { hash: first, authorDate: '2021-06-01 08:00:00 +0200' }
+      ], { dryRun: true });
+
+      expect(result).toMatchObject({ success: true, dryRun: true, processed: 1 });
+      expect(result.plan.refs).toEqual(['refs/heads/main']);
+      expect(result.plan.commits.map(commit => commit.oldHash)).toEqual([first, second]);
+      expect(result.plan.commits[0]).toMatchObject({
+        subject: 'First',
+        authorDate: { old: '2020-01-01T12:00:00Z', new: '2021-06-01T08:00:00+02:00' },
+        committerDate: null,
+        message: null
+      });
+      expect(result.plan.commits[1].authorDate).toBeNull();
+      expect(result.plan.commits[1].newHash).toBe(result.commitMap.get(second));
+      expect(git(['rev-parse', 'HEAD'])).toBe(second);
+      expect(git(['branch', '--list', 'gctm-backup-*'])).toBe('');
+    });
+
+    test('should leave backup and remote-tracking branches untouched and report the commit map', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      const second = commitFile('b.txt', 'b', 'Second');
+      git(['tag', '-a', 'v1', '-m', 'Release']);
+      git(['branch', 'gctm-backup-1']);
+      git(['update-ref', 'refs/remotes/origin/main', second]);
+
+      const result = await rewriter.changeCommitDates([
+        { hash: first.slice(0, 8), newDate: '2024-06-30 18:00:00 +0000' }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.processed).toBe(1);
+      const newSecond = git(['rev-parse', 'HEAD']);
+      expect(result.commitMap.get(second)).toBe(newSecond);
+      expect(newSecond).not.toBe(second);
+      expect(git(['rev-parse', 'v1^{commit}'])).toBe(newSecond);
+      expect(git(['rev-parse', 'gctm-backup-1'])).toBe(second);
+      expect(git(['rev-parse', 'origin/main'])).toBe(second);
+      expect(git(['status', '--porcelain'])).toBe('');
+    });
+
+    test('should keep uncommitted changes across the rewrite', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      commitFile('b.txt', 'b', 'Second');
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'local edit');
+
+      const result = await rewriter.changeCommitDates([{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }]);
+
+      expect(result.success).toBe(true);
+      expect(fs.readFileSync(path.join(repoPath, 'a.txt'), 'utf8')).toBe('local edit');
+      expect(git(['stash', 'list'])).toBe('');
+    });
+
+    test('should fail for unknown commits without changing history', async () => {
+      const head = commitFile('a.txt', 'a', 'First');
+
+      const result = await rewriter.changeCommitDates([{ hash: 'abcdef1234', newDate: '2024-06-30 18:00:00 +0000' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unknown commit');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+      expect(git(['branch', '--list', 'gctm-backup-*'])).toBe('');
+    });
+
+    test('should refuse commits outside the requested scope', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      const head = commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.changeCommitDates(
+        [{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }],
+        { scope: { range: 'main~1..main' } }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('outside the rewrite scope');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+      expect(git(['branch', '--list', 'gctm-backup-*'])).toBe('');
+    });
+
+    test('should still support the filter-branch engine', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      git(['branch', 'gctm-backup-1']);
+      const legacy = new GitHistoryRewriter(repoPath, { engine: 'filter-branch' });
+
+      const result = await legacy.changeCommitDates([{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }]);
+
+      expect(result.success).toBe(true);
+      expect(git(['log', '-1', '--format=%ai'])).toBe('2024-06-30 18:00:00 +0000');
+      expect(git(['rev-parse', 'gctm-backup-1'])).toBe(first);
+      expect(result.commitMap.get(first)).toBe(git(['rev-parse', 'HEAD']));
+    });
+
+    test('should store the commit map with the backup', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      const second = commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.changeCommitDates(
+        [{ hash: second, newDate: '2024-06-30 18:00:00 +0000' }],
+        { backupId: 'backup-2024-06-30T00-00-00-map' }
+      );
+
+      expect(result.backupId).toBe('backup-2024-06-30T00-00-00-map');
+      const stored = await new BackupManager(repoPath).getCommitMap(result.backupId);
+      expect(stored.operations).toEqual(['redate']);
+      expect(stored.commits).toEqual({ [second]: git(['rev-parse', 'HEAD']) });
+      expect(stored.commits[first]).toBeUndefined();
+    });
+
+    test('should quote dates in the fallback case statement', () => {
+      const script = rewriter.buildSimpleCaseStatement({ abc1234: '2024-07-01 09:00:00 +0300' });
+
+      expect(script).toContain("GIT_AUTHOR_DATE='2024-07-01 09:00:00 +0300'");
+      expect(script).toContain("GIT_COMMITTER_DATE='2024-07-01 09:00:00 +0300'");
+    });
+  });
+
+  describe('changeCommitMessage', () => {
+    test('should change one message and keep the rest of the history', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.changeCommitMessage(first, 'Initial import\n\nWith "quotes" and $(no shell)');
+
+      expect(result.success).toBe(true);
+      expect(result.newHash).toBe(git(['rev-parse', 'HEAD~1']));
+      expect(git(['log', '--format=%B%x00']).split('\0').map(m => m.trim())).toEqual([
+        'Second',
+        'Initial import\n\nWith "quotes" and $(no shell)',
+        ''
+      ]);
+      expect(git(['log', '--format=%ai', '-1', 'HEAD~1'])).toBe('2020-01-01 12:00:00 +0000');
+    });
+
+    test('should not leave a backup branch behind when the scope is invalid', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+
+      const results = [
+        await rewriter.changeCommitMessage(first, 'Renamed', { scope: { range: 'nope..main' } }),
+        await rewriter.rewriteMessages({ prefix: '[core] ' }, { scope: { branch: 'missing' } }),
+        await rewriter.replaceContentInHistory([{ pattern: 'a', replacement: 'b' }], { scope: { branch: 'missing' } })
+      ];
+
+      results.forEach(result => expect(result.success).toBe(false));
+      expect(git(['rev-parse', 'HEAD'])).toBe(first);
+      expect(git(['branch', '--list', 'gctm-backup-*'])).toBe('');
+    });
+  });
+
+  describe('replaceContentInHistory', () => {
+    test('should replace text in every commit and skip binary files', async () => {
+      commitFile('config.txt', 'token=secret\n', 'Add config');
+      fs.writeFileSync(path.join(repoPath, 'data.bin'), Buffer.from('secret\0binary'));
+      git(['add', 'data.bin']);
+      git(['commit', '-q', '-m', 'Add binary']);
+      commitFile('notes.txt', 'nothing to hide', 'Add notes');
+
+      const result = await rewriter.replaceContentInHistory([{ pattern: 'secret', replacement: 'REDACTED' }]);
+
+      expect(result.success).toBe(true);
+      expect(result.processed).toBe(1);
+      expect(git(['show', 'HEAD~2:config.txt'])).toBe('token=REDACTED');
+      expect(git(['show', 'HEAD:config.txt'])).toBe('token=REDACTED');
+      expect(fs.readFileSync(path.join(repoPath, 'config.txt'), 'utf8')).toBe('token=REDACTED\n');
+      expect(fs.readFileSync(path.join(repoPath, 'data.bin'))).toEqual(Buffer.from('secret\0binary'));
+    });
+
+    test('should list the files and matches per commit in a dry run', async () => {
+      commitFile('config.txt', 'token=secret\nbackup=secret\n', 'Add config');
+      commitFile('notes.txt', 'nothing to hide', 'Add notes');
+      const head = git(['rev-parse', 'HEAD']);
+
+      const result = await rewriter.replaceContentInHistory([{ pattern: /secret/g, replacement: 'REDACTED' }], { dryRun: true });
+
+      expect(result).toMatchObject({ success: true, dryRun: true, processed: 1 });
+      expect(result.plan.commits.map(commit => commit.files)).toEqual([[{ path: 'config.txt', matches: 2 }], []]);
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+      expect(git(['show', 'HEAD:config.txt'])).toBe('token=secret\nbackup=secret');
+    });
+  });
+
+  describe('checkout', () => {
+    test('should carry local and staged changes over to the rewritten HEAD', async () => {
+      commitFile('config.txt', 'token=secret\n', 'Add config');
+      commitFile('notes.txt', 'notes', 'Add notes');
+      fs.writeFileSync(path.join(repoPath, 'notes.txt'), 'local notes');
+      fs.writeFileSync(path.join(repoPath, 'staged.txt'), 'staged');
+      git(['add', 'staged.txt']);
+
+      const result = await rewriter.replaceContentInHistory([{ pattern: 'secret', replacement: 'REDACTED' }]);
+
+      expect(result.success).toBe(true);
+      expect(git(['symbolic-ref', '--short', 'HEAD'])).toBe('main');
+      expect(fs.readFileSync(path.join(repoPath, 'config.txt'), 'utf8')).toBe('token=REDACTED\n');
+      expect(fs.readFileSync(path.join(repoPath, 'notes.txt'), 'utf8')).toBe('local notes');
+      expect(git(['diff', '--cached', '--name-only'])).toBe('staged.txt');
+      expect(git(['diff', '--name-only'])).toBe('notes.txt');
+      expect(git(['stash', 'list'])).toBe('');
+    });
+
+    test('should leave the checkout alone when local changes touch rewritten files', async () => {
+      commitFile('config.txt', 'token=secret\n', 'Add config');
+      const head = commitFile('notes.txt', 'notes', 'Add notes');
+      fs.writeFileSync(path.join(repoPath, 'config.txt'), 'token=local\n');
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      try {
+        const result = await rewriter.replaceContentInHistory([{ pattern: 'secret', replacement: 'REDACTED' }]);
+
+        expect(result.success).toBe(true);
+        expect(result.commitMap.get(head)).toBe(git(['rev-parse', 'HEAD']));
+        expect(fs.readFileSync(path.join(repoPath, 'config.txt'), 'utf8')).toBe('token=local\n');
+        expect(git(['show', ':config.txt'])).toBe('token=secret');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('(config.txt)'));
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    test('should let a detached HEAD follow its rewritten commit', async () => {
+      const first = commitFile('config.txt', 'token=secret\n', 'Add config');
+      const head = commitFile('notes.txt', 'notes', 'Add notes');
+      git(['checkout', '-q', '--detach']);
+
+      const result = await rewriter.changeCommitDates([{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }]);
+
+      expect(result.success).toBe(true);
+      expect(git(['rev-parse', 'HEAD', 'main'])).toBe(`${result.commitMap.get(head)}\n${result.commitMap.get(head)}`);
+      expect(git(['rev-parse', '--abbrev-ref', 'HEAD'])).toBe('HEAD');
+      expect(git(['status', '--porcelain'])).toBe('');
+    });
+
+    test('should run the filter-branch engine in a temporary worktree', async () => {
+      const first = commitFile('a.txt', 'a', 'First');
+      commitFile('b.txt', 'b', 'Second');
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'local edit');
+      fs.writeFileSync(path.join(repoPath, 'b.txt'), 'staged edit');
+      git(['add', 'b.txt']);
+      const legacy = new GitHistoryRewriter(repoPath, { engine: 'filter-branch' });
+
+      const redated = await legacy.changeCommitDates([{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }]);
+      const reworded = await legacy.changeCommitMessage(redated.commitMap.get(first), 'Initial import');
+
+      expect(redated.success).toBe(true);
+      expect(reworded.success).toBe(true);
+      expect(git(['log', '--format=%s|%ai']).split('\n')).toEqual([
+        'Second|2020-01-01 12:00:00 +0000',
+        'Initial import|2024-06-30 18:00:00 +0000'
+      ]);
+      expect(fs.readFileSync(path.join(repoPath, 'a.txt'), 'utf8')).toBe('local edit');
+      expect(git(['diff', '--cached', '--name-only'])).toBe('b.txt');
+      expect(git(['stash', 'list'])).toBe('');
+      expect(git(['worktree', 'list']).split('\n')).toHaveLength(1);
+    });
+  });
+
+  describe('rewriteIdentities', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = commitFile('a.txt', 'a', 'First');
+      fs.writeFileSync(path.join(repoPath, 'b.txt'), 'b');
+      git(['add', 'b.txt']);
+      git(['commit', '-q', '-m', 'Second'], {
+        GIT_AUTHOR_NAME: 'jdoe',
+        GIT_AUTHOR_EMAIL: 'jdoe@laptop.local',
+        GIT_AUTHOR_DATE: '2020-01-02 12:00:00 +0000',
+        GIT_COMMITTER_DATE: '2020-01-02 12:00:00 +0000'
+      });
+      second = git(['rev-parse', 'HEAD']);
+    });
+
+    const mappings = [{ oldEmail: 'jdoe@laptop.local', newName: 'Jane Doe', newEmail: 'jane@example.com' }];
+
+    test('should rewrite matching identities and keep the rest of the history', async () => {
+      const result = await rewriter.rewriteIdentities(mappings);
+
+      expect(result.success).toBe(true);
+      expect(result.processed).toBe(1);
+      expect(git(['log', '-1', '--format=%an <%ae>|%cn <%ce>|%ai'])).toBe('Jane Doe <jane@example.com>|Test User <test@example.com>|2020-01-02 12:00:00 +0000');
+      expect(git(['rev-parse', 'HEAD~1'])).toBe(first);
+      expect(result.commitMap.get(second)).toBe(git(['rev-parse', 'HEAD']));
+    });
+
+    test('should only rewrite the selected identity field', async () => {
+      const result = await rewriter.rewriteIdentities(
+        [{ oldEmail: 'test@example.com', newEmail: 'ci@example.com' }],
+        { identityField: 'committer' }
+      );
+
+      expect(result.processed).toBe(2);
+      expect(git(['log', '--format=%ae %ce'])).toBe('jdoe@laptop.local ci@example.com\ntest@example.com ci@example.com');
+    });
+
+    test('should plan identity changes and skip rewrites that match nothing', async () => {
+      const planned = await rewriter.rewriteIdentities(mappings, { dryRun: true });
+
+      expect(planned.plan.commits).toEqual([expect.objectContaining({
+        oldHash: second,
+        author: { old: 'jdoe <jdoe@laptop.local>', new: 'Jane Doe <jane@example.com>' },
+        committer: null
+      })]);
+
+      const unmatched = await rewriter.rewriteIdentities([{ oldEmail: 'nobody@example.com', newName: 'Nobody' }]);
+      expect(unmatched).toMatchObject({ success: true, processed: 0 });
+      expect(git(['rev-parse', 'HEAD'])).toBe(second);
+      expect(git(['branch', '--list', 'gctm-backup-*'])).toBe('');
+    });
+
+    test('should reject invalid mappings', async () => {
+      const result = await rewriter.rewriteIdentities([{ newName: 'Nobody' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('an old name or email');
+    });
+  });
+
+  describe('rewriteMessages', () => {
+    test('should edit every message in scope in one rewrite', async () => {
+      const first = commitFile('a.txt', 'a', 'JIRA-1: first');
+      commitFile('b.txt', 'b', 'Second');
+      commitFile('c.txt', 'c', 'JIRA-3: third\n\nChange-Id: I3');
+
+      const result = await rewriter.rewriteMessages({
+        replacements: [{ pattern: 'JIRA-(\\d+)', replacement: 'PROJ-$1' }],
+        removeLines: ['^Change-Id:'],
+        trailers: ['Reviewed-by: Jane <jane@example.com>']
+      }, { scope: { range: 'HEAD~2..main' } });
+
+      expect(result).toMatchObject({ success: true, processed: 2 });
+      expect(git(['log', '-z', '--format=%B']).split('\0').filter(Boolean).map(message => message.trim())).toEqual([
+        'PROJ-3: third\n\nReviewed-by: Jane <jane@example.com>',
+        'Second\n\nReviewed-by: Jane <jane@example.com>',
+        'JIRA-1: first'
+      ]);
+      expect(git(['rev-parse', 'HEAD~2'])).toBe(first);
+    });
+
+    test('should plan the new messages and refuse edits that empty a message', async () => {
+      const first = commitFile('a.txt', 'a', 'WIP');
+
+      const planned = await rewriter.rewriteMessages({ prefix: '[core] ' }, { dryRun: true });
+      expect(planned.plan.commits).toEqual([expect.objectContaining({
+        oldHash: first,
+        message: { old: 'WIP\n', new: '[core] WIP\n' }
+      })]);
+
+      const emptied = await rewriter.rewriteMessages({ removeLines: ['^WIP$'] });
+      expect(emptied.success).toBe(false);
+      expect(emptied.error).toContain('without a message');
+      expect(git(['rev-parse', 'HEAD'])).toBe(first);
+    });
+  });
+
+  describe('restructureHistory', () => {
+    let a;
+    let b;
+    let c;
+    let d;
+
+    beforeEach(() => {
+      a = commitFile('a.txt', 'a', 'A', '2020-01-01 12:00:00 +0000');
+      b = commitFile('b.txt', 'b', 'B', '2020-01-02 12:00:00 +0000');
+      c = commitFile('c.txt', 'c', 'C', '2020-01-03 12:00:00 +0000');
+      d = commitFile('a.txt', 'a2', 'WIP: D', '2020-01-04 12:00:00 +0000');
+    });
+
+    test('should reorder, squash and drop commits and check out the result', async () => {
+      const result = await rewriter.restructureHistory([
+        { action: 'pick', commit: a.substring(0, 7) },
+        { action: 'pick', commit: c },
+        { action: 'squash', commit: b },
+        { action: 'drop', pattern: '^WIP' }
+      ]);
+
+      expect(result).toMatchObject({ success: true, processed: 1, dropped: [d] });
+      expect(git(['log', '--format=%s'])).toBe('C\nA');
+      expect(git(['log', '-1', '--format=%B'])).toBe('C\n\nB');
+      expect(git(['log', '-1', '--format=%ai %ci'])).toBe('2020-01-03 12:00:00 +0000 2020-01-02 12:00:00 +0000');
+      expect(git(['rev-parse', 'HEAD~1'])).toBe(a);
+      expect(result.commitMap.get(b)).toBe(git(['rev-parse', 'HEAD']));
+      expect(result.commitMap.has(d)).toBe(false);
+      expect(fs.readFileSync(path.join(repoPath, 'a.txt'), 'utf8')).toBe('a');
+      expect(git(['status', '--porcelain'])).toBe('');
+    });
+
+    test('should abort without changes when a commit does not apply', async () => {
+      const e = commitFile('a.txt', 'a3', 'E');
+
+      const result = await rewriter.restructureHistory([
+        { action: 'pick', commit: b },
+        { action: 'pick', commit: c },
+        { action: 'drop', commit: d },
+        { action: 'pick', commit: e }
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain(`Commit ${e.substring(0, 7)} (E) does not apply at its new position, conflicts in a.txt`);
+      expect(git(['rev-parse', 'HEAD'])).toBe(e);
+      expect(git(['branch', '--list', 'gctm-backup-*'])).toBe('');
+    });
+
+    test('should refuse plans that leave out commits', async () => {
+      const result = await rewriter.restructureHistory([
+        { action: 'pick', commit: b },
+        { action: 'pick', commit: d }
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain(`1 commits of main are not in the plan (pick or drop them): ${c.substring(0, 7)}`);
+    });
+
+    test('should plan a restructure without changing the repository', async () => {
+      const objects = git(['count-objects', '-v']);
+
+      const planned = await rewriter.restructureHistory([
+        { action: 'pick', commit: c },
+        { action: 'fixup', commit: d },
+        { action: 'pick', commit: b }
+      ], { base: a, dryRun: true });
+
+      expect(planned.plan.commits.map(commit => [commit.oldHash, commit.squashed])).toEqual([[c, [d]], [b, []]]);
+      expect(planned.plan.refs).toEqual(['refs/heads/main']);
+      expect(git(['rev-parse', 'HEAD'])).toBe(d);
+      expect(git(['count-objects', '-v'])).toBe(objects);
+
+      const result = await rewriter.restructureHistory([
+        { action: 'pick', commit: c },
+        { action: 'fixup', commit: d },
+        { action: 'pick', commit: b }
+      ], { base: a });
+      expect(result.commitMap).toEqual(planned.commitMap);
+      expect(git(['log', '--format=%s'])).toBe('B\nC\nA');
+    });
+  });
+
+  describe('splitCommit', () => {
+    let base;
+    let target;
+    let child;
+
+    beforeEach(() => {
+      base = commitFile('README.md', 'readme', 'Init', '2020-01-01 12:00:00 +0000');
+      fs.mkdirSync(path.join(repoPath, 'src'));
+      fs.mkdirSync(path.join(repoPath, 'docs'));
+      fs.writeFileSync(path.join(repoPath, 'src', 'a.js'), 'a');
+      fs.writeFileSync(path.join(repoPath, 'src', 'b.js'), 'b');
+      fs.writeFileSync(path.join(repoPath, 'docs', 'guide.md'), 'guide');
+      git(['rm', '-q', 'README.md']);
+      target = commitFile('docs/guide.md', 'guide', 'Big change\n\nDetails', '2020-01-02 12:00:00 +0000');
+      git(['add', '-A']);
+      git(['commit', '-q', '--amend', '--no-edit'], { GIT_AUTHOR_DATE: '2020-01-02 12:00:00 +0000', GIT_COMMITTER_DATE: '2020-01-02 12:00:00 +0000' });
+      target = git(['rev-parse', 'HEAD']);
+      child = commitFile('src/a.js', 'a2', 'Child', '2020-01-02 13:00:00 +0000');
+    });
+
+    test('should split by directory with dates spread towards the next commit', async () => {
+      const result = await rewriter.splitCommit(target, { by: 'directory' });
+
+      expect(result).toMatchObject({ success: true, processed: 3 });
+      expect(git(['log', '--format=%s'])).toBe('Child\nBig change (src)\nBig change (docs)\nBig change (top-level files)\nInit');
+      expect(git(['log', '-1', '--format=%B', 'HEAD~1'])).toBe('Big change (src)\n\nDetails');
+      expect(git(['log', '--format=%ai', 'HEAD~4..HEAD~1']).split('\n')).toEqual([
+        '2020-01-02 12:40:00 +0000', '2020-01-02 12:20:00 +0000', '2020-01-02 12:00:00 +0000'
+      ]);
+      expect(git(['diff-tree', '--no-commit-id', '--name-only', '-r', 'HEAD~3'])).toBe('README.md');
+      expect(git(['rev-parse', 'HEAD~4'])).toBe(base);
+      expect(git(['rev-parse', 'HEAD~1^{tree}'])).toBe(git(['rev-parse', `${target}^{tree}`]));
+      expect(result.commitMap.get(target)).toBe(git(['rev-parse', 'HEAD~1']));
+      expect(result.commitMap.get(child)).toBe(git(['rev-parse', 'HEAD']));
+      expect(git(['status', '--porcelain'])).toBe('');
+    });
+
+    test('should group files by the first glob they match', async () => {
+      const planned = await rewriter.splitCommit(target, { by: 'glob', patterns: ['**/*.md', 'src/a.js'], dryRun: true });
+
+      expect(planned.plan.splits.map(split => split.files)).toEqual([['README.md', 'docs/guide.md'], ['src/a.js'], ['src/b.js']]);
+      expect(git(['rev-parse', 'HEAD'])).toBe(child);
+
+      const result = await rewriter.splitCommit(target, { by: 'glob', patterns: ['**/*.md', 'src/a.js'] });
+      expect(result.commits).toEqual(planned.commits);
+    });
+
+    test('should split a commit named by a revision or a branch', async () => {
+      const planned = await rewriter.splitCommit('HEAD~1', { by: 'directory', dryRun: true });
+      expect(planned).toMatchObject({ success: true, processed: 3 });
+
+      git(['branch', 'feature', target]);
+      const result = await rewriter.splitCommit('feature', { by: 'directory' });
+
+      expect(result).toMatchObject({ success: true, processed: 3 });
+      expect(result.commits).toEqual(planned.commits);
+      expect(git(['log', '--format=%s', '-2', 'HEAD~1'])).toBe('Big change (src)\nBig change (docs)');
+    });
+
+    test('should refuse commits that cannot be split', async () => {
+      expect((await rewriter.splitCommit('no-such-commit')).error).toContain('Unknown commit: no-such-commit');
+      expect((await rewriter.splitCommit(child)).error).toContain('has no changes to split by file');
+      expect((await rewriter.splitCommit(target, { by: 'glob' })).error).toContain('needs at least one pattern');
+      expect((await rewriter.splitCommit(target, { by: 'hunk' })).error).toContain('Invalid split mode: hunk');
+      expect(git(['rev-parse', 'HEAD'])).toBe(child);
+    });
+  });
+
+  describe('tags', () => {
+    let first;
+    let second;
+    let side;
+
+    const tagDate = (tag) => git(['for-each-ref', '--format=%(taggerdate:iso)', `refs/tags/${tag}`]);
+
+    beforeEach(() => {
+      first = commitFile('a.txt', 'a', 'First');
+      second = commitFile('b.txt', 'b', 'Second', '2020-01-02 12:00:00 +0000');
+      git(['tag', 'v1', first]);
+      git(['tag', '-a', 'v2', '-m', 'Release 2', second], { GIT_COMMITTER_DATE: '2020-01-03 12:00:00 +0000' });
+      git(['checkout', '-q', '-b', 'side', first]);
+      side = commitFile('side.txt', 'side', 'Side');
+      git(['tag', 'side-tag']);
+      git(['checkout', '-q', 'main']);
+    });
+
+    test('should leave tags outside the scope alone and report them', async () => {
+      const result = await rewriter.changeCommitDates([{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }], { scope: { branch: 'main' } });
+
+      expect(result.success).toBe(true);
+      expect(result.tags).toEqual({ moved: [], redated: [], skipped: ['v1', 'v2'], outside: ['side-tag'] });
+      expect(git(['rev-parse', 'v1'])).toBe(first);
+      expect(git(['rev-parse', 'v2^{commit}'])).toBe(second);
+      expect(git(['rev-parse', 'side-tag'])).toBe(side);
+    });
+
+    test('should move the tags on rewritten commits and redate annotated tags', async () => {
+      const result = await rewriter.changeCommitDates([
+        { hash: first, newDate: '2024-06-30 18:00:00 +0000' },
+        { hash: second, newDate: '2024-07-01 09:00:00 +0200' }
+      ], { scope: { branch: 'main' }, tags: 'redate' });
+
+      expect(result.success).toBe(true);
+      expect(result.tags).toEqual({ moved: ['v1', 'v2'], redated: ['v2'], skipped: [], outside: ['side-tag'] });
+      expect(git(['rev-parse', 'v1'])).toBe(result.commitMap.get(first));
+      expect(git(['rev-parse', 'v2^{commit}'])).toBe(git(['rev-parse', 'main']));
+      expect(git(['cat-file', '-t', 'v2'])).toBe('tag');
+      expect(git(['for-each-ref', '--format=%(contents:subject)', 'refs/tags/v2'])).toBe('Release 2');
+      expect(tagDate('v2')).toBe('2024-07-01 09:00:00 +0200');
+      expect(git(['rev-parse', 'side-tag'])).toBe(side);
+    });
+
+    test('should keep annotated tag dates when only moving tags', async () => {
+      const planned = await rewriter.changeCommitDates([{ hash: second, newDate: '2024-07-01 09:00:00 +0000' }], {
+        scope: { range: 'main~1..main' }, tags: true, dryRun: true
+      });
+
+      expect(planned.plan.refs).toEqual(['refs/heads/main', 'refs/tags/v2']);
+      expect(planned.plan.tags).toEqual({ moved: ['v2'], redated: [], skipped: [], outside: [] });
+      expect(git(['rev-parse', 'v2^{commit}'])).toBe(second);
+
+      const result = await rewriter.changeCommitDates([{ hash: second, newDate: '2024-07-01 09:00:00 +0000' }], {
+        scope: { range: 'main~1..main' }, tags: true
+      });
+      expect(git(['rev-parse', 'v2^{commit}'])).toBe(result.commitMap.get(second));
+      expect(tagDate('v2')).toBe('2020-01-03 12:00:00 +0000');
+    });
+
+    test('should reject unknown tag modes and the filter-branch engine', async () => {
+      expect((await rewriter.changeCommitDates([{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }], { tags: 'all' })).error)
+        .toContain('Invalid tags mode: all');
+      expect((await new GitHistoryRewriter(repoPath, { engine: 'filter-branch' })
+        .changeCommitDates([{ hash: first, newDate: '2024-06-30 18:00:00 +0000' }], { tags: true })).error)
+        .toContain('needs the fast-import rewrite engine');
+      expect(git(['rev-parse', 'main'])).toBe(second);
+    });
+  });
+
+  describe('remotes', () => {
+    let originPath;
+
+    beforeEach(() => {
+      originPath = `${repoPath}-origin.git`;
+      git(['init', '-q', '--bare', originPath]);
+      git(['remote', 'add', 'origin', originPath]);
+    });
+
+    afterEach(async () => {
+      await fs.remove(originPath);
+    });
+
+    test('should report rewritten commits that are already on a remote and the branches containing them', async () => {
+      commitFile('a.txt', 'a', 'First');
+      const second = commitFile('b.txt', 'b', 'Second');
+      git(['push', '-q', '-u', 'origin', 'main']);
+      git(['checkout', '-q', '-b', 'feature']);
+      commitFile('c.txt', 'c', 'Feature');
+      git(['push', '-q', 'origin', 'feature']);
+      git(['checkout', '-q', 'main']);
+      const third = commitFile('d.txt', 'd', 'Local');
+
+      const planned = await rewriter.changeCommitDates([{ hash: second, newDate: '2024-06-30 18:00:00 +0000' }], {
+        scope: { branch: 'main' }, dryRun: true
+      });
+      expect(planned.plan.remotes).toEqual({ published: [second], upstream: ['origin/main'], others: ['origin/feature'] });
+
+      const result = await rewriter.changeCommitDates([{ hash: third, newDate: '2024-06-30 18:00:00 +0000' }], { scope: { branch: 'main' } });
+      expect(result.success).toBe(true);
+      expect(result.remotes).toEqual({ published: [], upstream: [], others: [] });
+    });
+  });
+
+  describe('interrupted rewrites', () => {
+    const { spawn } = require('child_process');
+    const dates = () => git(['rev-list', '--reverse', 'main']).split('\n')
+      .map((hash, index) => ({ hash, newDate: `2024-06-${String(index + 1).padStart(2, '0')} 18:00:00 +0000` }));
+
+    // Redates main in a child process that kills itself (and its git processes) at the 5th commit
+    const interruptRedate = (commits) => new Promise((resolve, reject) => {
+      const script = `
+        const GitHistoryRewriter = require(${JSON.stringify(path.join(__dirname, '../src/gitHistoryRewriter'))});
+        const rewriter = new GitHistoryRewriter(process.argv[1], { checkpointInterval: 2 });
+        const serialize = rewriter.streamRewriter.serialize.bind(rewriter.streamRewriter);
+        let seen = 0;
+        rewriter.streamRewriter.serialize = command => {
+          if (command.type === 'commit' && ++seen === 5) process.kill(-process.pid, 'SIGKILL');
+          return serialize(command);
+        };
+        rewriter.changeCommitDates(JSON.parse(process.argv[2]), { scope: { branch: 'main' } });
+      `;
+      const child = spawn(process.execPath, ['-e', script, repoPath, JSON.stringify(commits)], { detached: true, stdio: 'ignore' });
+      const timer = setTimeout(() => process.kill(-child.pid, 'SIGKILL'), 60000);
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve(signal);
+      });
+    });
+
+    beforeEach(() => {
+      for (let i = 1; i <= 8; i++) {
+        commitFile(`f${i}.txt`, `${i}`, `Commit ${i}`);
+        if (i === 3) git(['tag', 'v1']);
+      }
+    });
+
+    test('should resume from the last checkpoint with the same result as an uninterrupted rewrite', async () => {
+      const commits = dates();
+      const clonePath = `${repoPath}-clone`;
+      git(['clone', '-q', repoPath, clonePath]);
+
+      try {
+        expect(await interruptRedate(commits)).toBe('SIGKILL');
+        expect((await rewriter.journal.load()).commits).toBe(4);
+
+        const refused = await rewriter.changeCommitMessage(commits[0].hash, 'Other');
+        expect(refused.success).toBe(false);
+        expect(refused.error).toContain('run gctm resume or gctm abort first');
+
+        const result = await rewriter.resumeRewrite();
+        expect(result.success).toBe(true);
+        expect(result.operation).toBe('redate');
+        expect(result.resumed).toBe(4);
+
+        const expected = await new GitHistoryRewriter(clonePath).changeCommitDates(commits, { scope: { branch: 'main' } });
+        expect(expected.success).toBe(true);
+        expect(git(['rev-parse', 'main', 'v1'])).toBe(spawnSync('git', ['rev-parse', 'main', 'v1'], { cwd: clonePath, encoding: 'utf8' }).stdout.trim());
+        expect(await rewriter.journal.load()).toBeNull();
+        expect(git(['branch', '--list', 'gctm-backup*'])).toBe('');
+      } finally {
+        await fs.remove(clonePath);
+      }
+    });
+
+    test('should keep the checkpoints of a rewrite that fails after one for resume', async () => {
+      const tip = git(['rev-parse', 'main']);
+      const commits = dates();
+      rewriter = new GitHistoryRewriter(repoPath, { checkpointInterval: 2 });
+      const update = rewriter.journal.update.bind(rewriter.journal);
+      jest.spyOn(rewriter.journal, 'update').mockImplementation(async (fields) => {
+        if (fields.commits === 4) throw new Error('Disk full');
+        return update(fields);
+      });
+
+      const failed = await rewriter.changeCommitDates(commits, { scope: { branch: 'main' } });
+
+      expect(failed.success).toBe(false);
+      expect(failed.error).toContain('Disk full (2 commits were rewritten by the last checkpoint: run gctm resume');
+      expect(git(['rev-parse', 'main'])).toBe(tip);
+      expect((await rewriter.journal.load()).commits).toBe(2);
+
+      rewriter.journal.update.mockRestore();
+      const result = await rewriter.resumeRewrite();
+      expect(result).toMatchObject({ success: true, operation: 'redate', resumed: 2 });
+      expect(git(['log', '-1', '--format=%ai', 'main'])).toBe('2024-06-08 18:00:00 +0000');
+      expect(await rewriter.journal.load()).toBeNull();
+      expect(git(['branch', '--list', 'gctm-backup*'])).toBe('');
+    });
+
+    test('should abort by restoring the refs and leave local changes alone', async () => {
+      const tip = git(['rev-parse', 'main']);
+      const tag = git(['rev-parse', 'v1']);
+      fs.writeFileSync(path.join(repoPath, 'f1.txt'), 'local change');
+
+      expect(await interruptRedate(dates())).toBe('SIGKILL');
+      expect(await rewriter.journal.load()).not.toBeNull();
+
+      const result = await rewriter.abortRewrite();
+      expect(result).toEqual({ success: true, operation: 'redate', refs: expect.any(Number) });
+      expect(git(['rev-parse', 'main', 'v1'])).toBe(`${tip}\n${tag}`);
+      expect(fs.readFileSync(path.join(repoPath, 'f1.txt'), 'utf8')).toBe('local change');
+      expect(git(['stash', 'list'])).toBe('');
+      expect(git(['branch', '--list', 'gctm-backup*'])).toBe('');
+      expect(await rewriter.journal.load()).toBeNull();
+
+      expect((await rewriter.abortRewrite()).error).toBe('No interrupted rewrite to abort');
+      expect((await rewriter.resumeRewrite()).error).toBe('No interrupted rewrite to resume');
+    });
+  });
+
+  describe('merge commits', () => {
+    let side;
+    let merge;
+    let octopus;
+
+    const mergeDate = { GIT_AUTHOR_DATE: '2020-01-05 12:00:00 +0000', GIT_COMMITTER_DATE: '2020-01-05 12:00:00 +0000' };
+
+    // Parents of every commit on main, in order, with old hashes translated through the commit map
+    const topology = (commitMap = new Map()) => git(['rev-list', '--topo-order', '--parents', 'main']).split('\n')
+      .map(line => line.split(' ').map(hash => commitMap.get(hash) || hash).join(' '));
+
+    beforeEach(() => {
+      commitFile('config.txt', 'token=secret\n', 'Base');
+      git(['checkout', '-q', '-b', 'side']);
+      side = commitFile('side.txt', 'side secret', 'Side', '2020-01-02 12:00:00 +0000');
+      git(['checkout', '-q', '-b', 'f2', 'main']);
+      commitFile('f2.txt', 'f2', 'F2', '2020-01-02 13:00:00 +0000');
+      git(['checkout', '-q', '-b', 'f3', 'main']);
+      commitFile('f3.txt', 'f3', 'F3', '2020-01-02 14:00:00 +0000');
+      git(['checkout', '-q', 'main']);
+      commitFile('main.txt', 'main', 'Main', '2020-01-03 12:00:00 +0000');
+
+      // A merge that also changes a file of its own, which only the merge commit carries
+      git(['merge', '-q', '--no-ff', '--no-commit', 'side']);
+      fs.writeFileSync(path.join(repoPath, 'resolution.txt'), 'resolved secret');
+      git(['add', 'resolution.txt']);
+      git(['commit', '-q', '-m', 'Merge branch side\n\nKeep both sides'], mergeDate);
+      merge = git(['rev-parse', 'HEAD']);
+      git(['merge', '-q', '--no-ff', '-m', 'Octopus', 'f2', 'f3'], mergeDate);
+      octopus = git(['rev-parse', 'HEAD']);
+      commitFile('tip.txt', 'tip', 'Tip', '2020-01-06 12:00:00 +0000');
+    });
+
+    test.each(['fast-import', 'filter-branch'])('should keep parents, merge messages and trees when redating with %s', async (engine) => {
+      const before = topology();
+      const messages = git(['log', '--topo-order', '--format=%B%x00', 'main']);
+      const trees = git(['log', '--topo-order', '--format=%T', 'main']);
+
+      const result = await new GitHistoryRewriter(repoPath, { engine })
+        .changeCommitDates([{ hash: side, newDate: '2021-06-01 08:00:00 +0000' }]);
+
+      expect(result.success).toBe(true);
+      expect(topology()).toEqual(before.map(line => line.split(' ').map(hash => result.commitMap.get(hash) || hash).join(' ')));
+      expect(git(['rev-list', '--parents', '-n', '1', 'main~1']).split(' ')).toHaveLength(4);
+      expect(git(['log', '--topo-order', '--format=%B%x00', 'main'])).toBe(messages);
+      expect(git(['log', '--topo-order', '--format=%T', 'main'])).toBe(trees);
+    });
+
+    test('should edit an octopus merge message and only rewrite the merges after a side commit', async () => {
+      const mainCommit = git(['rev-parse', `${merge}^1`]);
+
+      const edited = await rewriter.changeCommitMessage(octopus, 'Merge f2 and f3');
+      expect(edited.success).toBe(true);
+      expect(git(['log', '-1', '--format=%P %s', 'main~1']).split(' ')).toEqual([
+        edited.commitMap.get(merge) || merge, git(['rev-parse', 'f2']), git(['rev-parse', 'f3']), 'Merge', 'f2', 'and', 'f3'
+      ]);
+
+      const result = await rewriter.changeCommitMessage(side, 'Side branch');
+      expect(result.success).toBe(true);
+      expect(git(['rev-parse', 'main~2^1'])).toBe(mainCommit);
+      expect(git(['rev-parse', 'main~2^2'])).toBe(git(['rev-parse', 'side']));
+      expect(git(['log', '-1', '--format=%s', 'side'])).toBe('Side branch');
+      expect(git(['log', '-1', '--format=%B', 'main~2'])).toBe('Merge branch side\n\nKeep both sides');
+    });
+
+    test('should replace content in the files a merge changes itself', async () => {
+      const before = topology();
+
+      const result = await rewriter.replaceContentInHistory([{ pattern: 'secret', replacement: 'REDACTED' }]);
+
+      expect(result.success).toBe(true);
+      expect(topology()).toEqual(before.map(line => line.split(' ').map(hash => result.commitMap.get(hash) || hash).join(' ')));
+      expect(git(['show', 'main~2:resolution.txt'])).toBe('resolved REDACTED');
+      expect(git(['show', 'main:side.txt'])).toBe('side REDACTED');
+    });
+
+    test('should refuse to split or restructure across merges', async () => {
+      const base = git(['rev-list', '--max-parents=0', 'main']);
+
+      expect((await rewriter.splitCommit(merge)).error).toContain(`Merge commit ${merge} cannot be split: its changes differ for each of its 2 parents`);
+      expect((await rewriter.splitCommit(base)).error)
+        .toContain(`Merge commit ${octopus.substring(0, 7)} comes after ${base} on main and cannot be written again`);
+      expect((await rewriter.restructureHistory([{ action: 'pick', commit: git(['rev-parse', 'main']) }], { base }))
+        .error).toContain('cannot be restructured: commits are replayed on a single parent, so choose a base after it');
+      expect(git(['rev-parse', 'main~1'])).toBe(octopus);
+    });
+  });
+
+  describe('commit signatures', () => {
+    let first;
+    let second;
+    let third;
+
+    const isSigned = (hash) => git(['cat-file', 'commit', hash]).includes('\ngpgsig ');
+
+    beforeEach(() => {
+      const key = path.join(repoPath, '.git', 'signing-key');
+      const keygen = spawnSync('ssh-keygen', ['-q', '-t', 'ed25519', '-N', '', '-C', 'test', '-f', key]);
+      if (keygen.status !== 0) {
+        throw new Error(`ssh-keygen failed: ${keygen.stderr}`);
+      }
+      const allowedSigners = path.join(repoPath, '.git', 'allowed-signers');
+      fs.writeFileSync(allowedSigners, `test@example.com ${fs.readFileSync(`${key}.pub`, 'utf8')}`);
+      git(['config', 'gpg.format', 'ssh']);
+      git(['config', 'user.signingkey', `${key}.pub`]);
+      git(['config', 'gpg.ssh.allowedSignersFile', allowedSigners]);
+      git(['config', 'commit.gpgsign', 'true']);
+
+      first = commitFile('a.txt', 'a', 'First');
+      second = commitFile('b.txt', 'b', 'Second');
+      third = commitFile('c.txt', 'c', 'Third');
+      git(['config', 'commit.gpgsign', 'false']);
+    });
+
+    test('should keep unchanged signed commits and report the ones that lose their signature', async () => {
+      const planned = await rewriter.changeCommitMessage(second, 'Second, renamed', { dryRun: true });
+      expect(planned.plan.signedCommits).toEqual([second, third]);
+      expect(planned.plan.commits.map(commit => commit.oldHash)).toEqual([second, third]);
+
+      const result = await rewriter.changeCommitMessage(second, 'Second, renamed');
+
+      expect(result.success).toBe(true);
+      expect(result.signatures).toEqual({ signed: [second, third], resigned: 0, lost: [second, third] });
+      expect(git(['rev-parse', 'HEAD~2'])).toBe(first);
+      expect(isSigned(first)).toBe(true);
+      expect(isSigned('HEAD')).toBe(false);
+      expect(git(['rev-parse', 'HEAD'])).toBe(planned.commitMap.get(third));
+    });
+
+    test('should re-sign rewritten commits with user.signingkey and move tags along', async () => {
+      git(['tag', '-a', 'v1', '-m', 'Release']);
+
+      const result = await rewriter.changeCommitDates(
+        [{ hash: second, newDate: '2021-01-01 12:00:00 +0000' }],
+        { resign: true }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.signatures).toEqual({ signed: [second, third], resigned: 2, lost: [] });
+      expect(git(['rev-parse', 'HEAD~2'])).toBe(first);
+      expect(git(['log', '-1', '--format=%ai', 'HEAD~1'])).toBe('2021-01-01 12:00:00 +0000');
+      git(['verify-commit', 'HEAD']);
+      git(['verify-commit', 'HEAD~1']);
+      expect(result.commitMap.get(third)).toBe(git(['rev-parse', 'HEAD']));
+      expect(git(['rev-parse', 'v1^{commit}'])).toBe(git(['rev-parse', 'HEAD']));
+      expect(git(['cat-file', '-t', 'v1'])).toBe('tag');
+      expect(git(['status', '--porcelain'])).toBe('');
+    });
+
+    test('should drop the signature of a moved signed tag, or sign it again with resign', async () => {
+      git(['tag', '-s', 'v1', '-m', 'Release'], { GIT_COMMITTER_DATE: '2020-02-01 12:00:00 +0000' });
+      const tagger = git(['for-each-ref', '--format=%(taggername) %(taggeremail) %(taggerdate:raw)', 'refs/tags/v1']);
+
+      const unsigned = await rewriter.changeCommitDates([{ hash: second, newDate: '2021-01-01 12:00:00 +0000' }]);
+
+      expect(unsigned.success).toBe(true);
+      expect(git(['rev-parse', 'v1^{commit}'])).toBe(git(['rev-parse', 'HEAD']));
+      expect(git(['cat-file', 'tag', 'v1'])).not.toContain('-----BEGIN SSH SIGNATURE-----');
+      expect(git(['cat-file', 'tag', 'v1']).endsWith('\n\nRelease')).toBe(true);
+
+      const resigned = await rewriter.changeCommitDates(
+        [{ hash: git(['rev-parse', 'HEAD~1']), newDate: '2022-01-01 12:00:00 +0000' }],
+        { resign: true }
+      );
+
+      expect(resigned.success).toBe(true);
+      expect(git(['rev-parse', 'v1^{commit}'])).toBe(git(['rev-parse', 'HEAD']));
+      git(['verify-tag', 'v1']);
+      expect(git(['for-each-ref', '--format=%(taggername) %(taggeremail) %(taggerdate:raw)', 'refs/tags/v1'])).toBe(tagger);
+      expect(git(['for-each-ref', '--format=%(contents:subject)', 'refs/tags/v1'])).toBe('Release');
+    });
+
+    test('should refuse to re-sign without a signing key', async () => {
+      git(['config', '--unset', 'user.signingkey']);
+
+      const result = await rewriter.changeCommitMessage(second, 'Renamed', { resign: true });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('user.signingkey');
+      expect(git(['rev-parse', 'HEAD'])).toBe(third);
+    });
+  });
+});
@@ -176,6 +176,42 @@ describe('GitProcessor', () => {
     });
   });
 
+  describe('getCommitGraph', () => {
+    test('should parse parents, both dates and the subject from git log', async () => {
+      gitProcessor.git.raw.mockResolvedValueOnce([
+        'bbb2222\x1faaa1111\x1f2023-01-02T10:00:00+03:00\x1f2023-01-02T10:05:00+03:00\x1fAdd feature',
+        'aaa1111\x1f\x1f2023-01-01T10:00:00+03:00\x1f2023-01-01T10:00:00+03:00\x1fInitial commit',
+        ''
+      ].join('\n'));
+
+      const graph = await gitProcessor.getCommitGraph();
+
+      expect(graph).toEqual([
+        {
+          hash: 'bbb2222',
+          parents: ['aaa1111'],
+          authorDate: '2023-01-02T10:00:00+03:00',
+          committerDate: '2023-01-02T10:05:00+03:00',
+          subject: 'Add feature'
+        },
+        {
+          hash: 'aaa1111',
+          parents: [],
+          authorDate: '2023-01-01T10:00:00+03:00',
+          committerDate: '2023-01-01T10:00:00+03:00',
+          subject: 'Initial commit'
+        }
+      ]);
+    });
+
+    test('should wrap git errors', async () => {
+      gitProcessor.git.raw.mockRejectedValueOnce(new Error('bad revision'));
+
+      await expect(gitProcessor.getCommitGraph({ branch: 'missing' }))
+        .rejects.toThrow('Cannot get commit graph: bad revision');
+    });
+  });
+
   describe('getCommitDiff', () => {
     test('should handle diff retrieval for valid commit', async () => {
       const commitHash = 'abc123';
@@ -570,7 +606,8 @@ describe('GitProcessor', () => {
         expect(await fs.pathExists(tempDir)).toBe(true);
 
         // Clean up
-        await fs.remove(tempDir);
+        await gitProcessor.removeTempWorktree(tempDir);
+        expect(await fs.pathExists(tempDir)).toBe(false);
       } catch (error) {
         // Expected in test environment
         expect(error).toBeDefined();
@@ -831,22 +868,23 @@ describe('GitProcessor', () => {
         }
       });
 
-      test('should handle force push failure gracefully', async () => {
-        try {
-          // Mock a git.push failure
-          const originalPush = gitProcessor.git.push;
-          gitProcessor.git.push = jest.fn().mockRejectedValue(new Error('Push failed'));
+      test('should refuse to force push unless allowForcePush is set', async () => {
+        gitProcessor.git.push = jest.fn();
 
-          const result = await gitProcessor.forcePush();
-          expect(result.success).toBe(false);
-          expect(result.error).toBe('Push failed');
+        const result = await gitProcessor.forcePush('origin', 'main');
 
-          // Restore original method
-          gitProcessor.git.push = originalPush;
-        } catch (error) {
-          // Expected in test environment
-          expect(true).toBe(true);
-        }
+        expect(result).toMatchObject({ success: false, remote: 'origin', branch: 'main' });
+        expect(result.error).toContain('git.allowForcePush');
+        expect(gitProcessor.git.push).not.toHaveBeenCalled();
+      });
+
+      test('should handle force push failure gracefully', async () => {
+        const pushing = new GitProcessor(tempRepoPath, { allowForcePush: true });
+        pushing.git.push = jest.fn().mockRejectedValue(new Error('Push failed'));
+
+        const result = await pushing.forcePush('origin', 'main');
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Push failed');
       });
     });
   });
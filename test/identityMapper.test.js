@@ -0,0 +1,90 @@
+/**
+ * Identity Mapper Test Suite
+ */
+
+const IdentityMapper = require('../src/identityMapper');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('IdentityMapper', () => {
+  let identityMapper;
+
+  beforeEach(() => {
+    identityMapper = new IdentityMapper();
+  });
+
+  describe('parseMailmap', () => {
+    test('should read every .mailmap line form and skip comments', () => {
+      const mappings = identityMapper.parseMailmap([
+        '# Team mailmap',
+        'Jane Doe <jane@old.example>',
+        '<jane@example.com> <jane@laptop.local>  # old laptop',
+        'Jane Doe <jane@example.com> <jdoe@corp.example>',
+        'John Roe <john@example.com> johnny <john@old.example>',
+        ''
+      ].join('\n'));
+
+      expect(mappings).toEqual([
+        { oldName: null, oldEmail: 'jane@old.example', newName: 'Jane Doe', newEmail: null },
+        { oldName: null, oldEmail: 'jane@laptop.local', newName: null, newEmail: 'jane@example.com' },
+        { oldName: null, oldEmail: 'jdoe@corp.example', newName: 'Jane Doe', newEmail: 'jane@example.com' },
+        { oldName: 'johnny', oldEmail: 'john@old.example', newName: 'John Roe', newEmail: 'john@example.com' }
+      ]);
+    });
+
+    test('should reject lines that are not mailmap entries', () => {
+      expect(() => identityMapper.parseMailmap('Jane Doe jane@example.com')).toThrow('Mailmap line 1');
+      expect(() => identityMapper.parseMailmap('ok <a@b.c>\n<a@b.c> <d@e.f> <g@h.i>')).toThrow('Mailmap line 2');
+    });
+  });
+
+  describe('loadMailmap', () => {
+    test('should load a .mailmap file and report missing files', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-mailmap-'));
+      try {
+        const file = path.join(dir, '.mailmap');
+        await fs.writeFile(file, 'Jane Doe <jane@example.com> <jane@old.example>\n');
+
+        expect(await identityMapper.loadMailmap(file)).toHaveLength(1);
+        await expect(identityMapper.loadMailmap(path.join(dir, 'missing'))).rejects.toThrow('Mailmap file not found');
+      } finally {
+        await fs.remove(dir);
+      }
+    });
+  });
+
+  describe('normalizeMappings', () => {
+    test('should accept snake_case keys and reject incomplete or unsafe mappings', () => {
+      expect(identityMapper.normalizeMappings([{ old_email: 'a@b.c', new_name: 'A' }]))
+        .toEqual([{ oldName: null, oldEmail: 'a@b.c', newName: 'A', newEmail: null }]);
+
+      expect(() => identityMapper.normalizeMappings([])).toThrow('At least one identity mapping');
+      expect(() => identityMapper.normalizeMappings([{ newName: 'A' }])).toThrow('Mapping 1: an old name or email');
+      expect(() => identityMapper.normalizeMappings([{ oldName: 'A' }])).toThrow('Mapping 1: a new name or email');
+      expect(() => identityMapper.normalizeMappings([{ oldName: 'A', newName: 'B <b@c.d>' }])).toThrow('cannot contain');
+    });
+  });
+
+  describe('mapIdentity', () => {
+    const mappings = [
+      { oldName: null, oldEmail: 'jane@old.example', newName: 'Jane Doe', newEmail: 'jane@example.com' },
+      { oldName: 'Build Bot', oldEmail: 'jane@old.example', newName: 'CI', newEmail: 'ci@example.com' },
+      { oldName: 'johnny', oldEmail: null, newName: 'John Roe', newEmail: null }
+    ];
+
+    test('should prefer the most specific mapping and compare case-insensitively', () => {
+      expect(identityMapper.mapIdentity({ name: 'jane', email: 'Jane@Old.Example' }, mappings))
+        .toEqual({ name: 'Jane Doe', email: 'jane@example.com' });
+      expect(identityMapper.mapIdentity({ name: 'build bot', email: 'jane@old.example' }, mappings))
+        .toEqual({ name: 'CI', email: 'ci@example.com' });
+      expect(identityMapper.mapIdentity({ name: 'Johnny', email: 'john@example.com' }, mappings))
+        .toEqual({ name: 'John Roe', email: 'john@example.com' });
+    });
+
+    test('should return null for identities that do not change', () => {
+      expect(identityMapper.mapIdentity({ name: 'Other', email: 'other@example.com' }, mappings)).toBeNull();
+      expect(identityMapper.mapIdentity({ name: 'Jane Doe', email: 'jane@example.com' }, mappings)).toBeNull();
+    });
+  });
+});
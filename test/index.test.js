@@ -104,6 +104,74 @@ describe('GitCommitTimeMachine Main Class', () => {
       expect(result).toHaveProperty('error');
     });
 
+    test('should reject an invalid working-hours schedule', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2023-01-01',
+        endDate: '2023-01-31',
+        createBackup: false,
+        schedule: { workingHours: '18:00-09:00' }
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Schedule validation failed');
+    });
+
+    test('should report a missing calendar file before rewriting', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2023-01-01',
+        endDate: '2023-01-31',
+        createBackup: false,
+        calendar: 'does-not-exist.ics'
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Calendar loading failed');
+    });
+
+    test('should explain an ambiguous start date', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '01/02/2023',
+        endDate: '2023-01-31',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Start date is ambiguous');
+    });
+
+    test('should reject an unknown timezone', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2023-01-01',
+        endDate: '2023-01-31',
+        createBackup: false,
+        timezone: 'Nowhere/City'
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Invalid timezone');
+    });
+
+    test('should reject an unknown date field', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2023-01-01',
+        endDate: '2023-01-31',
+        createBackup: false,
+        dateField: 'tagger'
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Date field validation failed');
+    });
+
+    test('should apply timezone modes to generated dates', () => {
+      const commit = { hash: 'abc1234', rawDate: '2022-05-05T10:00:00+05:30' };
+
+      expect(gctm.applyTimezone('2023-01-10 09:00:00', commit, 'local')).toBe('2023-01-10 09:00:00');
+      expect(gctm.applyTimezone('2023-01-10 09:00:00', commit, 'preserve')).toBe('2023-01-10 09:00:00 +0530');
+      expect(gctm.applyTimezone('2023-01-10 09:00:00', commit, 'Europe/Istanbul')).toBe('2023-01-10 09:00:00 +0300');
+      expect(gctm.applyTimezone('2023-01-10 09:00:00', { hash: 'abc1234' }, 'preserve')).toBe('2023-01-10 09:00:00');
+    });
+
     test('should handle no commits found', async () => {
       const options = {
         startDate: '2023-01-01',
@@ -503,4 +571,686 @@ describe('GitCommitTimeMachine Main Class', () => {
       });
     });
   });
-});
\ No newline at end of file
+});
+
+describe('GitCommitTimeMachine with a real repository', () => {
+  const { spawnSync } = require('child_process');
+  let repoPath;
+  let gctm;
+
+  const git = (args, env = {}) => {
+    const result = spawnSync('git', args, {
+      cwd: repoPath,
+      encoding: 'utf8',
+      env: { ...process.env, ...env }
+    });
+    if (result.status !== 0) {
+      throw new Error(`git ${args.join(' ')} failed: ${result.stderr}`);
+    }
+    return result.stdout.trim();
+  };
+
+  const commitFile = (file, message, date) => {
+    fs.writeFileSync(path.join(repoPath, file), message);
+    git(['add', file]);
+    git(['commit', '-q', '-m', message], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+  };
+
+  beforeAll(() => {
+    // The filter-branch engine otherwise pauses for 10 seconds to print a deprecation warning
+    process.env.FILTER_BRANCH_SQUELCH_WARNING = '1';
+  });
+
+  beforeEach(async () => {
+    repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-index-'));
+    git(['init', '-q', '-b', 'main']);
+    git(['config', 'user.name', 'Test User']);
+    git(['config', 'user.email', 'test@example.com']);
+    git(['config', 'commit.gpgsign', 'false']);
+    commitFile('a.txt', 'First', '2024-01-01 10:00:00 +0300');
+    commitFile('b.txt', 'Second', '2024-01-02 15:30:00 -0500');
+    gctm = new GitCommitTimeMachine({ repoPath });
+  });
+
+  afterEach(async () => {
+    await fs.remove(repoPath);
+  });
+
+  describe('Commit Ordering', () => {
+    const assertParentsFirst = () => {
+      const times = new Map();
+      const lines = git(['log', '--format=%H %at %ct %P']).split('\n');
+      lines.forEach(line => {
+        const [hash, authorTime, committerTime] = line.split(' ');
+        times.set(hash, [Number(authorTime), Number(committerTime)]);
+      });
+      lines.forEach(line => {
+        const [hash, , , ...parents] = line.split(' ');
+        parents.forEach(parent => {
+          expect(times.get(hash)[0]).toBeGreaterThanOrEqual(times.get(parent)[0]);
+          expect(times.get(hash)[1]).toBeGreaterThanOrEqual(times.get(parent)[1]);
+        });
+      });
+    };
+
+    test('should date merged history parents first', async () => {
+      // A side branch whose commit predates its parent, merged back into main
+      git(['checkout', '-q', '-b', 'feature', 'HEAD~1']);
+      commitFile('side.txt', 'Side', '2023-12-01 09:00:00 +0000');
+      git(['checkout', '-q', 'main']);
+      git(['merge', '-q', '--no-ff', '-m', 'Merge feature', 'feature'], {
+        GIT_AUTHOR_DATE: '2024-01-05 09:00:00 +0000',
+        GIT_COMMITTER_DATE: '2024-01-05 09:00:00 +0000'
+      });
+
+      const result = await gctm.redateCommits({
+        startDate: '2025-01-01',
+        endDate: '2025-01-31',
+        timezone: 'UTC',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', true);
+      expect(result.processed).toBe(4);
+      expect(git(['log', '-1', '--format=%ai'])).toBe('2025-01-31 00:00:00 +0000');
+      assertParentsFirst();
+    });
+
+    test('should refuse or repair a child dated before an unselected parent', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+      const options = {
+        startDate: '2020-01-01',
+        endDate: '2020-01-31',
+        timezone: 'UTC',
+        createBackup: false,
+        filter: commit => commit.hash === head
+      };
+
+      const refused = await gctm.redateCommits(options);
+      expect(refused).toHaveProperty('success', false);
+      expect(refused.error).toContain('parent/child ordering');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+
+      const repaired = await gctm.redateCommits({ ...options, fixOrder: true });
+      expect(repaired).toHaveProperty('success', true);
+      // One second after the parent (2024-01-01 10:00:00 +0300)
+      expect(git(['log', '-1', '--format=%ai'])).toBe('2024-01-01 07:00:01 +0000');
+      assertParentsFirst();
+    });
+
+    test('should keep committer gaps inside the working hours', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2025-01-06',
+        endDate: '2025-01-18',
+        timezone: 'UTC',
+        createBackup: false,
+        schedule: { weekdaysOnly: true, workingHours: '09:00-10:00' },
+        committerGap: '90'
+      });
+
+      expect(result).toHaveProperty('success', true);
+      // A 90 minute gap always ends after 10:00: the committer date moves to the next morning,
+      // or to the end of the last working hour
+      expect(git(['log', '--format=%ai|%ci']).split('\n')).toEqual([
+        '2025-01-17 10:00:00 +0000|2025-01-17 10:00:00 +0000',
+        '2025-01-06 09:00:00 +0000|2025-01-07 09:00:00 +0000'
+      ]);
+      assertParentsFirst();
+    });
+  });
+
+  describe('Scale Mode', () => {
+    test('should map the original timeline onto the new range', async () => {
+      commitFile('c.txt', 'Third', '2024-01-04 10:00:00 +0000');
+
+      const result = await gctm.redateCommits({
+        startDate: '2025-03-01',
+        endDate: '2025-03-19',
+        mode: 'scale',
+        timezone: 'UTC',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', true);
+      // The second commit sits halfway through the original span (07:00Z, 20:30Z, 10:00Z)
+      expect(git(['log', '--format=%ai']).split('\n')).toEqual([
+        '2025-03-19 00:00:00 +0000',
+        '2025-03-10 00:00:00 +0000',
+        '2025-03-01 00:00:00 +0000'
+      ]);
+    });
+
+    test('should reject an unknown mode', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2025-03-01',
+        endDate: '2025-03-19',
+        mode: 'chaos',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Invalid redate mode');
+    });
+  });
+
+  describe('Natural Mode', () => {
+    test('should follow the hour and weekday rhythm of the history', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2025-03-01',
+        endDate: '2025-04-01',
+        mode: 'natural',
+        timezone: 'UTC',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', true);
+      // The history has a Monday 10:xx commit and a Tuesday 15:xx commit; hours
+      // and weekdays are sampled independently
+      git(['log', '--format=%ad', '--date=format:%a %H']).split('\n').forEach(line => {
+        const [day, hour] = line.split(' ');
+        expect(['Mon', 'Tue']).toContain(day);
+        expect(['10', '15']).toContain(hour);
+      });
+    });
+
+    test('should report an author without commits', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+      const result = await gctm.redateCommits({
+        startDate: '2025-03-01',
+        endDate: '2025-04-01',
+        mode: 'natural',
+        profileFrom: 'nobody@example.com',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('nobody@example.com');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+    });
+  });
+
+  describe('Date Map', () => {
+    test('should export the current dates and apply an edited map', async () => {
+      const exported = await gctm.exportDateMap({ file: 'dates.csv' });
+
+      expect(exported).toHaveProperty('success', true);
+      expect(exported.total).toBe(2);
+      const content = await fs.readFile(path.join(repoPath, 'dates.csv'), 'utf8');
+      expect(content.split('\n')[0]).toBe('hash,author_date,committer_date');
+
+      await fs.writeFile(path.join(repoPath, 'dates.csv'), content.replace('2024-01-02T15:30:00-05:00,', '2024-02-02T08:00:00-05:00,'));
+      const result = await gctm.redateCommits({ map: 'dates.csv', createBackup: false });
+
+      expect(result).toHaveProperty('success', true);
+      expect(git(['log', '--format=%ai|%ci']).split('\n')).toEqual([
+        '2024-02-02 08:00:00 -0500|2024-01-02 15:30:00 -0500',
+        '2024-01-01 10:00:00 +0300|2024-01-01 10:00:00 +0300'
+      ]);
+    });
+
+    test('should reject unknown commits and broken ordering before rewriting', async () => {
+      const [second, first] = git(['log', '--format=%H']).split('\n');
+
+      const unknown = await gctm.redateCommits({
+        map: [{ hash: 'deadbeef', authorDate: '2024-01-01T00:00:00Z' }],
+        createBackup: false
+      });
+      expect(unknown).toHaveProperty('success', false);
+      expect(unknown.error).toContain('commit deadbeef not found');
+
+      const unordered = await gctm.redateCommits({
+        map: [{ hash: first.substring(0, 7), author_date: '2024-03-01T00:00:00Z' }],
+        createBackup: false
+      });
+      expect(unordered).toHaveProperty('success', false);
+      expect(unordered.error).toContain(`${second.substring(0, 7)} would be dated before parent`);
+      expect(git(['rev-parse', 'HEAD'])).toBe(second);
+    });
+  });
+
+  describe('Shift Mode', () => {
+    test('should move every commit by the duration and keep the spacing', async () => {
+      const result = await gctm.redateCommits({ shift: '+3 days 4 hours', createBackup: false });
+
+      expect(result).toHaveProperty('success', true);
+      expect(git(['log', '--format=%ai|%ci']).split('\n')).toEqual([
+        '2024-01-05 19:30:00 -0500|2024-01-05 19:30:00 -0500',
+        '2024-01-04 14:00:00 +0300|2024-01-04 14:00:00 +0300'
+      ]);
+    });
+
+    test('should refuse a shift that puts a commit before its parent', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+      const result = await gctm.redateCommits({
+        shift: '-2 weeks',
+        createBackup: false,
+        filter: commit => commit.hash === head
+      });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('parent/child ordering');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+    });
+
+    test('should reject an invalid duration', async () => {
+      const result = await gctm.redateCommits({ shift: 'tomorrow', createBackup: false });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Shift validation failed');
+    });
+  });
+
+  describe('Rewrite Scope', () => {
+    beforeEach(() => {
+      git(['checkout', '-q', '-b', 'feature']);
+      commitFile('c.txt', 'Feature', '2024-01-03 09:00:00 +0000');
+      git(['checkout', '-q', 'main']);
+    });
+
+    test('should only redate and rewrite the given branch', async () => {
+      const main = git(['rev-parse', 'main']);
+      const result = await gctm.redateCommits({
+        shift: '+1 day',
+        branch: 'feature',
+        sinceCommit: 'feature',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', true);
+      expect(result.processed).toBe(1);
+      expect(git(['log', '-1', '--format=%ai', 'feature'])).toBe('2024-01-04 09:00:00 +0000');
+      expect(git(['rev-parse', 'feature~1'])).toBe(main);
+      expect(git(['rev-parse', 'main'])).toBe(main);
+    });
+
+    test('should only redate the commits in a range', async () => {
+      const result = await gctm.redateCommits({
+        startDate: '2024-02-01',
+        endDate: '2024-02-02',
+        range: 'main~1..main',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', true);
+      expect(result.processed).toBe(1);
+      expect(git(['log', '--format=%ai', 'main']).split('\n')[1]).toBe('2024-01-01 10:00:00 +0300');
+      expect(git(['log', '-1', '--format=%ad', '--date=short', 'main'])).toBe('2024-02-01');
+      expect(git(['rev-parse', 'feature~1'])).not.toBe(git(['rev-parse', 'main']));
+    });
+
+    test('should move and redate the tags in a range with the tags option', async () => {
+      git(['tag', '-a', 'v1', '-m', 'Release', 'main'], { GIT_COMMITTER_DATE: '2024-01-03 09:00:00 +0000' });
+
+      const result = await gctm.redateCommits({
+        startDate: '2024-02-01',
+        endDate: '2024-02-02',
+        range: 'main~1..main',
+        tags: 'redate',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', true);
+      expect(result.tags).toMatchObject({ moved: ['v1'], redated: ['v1'] });
+      expect(git(['rev-parse', 'v1^{commit}'])).toBe(git(['rev-parse', 'main']));
+      expect(git(['for-each-ref', '--format=%(taggerdate:short)', 'refs/tags/v1'])).toBe('2024-02-01');
+    });
+
+    test('should leave branches that do not contain the edited commit alone', async () => {
+      const main = git(['rev-parse', 'main']);
+      const feature = git(['rev-parse', 'feature']);
+
+      const result = await gctm.editCommitMessage({
+        commitId: feature,
+        newMessage: 'Feature work',
+        createBackup: false
+      });
+
+      expect(result).toHaveProperty('success', true);
+      expect(git(['log', '-1', '--format=%s', 'feature'])).toBe('Feature work');
+      expect(git(['rev-parse', 'main'])).toBe(main);
+    });
+
+    test('should reject an invalid scope before rewriting', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+      const result = await gctm.redateCommits({ shift: '+1 day', branch: 'missing', createBackup: false });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Invalid rewrite scope');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+    });
+  });
+
+  describe('Dry Run', () => {
+    test('should return the redate plan without backing up or rewriting', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+
+      const result = await gctm.redateCommits({ shift: '+1 day', dateField: 'author', dryRun: true });
+
+      expect(result).toMatchObject({ success: true, dryRun: true, processed: 2, total: 2 });
+      expect(result.plan.operation).toBe('redate');
+      expect(result.plan.commits.map(commit => [commit.authorDate.new, commit.committerDate])).toEqual([
+        ['2024-01-02T10:00:00+03:00', null],
+        ['2024-01-03T15:30:00-05:00', null]
+      ]);
+      expect(result.plan.commits[1].newHash).toMatch(/^[0-9a-f]{40}$/);
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+      expect(await gctm.listBackups()).toEqual([]);
+    });
+
+    test('should plan message edits and sanitization without changing anything', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+
+      const message = await gctm.editCommitMessage({ commitId: head, newMessage: 'Renamed', dryRun: true });
+      expect(message).toMatchObject({ success: true, dryRun: true, hash: head });
+      expect(message.plan.commits).toEqual([expect.objectContaining({
+        oldHash: head,
+        newHash: message.newHash,
+        message: { old: 'Second\n', new: 'Renamed\n' }
+      })]);
+
+      const sanitized = await gctm.sanitizeHistory({ patterns: ['Sec'], replacement: '***', dryRun: true });
+      expect(sanitized.plan).toMatchObject({
+        operation: 'sanitize',
+        refs: [],
+        commits: [{ oldHash: head, newHash: head, files: [{ path: 'b.txt', matches: 1 }] }]
+      });
+
+      expect(git(['log', '-1', '--format=%s'])).toBe('Second');
+      expect(fs.readFileSync(path.join(repoPath, 'b.txt'), 'utf8')).toBe('Second');
+    });
+  });
+
+  describe('Commit Maps', () => {
+    test('should store the commit map with the backup of a rewrite', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+
+      const result = await gctm.redateCommits({ shift: '+1 day' });
+
+      expect(result).toHaveProperty('success', true);
+      expect(result.commitMap.get(head)).toBe(git(['rev-parse', 'HEAD']));
+      expect((await gctm.listBackups()).map(backup => backup.id)).toContain(result.backupId);
+
+      const map = await gctm.getCommitMap(result.backupId);
+      expect(map.commits[head]).toBe(git(['rev-parse', 'HEAD']));
+      expect(git(['status', '--porcelain'])).toBe('');
+    });
+
+    test('should translate old hashes across several rewrites', async () => {
+      const original = git(['rev-parse', 'HEAD']);
+
+      await gctm.redateCommits({ shift: '+1 day', createBackup: false });
+      await gctm.editCommitMessage({ commitId: git(['rev-parse', 'HEAD']), newMessage: 'Renamed', createBackup: false });
+      const head = git(['rev-parse', 'HEAD']);
+
+      const result = await gctm.translateCommitHashes(`Released in ${original.slice(0, 10)}.`);
+
+      expect(result).toMatchObject({ success: true, text: `Released in ${head.slice(0, 10)}.` });
+      expect(await gctm.listCommitMaps()).toHaveLength(2);
+    });
+  });
+
+  describe('Checkout', () => {
+    test('should leave the working tree, index and branch alone while rewriting', async () => {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'local edit');
+      fs.writeFileSync(path.join(repoPath, 'c.txt'), 'staged');
+      git(['add', 'c.txt']);
+
+      const edited = await gctm.editCommitMessage({ commitId: git(['rev-parse', 'HEAD']), newMessage: 'Renamed' });
+      const redated = await gctm.redateCommits({ shift: '+1 day' });
+
+      expect(edited).toHaveProperty('success', true);
+      expect(redated).toHaveProperty('success', true);
+      expect(git(['log', '--format=%s'])).toBe('Renamed\nFirst');
+      expect(git(['ls-tree', '--name-only', 'HEAD'])).toBe('a.txt\nb.txt');
+      expect(git(['diff', '--cached', '--name-only'])).toBe('c.txt');
+      expect(git(['diff', '--name-only'])).toBe('a.txt');
+      expect(git(['symbolic-ref', '--short', 'HEAD'])).toBe('main');
+      expect(git(['stash', 'list'])).toBe('');
+    });
+  });
+
+  describe('Commit Signatures', () => {
+    test('should take resign from the options or the git.resignCommits config key', () => {
+      const signing = new GitCommitTimeMachine({ repoPath, config: { git: { resignCommits: true } } });
+
+      expect(gctm.shouldResign({})).toBe(false);
+      expect(signing.shouldResign({})).toBe(true);
+      expect(signing.shouldResign({ resign: false })).toBe(false);
+    });
+
+    test('should refuse to re-sign without a signing key', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+
+      const result = await gctm.redateCommits({ shift: '+1 day', resign: true, createBackup: false });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('user.signingkey');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+    });
+  });
+
+  describe('Identity Rewrites', () => {
+    test('should rewrite authors from a .mailmap file with a backup', async () => {
+      await fs.writeFile(path.join(repoPath, '.mailmap'), 'Jane Doe <jane@example.com> <test@example.com>\n');
+
+      const result = await gctm.rewriteAuthors({ mailmap: path.join(repoPath, '.mailmap'), identityField: 'author' });
+
+      expect(result).toMatchObject({ success: true, processed: 2 });
+      expect(git(['log', '--format=%an <%ae> %ce'])).toBe('Jane Doe <jane@example.com> test@example.com\nJane Doe <jane@example.com> test@example.com');
+      expect((await gctm.getCommitMap(result.backupId)).operations).toEqual(['rewrite-author']);
+    });
+
+    test('should reject invalid mappings', async () => {
+      const result = await gctm.rewriteAuthors({ mappings: [{ oldEmail: 'test@example.com' }] });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Identity mapping validation failed');
+    });
+  });
+
+  describe('Bulk Message Edits', () => {
+    test('should edit all messages in one rewrite with a backup', async () => {
+      const result = await gctm.editCommitMessages({ prefix: '[app] ', trailers: ['Signed-off-by: Test User <test@example.com>'] });
+
+      expect(result).toMatchObject({ success: true, processed: 2 });
+      expect(git(['log', '--format=%s'])).toBe('[app] Second\n[app] First');
+      expect(git(['log', '-1', '--format=%(trailers:only,unfold)'])).toBe('Signed-off-by: Test User <test@example.com>');
+      expect((await gctm.getCommitMap(result.backupId)).operations).toEqual(['edit-messages']);
+    });
+
+    test('should reject invalid edits', async () => {
+      const result = await gctm.editCommitMessages({ replacements: [{ pattern: '[', replacement: '' }] });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Message edit validation failed');
+    });
+  });
+
+  describe('Restructure', () => {
+    test('should export a plan and restructure the branch from the edited file', async () => {
+      commitFile('c.txt', 'Third', '2024-01-03 09:00:00 +0000');
+      const planFile = path.join(os.tmpdir(), `gctm-plan-${Date.now()}.txt`);
+
+      try {
+        const exported = await gctm.exportRestructurePlan({ base: git(['rev-list', '--max-parents=0', 'HEAD']), file: planFile });
+        expect(exported).toMatchObject({ success: true, total: 2 });
+
+        const plan = await fs.readFile(planFile, 'utf8');
+        await fs.writeFile(planFile, plan.replace(/^pick (\w+) Third$/m, 'squash $1 Third'));
+
+        const result = await gctm.restructureHistory({ plan: planFile });
+
+        expect(result).toMatchObject({ success: true, processed: 1 });
+        expect(git(['log', '--format=%s'])).toBe('Second\nFirst');
+        expect(git(['log', '-1', '--format=%B'])).toBe('Second\n\nThird');
+        expect((await gctm.getCommitMap(result.backupId)).operations).toEqual(['restructure']);
+      } finally {
+        await fs.remove(planFile);
+      }
+    });
+
+    test('should reject invalid plans', async () => {
+      const result = await gctm.restructureHistory({ steps: [{ action: 'squash', commit: git(['rev-parse', 'HEAD']) }] });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('Restructure plan validation failed');
+    });
+  });
+
+  describe('Force Push', () => {
+    let originPath;
+
+    beforeEach(() => {
+      originPath = `${repoPath}-origin.git`;
+      git(['init', '-q', '--bare', originPath]);
+      git(['remote', 'add', 'origin', originPath]);
+      git(['push', '-q', '-u', 'origin', 'main']);
+    });
+
+    afterEach(async () => {
+      await fs.remove(originPath);
+    });
+
+    const remoteTip = () => spawnSync('git', ['rev-parse', 'main'], { cwd: originPath, encoding: 'utf8' }).stdout.trim();
+
+    test('should refuse to force push unless git.allowForcePush is set', async () => {
+      const head = git(['rev-parse', 'HEAD']);
+
+      const result = await gctm.editCommitMessage({ commitId: git(['rev-parse', 'HEAD~1']), newMessage: 'Start', forcePush: true, createBackup: false });
+
+      expect(result).toHaveProperty('success', false);
+      expect(result.error).toContain('git.allowForcePush');
+      expect(git(['rev-parse', 'HEAD'])).toBe(head);
+    });
+
+    test('should warn about published commits and push with a lease on the remote branch', async () => {
+      const pushing = new GitCommitTimeMachine({ repoPath, config: { git: { allowForcePush: true } } });
+
+      const result = await pushing.editCommitMessage({ commitId: git(['rev-parse', 'HEAD~1']), newMessage: 'Start', forcePush: true, createBackup: false });
+
+      expect(result).toMatchObject({ success: true, pushed: true });
+      expect(result.remotes).toMatchObject({ upstream: ['origin/main'], others: [] });
+      expect(result.remotes.published).toHaveLength(2);
+      expect(remoteTip()).toBe(git(['rev-parse', 'HEAD']));
+    });
+
+    test('should push the branch the rewrite is scoped to', async () => {
+      const pushing = new GitCommitTimeMachine({ repoPath, config: { git: { allowForcePush: true } } });
+      git(['branch', 'feature', 'HEAD~1']);
+      git(['push', '-q', 'origin', 'feature']);
+      const main = remoteTip();
+
+      const result = await pushing.editCommitMessage({ commitId: git(['rev-parse', 'feature']), newMessage: 'Start', branch: 'feature', forcePush: true, createBackup: false });
+
+      expect(result).toMatchObject({ success: true, pushed: true });
+      expect(remoteTip()).toBe(main);
+      expect(spawnSync('git', ['log', '-1', '--format=%s', 'feature'], { cwd: originPath, encoding: 'utf8' }).stdout.trim()).toBe('Start');
+    });
+
+    test('should not overwrite commits pushed to the remote since the last fetch', async () => {
+      const pushing = new GitCommitTimeMachine({ repoPath, config: { git: { allowForcePush: true } } });
+      const otherPath = `${repoPath}-other`;
+      try {
+        spawnSync('git', ['clone', '-q', '-b', 'main', originPath, otherPath]);
+        fs.writeFileSync(path.join(otherPath, 'c.txt'), 'Third');
+        spawnSync('git', ['add', 'c.txt'], { cwd: otherPath });
+        spawnSync('git', ['-c', 'user.name=Other', '-c', 'user.email=other@example.com', 'commit', '-q', '-m', 'Third'], { cwd: otherPath });
+        spawnSync('git', ['push', '-q', 'origin', 'main'], { cwd: otherPath });
+        const pushed = remoteTip();
+        expect(pushed).not.toBe(git(['rev-parse', 'HEAD']));
+
+        const result = await pushing.editCommitMessage({ commitId: git(['rev-parse', 'HEAD~1']), newMessage: 'Start', forcePush: true, createBackup: false });
+
+        expect(result).toMatchObject({ success: true, pushed: false });
+        expect(result.forcePushError).toBeDefined();
+        expect(remoteTip()).toBe(pushed);
+      } finally {
+        await fs.remove(otherPath);
+      }
+    });
+  });
+
+  describe('Bare Repositories', () => {
+    let mirrorPath;
+    let mirror;
+
+    const mirrorGit = (args) => spawnSync('git', args, { cwd: mirrorPath, encoding: 'utf8' }).stdout.trim();
+
+    beforeEach(() => {
+      mirrorPath = `${repoPath}-mirror.git`;
+      git(['tag', 'v1', 'HEAD~1']);
+      git(['clone', '-q', '--mirror', repoPath, mirrorPath]);
+      mirror = new GitCommitTimeMachine({ repoPath: mirrorPath });
+    });
+
+    afterEach(async () => {
+      await fs.remove(mirrorPath);
+    });
+
+    test('should redate, edit messages and rewrite authors, and restore the refs of a backup', async () => {
+      const tips = mirrorGit(['rev-parse', 'main', 'v1']);
+
+      const redated = await mirror.redateCommits({ startDate: '2023-03-01', endDate: '2023-03-10' });
+      expect(redated).toMatchObject({ success: true, processed: 2 });
+      expect(mirrorGit(['log', '-1', '--format=%as', 'main'])).toBe('2023-03-10');
+
+      const edited = await mirror.editCommitMessage({ commitId: mirrorGit(['rev-parse', 'main']), newMessage: 'Second commit', createBackup: false });
+      expect(edited).toHaveProperty('success', true);
+      expect(await mirror.editCommitMessages({ prefix: '[core] ', createBackup: false })).toHaveProperty('success', true);
+      expect(await mirror.rewriteAuthors({ mappings: [{ oldEmail: 'test@example.com', newEmail: 'new@example.com' }], createBackup: false }))
+        .toHaveProperty('success', true);
+
+      expect(mirrorGit(['log', '--format=%s %ae', 'main'])).toBe('[core] Second commit new@example.com\n[core] First new@example.com');
+      expect(mirrorGit(['rev-parse', 'v1'])).toBe(mirrorGit(['rev-parse', 'main~1']));
+
+      const restored = await mirror.restoreBackup(redated.backupId);
+      expect(restored).toMatchObject({ success: true, refs: 2 });
+      expect(mirrorGit(['rev-parse', 'main', 'v1'])).toBe(tips);
+    });
+
+    test('should sanitize by rewriting the history', async () => {
+      const tip = mirrorGit(['rev-parse', 'main']);
+
+      const planned = await mirror.sanitizeHistory({ patterns: [/Second/g], replacement: '***', dryRun: true });
+      expect(planned.plan.operation).toBe('sanitize');
+      expect(planned.plan.commits).toHaveLength(1);
+      expect(mirrorGit(['rev-parse', 'main'])).toBe(tip);
+
+      const result = await mirror.sanitizeHistory({ patterns: [/Second/g], replacement: '***' });
+      expect(result).toMatchObject({ success: true, processed: 1 });
+      expect(mirrorGit(['show', 'main:b.txt'])).toBe('***');
+      expect(mirrorGit(['show', 'main:a.txt'])).toBe('First');
+    });
+
+    test('should refuse operations that need a working tree', async () => {
+      const filterBranch = new GitCommitTimeMachine({ repoPath: mirrorPath, config: { git: { rewriteEngine: 'filter-branch' } } });
+      const edited = await filterBranch.editCommitMessage({ commitId: mirrorGit(['rev-parse', 'main~1']), newMessage: 'Start', createBackup: false });
+      expect(edited.error).toContain('filter-branch rewrite engine needs a working tree');
+
+      expect((await mirror.gitProcessor.getStatus()).error).toContain('cannot run in a bare repository');
+      expect((await mirror.contentEditor.editCommit('HEAD', [{ pattern: 'First', replacement: '***' }])).error)
+        .toContain('needs a working tree');
+      expect((await mirror.sanitizeHistory({ patterns: ['First'], replacement: '***', filter: () => true })).error)
+        .toContain('A commit filter cannot be used in a bare repository');
+      expect(await mirror.gitProcessor.getCurrentBranch()).toBe('main');
+    });
+  });
+
+  describe('Split', () => {
+    test('should split a commit with AI-generated messages and record the commit map', async () => {
+      fs.writeFileSync(path.join(repoPath, 'c.txt'), 'Third');
+      fs.writeFileSync(path.join(repoPath, 'd.txt'), 'Fourth');
+      git(['add', '-A']);
+      git(['commit', '-q', '-m', 'Third and fourth'], { GIT_AUTHOR_DATE: '2024-01-03 09:00:00 +0000', GIT_COMMITTER_DATE: '2024-01-03 09:00:00 +0000' });
+
+      jest.spyOn(gctm, 'initializeAI').mockResolvedValue({ success: true });
+      gctm.aiAssistant.generateCommitMessage = jest.fn(async ({ context }) => ({ success: true, suggestions: [`Add ${context.split(' ').pop()}`] }));
+
+      const result = await gctm.splitCommit({ commitId: git(['rev-parse', 'HEAD']), aiMessage: true });
+
+      expect(result).toMatchObject({ success: true, processed: 2 });
+      expect(git(['log', '--format=%s'])).toBe('Add d.txt\nAdd c.txt\nSecond\nFirst');
+      expect((await gctm.getCommitMap(result.backupId)).operations).toEqual(['split']);
+    });
+  });
+});
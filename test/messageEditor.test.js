@@ -0,0 +1,61 @@
+/**
+ * Message Editor Test Suite
+ */
+
+const MessageEditor = require('../src/messageEditor');
+
+describe('MessageEditor', () => {
+  let messageEditor;
+
+  beforeEach(() => {
+    messageEditor = new MessageEditor();
+  });
+
+  const edit = (message, edits) => messageEditor.applyEdits(message, messageEditor.normalizeEdits(edits));
+
+  describe('normalizeEdits', () => {
+    test('should parse trailers and reject empty or invalid edits', () => {
+      expect(messageEditor.normalizeEdits({ trailers: ['Reviewed-by: Jane <jane@example.com>'] }).trailers)
+        .toEqual([{ key: 'Reviewed-by', value: 'Jane <jane@example.com>' }]);
+
+      expect(() => messageEditor.normalizeEdits({})).toThrow('At least one message edit');
+      expect(() => messageEditor.normalizeEdits({ replacements: [{ pattern: '(', replacement: '' }] })).toThrow('Replacement 1: invalid pattern');
+      expect(() => messageEditor.normalizeEdits({ replacements: [{ pattern: 'a' }] })).toThrow('a replacement text must be specified');
+      expect(() => messageEditor.normalizeEdits({ trailers: ['no trailer'] })).toThrow('Trailer 1');
+      expect(() => messageEditor.normalizeEdits({ prefix: 'a\nb' })).toThrow('Prefix must be text on a single line');
+    });
+  });
+
+  describe('applyEdits', () => {
+    test('should replace every match with capture groups', () => {
+      expect(edit('JIRA-12: fix\n\nSee JIRA-7 and jira-8\n', {
+        replacements: [{ pattern: 'JIRA-(\\d+)', replacement: 'PROJ-$1', flags: 'i' }]
+      })).toBe('PROJ-12: fix\n\nSee PROJ-7 and PROJ-8\n');
+    });
+
+    test('should add a prefix and suffix to the subject only once', () => {
+      const edits = { prefix: '[core] ', suffix: ' (#42)' };
+
+      expect(edit('Fix parser\n\nDetails\n', edits)).toBe('[core] Fix parser (#42)\n\nDetails\n');
+      expect(edit('[core] Fix parser (#42)\n', edits)).toBe('[core] Fix parser (#42)\n');
+    });
+
+    test('should append trailers to an existing trailer block or start one', () => {
+      const edits = { trailers: ['Signed-off-by: Jane <jane@example.com>', { key: 'Reviewed-by', value: 'John <john@example.com>' }] };
+
+      expect(edit('feat: parser\n', edits))
+        .toBe('feat: parser\n\nSigned-off-by: Jane <jane@example.com>\nReviewed-by: John <john@example.com>\n');
+      expect(edit('Fix\n\nBody\n\nSigned-off-by: Jane <jane@example.com>\n', edits))
+        .toBe('Fix\n\nBody\n\nSigned-off-by: Jane <jane@example.com>\nReviewed-by: John <john@example.com>\n');
+    });
+
+    test('should remove matching lines without leaving blank runs', () => {
+      expect(edit('Fix\n\nChange-Id: I123\n\nBody\n', { removeLines: ['^Change-Id:'] })).toBe('Fix\n\nBody\n');
+    });
+
+    test('should return the original message when nothing changes', () => {
+      const message = 'Fix\r\n\n\n';
+      expect(edit(message, { replacements: [{ pattern: 'JIRA', replacement: 'PROJ' }] })).toBe(message);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Restructure Planner Test Suite
+ */
+
+const RestructurePlanner = require('../src/restructurePlanner');
+
+describe('RestructurePlanner', () => {
+  let planner;
+
+  beforeEach(() => {
+    planner = new RestructurePlanner();
+  });
+
+  describe('parsePlan', () => {
+    test('should read actions, short forms and drop patterns', () => {
+      const steps = planner.parsePlan([
+        '# plan',
+        'pick a1b2c3d First commit',
+        's b2c3d4e Second',
+        '',
+        'fixup c3d4e5f',
+        'd d4e5f6a',
+        'drop /^WIP/i'
+      ].join('\n'));
+
+      expect(steps).toEqual([
+        { action: 'pick', commit: 'a1b2c3d' },
+        { action: 'squash', commit: 'b2c3d4e' },
+        { action: 'fixup', commit: 'c3d4e5f' },
+        { action: 'drop', commit: 'd4e5f6a' },
+        { action: 'drop', pattern: /^WIP/i }
+      ]);
+    });
+
+    test('should report the line of an invalid step', () => {
+      expect(() => planner.parsePlan('pick a1b2c3d\nedit b2c3d4e')).toThrow('Plan line 2: unknown action edit');
+      expect(() => planner.parsePlan('pick\n')).toThrow('Plan line 1: expected');
+      expect(() => planner.parsePlan('pick /fix/')).toThrow('only drop can select commits by message pattern');
+      expect(() => planner.parsePlan('pick HEAD~1')).toThrow('is not a commit hash');
+    });
+  });
+
+  describe('normalizeSteps', () => {
+    test('should require a pick before any squash or fixup', () => {
+      expect(() => planner.normalizeSteps([])).toThrow('no steps');
+      expect(() => planner.normalizeSteps([
+        { action: 'drop', commit: 'a1b2c3d' },
+        { action: 'squash', commit: 'b2c3d4e' }
+      ])).toThrow('The first kept commit must be a pick, not a squash');
+    });
+  });
+
+  describe('formatPlan', () => {
+    test('should write a plan that picks every commit and parses back', () => {
+      const content = planner.formatPlan([
+        { hash: 'a1b2c3d4e5f6a7b8c9d0a1b2c3d4e5f6a7b8c9d0', subject: 'First' },
+        { hash: 'b2c3d4e5f6a7b8c9d0a1b2c3d4e5f6a7b8c9d0a1', subject: 'Second' }
+      ]);
+
+      expect(content).toContain('pick a1b2c3d4e5f6 First\npick b2c3d4e5f6a7 Second\n');
+      expect(planner.parsePlan(content)).toEqual([
+        { action: 'pick', commit: 'a1b2c3d4e5f6' },
+        { action: 'pick', commit: 'b2c3d4e5f6a7' }
+      ]);
+    });
+  });
+});
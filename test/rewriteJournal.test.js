@@ -0,0 +1,61 @@
+/**
+ * Rewrite Journal Test Suite
+ */
+
+const RewriteJournal = require('../src/rewriteJournal');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('RewriteJournal', () => {
+  let repoPath;
+  let journal;
+
+  beforeEach(async () => {
+    repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'gctm-journal-'));
+    journal = new RewriteJournal(repoPath);
+  });
+
+  afterEach(async () => {
+    await fs.remove(repoPath);
+  });
+
+  test('should keep the journal under .gctm-backups', () => {
+    expect(journal.file).toBe(path.join(repoPath, '.gctm-backups', RewriteJournal.JOURNAL_DIR, 'journal.json'));
+  });
+
+  test('should store regular expressions in the arguments and drop functions', async () => {
+    await journal.start({
+      operation: 'edit-content',
+      args: [[{ pattern: /secret-\d+/gi, replacement: 'x' }], { scope: { branch: 'main' }, onProgress: () => {} }]
+    });
+
+    const entry = await journal.load();
+    expect(entry.args).toEqual([[{ pattern: /secret-\d+/gi, replacement: 'x' }], { scope: { branch: 'main' } }]);
+    expect(entry.commits).toBe(0);
+    expect(entry.resumedAt).toBeNull();
+  });
+
+  test('should refuse to start while another rewrite is in progress unless resuming it', async () => {
+    const started = await journal.start({ operation: 'redate', args: [[], {}] });
+    await journal.update({ commits: 4 });
+
+    await expect(journal.start({ operation: 'edit-message', args: [] })).rejects.toThrow('An interrupted redate rewrite');
+
+    const resumed = await journal.start({ operation: 'redate', args: [[], {}] }, { resume: true });
+    expect(resumed.startedAt).toBe(started.startedAt);
+    expect(resumed.resumedAt).not.toBeNull();
+  });
+
+  test('should remove the journal and its marks', async () => {
+    await journal.start({ operation: 'redate', args: [] });
+    await fs.writeFile(journal.marksFile, ':1 abc\n');
+
+    await journal.remove();
+
+    expect(await journal.load()).toBeNull();
+    expect(await fs.pathExists(journal.marksFile)).toBe(false);
+    await journal.update({ commits: 1 });
+    expect(await journal.load()).toBeNull();
+  });
+});
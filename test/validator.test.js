@@ -272,6 +272,25 @@ describe('Validator', () => {
       expect(result3.errors).toContain('Start date is invalid');
       expect(result3.errors).toContain('End date is invalid');
     });
+
+    test('should accept date expressions and explain ambiguous ones', () => {
+      expect(Validator.validateDateRange('2 weeks ago', 'today').isValid).toBe(true);
+      expect(Validator.validateDateRange('2024-W10', '2024-03-15T18:00+02:00').isValid).toBe(true);
+
+      const result = Validator.validateDateRange('03/04/2024', 'monday');
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toMatch(/^Start date is ambiguous: .*Use YYYY-MM-DD/);
+      expect(result.errors[1]).toMatch(/^End date is ambiguous: .*"last monday"/);
+    });
+  });
+
+  describe('isValidDateExpression', () => {
+    test('should check date expressions', () => {
+      expect(Validator.isValidDateExpression('last friday')).toBe(true);
+      expect(Validator.isValidDateExpression('2024-W12-3')).toBe(true);
+      expect(Validator.isValidDateExpression('someday')).toBe(false);
+      expect(Validator.isValidDateExpression('')).toBe(false);
+    });
   });
 
   describe('validateCommitOptions', () => {